@@ -50,10 +50,13 @@ const HEIC_DIR = path.join(CACHE_DIR, 'heic-converted');
 // Default number of messages to load per conversation page
 const DEFAULT_CONVERSATION_PAGE_SIZE = 200;
 
+// Longest excerpt of the original message shown on an inline reply (characters)
+const REPLY_EXCERPT_LENGTH = 100;
+
 // Default number of search results per page
 const DEFAULT_SEARCH_PAGE_SIZE = 20;
 
-// Maximum search results to scan before pagination
+// Maximum candidate rows ranked by closeness per fuzzy search page
 const MAX_SEARCH_SCAN_LIMIT = 10000;
 
 // Default number of media items per page
@@ -69,9 +72,78 @@ const DEFAULT_LINKS_PAGE_SIZE = 100;
 // Number of messages to index per batch
 const SEARCH_INDEX_BATCH_SIZE = 5000;
 
+// Documents per multi-row INSERT while indexing (each binds 11 values,
+// well under SQLite's bound variable limit)
+const SEARCH_INDEX_INSERT_ROWS = 500;
+
+// Search index format version. Bump it whenever the index schema or the text
+// extraction in helpers/text.js changes: indexes built with another version
+// are rebuilt automatically on startup.
+const SEARCH_INDEX_VERSION = 5;
+
 // How often to check for new messages to index (ms)
 const SEARCH_INDEX_UPDATE_INTERVAL = 30000;
 
+// How often to reconcile the index with edited, unsent and deleted messages (ms)
+const SEARCH_INDEX_RECONCILE_INTERVAL = 5 * 60 * 1000;
+
+// Approximate number of words in each search result snippet
+const SEARCH_SNIPPET_TOKENS = 16;
+
+// Number of conversations listed in search result facets
+const SEARCH_FACET_CONVERSATION_LIMIT = 10;
+
+// Search results sent per /search/stream event
+const SEARCH_STREAM_BATCH_SIZE = 5;
+
+// Results grouped by conversation: conversations returned, top hits per conversation
+const SEARCH_GROUP_LIMIT = 100;
+const SEARCH_GROUP_HITS = 3;
+
+// Max matches found by find-in-conversation (the newest are kept)
+const CONVERSATION_SEARCH_MAX_MATCHES = 1000;
+
+// Vocabulary terms fetched by trigram similarity per fuzzy query word
+const FUZZY_CANDIDATE_LIMIT = 200;
+
+// Vocabulary terms scanned for abbreviations ("tmrw") per fuzzy query word
+const FUZZY_ABBREVIATION_SCAN_LIMIT = 5000;
+
+// Closest terms each fuzzy query word expands to
+const FUZZY_TERMS_PER_WORD = 8;
+
+// Maximum "did you mean" suggestions returned for searches with no results
+const SEARCH_SUGGESTION_LIMIT = 3;
+
+// Regex search: total time budget (ms), rows scanned at most, rows per batch
+const REGEX_SEARCH_TIMEOUT = 2000;
+const REGEX_SEARCH_MAX_SCAN_ROWS = 200000;
+const REGEX_SEARCH_BATCH_SIZE = 5000;
+
+// Longest regex pattern accepted
+const REGEX_MAX_PATTERN_LENGTH = 500;
+
+// "More like this": highest-weighted terms of the source message used to find
+// candidates, candidates compared per request, and default results returned
+const SIMILAR_QUERY_TERMS = 12;
+const SIMILAR_CANDIDATE_LIMIT = 500;
+const DEFAULT_SIMILAR_LIMIT = 20;
+
+// Terms in more than this share of indexed documents are too common to find
+// similar messages by
+const SIMILAR_MAX_TERM_DOC_RATIO = 0.05;
+
+// Search history and autocomplete: past queries kept (least recently used dropped
+// first), default suggestions per request, contact suggestions per request,
+// and letters typed before indexed terms are suggested
+const SEARCH_HISTORY_MAX_ENTRIES = 500;
+const DEFAULT_SUGGEST_LIMIT = 8;
+const SUGGEST_CONTACT_LIMIT = 3;
+const SUGGEST_MIN_TERM_PREFIX = 2;
+
+// Longest saved search (smart folder) name
+const SAVED_SEARCH_NAME_MAX_LENGTH = 100;
+
 // ============================================================
 // Link preview configuration
 // ============================================================
@@ -104,6 +176,11 @@ const INSIGHTS_MAX_NETWORK_EDGES = 200;
 // Number of months to include in activity timeline
 const INSIGHTS_TIMELINE_MONTHS = 24;
 
+// Read latency: reads later than this (minutes) are left out of averages, and
+// contacts need this many read messages to be ranked
+const INSIGHTS_READ_LATENCY_MAX_MINUTES = 1440;
+const INSIGHTS_READ_LATENCY_MIN_MESSAGES = 5;
+
 // ============================================================
 // Binary plist parsing
 // ============================================================
@@ -130,6 +207,10 @@ const CPU_COUNT = os.cpus().length;
 // Number of concurrent workers for media processing
 const MEDIA_PROCESSOR_CONCURRENCY = Math.min(32, Math.max(8, CPU_COUNT * 2));
 
+// Number of worker threads extracting message text while indexing
+// (leaves a core for the server itself)
+const SEARCH_INDEX_WORKERS = Math.min(4, Math.max(1, CPU_COUNT - 1));
+
 // ============================================================
 // Initialization
 // ============================================================
@@ -170,6 +251,7 @@ module.exports = {
   
   // Pagination
   DEFAULT_CONVERSATION_PAGE_SIZE,
+  REPLY_EXCERPT_LENGTH,
   DEFAULT_SEARCH_PAGE_SIZE,
   MAX_SEARCH_SCAN_LIMIT,
   DEFAULT_MEDIA_PAGE_SIZE,
@@ -177,7 +259,33 @@ module.exports = {
   
   // Search index
   SEARCH_INDEX_BATCH_SIZE,
+  SEARCH_INDEX_INSERT_ROWS,
+  SEARCH_INDEX_VERSION,
   SEARCH_INDEX_UPDATE_INTERVAL,
+  SEARCH_INDEX_RECONCILE_INTERVAL,
+  SEARCH_SNIPPET_TOKENS,
+  SEARCH_FACET_CONVERSATION_LIMIT,
+  SEARCH_STREAM_BATCH_SIZE,
+  SEARCH_GROUP_LIMIT,
+  SEARCH_GROUP_HITS,
+  CONVERSATION_SEARCH_MAX_MATCHES,
+  FUZZY_CANDIDATE_LIMIT,
+  FUZZY_ABBREVIATION_SCAN_LIMIT,
+  FUZZY_TERMS_PER_WORD,
+  SEARCH_SUGGESTION_LIMIT,
+  REGEX_SEARCH_TIMEOUT,
+  REGEX_SEARCH_MAX_SCAN_ROWS,
+  REGEX_SEARCH_BATCH_SIZE,
+  REGEX_MAX_PATTERN_LENGTH,
+  SIMILAR_QUERY_TERMS,
+  SIMILAR_CANDIDATE_LIMIT,
+  DEFAULT_SIMILAR_LIMIT,
+  SIMILAR_MAX_TERM_DOC_RATIO,
+  SEARCH_HISTORY_MAX_ENTRIES,
+  DEFAULT_SUGGEST_LIMIT,
+  SUGGEST_CONTACT_LIMIT,
+  SUGGEST_MIN_TERM_PREFIX,
+  SAVED_SEARCH_NAME_MAX_LENGTH,
   
   // Link previews
   LINK_PREVIEW_CACHE_TTL,
@@ -190,6 +298,8 @@ module.exports = {
   INSIGHTS_MAX_NETWORK_NODES,
   INSIGHTS_MAX_NETWORK_EDGES,
   INSIGHTS_TIMELINE_MONTHS,
+  INSIGHTS_READ_LATENCY_MAX_MINUTES,
+  INSIGHTS_READ_LATENCY_MIN_MESSAGES,
   
   // Plist parsing
   PLIST_MAX_MARKER_OFFSET,
@@ -198,6 +308,7 @@ module.exports = {
   // Parallelization
   CPU_COUNT,
   MEDIA_PROCESSOR_CONCURRENCY,
+  SEARCH_INDEX_WORKERS,
   
   // Functions
   initCacheDirectories
@@ -96,6 +96,48 @@ class ContactStore {
     return null;
   }
 
+  /**
+   * Find all identifiers of contacts whose name contains the given text
+   */
+  findIdentifiersByName(name) {
+    if (!name) return [];
+    
+    const nameLower = name.toLowerCase();
+    const identifiers = new Set();
+    
+    this.groupMap.forEach(group => {
+      if (group.name.toLowerCase().includes(nameLower)) {
+        group.identifiers.forEach(id => identifiers.add(id));
+      }
+    });
+    
+    return [...identifiers];
+  }
+
+  /**
+   * Find contact names with a word starting with the given text
+   * Names that start with the text come first, then alphabetical.
+   */
+  findNamesByPrefix(prefix, limit = Infinity) {
+    if (!prefix) return [];
+    
+    const prefixLower = prefix.toLowerCase();
+    const names = new Set();
+    
+    this.groupMap.forEach(group => {
+      const nameLower = group.name.toLowerCase();
+      if (nameLower.startsWith(prefixLower) || nameLower.split(/\s+/).some(word => word.startsWith(prefixLower))) {
+        names.add(group.name);
+      }
+    });
+    
+    return [...names]
+      .sort((a, b) =>
+        Number(!a.toLowerCase().startsWith(prefixLower)) - Number(!b.toLowerCase().startsWith(prefixLower)) ||
+        a.localeCompare(b))
+      .slice(0, limit);
+  }
+
   /**
    * Get contact group map (for filtering)
    */
@@ -298,6 +340,8 @@ module.exports = {
   getGroupMemberNames: (str) => contactStore.getGroupMemberNames(str),
   getContactId: (id) => contactStore.getContactId(id),
   getContactGroupMap: () => contactStore.getContactGroupMap(),
+  findIdentifiersByName: (name) => contactStore.findIdentifiersByName(name),
+  findNamesByPrefix: (prefix, limit) => contactStore.findNamesByPrefix(prefix, limit),
   
   // Initialization
   loadAllContacts,
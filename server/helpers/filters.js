@@ -3,41 +3,41 @@
  * @module helpers/filters
  */
 
-const { getContactGroupMap } = require('../db/contacts');
+const { getContactGroupMap, findIdentifiersByName } = require('../db/contacts');
+const { toMacTime } = require('./time');
+const { normalizeSearchText } = require('./unicode');
+
+// Schema name chat.db is attached under on the search index connection
+const MESSAGES_SCHEMA = 'imsg';
+
+// Attachment conditions for has: operators (alias `a` = attachment)
+const HAS_ATTACHMENT_CONDITIONS = {
+  image: `(a.mime_type LIKE 'image/%' OR a.filename LIKE '%.jpg' OR a.filename LIKE '%.jpeg'
+           OR a.filename LIKE '%.png' OR a.filename LIKE '%.heic' OR a.filename LIKE '%.gif')`,
+  video: `(a.mime_type LIKE 'video/%' OR a.filename LIKE '%.mov' OR a.filename LIKE '%.mp4'
+           OR a.filename LIKE '%.m4v')`,
+  attachment: `a.filename NOT LIKE '%pluginPayloadAttachment%'`
+};
 
 /**
- * Build contact filter SQL and params for queries
- * @param {string[]} contactIds - Array of contact IDs to filter by
- * @returns {{ filter: string, params: any[] }}
+ * Get the phone numbers / emails of the given contacts
+ * @param {string[]} contactIds - Contact IDs from the contacts list
+ * @returns {string[]} - Unique identifiers (unknown contacts are skipped)
  */
-function buildContactFilter(contactIds) {
-  if (!contactIds || contactIds.length === 0) {
-    return { filter: '', params: [] };
-  }
+function getContactIdentifiers(contactIds) {
+  if (!contactIds || contactIds.length === 0) return [];
   
   const contactGroupMap = getContactGroupMap();
-  const allIdentifiers = new Set();
+  const identifiers = new Set();
   
   contactIds.forEach(contactId => {
     const group = contactGroupMap.get(contactId);
     if (group) {
-      group.identifiers.forEach(id => allIdentifiers.add(id));
+      group.identifiers.forEach(id => identifiers.add(id));
     }
   });
   
-  if (allIdentifiers.size === 0) {
-    return { filter: '', params: [] };
-  }
-  
-  const placeholders = [...allIdentifiers].map(() => '?').join(',');
-  return {
-    filter: ` AND cmj.chat_id IN (
-      SELECT DISTINCT chj.chat_id FROM chat_handle_join chj
-      JOIN handle h ON chj.handle_id = h.ROWID
-      WHERE h.id IN (${placeholders})
-    )`,
-    params: [...allIdentifiers]
-  };
+  return [...identifiers];
 }
 
 /**
@@ -50,28 +50,151 @@ function buildHandleFilter(contactIds) {
     return { filter: '', params: [] };
   }
   
-  const contactGroupMap = getContactGroupMap();
-  const allIdentifiers = new Set();
+  const allIdentifiers = getContactIdentifiers(contactIds);
+  if (allIdentifiers.length === 0) {
+    return { filter: '', params: [] };
+  }
   
-  contactIds.forEach(contactId => {
-    const group = contactGroupMap.get(contactId);
-    if (group) {
-      group.identifiers.forEach(id => allIdentifiers.add(id));
+  const placeholders = allIdentifiers.map(() => '?').join(',');
+  return {
+    filter: ` AND h.id IN (${placeholders})`,
+    params: allIdentifiers
+  };
+}
+
+/**
+ * Build SQL matching identifiers that belong to a person named in a query
+ * Matches contact names; only a name no contact has is matched against the
+ * raw phone/email text, so from:al doesn't also find sal@... or +1...al...
+ * @param {string} name - Name, phone or email fragment
+ * @param {string} column - Identifier column to match
+ * @returns {{ filter: string, params: any[] }}
+ */
+function buildIdentifierNameMatch(name, column) {
+  const identifiers = findIdentifiersByName(name);
+  
+  if (identifiers.length === 0) {
+    return { filter: `${column} LIKE ?`, params: [`%${name}%`] };
+  }
+  return {
+    filter: `${column} IN (${identifiers.map(() => '?').join(',')})`,
+    params: identifiers
+  };
+}
+
+/**
+ * Build SQL for structured search query filters (from:, in:, before:, ...)
+ * 
+ * Runs on the search index connection with chat.db attached as MESSAGES_SCHEMA;
+ * the index table must be aliased `mt`. Senders, chat participants and group
+ * chat names come from the index (mt.sender, chat_handles, chat documents),
+ * so only has: attachments reach into chat.db. Chat names are compared
+ * normalized (see normalizeSearchText), so in:cafe finds "Café Crew".
+ * 
+ * @param {Object} filters - Filters from parseSearchQuery()
+ * @returns {{ filter: string, params: any[] }}
+ */
+function buildSearchQueryFilter(filters) {
+  const clauses = [];
+  const params = [];
+  const s = MESSAGES_SCHEMA;
+  
+  if (filters.after !== null) {
+    clauses.push('mt.date >= ?');
+    params.push(toMacTime(filters.after));
+  }
+  
+  if (filters.before !== null) {
+    clauses.push('mt.date < ?');
+    params.push(toMacTime(filters.before));
+  }
+  
+  if (filters.is) {
+    clauses.push('mt.is_from_me = ?');
+    params.push(filters.is === 'sent' ? 1 : 0);
+  }
+  
+  if (filters.from.length > 0) {
+    const senders = filters.from.map(name => {
+      if (name.toLowerCase() === 'me') {
+        return { filter: 'mt.is_from_me = 1', params: [] };
+      }
+      const match = buildIdentifierNameMatch(name, 'mt.sender');
+      return { filter: `(mt.is_from_me = 0 AND ${match.filter})`, params: match.params };
+    });
+    clauses.push(`(${senders.map(f => f.filter).join(' OR ')})`);
+    senders.forEach(f => params.push(...f.params));
+  }
+  
+  if (filters.in.length > 0) {
+    // Named group chats, or one-on-one chats with the named person
+    const chats = filters.in.map(name => {
+      const match = buildIdentifierNameMatch(name, 'ch.identifier');
+      return {
+        filter: `mt.chat_id IN (
+            SELECT cd.source_id FROM message_text cd
+            WHERE cd.kind = 'chat' AND instr(cd.search_text, ?) > 0
+          )
+          OR mt.chat_id IN (
+            SELECT ch.chat_id FROM chat_handles ch
+            WHERE ${match.filter}
+              AND (SELECT COUNT(*) FROM chat_handles x WHERE x.chat_id = ch.chat_id) = 1
+          )`,
+        params: [normalizeSearchText(name), ...match.params]
+      };
+    });
+    clauses.push(`(${chats.map(f => `(${f.filter})`).join(' OR ')})`);
+    chats.forEach(f => params.push(...f.params));
+  }
+  
+  filters.has.forEach(type => {
+    if (type === 'link') {
+      clauses.push(`mt.text LIKE '%http%'`);
+      return;
     }
+    clauses.push(`EXISTS (
+      SELECT 1 FROM ${s}.message_attachment_join maj
+      JOIN ${s}.attachment a ON maj.attachment_id = a.ROWID
+      WHERE maj.message_id = mt.message_id AND ${HAS_ATTACHMENT_CONDITIONS[type]}
+    )`);
   });
   
-  if (allIdentifiers.size === 0) {
+  return {
+    filter: clauses.map(clause => ` AND ${clause}`).join(''),
+    params
+  };
+}
+
+/**
+ * Build SQL keeping search index rows sent over the given services
+ * 
+ * Runs on the search index connection (alias `mt`, see buildSearchQueryFilter).
+ * Messages and their attachments and links match by the message's service;
+ * group chat names by the chat's.
+ * 
+ * @param {string[]} services - chat.db service names ('iMessage', 'SMS', 'RCS')
+ * @returns {{ filter: string, params: any[] }}
+ */
+function buildServiceFilter(services) {
+  if (!services || services.length === 0) {
     return { filter: '', params: [] };
   }
   
-  const placeholders = [...allIdentifiers].map(() => '?').join(',');
+  const s = MESSAGES_SCHEMA;
+  const placeholders = services.map(() => '?').join(',');
   return {
-    filter: ` AND h.id IN (${placeholders})`,
-    params: [...allIdentifiers]
+    filter: ` AND (
+      EXISTS (SELECT 1 FROM ${s}.message sm WHERE sm.ROWID = mt.message_id AND sm.service IN (${placeholders}))
+      OR (mt.message_id IS NULL AND mt.chat_id IN (SELECT c.ROWID FROM ${s}.chat c WHERE c.service_name IN (${placeholders})))
+    )`,
+    params: [...services, ...services]
   };
 }
 
 module.exports = {
-  buildContactFilter,
-  buildHandleFilter
+  MESSAGES_SCHEMA,
+  getContactIdentifiers,
+  buildHandleFilter,
+  buildSearchQueryFilter,
+  buildServiceFilter
 };
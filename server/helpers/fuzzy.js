@@ -0,0 +1,145 @@
+/**
+ * Typo-tolerant term matching helpers
+ * @module helpers/fuzzy
+ *
+ * Candidates for a misspelled word come from the search index vocabulary
+ * (see services/searchIndex.js); these helpers decide which candidates are
+ * close enough and how close each search result is to the query.
+ */
+
+const fuzzy = require('fuzzy');
+
+// ============================================================
+// Constants
+// ============================================================
+
+// Words shorter than this are too ambiguous to correct
+const MIN_FUZZY_WORD_LENGTH = 3;
+
+// Abbreviations ("tmrw" -> "tomorrow") may be at most this much shorter than the word
+const MAX_ABBREVIATION_RATIO = 2.5;
+
+// ============================================================
+// Edit distance
+// ============================================================
+
+/**
+ * Normalize a word for comparison (lowercase, no diacritics)
+ * Matches how the FTS unicode61 tokenizer stores vocabulary terms.
+ */
+const normalizeWord = (word) =>
+  word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Maximum edits allowed for a word of this length
+ */
+const maxEditsFor = (word) => {
+  if (word.length <= 4) return 1;
+  if (word.length <= 8) return 2;
+  return 3;
+};
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance
+ * Counts insertions, deletions, substitutions and adjacent transpositions.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  // Three rolling rows: two back (for transpositions), previous, current
+  let prevPrev = new Array(b.length + 1).fill(0);
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let curr = new Array(b.length + 1).fill(0);
+
+  for (let i = 1; i <= a.length; i++) {
+    curr[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        curr[j] = Math.min(curr[j], prevPrev[j - 2] + 1);
+      }
+    }
+    [prevPrev, prev, curr] = [prev, curr, prevPrev];
+  }
+
+  return prev[b.length];
+};
+
+// ============================================================
+// Candidate ranking
+// ============================================================
+
+/**
+ * Rank vocabulary terms by closeness to a (possibly misspelled) word
+ *
+ * A term qualifies if it is within maxEditsFor(word) edits, or if the word
+ * is an in-order abbreviation of it starting with the same letter (checked
+ * with the fuzzy library, which also scores how tightly the letters cluster).
+ *
+ * @param {string} word - Query word
+ * @param {Array<{ term: string, doc: number }>} candidates - Vocabulary terms with document counts
+ * @param {number} limit - Max terms to return
+ * @returns {Array<{ term: string, distance: number, doc: number }>} - Closest first
+ */
+const rankTermCandidates = (word, candidates, limit = Infinity) => {
+  const normalized = normalizeWord(word);
+  if (normalized.length < MIN_FUZZY_WORD_LENGTH) return [];
+
+  const maxEdits = maxEditsFor(normalized);
+
+  return candidates
+    .map(({ term, doc }) => {
+      const distance = editDistance(normalized, term);
+      const abbreviation = distance > maxEdits &&
+        term[0] === normalized[0] &&
+        term.length <= normalized.length * MAX_ABBREVIATION_RATIO
+        ? fuzzy.match(normalized, term)
+        : null;
+
+      if (distance > maxEdits && !abbreviation) return null;
+      return { term, distance, doc, score: abbreviation ? abbreviation.score : Infinity };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.distance - b.distance || b.score - a.score || b.doc - a.doc)
+    .slice(0, limit)
+    .map(({ term, distance, doc }) => ({ term, distance, doc }));
+};
+
+/**
+ * Score how closely a message matches fuzzy query words (lower is closer)
+ *
+ * Each query word contributes the distance of its closest word in the text:
+ * 0 for an exact or prefix match, the candidate's edit distance otherwise.
+ *
+ * @param {string} text - Message text
+ * @param {Array<{ word: string, candidates: Map<string, number> }>} expansions -
+ *   Normalized query words with candidate term -> distance
+ * @param {RegExp} wordRegex - Regex matching words in text (global)
+ * @returns {number}
+ */
+const scoreFuzzyMatch = (text, expansions, wordRegex) => {
+  const textWords = (text.match(wordRegex) || []).map(normalizeWord);
+
+  return expansions.reduce((total, { word, candidates }) => {
+    let best = Infinity;
+    for (const textWord of textWords) {
+      if (textWord.startsWith(word)) return total;
+      if (candidates.has(textWord)) best = Math.min(best, candidates.get(textWord));
+    }
+    return total + (best === Infinity ? maxEditsFor(word) + 1 : best);
+  }, 0);
+};
+
+module.exports = {
+  MIN_FUZZY_WORD_LENGTH,
+  normalizeWord,
+  editDistance,
+  rankTermCandidates,
+  scoreFuzzyMatch
+};
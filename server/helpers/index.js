@@ -7,6 +7,8 @@ module.exports = {
   ...require('./time'),
   ...require('./text'),
   ...require('./attachments'),
-  ...require('./unicode')
+  ...require('./unicode'),
+  ...require('./search'),
+  ...require('./queryParser')
 };
 
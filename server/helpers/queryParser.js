@@ -0,0 +1,173 @@
+/**
+ * Structured search query parsing
+ * @module helpers/queryParser
+ *
+ * Parses queries like `dinner from:alice in:"Family Group" after:2023-05-01 -pizza`
+ * into free-text terms and structured filters.
+ *
+ * Note: The operator list is mirrored in src/utils/search.js (for SearchBar chips).
+ * Keep them in sync if you modify either.
+ */
+
+// ============================================================
+// Constants
+// ============================================================
+
+// Optional '-', optional 'key:', then a quoted phrase (closing quote optional) or a bare word.
+// Phrases may use smart quotes (“like this”), as typed on iPhones.
+const TOKEN_REGEX = /(-)?(?:([a-zA-Z]+):)?(?:["\u201C\u201D]([^"\u201C\u201D]*)["\u201C\u201D]?|(\S+))/g;
+
+const HAS_VALUES = ['link', 'image', 'video', 'attachment'];
+const IS_VALUES = ['sent', 'received'];
+
+// YYYY, YYYY-MM or YYYY-MM-DD
+const DATE_REGEX = /^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/;
+
+// ============================================================
+// Value parsing
+// ============================================================
+
+/**
+ * Parse an operator date into a local-time timestamp (ms) at the start of that period
+ * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {number|null}
+ */
+const parseQueryDate = (value) => {
+  const match = DATE_REGEX.exec(value || '');
+  if (!match) return null;
+
+  const year = parseInt(match[1]);
+  const month = match[2] ? parseInt(match[2]) : 1;
+  const day = match[3] ? parseInt(match[3]) : 1;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  return new Date(year, month - 1, day).getTime();
+};
+
+/**
+ * Parse an operator date into the timestamp (ms) where that period ends
+ * e.g. '2019' -> start of 2020, '2019-03' -> start of April 2019
+ * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {number|null} - Exclusive end timestamp
+ */
+const parseQueryDateEnd = (value) => {
+  const start = parseQueryDate(value);
+  if (start === null) return null;
+  
+  const [, year, month, day] = DATE_REGEX.exec(value);
+  const end = new Date(start);
+  if (day) end.setDate(end.getDate() + 1);
+  else if (month) end.setMonth(end.getMonth() + 1);
+  else end.setFullYear(end.getFullYear() + 1);
+  
+  return end.getTime();
+};
+
+/**
+ * Apply a recognized operator to the filters, returning false if the value is invalid
+ */
+const applyOperator = (filters, key, value) => {
+  switch (key) {
+    case 'from':
+    case 'in':
+      if (!value) return false;
+      filters[key].push(value);
+      return true;
+    case 'before':
+    case 'after': {
+      const timestamp = parseQueryDate(value);
+      if (timestamp === null) return false;
+      filters[key] = timestamp;
+      return true;
+    }
+    case 'has': {
+      const normalized = value.toLowerCase();
+      if (!HAS_VALUES.includes(normalized)) return false;
+      if (!filters.has.includes(normalized)) filters.has.push(normalized);
+      return true;
+    }
+    case 'is': {
+      const normalized = value.toLowerCase();
+      if (!IS_VALUES.includes(normalized)) return false;
+      filters.is = normalized;
+      return true;
+    }
+    default:
+      return false;
+  }
+};
+
+// ============================================================
+// Query parsing
+// ============================================================
+
+/**
+ * Parse a search query into text terms and structured filters
+ *
+ * Unknown operators and invalid values (e.g. `has:pizza`, `http://...`)
+ * are kept as plain text so nothing the user typed is silently dropped.
+ *
+ * @param {string} query - Raw search query
+ * @returns {{
+ *   terms: Array<{ value: string, phrase: boolean, negated: boolean }>,
+ *   filters: { from: string[], in: string[], before: number|null, after: number|null, has: string[], is: string|null },
+ *   operators: Array<{ key: string, value: string }>,
+ *   text: string
+ * }}
+ */
+const parseSearchQuery = (query) => {
+  const terms = [];
+  const operators = [];
+  const filters = { from: [], in: [], before: null, after: null, has: [], is: null };
+
+  for (const match of (query || '').matchAll(TOKEN_REGEX)) {
+    const [raw, dash, rawKey, quoted, bare] = match;
+    if (!raw.trim()) continue;
+
+    const value = (quoted !== undefined ? quoted : bare || '').trim();
+    const key = rawKey ? rawKey.toLowerCase() : null;
+
+    if (key && !dash && applyOperator(filters, key, value)) {
+      operators.push({ key, value });
+      continue;
+    }
+
+    // Not an operator: the whole token (minus a leading '-') is text
+    const text = key ? raw.slice(dash ? 1 : 0).replace(/["\u201C\u201D]/g, '') : value;
+    if (!text) continue;
+
+    terms.push({ value: text, phrase: quoted !== undefined && !key, negated: Boolean(dash) });
+  }
+
+  const text = terms
+    .filter(t => !t.negated)
+    .map(t => t.value)
+    .join(' ');
+
+  return { terms, filters, operators, text };
+};
+
+/**
+ * Narrow parsed query filters to a from/to date range (YYYY[-MM[-DD]])
+ * Both ends are inclusive at their precision (to=2019 covers all of 2019);
+ * the tighter of the range and any after:/before: operators wins.
+ * @returns {Object|null} - Updated filters, or null if a date is invalid
+ */
+const applyDateRange = (filters, from, to) => {
+  const after = from ? parseQueryDate(from) : null;
+  const before = to ? parseQueryDateEnd(to) : null;
+  if ((from && after === null) || (to && before === null)) return null;
+  
+  return {
+    ...filters,
+    after: after !== null && (filters.after === null || after > filters.after) ? after : filters.after,
+    before: before !== null && (filters.before === null || before < filters.before) ? before : filters.before
+  };
+};
+
+module.exports = {
+  parseSearchQuery,
+  parseQueryDate,
+  parseQueryDateEnd,
+  applyDateRange
+};
@@ -0,0 +1,161 @@
+/**
+ * Tapback (reaction) helpers
+ * @module helpers/reactions
+ *
+ * chat.db stores tapbacks as separate message rows: associated_message_type
+ * 2000-2006 adds a reaction and 3000-3006 removes it, and
+ * associated_message_guid points at the target ("p:0/GUID" for a message
+ * part, "bp:GUID" for a link preview). SMS and Android participants get
+ * (and send) them as plain text instead, e.g. 'Loved “See you there”'.
+ */
+
+const { cleanText } = require('./unicode');
+
+// Reaction names by associated_message_type (removals are type + 1000)
+const REACTION_TYPES = {
+  2000: 'love',
+  2001: 'like',
+  2002: 'dislike',
+  2003: 'laugh',
+  2004: 'emphasize',
+  2005: 'question',
+  2006: 'emoji'
+};
+
+// SQL condition (alias `m` = message) excluding tapback rows
+const NOT_TAPBACK = 'COALESCE(m.associated_message_type, 0) NOT BETWEEN 2000 AND 3999';
+
+// Verbs of plain-text reactions ('Laughed at “…”')
+const TEXT_REACTION_VERBS = {
+  'Loved': 'love',
+  'Liked': 'like',
+  'Disliked': 'dislike',
+  'Laughed at': 'laugh',
+  'Emphasized': 'emphasize',
+  'Questioned': 'question'
+};
+
+// Nouns of plain-text removals ('Removed a heart from “…”')
+const TEXT_REMOVAL_NOUNS = {
+  'heart': 'love',
+  'like': 'like',
+  'dislike': 'dislike',
+  'laugh': 'laugh',
+  'exclamation': 'emphasize',
+  'question mark': 'question'
+};
+
+const QUOTED = '[“"](.*)[”"]';
+const TEXT_REACTION_REGEX = new RegExp(`^(${Object.keys(TEXT_REACTION_VERBS).join('|')}) ${QUOTED}$`, 's');
+const TEXT_REMOVAL_REGEX = new RegExp(`^Removed an? (${Object.keys(TEXT_REMOVAL_NOUNS).join('|')}) from ${QUOTED}$`, 's');
+const TEXT_EMOJI_REACTION_REGEX = new RegExp(`^Reacted (\\S+) to ${QUOTED}$`, 's');
+
+/**
+ * Get the GUID of the message a tapback targets
+ * @param {string} associatedGuid - associated_message_guid ("p:0/GUID", "bp:GUID" or "GUID")
+ * @returns {string|null}
+ */
+const getTargetGuid = (associatedGuid) => {
+  if (!associatedGuid) return null;
+  return associatedGuid.replace(/^(?:p:\d+\/|bp:)/, '');
+};
+
+/**
+ * Parse a plain-text reaction (as sent to and from SMS/Android)
+ * @param {string} text - Message text
+ * @returns {{ type: string, emoji: string|null, removed: boolean, quote: string }|null} -
+ *   null if the text isn't a reaction
+ */
+const parseTextReaction = (text) => {
+  const trimmed = cleanText(text);
+  if (!trimmed) return null;
+
+  let match = TEXT_REACTION_REGEX.exec(trimmed);
+  if (match) {
+    return { type: TEXT_REACTION_VERBS[match[1]], emoji: null, removed: false, quote: match[2] };
+  }
+
+  match = TEXT_REMOVAL_REGEX.exec(trimmed);
+  if (match) {
+    return { type: TEXT_REMOVAL_NOUNS[match[1]], emoji: null, removed: true, quote: match[2] };
+  }
+
+  match = TEXT_EMOJI_REACTION_REGEX.exec(trimmed);
+  if (match) {
+    return { type: 'emoji', emoji: match[1], removed: false, quote: match[2] };
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a message's text is what a reaction quotes
+ * Long messages are quoted truncated, ending in an ellipsis.
+ */
+const matchesQuote = (text, quote) => {
+  const trimmed = cleanText(text);
+  if (!trimmed) return false;
+  if (trimmed === quote) return true;
+  return quote.endsWith('…') && quote.length > 1 && trimmed.startsWith(quote.slice(0, -1));
+};
+
+/**
+ * Apply a reaction to a target's reactions (one per person; a new one replaces theirs)
+ * @param {Map<string, Object>} reactions - By reacting person
+ */
+const applyReaction = (reactions, { type, emoji, removed, is_from_me, sender_id }) => {
+  const key = is_from_me ? 'me' : String(sender_id);
+  if (removed) {
+    if (reactions.get(key)?.type === type) reactions.delete(key);
+  } else {
+    reactions.set(key, { type, emoji, is_from_me: Boolean(is_from_me), sender_id: is_from_me ? null : sender_id });
+  }
+};
+
+/**
+ * Fold reactions onto the messages they target
+ *
+ * Tapbacks are matched by GUID. Plain-text reactions in the page are matched
+ * to the nearest earlier message whose text they quote, and removed from the
+ * page; ones whose target isn't in the page stay as ordinary messages.
+ *
+ * @param {Object[]} messages - Page of messages, oldest first ({ guid, text, is_from_me, sender_id })
+ * @param {Object[]} tapbacks - Tapback rows for the page, oldest first
+ *   ({ associated_message_type, associated_message_guid, text, is_from_me, sender_id })
+ * @returns {Object[]} - Messages, each with `reactions`: [{ type, emoji, is_from_me, sender_id }]
+ */
+const foldReactions = (messages, tapbacks) => {
+  const byMessage = new Map(messages.map(msg => [msg, new Map()]));
+  const byGuid = new Map(messages.filter(msg => msg.guid).map(msg => [msg.guid, byMessage.get(msg)]));
+
+  tapbacks.forEach(row => {
+    const reactions = byGuid.get(getTargetGuid(row.associated_message_guid));
+    const removed = row.associated_message_type >= 3000;
+    const type = REACTION_TYPES[row.associated_message_type - (removed ? 1000 : 0)];
+    if (!reactions || !type) return;
+
+    const emoji = type === 'emoji' ? parseTextReaction(row.text)?.emoji || null : null;
+    applyReaction(reactions, { type, emoji, removed, is_from_me: row.is_from_me, sender_id: row.sender_id });
+  });
+
+  const kept = [];
+  messages.forEach(msg => {
+    const reaction = parseTextReaction(msg.text);
+    const target = reaction && [...kept].reverse().find(prev => matchesQuote(prev.text, reaction.quote));
+    if (target) {
+      applyReaction(byMessage.get(target), { ...reaction, is_from_me: msg.is_from_me, sender_id: msg.sender_id });
+    } else {
+      kept.push(msg);
+    }
+  });
+
+  return kept.map(msg => ({ ...msg, reactions: [...byMessage.get(msg).values()] }));
+};
+
+module.exports = {
+  REACTION_TYPES,
+  NOT_TAPBACK,
+  getTargetGuid,
+  parseTextReaction,
+  foldReactions
+};
@@ -0,0 +1,396 @@
+/**
+ * Full-text search query and snippet helpers
+ * @module helpers/search
+ */
+
+const { REGEX_MAX_PATTERN_LENGTH } = require('../config');
+const { normalizeSearchText } = require('./unicode');
+
+// ============================================================
+// Constants
+// ============================================================
+
+// Control characters wrapped around matched terms by FTS5 snippet().
+// They never occur in message text, so they can be stripped safely.
+const SNIPPET_MATCH_START = '\u0002';
+const SNIPPET_MATCH_END = '\u0003';
+
+// Ways a search query can match: 'exact' words, 'fuzzy' (typo-tolerant) or a 'regex'
+const SEARCH_MODES = ['exact', 'fuzzy', 'regex'];
+
+// Word characters in any script (letters and digits)
+const SEARCH_TERM_REGEX = /[\p{L}\p{N}]+/gu;
+
+// Characters of context kept before the first match in regex result snippets
+const REGEX_SNIPPET_CONTEXT = 40;
+
+// Longest regex result snippet
+const REGEX_SNIPPET_LENGTH = 160;
+
+// ============================================================
+// Query building
+// ============================================================
+
+/**
+ * Extract searchable words from text
+ */
+const extractWords = (text) =>
+  text ? text.match(SEARCH_TERM_REGEX) || [] : [];
+
+/**
+ * Convert a single query term into an FTS5 expression
+ * 
+ * Plain terms become quoted prefix terms so partially typed words still
+ * match ("restau" finds "restaurant"); phrases must match exactly and in
+ * order. Quoting also means FTS5 operators in user input are plain text.
+ * 
+ * @param {{ value: string, phrase: boolean }} term
+ * @returns {string} - FTS5 expression, or '' if the term has no searchable words
+ */
+const toFtsExpression = ({ value, phrase }) => {
+  const words = extractWords(value);
+  if (words.length === 0) return '';
+  return phrase
+    ? `"${words.join(' ')}"`
+    : words.map(word => `"${word}"*`).join(' ');
+};
+
+/**
+ * Build the FTS5 MATCH expression for the positive terms of a parsed query
+ * @param {Array<{ value: string, phrase: boolean, negated: boolean }>} terms
+ * @returns {string}
+ */
+const buildFtsMatch = (terms) =>
+  terms
+    .filter(t => !t.negated)
+    .map(toFtsExpression)
+    .filter(Boolean)
+    .join(' ');
+
+/**
+ * Build the FTS5 MATCH expression for a typo-tolerant (fuzzy) query
+ * 
+ * Each plain word also matches its close vocabulary terms:
+ * "restaraunt" -> ("restaraunt"* OR "restaurant" OR "restaurants").
+ * Phrases still match exactly.
+ * 
+ * @param {Array<{ value: string, phrase: boolean, negated: boolean }>} terms
+ * @param {function(string): string[]} getAlternatives - Close terms for a query word
+ * @returns {string}
+ */
+const buildFuzzyFtsMatch = (terms, getAlternatives) =>
+  terms
+    .filter(t => !t.negated)
+    .map(t => {
+      if (t.phrase) return toFtsExpression(t);
+      return extractWords(t.value)
+        .map(word => {
+          const alternatives = getAlternatives(word).map(term => `"${term}"`);
+          return alternatives.length > 0
+            ? `("${word}"* OR ${alternatives.join(' OR ')})`
+            : `"${word}"*`;
+        })
+        .join(' ');
+    })
+    .filter(Boolean)
+    .join(' ');
+
+/**
+ * Build an FTS5 expression matching any excluded (-term) words or phrases
+ * Exclusions match whole words, so "-ok" doesn't hide "okay".
+ * @param {Array<{ value: string, phrase: boolean, negated: boolean }>} terms
+ * @returns {string}
+ */
+const buildFtsExclusion = (terms) =>
+  terms
+    .filter(t => t.negated)
+    .map(t => toFtsExpression({ value: t.value, phrase: true }))
+    .filter(Boolean)
+    .join(' OR ');
+
+/**
+ * Get the terms FTS can't match: emoji and punctuation without any words
+ * ("🎉", "?!"). These are matched as substrings of the normalized text.
+ * @param {Array<{ value: string, phrase: boolean, negated: boolean }>} terms
+ * @returns {{ included: string[], excluded: string[] }} - Normalized term values
+ */
+const getSymbolTerms = (terms) => {
+  const symbols = terms
+    .filter(t => extractWords(t.value).length === 0)
+    .map(t => ({ value: normalizeSearchText(t.value), negated: t.negated }))
+    .filter(t => t.value);
+  
+  return {
+    included: symbols.filter(t => !t.negated).map(t => t.value),
+    excluded: symbols.filter(t => t.negated).map(t => t.value)
+  };
+};
+
+// ============================================================
+// Regex search
+// ============================================================
+
+/**
+ * Compile a user-supplied search regex (case-insensitive, global)
+ * 
+ * Unicode mode is tried first so \p{L} etc. work; patterns that are only
+ * valid without it (e.g. "\-") fall back to plain mode.
+ * 
+ * @param {string} pattern
+ * @returns {{ regex: RegExp|null, error: string|null }} - error is a
+ *   user-facing message when the pattern is invalid
+ */
+const compileSearchRegex = (pattern) => {
+  if (!pattern) return { regex: null, error: 'Regular expression is empty' };
+  if (pattern.length > REGEX_MAX_PATTERN_LENGTH) {
+    return { regex: null, error: `Regular expression is longer than ${REGEX_MAX_PATTERN_LENGTH} characters` };
+  }
+  
+  try {
+    return { regex: new RegExp(pattern, 'giu'), error: null };
+  } catch {
+    try {
+      return { regex: new RegExp(pattern, 'gi'), error: null };
+    } catch (err) {
+      return { regex: null, error: err.message };
+    }
+  }
+};
+
+/**
+ * Build a snippet around the first regex match
+ * @param {string} text - Full message text
+ * @param {Array<[number, number]>} ranges - Match [start, end) offsets, in order
+ * @returns {{ text: string, highlights: Array<{ start: number, end: number }> }}
+ */
+const buildRegexSnippet = (text, ranges) => {
+  const start = ranges.length > 0 ? Math.max(0, ranges[0][0] - REGEX_SNIPPET_CONTEXT) : 0;
+  const end = Math.min(text.length, start + REGEX_SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  
+  const highlights = ranges
+    .filter(([s, e]) => s >= start && e <= end && e > s)
+    .map(([s, e]) => ({ start: s - start + prefix.length, end: e - start + prefix.length }));
+  
+  return { text: `${prefix}${text.slice(start, end)}${suffix}`, highlights };
+};
+
+// ============================================================
+// Snippet parsing
+// ============================================================
+
+/**
+ * Parse an FTS5 snippet containing match markers
+ *
+ * @param {string} raw - Snippet text with SNIPPET_MATCH_START/END markers
+ * @returns {{ text: string, highlights: Array<{ start: number, end: number }> }}
+ *   Plain snippet text and the character offsets of each highlighted match
+ */
+const parseSnippet = (raw) => {
+  if (!raw) return { text: '', highlights: [] };
+
+  const highlights = [];
+  let text = '';
+  let matchStart = null;
+
+  for (const char of raw) {
+    if (char === SNIPPET_MATCH_START) {
+      matchStart = text.length;
+    } else if (char === SNIPPET_MATCH_END) {
+      if (matchStart !== null && text.length > matchStart) {
+        highlights.push({ start: matchStart, end: text.length });
+      }
+      matchStart = null;
+    } else {
+      text += char;
+    }
+  }
+
+  return { text, highlights };
+};
+
+// ============================================================
+// Facets
+// ============================================================
+
+/**
+ * Build search facets from per-month and per-conversation match counts
+ *
+ * @param {Array<{ month: string, count: number }>} monthCounts - 'YYYY-MM' keys, local time
+ * @param {Array<{ chat_id: number, count: number }>} chatCounts - Busiest conversations
+ * @returns {{
+ *   years: Array<{ key: string, count: number }>,
+ *   months: Array<{ key: string, count: number }>,
+ *   conversations: Array<{ conversation_id: number, count: number }>
+ * }} - years ('2019') and months ('2019-03') are chronological
+ */
+const buildSearchFacets = (monthCounts, chatCounts) => {
+  const months = monthCounts
+    .filter(row => row.month)
+    .map(row => ({ key: row.month, count: row.count }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  const years = [];
+  months.forEach(({ key, count }) => {
+    const year = key.slice(0, 4);
+    const last = years[years.length - 1];
+    if (last && last.key === year) last.count += count;
+    else years.push({ key: year, count });
+  });
+
+  return {
+    years,
+    months,
+    conversations: chatCounts
+      .map(row => ({ conversation_id: row.chat_id, count: row.count }))
+      .sort((a, b) => b.count - a.count)
+  };
+};
+
+// ============================================================
+// Pagination cursors
+// ============================================================
+
+// Cursor fields: d = date, i = doc_id, s = BM25 score, c = fuzzy closeness
+const CURSOR_FIELDS = ['d', 'i', 's', 'c'];
+
+/**
+ * Encode the sort key of the last result on a page as an opaque cursor
+ * @param {{ date: number, doc_id: number, score?: number, closeness?: number }} row
+ * @returns {string}
+ */
+const encodeSearchCursor = (row) => {
+  const key = { d: row.date, i: row.doc_id };
+  if (row.score !== undefined) key.s = row.score;
+  if (row.closeness !== undefined) key.c = row.closeness;
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeSearchCursor
+ * @param {string} cursor
+ * @returns {{ date: number, doc_id: number, score?: number, closeness?: number }|null} -
+ *   null if the cursor is malformed
+ */
+const decodeSearchCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const valid = key && typeof key === 'object' &&
+      Number.isFinite(key.d) && Number.isInteger(key.i) &&
+      Object.keys(key).every(k => CURSOR_FIELDS.includes(k) && Number.isFinite(key[k]));
+    if (!valid) return null;
+    
+    const decoded = { date: key.d, doc_id: key.i };
+    if (key.s !== undefined) decoded.score = key.s;
+    if (key.c !== undefined) decoded.closeness = key.c;
+    return decoded;
+  } catch {
+    return null;
+  }
+};
+
+// ============================================================
+// Autocomplete
+// ============================================================
+
+// Operators whose values are contact names
+const CONTACT_OPERATORS = ['from', 'in'];
+
+/**
+ * Split a partially typed query at the token being typed
+ * 
+ * An unclosed quote makes everything from the quote part of the token, so
+ * `from:"Alice Sm` is still completing a from: value.
+ * 
+ * @param {string} prefix - Query typed so far
+ * @returns {{ head: string, token: string, operator: string|null, negated: boolean, word: string }} -
+ *   head is the text before the token; word is what's typed of its value
+ *   ('' after a trailing space)
+ */
+const splitQueryPrefix = (prefix) => {
+  const text = prefix || '';
+  const quotes = (text.match(/"/g) || []).length;
+  
+  let start = text.search(/\S*$/);
+  if (quotes % 2 === 1) {
+    const quoteStart = text.lastIndexOf('"');
+    start = quoteStart - /-?(?:[a-zA-Z]+:)?$/.exec(text.slice(0, quoteStart))[0].length;
+  }
+  
+  const token = text.slice(start);
+  const [, dash, key, word] = /^(-?)(?:([a-zA-Z]+):)?"?(.*)$/s.exec(token);
+  
+  return {
+    head: text.slice(0, start),
+    token,
+    operator: key ? key.toLowerCase() : null,
+    negated: dash === '-',
+    word
+  };
+};
+
+/**
+ * Quote an operator value if it contains spaces
+ */
+const quoteOperatorValue = (value) =>
+  /[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+
+/**
+ * Merge autocomplete sources into full-query suggestions
+ * 
+ * Past queries come first and replace the whole query; contact names
+ * complete the token as a from: (or the typed in:) filter; indexed terms
+ * complete the word. Duplicates and the query itself are dropped.
+ * 
+ * @param {Object} typed - Result of splitQueryPrefix()
+ * @param {{ history: string[], contacts: string[], terms: string[] }} sources
+ * @param {number} limit - Max suggestions
+ * @returns {Array<{ type: 'history'|'contact'|'term', text: string, label: string }>} -
+ *   text is the full query to search; label is what to show
+ */
+const buildQuerySuggestions = (typed, { history = [], contacts = [], terms = [] }, limit) => {
+  const { head, token, operator, negated } = typed;
+  const contactOperator = CONTACT_OPERATORS.includes(operator) ? operator : 'from';
+  
+  const candidates = [
+    ...history.map(query => ({ type: 'history', text: query, label: query })),
+    ...contacts.map(name => ({
+      type: 'contact',
+      text: `${head}${contactOperator}:${quoteOperatorValue(name)}`,
+      label: name
+    })),
+    ...terms.map(term => ({ type: 'term', text: `${head}${negated ? '-' : ''}${term}`, label: term }))
+  ];
+  
+  const seen = new Set([`${head}${token}`.trim().toLowerCase()]);
+  return candidates
+    .filter(({ text }) => {
+      const key = text.trim().toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+};
+
+module.exports = {
+  SNIPPET_MATCH_START,
+  SNIPPET_MATCH_END,
+  SEARCH_TERM_REGEX,
+  SEARCH_MODES,
+  extractWords,
+  buildFtsMatch,
+  buildFuzzyFtsMatch,
+  buildFtsExclusion,
+  getSymbolTerms,
+  parseSnippet,
+  compileSearchRegex,
+  buildRegexSnippet,
+  buildSearchFacets,
+  encodeSearchCursor,
+  decodeSearchCursor,
+  CONTACT_OPERATORS,
+  splitQueryPrefix,
+  buildQuerySuggestions
+};
@@ -0,0 +1,41 @@
+/**
+ * Message service helpers (iMessage, SMS, RCS)
+ * @module helpers/service
+ *
+ * chat.db records the service each message was sent over (message.service)
+ * and each chat's service (chat.service_name). A contact's SMS and iMessage
+ * threads are separate chats.
+ */
+
+// Services as chat.db names them
+const MESSAGE_SERVICES = ['iMessage', 'SMS', 'RCS'];
+
+/**
+ * Normalize a service name to chat.db's spelling ("sms" -> "SMS")
+ * @param {string|null} service
+ * @returns {string|null} - Unknown services are kept as-is; null if missing
+ */
+const normalizeService = (service) => {
+  if (!service) return null;
+  return MESSAGE_SERVICES.find(name => name.toLowerCase() === String(service).toLowerCase()) || service;
+};
+
+/**
+ * Parse a comma-separated service filter param ("sms,rcs")
+ * @param {string|undefined} value
+ * @returns {string[]|null} - Services to keep (empty for no filter), or null
+ *   if any is unknown
+ */
+const parseServiceParam = (value) => {
+  if (!value) return [];
+
+  const services = value.split(',').map(s => s.trim()).filter(Boolean).map(normalizeService);
+  if (!services.every(service => MESSAGE_SERVICES.includes(service))) return null;
+  return [...new Set(services)];
+};
+
+module.exports = {
+  MESSAGE_SERVICES,
+  normalizeService,
+  parseServiceParam
+};
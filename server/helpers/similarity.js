@@ -0,0 +1,126 @@
+/**
+ * TF-IDF term vectors for "more like this" search
+ * @module helpers/similarity
+ *
+ * Messages are compared as bags of words: each term is weighted by how often
+ * it appears in the message (TF) and how rare it is across the index (IDF),
+ * and two messages are as similar as the cosine of their weight vectors.
+ * Document frequencies come from the FTS vocabulary (services/searchIndex.js),
+ * so everything stays local.
+ */
+
+const { extractWords } = require('./search');
+const { normalizeWord } = require('./fuzzy');
+
+// ============================================================
+// Constants
+// ============================================================
+
+// Single letters and digits carry no topic
+const MIN_SIMILAR_TERM_LENGTH = 2;
+
+// Function words (normalized), which say nothing about what a message is about
+const STOP_WORDS = new Set([
+  'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'if',
+  'im', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no', 'not', 'of',
+  'on', 'or', 'our', 'she', 'so', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'they', 'this', 'to', 'too', 'up', 'us', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'would', 'you', 'your'
+]);
+
+// ============================================================
+// Term vectors
+// ============================================================
+
+/**
+ * Count normalized terms in a text
+ * Terms are normalized like the FTS tokenizer (lowercase, no diacritics)
+ * so they can be looked up in the index vocabulary.
+ * @param {string} text
+ * @returns {Map<string, number>} - term -> occurrences
+ */
+const countTerms = (text) => {
+  const counts = new Map();
+  extractWords(text)
+    .map(normalizeWord)
+    .filter(term => term.length >= MIN_SIMILAR_TERM_LENGTH)
+    .forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+};
+
+/**
+ * Weight term counts by TF-IDF: (1 + ln tf) * ln(1 + N / df)
+ * Terms missing from docFrequencies are weighted as if they occurred once.
+ * @param {Map<string, number>} termCounts - From countTerms()
+ * @param {Map<string, number>} docFrequencies - term -> documents containing it
+ * @param {number} totalDocs - Documents in the index (N)
+ * @returns {Map<string, number>} - term -> weight
+ */
+const buildTfIdfVector = (termCounts, docFrequencies, totalDocs) => {
+  const vector = new Map();
+  termCounts.forEach((count, term) => {
+    const df = Math.max(1, docFrequencies.get(term) || 0);
+    vector.set(term, (1 + Math.log(count)) * Math.log(1 + totalDocs / df));
+  });
+  return vector;
+};
+
+/**
+ * Cosine similarity of two term vectors (0 = nothing shared, 1 = same direction)
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {number}
+ */
+const cosineSimilarity = (a, b) => {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  smaller.forEach((weight, term) => {
+    if (larger.has(term)) dot += weight * larger.get(term);
+  });
+  if (dot === 0) return 0;
+  
+  const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+/**
+ * Highest-weighted terms of a vector, heaviest first
+ * @param {Map<string, number>} vector
+ * @param {number} limit
+ * @returns {string[]}
+ */
+const getTopTerms = (vector, limit) =>
+  [...vector.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term]) => term);
+
+/**
+ * Terms to find messages similar to a source by, heaviest first
+ * Skips stopwords, terms only the source contains and terms too common to
+ * tell messages apart.
+ * @param {Map<string, number>} vector - The source's TF-IDF vector
+ * @param {Map<string, number>} docFrequencies - term -> documents containing it
+ * @param {number} totalDocs - Documents in the index
+ * @param {{ limit: number, maxDocRatio: number }} options - maxDocRatio is the
+ *   largest share of documents a term may appear in
+ * @returns {string[]}
+ */
+const selectQueryTerms = (vector, docFrequencies, totalDocs, { limit, maxDocRatio }) => {
+  const useful = [...vector].filter(([term]) => {
+    const df = docFrequencies.get(term) || 0;
+    return !STOP_WORDS.has(term) && df > 1 && df <= totalDocs * maxDocRatio;
+  });
+  return getTopTerms(new Map(useful), limit);
+};
+
+module.exports = {
+  countTerms,
+  buildTfIdfVector,
+  cosineSimilarity,
+  getTopTerms,
+  selectQueryTerms
+};
@@ -0,0 +1,68 @@
+/**
+ * Group chat system event helpers
+ * @module helpers/systemEvents
+ *
+ * chat.db records group changes as message rows without text: item_type 1 is
+ * a membership change (group_action_type 0 = added, 1 = removed, with
+ * other_handle the person added or removed), 2 a rename (group_title is the
+ * new name, empty when the name was removed) and 3 a group action
+ * (group_action_type 0 = left, 1 = photo changed, 2 = photo removed).
+ * handle_id (or is_from_me) is who did it.
+ */
+
+// Event types by item_type, then group_action_type
+const SYSTEM_EVENT_TYPES = {
+  1: { 0: 'member_added', 1: 'member_removed' },
+  2: { 0: 'renamed' },
+  3: { 0: 'member_left', 1: 'photo_changed', 2: 'photo_removed' }
+};
+
+// SQL condition (alias `m` = message) matching system event rows
+const IS_SYSTEM_EVENT = `COALESCE(m.item_type, 0) IN (${Object.keys(SYSTEM_EVENT_TYPES).join(', ')})`;
+
+/**
+ * Get the system event type of a message row
+ * @param {{ item_type: number, group_action_type: number }} row
+ * @returns {string|null} - null for ordinary messages and unknown events
+ */
+const getSystemEventType = ({ item_type, group_action_type }) => {
+  const actions = SYSTEM_EVENT_TYPES[item_type];
+  if (!actions) return null;
+  // Renames don't use group_action_type
+  return item_type === 2 ? actions[0] : actions[group_action_type || 0] || null;
+};
+
+/**
+ * Describe a system event as shown in the timeline ("Alice added Bob")
+ * @param {{ type: string, actor: string, target: string|null, title: string|null }} event -
+ *   actor and target are display names ('You' for yourself)
+ * @returns {string}
+ */
+const describeSystemEvent = ({ type, actor, target, title }) => {
+  const someone = target || 'someone';
+
+  switch (type) {
+    case 'member_added':
+      return `${actor} added ${someone} to the conversation`;
+    case 'member_removed':
+      return `${actor} removed ${someone} from the conversation`;
+    case 'member_left':
+      return `${actor} left the conversation`;
+    case 'renamed':
+      return title
+        ? `${actor} named the conversation “${title}”`
+        : `${actor} removed the name from the conversation`;
+    case 'photo_changed':
+      return `${actor} changed the group photo`;
+    case 'photo_removed':
+      return `${actor} removed the group photo`;
+    default:
+      return `${actor} changed the conversation`;
+  }
+};
+
+module.exports = {
+  IS_SYSTEM_EVENT,
+  getSystemEventType,
+  describeSystemEvent
+};
@@ -4,6 +4,7 @@
  */
 
 const bplist = require('bplist-parser');
+const { MAC_EPOCH_MS } = require('../config');
 
 /**
  * Extract text from attributedBody blob using proper plist parsing
@@ -170,6 +171,63 @@ function getMessageText(row) {
   return null;
 }
 
+/**
+ * Get the text to index for a message
+ * The text column is preferred unless it's (nearly) empty, as it is for
+ * messages whose text only lives in attributedBody.
+ * @param {Object} row - Database row with text and attributedBody
+ * @returns {string|null} - Trimmed text, or null if there is none
+ */
+function getIndexableText(row) {
+  let text = row.text;
+  if ((!text || text.trim().length < 2) && row.attributedBody) {
+    text = extractTextFromAttributedBody(row.attributedBody);
+  }
+  return text && text.trim() ? text.trim() : null;
+}
+
+/**
+ * Parse a message's edit history from its message_summary_info blob
+ * 
+ * The summary is a binary plist. Edited parts are under "ec", keyed by part
+ * index, each an array of versions oldest first ({ d: seconds since
+ * 2001-01-01, t: attributedBody of that version }); the last version is the
+ * current text. Unsent (retracted) part indexes are listed under "rp".
+ * 
+ * @param {Buffer} buffer - message_summary_info blob
+ * @returns {{ edits: Array<{ text: string, date: number }>, unsentParts: number[] }} -
+ *   Earlier versions of every edited part, oldest first (date in ms since 1970)
+ */
+function parseEditHistory(buffer) {
+  const history = { edits: [], unsentParts: [] };
+  if (!buffer) return history;
+  
+  let summary;
+  try {
+    summary = bplist.parseBuffer(Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer))[0];
+  } catch {
+    return history;
+  }
+  if (!summary || typeof summary !== 'object') return history;
+  
+  Object.values(summary.ec || {}).forEach(versions => {
+    if (!Array.isArray(versions)) return;
+    versions.slice(0, -1).forEach(version => {
+      const text = version && extractTextFromAttributedBody(version.t);
+      if (text && typeof version.d === 'number') {
+        history.edits.push({ text, date: Math.round(version.d * 1000) + MAC_EPOCH_MS });
+      }
+    });
+  });
+  history.edits.sort((a, b) => a.date - b.date);
+  
+  if (Array.isArray(summary.rp)) {
+    history.unsentParts = summary.rp.filter(part => Number.isInteger(part));
+  }
+  
+  return history;
+}
+
 /**
  * Extract URLs from text
  * @param {string} text - Text to extract URLs from
@@ -235,6 +293,8 @@ function parseLinkPreview(buffer) {
 module.exports = {
   extractTextFromAttributedBody,
   getMessageText,
+  getIndexableText,
+  parseEditHistory,
   extractUrls,
   parseLinkPreview,
   cleanExtractedText
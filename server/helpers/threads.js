@@ -0,0 +1,65 @@
+/**
+ * Inline reply (thread) helpers
+ * @module helpers/threads
+ *
+ * iOS inline replies set thread_originator_guid to the GUID of the message
+ * that started the thread (replies to replies point at the same one), and
+ * thread_originator_part to the part replied to, as "index:start:length".
+ * A message's parts are its runs of text and its attachments, which appear
+ * in the text as U+FFFC placeholders.
+ */
+
+const { cleanText } = require('./unicode');
+
+const ATTACHMENT_PLACEHOLDER = '\uFFFC';
+
+/**
+ * Get the part index a reply targets
+ * @param {string|null} part - thread_originator_part ("index:start:length")
+ * @returns {number|null} - null if missing or malformed
+ */
+const getOriginatorPartIndex = (part) => {
+  if (!part) return null;
+  const index = parseInt(String(part).split(':')[0], 10);
+  return isNaN(index) || index < 0 ? null : index;
+};
+
+/**
+ * Get the text of one part of a message
+ * @param {string|null} text - Message text, with attachment placeholders
+ * @param {number|null} partIndex - Part index, or null for the whole message
+ * @returns {string|null} - Cleaned text; null if the part is an attachment or
+ *   has no text. Out-of-range parts fall back to the whole message.
+ */
+const getPartText = (text, partIndex) => {
+  if (!text) return null;
+
+  const parts = text.split(new RegExp(`(${ATTACHMENT_PLACEHOLDER})`)).filter(part => part.length > 0);
+  const part = partIndex !== null && partIndex < parts.length ? parts[partIndex] : text;
+  if (part === ATTACHMENT_PLACEHOLDER) return null;
+
+  return cleanText(part) || null;
+};
+
+/**
+ * Shorten text to an excerpt, collapsing whitespace and breaking at a word
+ * @param {string} text
+ * @param {number} maxLength - Longest excerpt, including the ellipsis
+ * @returns {string}
+ */
+const makeExcerpt = (text, maxLength) => {
+  const collapsed = (text || '').replace(/\s+/g, ' ').trim();
+  if (collapsed.length <= maxLength) return collapsed;
+
+  // Break at a word (one ending right at the cut counts) unless that would
+  // lose most of the excerpt
+  const lastSpace = collapsed.slice(0, maxLength).lastIndexOf(' ');
+  const excerpt = collapsed.slice(0, lastSpace > maxLength / 2 ? lastSpace : maxLength - 1);
+  return `${excerpt.trimEnd()}…`;
+};
+
+module.exports = {
+  getOriginatorPartIndex,
+  getPartText,
+  makeExcerpt
+};
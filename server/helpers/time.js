@@ -12,7 +12,16 @@ function convertMacTime(macTime) {
   return Math.floor(macTime / 1000000) + MAC_EPOCH_MS;
 }
 
+/**
+ * Convert JavaScript timestamp (ms since 1970) to Mac Absolute Time (nanoseconds since 2001-01-01)
+ */
+function toMacTime(timestamp) {
+  if (timestamp == null) return null;
+  return (timestamp - MAC_EPOCH_MS) * 1000000;
+}
+
 module.exports = {
-  convertMacTime
+  convertMacTime,
+  toMacTime
 };
 
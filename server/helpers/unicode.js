@@ -3,7 +3,7 @@
  * @module helpers/unicode
  * 
  * Shared constants and functions for handling invisible/special Unicode characters
- * Used by both text extraction and conversation previews
+ * Used by text extraction, conversation previews and search normalization
  */
 
 // Invisible characters that should be stripped from message text:
@@ -17,6 +17,19 @@
 // - U+200A: Hair Space (also used in tapback text wrappers)
 const INVISIBLE_CHARS_REGEX = /[\uFFFC\uFFFD\u200B\u200C\u200D\u2060\uFEFF\u200A]/g;
 
+// Typographic ("smart") quotes and primes, as typed on iPhones, and their
+// plain equivalents
+const SMART_QUOTES = [
+  [/[\u2018\u2019\u201A\u201B\u2032\u02BC]/g, "'"],
+  [/[\u201C\u201D\u201E\u201F\u2033]/g, '"']
+];
+
+// Emoji skin tone modifiers (U+1F3FB-U+1F3FF) and text/emoji variation selectors
+const EMOJI_VARIANT_REGEX = /[\u{1F3FB}-\u{1F3FF}\uFE0E\uFE0F]/gu;
+
+// Combining diacritical marks (accents) left over after canonical decomposition
+const DIACRITICS_REGEX = /[\u0300-\u036F]/g;
+
 /**
  * Clean text by removing invisible Unicode characters
  */
@@ -31,9 +44,34 @@ const cleanText = (text) => {
 const hasVisibleText = (text) => 
   cleanText(text).length > 0;
 
+/**
+ * Normalize text for matching (never for display)
+ * 
+ * Cleans the text, then folds the variants people can't tell apart when
+ * typing a search: smart quotes become plain ones, skin tone and
+ * presentation variants become the base emoji, compatibility forms
+ * (full-width letters, ligatures) become plain letters, and accents and
+ * case are dropped. "CAFÉ" and "café" both become "cafe"; 👍🏽 becomes 👍.
+ * Apply it to both the indexed text and the query.
+ */
+const normalizeSearchText = (text) => {
+  const quoted = SMART_QUOTES.reduce(
+    (result, [regex, plain]) => result.replace(regex, plain),
+    cleanText(text)
+  );
+  
+  return quoted
+    .replace(EMOJI_VARIANT_REGEX, '')
+    .normalize('NFKD')
+    .replace(DIACRITICS_REGEX, '')
+    .normalize('NFC')
+    .toLowerCase();
+};
+
 module.exports = {
   INVISIBLE_CHARS_REGEX,
   cleanText,
-  hasVisibleText
+  hasVisibleText,
+  normalizeSearchText
 };
 
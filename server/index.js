@@ -5,12 +5,14 @@
 
 const express = require('express');
 const path = require('path');
-const { PORT, HOST, initCacheDirectories } = require('./config');
+const { PORT, HOST, SEARCH_INDEX_RECONCILE_INTERVAL, initCacheDirectories } = require('./config');
 const { getDatabase } = require('./db/connection');
 const { loadAllContacts } = require('./db/contacts');
 const { mediaProcessor } = require('./processors/media');
-const { buildIndex, needsUpdate, indexNewMessages } = require('./services/searchIndex');
+const { buildIndex, needsUpdate, indexNewMessages, reconcileIndex } = require('./services/searchIndex');
 const { initializeCache: initLinkPreviewCache, cleanupCache: cleanupLinkPreviews } = require('./services/linkPreviewCache');
+const { initializeHistory: initSearchHistory } = require('./services/searchHistory');
+const { initializeSavedSearches, refreshUnreadCounts } = require('./services/savedSearches');
 const { registerRoutes } = require('./routes');
 const logger = require('./helpers/logger');
 
@@ -50,6 +52,20 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(publicPath, 'index.html'));
 });
 
+/**
+ * Reconcile the search index with edited, unsent and deleted messages
+ */
+async function reconcileSearchIndex() {
+  try {
+    const { updated, removed } = await reconcileIndex();
+    if (updated > 0 || removed > 0) {
+      logger.debug('server', `Reconciled search index: ${updated} updated, ${removed} removed`);
+    }
+  } catch (err) {
+    logger.error('server', 'Failed to reconcile search index', err);
+  }
+}
+
 /**
  * Start the server
  */
@@ -63,6 +79,10 @@ async function start() {
   // Initialize link preview cache
   await initLinkPreviewCache();
   
+  // Initialize search history (for query autocomplete) and saved searches
+  await initSearchHistory();
+  await initializeSavedSearches();
+  
   // Periodically cleanup old link preview cache entries (once per day)
   setInterval(() => {
     cleanupLinkPreviews().catch(err => {
@@ -70,18 +90,25 @@ async function start() {
     });
   }, 24 * 60 * 60 * 1000);
   
-  // Build/update search index (runs in background after server starts)
-  buildIndex().catch(err => {
-    logger.error('server', 'Failed to build search index', err);
-  });
+  // Build/update search index (runs in background after server starts),
+  // then catch up on edits and deletions since the last run and count saved
+  // searches' unread matches against the built index
+  buildIndex()
+    .then(() => reconcileSearchIndex())
+    .then(() => refreshUnreadCounts())
+    .catch(err => {
+      logger.error('server', 'Failed to build search index', err);
+    });
   
-  // Periodically check for new messages and update index
+  // Periodically check for new messages and update index, then recount
+  // saved searches' unread matches
   setInterval(async () => {
     try {
       if (await needsUpdate()) {
         const count = await indexNewMessages(1000);
         if (count > 0) {
           logger.debug('server', `Indexed ${count} new messages`);
+          await refreshUnreadCounts();
         }
       }
     } catch (err) {
@@ -89,6 +116,9 @@ async function start() {
     }
   }, 30000); // Check every 30 seconds
   
+  // Periodically sync edited, unsent and deleted messages into the index
+  setInterval(reconcileSearchIndex, SEARCH_INDEX_RECONCILE_INTERVAL);
+  
   // Start background media processor
   await mediaProcessor.initialize(db);
   
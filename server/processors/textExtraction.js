@@ -0,0 +1,124 @@
+/**
+ * Worker thread pool for search index text extraction
+ * Parses attributedBody blobs and normalizes message text off the main
+ * thread, so building the index doesn't stall request handling.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { SEARCH_INDEX_WORKERS } = require('../config');
+const logger = require('../helpers/logger');
+
+const WORKER_PATH = path.join(__dirname, 'textExtractionWorker.js');
+
+class TextExtractionPool {
+  constructor(size) {
+    this.size = size;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    // Job each busy worker is running
+    this.jobs = new Map();
+  }
+
+  /**
+   * Extract indexable text from message rows
+   * Rows are split evenly across the workers; results keep the row order.
+   * @param {Array<{ text: string|null, attributedBody: Buffer|null }>} rows
+   * @returns {Promise<Array<{ text: string, search_text: string }|null>>} - null for rows without text
+   */
+  async extract(rows) {
+    if (rows.length === 0) return [];
+
+    const chunkSize = Math.ceil(rows.length / this.size);
+    const chunks = [];
+    for (let i = 0; i < rows.length; i += chunkSize) {
+      chunks.push(rows.slice(i, i + chunkSize));
+    }
+
+    const results = await Promise.all(chunks.map(chunk => this.runJob(chunk)));
+    return results.flat();
+  }
+
+  /**
+   * Queue a chunk of rows for the next free worker
+   */
+  runJob(rows) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ rows, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued jobs to idle workers, starting workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idle.pop() || this.spawn();
+      if (!worker) return;
+
+      const job = this.queue.shift();
+      this.jobs.set(worker, job);
+      worker.ref();
+      worker.postMessage(job.rows);
+    }
+  }
+
+  /**
+   * Start a worker, or return null if the pool is full
+   */
+  spawn() {
+    if (this.workers.length >= this.size) return null;
+
+    const worker = new Worker(WORKER_PATH);
+    let failure = null;
+
+    worker.on('message', (results) => {
+      const job = this.jobs.get(worker);
+      this.jobs.delete(worker);
+      // Idle workers don't keep the process alive
+      worker.unref();
+      this.idle.push(worker);
+      job.resolve(results);
+      this.dispatch();
+    });
+
+    worker.on('error', (err) => {
+      failure = err;
+      logger.error('textExtraction', 'Text extraction worker failed', err);
+    });
+
+    worker.on('exit', (code) => {
+      this.workers = this.workers.filter(w => w !== worker);
+      this.idle = this.idle.filter(w => w !== worker);
+
+      const job = this.jobs.get(worker);
+      if (job) {
+        this.jobs.delete(worker);
+        job.reject(failure || new Error(`Text extraction worker exited with code ${code}`));
+      }
+      this.dispatch();
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Stop all workers; jobs still running are rejected
+   */
+  async close() {
+    this.queue.forEach(job => job.reject(new Error('Text extraction pool closed')));
+    this.queue = [];
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+}
+
+// Singleton instance
+const textExtractionPool = new TextExtractionPool(SEARCH_INDEX_WORKERS);
+
+module.exports = {
+  TextExtractionPool,
+  textExtractionPool
+};
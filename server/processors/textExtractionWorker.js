@@ -0,0 +1,18 @@
+/**
+ * Text extraction worker (runs in a worker thread, see textExtraction.js)
+ *
+ * Receives batches of message rows ({ text, attributedBody }) and replies
+ * with each row's indexable text and its normalized search text, or null
+ * where the row has no text.
+ */
+
+const { parentPort } = require('worker_threads');
+const { getIndexableText } = require('../helpers/text');
+const { normalizeSearchText } = require('../helpers/unicode');
+
+parentPort.on('message', (rows) => {
+  parentPort.postMessage(rows.map(row => {
+    const text = getIndexableText(row);
+    return text ? { text, search_text: normalizeSearchText(text) } : null;
+  }));
+});
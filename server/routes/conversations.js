@@ -8,12 +8,18 @@ const fs = require('fs');
 const path = require('path');
 const { dbAll, dbGet } = require('../db/connection');
 const { getDisplayName, getGroupMemberNames, getContactId } = require('../db/contacts');
-const { getMessageText, extractUrls } = require('../helpers/text');
-const { convertMacTime } = require('../helpers/time');
+const { getMessageText, parseEditHistory, extractUrls } = require('../helpers/text');
+const { convertMacTime, toMacTime } = require('../helpers/time');
 const { getAttachmentType, expandPath } = require('../helpers/attachments');
 const { normalizePhone, normalizeEmail } = require('../helpers/phone');
 const { cleanText } = require('../helpers/unicode');
-const { DEFAULT_CONVERSATION_PAGE_SIZE } = require('../config');
+const { NOT_TAPBACK, foldReactions } = require('../helpers/reactions');
+const { getOriginatorPartIndex, getPartText, makeExcerpt } = require('../helpers/threads');
+const { normalizeService, parseServiceParam } = require('../helpers/service');
+const { IS_SYSTEM_EVENT, getSystemEventType, describeSystemEvent } = require('../helpers/systemEvents');
+const { parseSearchQuery, parseQueryDate } = require('../helpers/queryParser');
+const { prepareSearch, getMatchingMessageIds } = require('../services/searchIndex');
+const { DEFAULT_CONVERSATION_PAGE_SIZE, REPLY_EXCERPT_LENGTH, CONVERSATION_SEARCH_MAX_MATCHES, MAC_EPOCH_MS } = require('../config');
 const logger = require('../helpers/logger');
 
 const router = express.Router();
@@ -25,10 +31,40 @@ const router = express.Router();
 // Use centralized config for page size
 const DEFAULT_PAGE_SIZE = DEFAULT_CONVERSATION_PAGE_SIZE;
 
+// Edit/unsend columns, which chat.db only has from macOS 13
+const EDIT_COLUMNS = ['date_edited', 'date_retracted', 'message_summary_info'];
+
 // ============================================================
 // Pure functions for data transformation
 // ============================================================
 
+/**
+ * Columns of message rows shaped by formatMessages (alias `m` = message, `h` = sender handle)
+ * Edit/unsend columns missing from older schemas are selected as NULL.
+ */
+let messageColumns = null;
+const getMessageColumns = () => {
+  if (messageColumns) return messageColumns;
+  
+  messageColumns = dbAll(`PRAGMA table_info(message)`).then(columns => {
+    const editColumns = EDIT_COLUMNS.map(name =>
+      columns.some(col => col.name === name) ? `m.${name}` : `NULL as ${name}`);
+    
+    return `
+      m.ROWID as id, m.guid, m.text, m.attributedBody, m.is_from_me, m.date,
+      m.cache_has_attachments, m.handle_id, h.id as sender_id,
+      m.thread_originator_guid, m.thread_originator_part,
+      ${editColumns.join(', ')},
+      m.is_delivered, m.date_delivered, m.is_read, m.date_read, m.error,
+      m.service, m.item_type, m.group_action_type, m.group_title, m.other_handle
+    `;
+  }).catch(err => {
+    messageColumns = null;
+    throw err;
+  });
+  return messageColumns;
+};
+
 /**
  * Async file existence check
  */
@@ -118,6 +154,8 @@ const processIndividualChat = (row, lastMessage, individualChats) => {
       message_count: 0,
       last_message_date: row.last_message_date,
       last_message: lastMessage,
+      service: normalizeService(row.service_name),
+      services: [],
       is_group: false
     });
   }
@@ -128,6 +166,12 @@ const processIndividualChat = (row, lastMessage, individualChats) => {
   }
   group.message_count += row.message_count;
   
+  // A contact's SMS and iMessage threads are separate chats merged here
+  const service = normalizeService(row.service_name);
+  if (service && !group.services.includes(service)) {
+    group.services.push(service);
+  }
+  
   if (displayName && displayName !== row.identifier && group.display_name === group.identifier) {
     group.display_name = displayName;
   }
@@ -135,6 +179,7 @@ const processIndividualChat = (row, lastMessage, individualChats) => {
   if (row.last_message_date > group.last_message_date) {
     group.last_message_date = row.last_message_date;
     group.last_message = lastMessage;
+    group.service = service;
   }
 };
 
@@ -155,6 +200,8 @@ const processGroupChat = (row, lastMessage) => {
     message_count: row.message_count,
     last_message_date: row.last_message_date,
     last_message: lastMessage,
+    service: normalizeService(row.service_name),
+    services: row.service_name ? [normalizeService(row.service_name)] : [],
     is_group: true
   };
 };
@@ -196,6 +243,299 @@ const processAttachments = async (attachments) => {
 const parseChatIds = (idParam) => 
   idParam.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
 
+/**
+ * Parse the `at` date param into a timestamp (ms)
+ * Dates without a time (YYYY, YYYY-MM, YYYY-MM-DD) are local midnight, as
+ * in search operators; full ISO timestamps are taken as given.
+ * @returns {number|null} - null if invalid
+ */
+const parseAtParam = (value) => {
+  const dateOnly = parseQueryDate(value);
+  if (dateOnly !== null) return dateOnly;
+  
+  const timestamp = Date.parse(value);
+  return isNaN(timestamp) ? null : timestamp;
+};
+
+/**
+ * Find the first message on or after a date, or else the last one before it
+ * @returns {Promise<number|null>} - Message ID, or null for an empty conversation
+ */
+const findMessageAtDate = async (chatIds, timestamp) => {
+  const placeholders = chatIds.map(() => '?').join(',');
+  const macTime = toMacTime(timestamp);
+  
+  const after = await dbGet(`
+    SELECT m.ROWID as id
+    FROM message m
+    JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+    WHERE cmj.chat_id IN (${placeholders}) AND m.date >= ? AND ${NOT_TAPBACK}
+    ORDER BY m.date ASC
+    LIMIT 1
+  `, [...chatIds, macTime]);
+  if (after) return after.id;
+  
+  const before = await dbGet(`
+    SELECT m.ROWID as id
+    FROM message m
+    JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+    WHERE cmj.chat_id IN (${placeholders}) AND ${NOT_TAPBACK}
+    ORDER BY m.date DESC
+    LIMIT 1
+  `, chatIds);
+  return before?.id || null;
+};
+
+// associated_message_guid without its "p:0/" or "bp:" prefix (see getTargetGuid)
+const TAPBACK_TARGET_GUID = `
+  CASE WHEN m.associated_message_guid LIKE 'bp:%' THEN SUBSTR(m.associated_message_guid, 4)
+    ELSE SUBSTR(m.associated_message_guid, INSTR(m.associated_message_guid, '/') + 1) END
+`;
+
+/**
+ * Get the tapbacks on a page of messages, oldest first
+ * Tapbacks come after the message they react to, so only ones sent since the
+ * page's first message (messages are oldest first) are checked.
+ */
+const getTapbacks = (chatIds, messages) => {
+  const guids = messages.map(m => m.guid).filter(Boolean);
+  if (guids.length === 0) return [];
+  
+  const placeholders = chatIds.map(() => '?').join(',');
+  const guidPlaceholders = guids.map(() => '?').join(',');
+  
+  return dbAll(`
+    SELECT m.associated_message_type, m.associated_message_guid, m.text, m.is_from_me, h.id as sender_id
+    FROM message m
+    JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+    LEFT JOIN handle h ON m.handle_id = h.ROWID
+    WHERE cmj.chat_id IN (${placeholders}) AND m.date >= ?
+      AND m.associated_message_type BETWEEN 2000 AND 3999
+      AND ${TAPBACK_TARGET_GUID} IN (${guidPlaceholders})
+    GROUP BY m.ROWID
+    ORDER BY m.date ASC
+  `, [...chatIds, messages[0].date, ...guids]);
+};
+
+/**
+ * Shape a folded reaction for the API
+ */
+const toReaction = (reaction) => ({
+  type: reaction.type,
+  emoji: reaction.emoji,
+  is_from_me: reaction.is_from_me,
+  sender_name: reaction.is_from_me ? 'You' : getDisplayName(reaction.sender_id)
+});
+
+/**
+ * Get the attachments of a page of messages, by message ID
+ */
+const getAttachmentMap = async (messages) => {
+  const messageIds = messages.filter(m => m.cache_has_attachments).map(m => m.id);
+  if (messageIds.length === 0) return new Map();
+  
+  const msgPlaceholders = messageIds.map(() => '?').join(',');
+  const attachments = await dbAll(`
+    SELECT 
+      maj.message_id,
+      a.ROWID as attachment_id,
+      a.filename,
+      a.mime_type,
+      a.transfer_name,
+      a.total_bytes
+    FROM message_attachment_join maj
+    JOIN attachment a ON maj.attachment_id = a.ROWID
+    WHERE maj.message_id IN (${msgPlaceholders})
+  `, messageIds);
+  
+  return processAttachments(attachments);
+};
+
+/**
+ * Get the messages that replies in a page reply to, by GUID
+ * The original may be outside the page, or even the conversation's other chats.
+ */
+const getThreadOriginators = async (messages) => {
+  const guids = [...new Set(messages.map(m => m.thread_originator_guid).filter(Boolean))];
+  if (guids.length === 0) return new Map();
+  
+  const guidPlaceholders = guids.map(() => '?').join(',');
+  const rows = await dbAll(`
+    SELECT m.ROWID as id, m.guid, m.text, m.attributedBody, m.is_from_me, h.id as sender_id
+    FROM message m
+    LEFT JOIN handle h ON m.handle_id = h.ROWID
+    WHERE m.guid IN (${guidPlaceholders})
+  `, guids);
+  
+  return new Map(rows.map(row => [row.guid, row]));
+};
+
+/**
+ * Count the replies to each message in a page, by GUID
+ */
+const getReplyCounts = async (messages) => {
+  const guids = messages.map(m => m.guid).filter(Boolean);
+  if (guids.length === 0) return new Map();
+  
+  const guidPlaceholders = guids.map(() => '?').join(',');
+  const rows = await dbAll(`
+    SELECT m.thread_originator_guid as guid, COUNT(*) as count
+    FROM message m
+    WHERE m.thread_originator_guid IN (${guidPlaceholders}) AND ${NOT_TAPBACK}
+    GROUP BY m.thread_originator_guid
+  `, guids);
+  
+  return new Map(rows.map(row => [row.guid, row.count]));
+};
+
+/**
+ * Describe the message a reply replies to: { id, sender_name, excerpt }
+ * The excerpt is the part replied to, or an attachment summary for attachments.
+ */
+const toReplyTarget = async (originator, part) => {
+  const partText = getPartText(getMessageText(originator), getOriginatorPartIndex(part));
+  
+  return {
+    id: originator.id,
+    sender_name: originator.is_from_me ? 'You' : getDisplayName(originator.sender_id),
+    excerpt: partText
+      ? makeExcerpt(partText, REPLY_EXCERPT_LENGTH)
+      : await getLastMessagePreview(originator.id, null, null)
+  };
+};
+
+/**
+ * Get a message's edit state: { edits, edited_at, unsent }
+ * edits are its earlier versions, oldest first ({ text, date }). Unsending
+ * also sets date_edited, so it only counts as an edit with earlier versions
+ * or while the message is still there.
+ */
+const getEditState = (row) => {
+  const { edits } = parseEditHistory(row.message_summary_info);
+  const unsent = row.date_retracted > 0;
+  const edited = edits.length > 0 || (row.date_edited > 0 && !unsent);
+  
+  return {
+    edits,
+    edited_at: edited && row.date_edited > 0 ? convertMacTime(row.date_edited) : null,
+    unsent
+  };
+};
+
+/**
+ * Get a message's receipts: { is_delivered, date_delivered, is_read, date_read, error }
+ * For sent messages these are the recipient's; for received ones, when you
+ * read them. Dates of 0 mean "not yet" and become null. error is chat.db's
+ * send error code (0 = none).
+ */
+const getReceipt = (row) => ({
+  is_delivered: Boolean(row.is_delivered),
+  date_delivered: row.date_delivered > 0 ? convertMacTime(row.date_delivered) : null,
+  is_read: Boolean(row.is_read),
+  date_read: row.date_read > 0 ? convertMacTime(row.date_read) : null,
+  error: row.error || 0
+});
+
+/**
+ * Get the people added to or removed from a group by system events, by handle ROWID
+ */
+const getEventTargets = async (rows) => {
+  const handleIds = [...new Set(rows
+    .filter(row => row.other_handle > 0 && getSystemEventType(row))
+    .map(row => row.other_handle))];
+  if (handleIds.length === 0) return new Map();
+  
+  const handles = await dbAll(`
+    SELECT ROWID as handle_id, id FROM handle
+    WHERE ROWID IN (${handleIds.map(() => '?').join(',')})
+  `, handleIds);
+  
+  return new Map(handles.map(h => [h.handle_id, h.id]));
+};
+
+/**
+ * Decode a group chat system event: { type, actor_name, target_name, title, text }
+ * @param {Map<number, string>} targets - From getEventTargets()
+ * @returns {Object|null} - null for ordinary messages
+ */
+const toSystemEvent = (row, targets) => {
+  const type = getSystemEventType(row);
+  if (!type) return null;
+  
+  const actor = row.is_from_me ? 'You' : row.sender_id ? getDisplayName(row.sender_id) : 'Someone';
+  const targetId = targets.get(row.other_handle);
+  const target = targetId ? getDisplayName(targetId) : null;
+  const title = type === 'renamed' ? row.group_title || null : null;
+  
+  return {
+    type,
+    actor_name: actor,
+    target_name: target,
+    title,
+    text: describeSystemEvent({ type, actor, target, title })
+  };
+};
+
+/**
+ * Shape message rows (oldest first) for the API
+ * Adds attachments, reactions (folding tapbacks and plain-text reactions onto
+ * the messages they react to), inline reply context, edit history, receipts
+ * and, for group changes, the decoded system event.
+ */
+const formatMessages = async (messages, chatIds, contactIdentifier) => {
+  if (messages.length === 0) return [];
+  
+  const displayName = getDisplayName(contactIdentifier);
+  const [attachmentMap, tapbacks, originators, replyCounts, eventTargets] = await Promise.all([
+    getAttachmentMap(messages),
+    getTapbacks(chatIds, messages),
+    getThreadOriginators(messages),
+    getReplyCounts(messages),
+    getEventTargets(messages)
+  ]);
+  
+  const folded = foldReactions(messages.map(row => ({ ...row, text: getMessageText(row) })), tapbacks);
+  
+  return Promise.all(folded.map(async row => {
+    const originator = originators.get(row.thread_originator_guid);
+    
+    return {
+      id: row.id,
+      text: row.text,
+      is_from_me: row.is_from_me,
+      date: convertMacTime(row.date),
+      contact_identifier: contactIdentifier,
+      display_name: displayName,
+      sender_name: row.is_from_me ? 'You' : getDisplayName(row.sender_id),
+      service: normalizeService(row.service),
+      attachments: attachmentMap.get(row.id) || [],
+      links: extractUrls(row.text),
+      reactions: row.reactions.map(toReaction),
+      reply_to: originator ? await toReplyTarget(originator, row.thread_originator_part) : null,
+      reply_count: replyCounts.get(row.guid) || 0,
+      system_event: toSystemEvent(row, eventTargets),
+      ...getEditState(row),
+      ...getReceipt(row)
+    };
+  }));
+};
+
+/**
+ * Get the identifier of a conversation's (first) participant
+ */
+const getContactIdentifier = async (chatIds) => {
+  const placeholders = chatIds.map(() => '?').join(',');
+  const row = await dbGet(`
+    SELECT h.id as contact_identifier
+    FROM chat_handle_join chj
+    JOIN handle h ON chj.handle_id = h.ROWID
+    WHERE chj.chat_id IN (${placeholders})
+    LIMIT 1
+  `, chatIds);
+  
+  return row?.contact_identifier || 'Unknown';
+};
+
 /**
  * Get conversation stats (total messages, media count, link count)
  */
@@ -207,7 +547,7 @@ const getConversationStats = async (chatIds) => {
       SELECT COUNT(*) as total
       FROM message m
       JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
-      WHERE cmj.chat_id IN (${placeholders})
+      WHERE cmj.chat_id IN (${placeholders}) AND ${NOT_TAPBACK}
     `, chatIds),
     dbGet(`
       SELECT COUNT(DISTINCT a.ROWID) as count
@@ -244,8 +584,22 @@ const getConversationStats = async (chatIds) => {
 
 /**
  * GET /conversations - Get all conversations
+ * 
+ * A contact's chats are merged into one conversation; `services` lists the
+ * services of its chats and `service` is the most recent one's.
+ * 
+ * Query params:
+ * - service: Comma-separated services to keep chats of (iMessage, SMS, RCS)
  */
 router.get('/conversations', async (req, res) => {
+  const services = parseServiceParam(req.query.service);
+  if (!services) {
+    return res.status(400).json({ error: 'Invalid service' });
+  }
+  const serviceClause = services.length > 0
+    ? `AND c.service_name IN (${services.map(() => '?').join(',')})`
+    : '';
+  
   try {
     const rows = await dbAll(`
       WITH chat_stats AS (
@@ -281,6 +635,7 @@ router.get('/conversations', async (req, res) => {
         c.ROWID as chat_id,
         c.display_name as chat_display_name,
         c.chat_identifier,
+        c.service_name,
         cp.all_participants,
         cp.participant_count,
         cp.primary_identifier as identifier,
@@ -294,8 +649,9 @@ router.get('/conversations', async (req, res) => {
       JOIN chat_stats cs ON c.ROWID = cs.chat_id
       LEFT JOIN last_messages lm ON c.ROWID = lm.chat_id AND lm.rn = 1
       WHERE cs.last_message_date IS NOT NULL
+        ${serviceClause}
       ORDER BY cs.last_message_date DESC
-    `);
+    `, services);
     
     const individualChats = new Map();
     const groupChats = [];
@@ -341,6 +697,9 @@ router.get('/conversations', async (req, res) => {
  * - before: Get messages before this message ID
  * - after: Get messages after this message ID
  * - around: Get messages centered around this message ID (for scroll-to-message)
+ * - at: Get messages centered around the first message on or after this date
+ *   (ISO date or timestamp; the last message if none is that recent).
+ *   The response's targetId is that message.
  */
 router.get('/conversation/:id', async (req, res) => {
   const chatIds = parseChatIds(req.params.id);
@@ -354,23 +713,23 @@ router.get('/conversation/:id', async (req, res) => {
     const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
     const beforeId = parseInt(req.query.before) || 0;
     const afterId = parseInt(req.query.after) || 0;
-    const aroundId = parseInt(req.query.around) || 0;
+    let aroundId = parseInt(req.query.around) || 0;
+    
+    if (req.query.at) {
+      const timestamp = parseAtParam(req.query.at);
+      if (timestamp === null) {
+        return res.status(400).json({ error: 'Invalid date' });
+      }
+      aroundId = await findMessageAtDate(chatIds, timestamp) || 0;
+    }
 
     // Get contact info and stats in parallel
-    const [contactRow, stats] = await Promise.all([
-      dbGet(`
-        SELECT h.id as contact_identifier
-        FROM chat_handle_join chj
-        JOIN handle h ON chj.handle_id = h.ROWID
-        WHERE chj.chat_id IN (${placeholders})
-        LIMIT 1
-      `, chatIds),
-      getConversationStats(chatIds)
+    const [contactIdentifier, stats, columns] = await Promise.all([
+      getContactIdentifier(chatIds),
+      getConversationStats(chatIds),
+      getMessageColumns()
     ]);
     
-    const contactIdentifier = contactRow?.contact_identifier || 'Unknown';
-    const displayName = getDisplayName(contactIdentifier);
-    
     let messages;
     let hasMoreOlder = false;
     let hasMoreNewer = false;
@@ -383,13 +742,11 @@ router.get('/conversation/:id', async (req, res) => {
         
         // Get messages before the target (older) - fetch one extra to check if more exist
         const beforeMessages = await dbAll(`
-          SELECT 
-            m.ROWID as id, m.text, m.attributedBody, m.is_from_me, m.date,
-            m.cache_has_attachments, m.handle_id, h.id as sender_id
+          SELECT ${columns}
           FROM message m
           JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
           LEFT JOIN handle h ON m.handle_id = h.ROWID
-          WHERE cmj.chat_id IN (${placeholders}) AND m.date < ?
+          WHERE cmj.chat_id IN (${placeholders}) AND m.date < ? AND ${NOT_TAPBACK}
           GROUP BY m.ROWID
           ORDER BY m.date DESC
           LIMIT ${halfLimit + 1}
@@ -401,13 +758,11 @@ router.get('/conversation/:id', async (req, res) => {
         
         // Get the target message and messages after it (newer) - fetch extra to check if more exist
         const afterMessages = await dbAll(`
-          SELECT 
-            m.ROWID as id, m.text, m.attributedBody, m.is_from_me, m.date,
-            m.cache_has_attachments, m.handle_id, h.id as sender_id
+          SELECT ${columns}
           FROM message m
           JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
           LEFT JOIN handle h ON m.handle_id = h.ROWID
-          WHERE cmj.chat_id IN (${placeholders}) AND m.date >= ?
+          WHERE cmj.chat_id IN (${placeholders}) AND m.date >= ? AND ${NOT_TAPBACK}
           GROUP BY m.ROWID
           ORDER BY m.date ASC
           LIMIT ${halfLimit + 2}
@@ -422,13 +777,11 @@ router.get('/conversation/:id', async (req, res) => {
       } else {
         // Target not found, fall back to recent messages
         messages = await dbAll(`
-          SELECT 
-            m.ROWID as id, m.text, m.attributedBody, m.is_from_me, m.date,
-            m.cache_has_attachments, m.handle_id, h.id as sender_id
+          SELECT ${columns}
           FROM message m
           JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
           LEFT JOIN handle h ON m.handle_id = h.ROWID
-          WHERE cmj.chat_id IN (${placeholders})
+          WHERE cmj.chat_id IN (${placeholders}) AND ${NOT_TAPBACK}
           GROUP BY m.ROWID
           ORDER BY m.date DESC
           LIMIT ${limit}
@@ -438,7 +791,7 @@ router.get('/conversation/:id', async (req, res) => {
       }
     } else {
       // Standard before/after pagination
-      let whereClause = `WHERE cmj.chat_id IN (${placeholders})`;
+      let whereClause = `WHERE cmj.chat_id IN (${placeholders}) AND ${NOT_TAPBACK}`;
       let orderClause = 'ORDER BY m.date DESC';
       const params = [...chatIds];
       
@@ -459,15 +812,7 @@ router.get('/conversation/:id', async (req, res) => {
       
       // Fetch messages
       messages = await dbAll(`
-        SELECT 
-          m.ROWID as id, 
-          m.text,
-          m.attributedBody,
-          m.is_from_me,
-          m.date,
-          m.cache_has_attachments,
-          m.handle_id,
-          h.id as sender_id
+        SELECT ${columns}
         FROM message m
         JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
         LEFT JOIN handle h ON m.handle_id = h.ROWID
@@ -483,59 +828,24 @@ router.get('/conversation/:id', async (req, res) => {
       }
     }
     
-    // Get attachments in parallel
-    const messageIds = messages.filter(m => m.cache_has_attachments).map(m => m.id);
-    let attachmentMap = new Map();
+    const result = await formatMessages(messages, chatIds, contactIdentifier);
     
-    if (messageIds.length > 0) {
-      const msgPlaceholders = messageIds.map(() => '?').join(',');
-      const attachments = await dbAll(`
-        SELECT 
-          maj.message_id,
-          a.ROWID as attachment_id,
-          a.filename,
-          a.mime_type,
-          a.transfer_name,
-          a.total_bytes
-        FROM message_attachment_join maj
-        JOIN attachment a ON maj.attachment_id = a.ROWID
-        WHERE maj.message_id IN (${msgPlaceholders})
-      `, messageIds);
-      
-      attachmentMap = await processAttachments(attachments);
-    }
-    
-    const result = messages.map(row => {
-      const text = getMessageText(row);
-      return {
-        id: row.id,
-        text,
-        is_from_me: row.is_from_me,
-        date: convertMacTime(row.date),
-        contact_identifier: contactIdentifier,
-        display_name: displayName,
-        sender_name: row.is_from_me ? 'You' : getDisplayName(row.sender_id),
-        attachments: attachmentMap.get(row.id) || [],
-        links: extractUrls(text)
-      };
-    });
-    
-    // Determine hasMore based on query type
+    // Determine hasMore based on query type (from rows read, before folding)
     let finalHasMore = hasMoreOlder;
     let finalHasMoreNewer = hasMoreNewer;
     
     if (!aroundId) {
       if (beforeId) {
         // Loading older - hasMore means more older exist
-        finalHasMore = result.length === limit;
+        finalHasMore = messages.length === limit;
         finalHasMoreNewer = false; // We're loading older, newer direction not relevant
       } else if (afterId) {
         // Loading newer - hasMore from this query means more newer exist  
         finalHasMore = false; // We're loading newer, older direction not relevant
-        finalHasMoreNewer = result.length === limit;
+        finalHasMoreNewer = messages.length === limit;
       } else {
         // Default load (most recent) - hasMore means older exist, no newer
-        finalHasMore = result.length === limit;
+        finalHasMore = messages.length === limit;
         finalHasMoreNewer = false;
       }
     }
@@ -547,8 +857,10 @@ router.get('/conversation/:id', async (req, res) => {
       linkCount: stats.linkCount,
       hasMore: finalHasMore,
       hasMoreNewer: finalHasMoreNewer,
-      oldestId: result.length > 0 ? result[0].id : null,
-      newestId: result.length > 0 ? result[result.length - 1].id : null
+      // Page bounds include folded reactions, so paging doesn't return them again
+      oldestId: messages.length > 0 ? messages[0].id : null,
+      newestId: messages.length > 0 ? messages[messages.length - 1].id : null,
+      targetId: aroundId || null
     });
   } catch (err) {
     logger.error('conversations', 'Conversation fetch error', err);
@@ -556,6 +868,173 @@ router.get('/conversation/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /conversation/:id/thread/:messageId - Get an inline reply thread
+ * 
+ * messageId may be the message that started the thread or any reply in it.
+ * Returns { messages, originatorId }: the original message and its replies,
+ * oldest first, shaped as in /conversation/:id.
+ */
+router.get('/conversation/:id/thread/:messageId', async (req, res) => {
+  const chatIds = parseChatIds(req.params.id);
+  const messageId = parseInt(req.params.messageId);
+  
+  if (chatIds.length === 0 || isNaN(messageId)) {
+    return res.status(400).json({ error: 'Invalid conversation or message ID' });
+  }
+
+  try {
+    const placeholders = chatIds.map(() => '?').join(',');
+    
+    const target = await dbGet(`
+      SELECT m.guid, m.thread_originator_guid
+      FROM message m
+      JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+      WHERE m.ROWID = ? AND cmj.chat_id IN (${placeholders})
+    `, [messageId, ...chatIds]);
+    
+    if (!target) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    const originatorGuid = target.thread_originator_guid || target.guid;
+    const columns = await getMessageColumns();
+    
+    const [messages, contactIdentifier] = await Promise.all([
+      dbAll(`
+        SELECT ${columns}
+        FROM message m
+        JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+        LEFT JOIN handle h ON m.handle_id = h.ROWID
+        WHERE cmj.chat_id IN (${placeholders})
+          AND (m.guid = ? OR m.thread_originator_guid = ?) AND ${NOT_TAPBACK}
+        GROUP BY m.ROWID
+        ORDER BY m.date ASC
+      `, [...chatIds, originatorGuid, originatorGuid]),
+      getContactIdentifier(chatIds)
+    ]);
+    
+    const originator = messages.find(m => m.guid === originatorGuid);
+    
+    res.json({
+      messages: await formatMessages(messages, chatIds, contactIdentifier),
+      originatorId: originator ? originator.id : null
+    });
+  } catch (err) {
+    logger.error('conversations', 'Thread fetch error', err);
+    res.status(500).json({ error: 'Failed to fetch thread' });
+  }
+});
+
+/**
+ * GET /conversation/:id/history - A group's renames and membership changes
+ * 
+ * Returns { events: [{ id, date, type, actor_name, target_name, title, text }] },
+ * oldest first. id is the event's message, to load the conversation `around`.
+ * type is 'member_added', 'member_removed', 'member_left', 'renamed',
+ * 'photo_changed' or 'photo_removed'.
+ */
+router.get('/conversation/:id/history', async (req, res) => {
+  const chatIds = parseChatIds(req.params.id);
+  
+  if (chatIds.length === 0) {
+    return res.status(400).json({ error: 'Invalid conversation ID' });
+  }
+
+  try {
+    const placeholders = chatIds.map(() => '?').join(',');
+    
+    const rows = await dbAll(`
+      SELECT m.ROWID as id, m.date, m.is_from_me, h.id as sender_id,
+        m.item_type, m.group_action_type, m.group_title, m.other_handle
+      FROM message m
+      JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+      LEFT JOIN handle h ON m.handle_id = h.ROWID
+      WHERE cmj.chat_id IN (${placeholders}) AND ${IS_SYSTEM_EVENT}
+      GROUP BY m.ROWID
+      ORDER BY m.date ASC
+    `, chatIds);
+    
+    const targets = await getEventTargets(rows);
+    const events = rows
+      .map(row => ({ row, event: toSystemEvent(row, targets) }))
+      .filter(({ event }) => event)
+      .map(({ row, event }) => ({ id: row.id, date: convertMacTime(row.date), ...event }));
+    
+    res.json({ events });
+  } catch (err) {
+    logger.error('conversations', 'Conversation history fetch error', err);
+    res.status(500).json({ error: 'Failed to fetch history' });
+  }
+});
+
+/**
+ * GET /conversation/:id/search - Find messages in a conversation
+ * 
+ * Query params:
+ * - q: Search query (same syntax and operators as /search)
+ * 
+ * Returns { matches, total, truncated }: the IDs of matching messages, oldest
+ * first (as messages are shown). Only the newest CONVERSATION_SEARCH_MAX_MATCHES
+ * are returned, in which case truncated is true. Jump to a match by loading
+ * the conversation `around` it.
+ */
+router.get('/conversation/:id/search', async (req, res) => {
+  const chatIds = parseChatIds(req.params.id);
+  
+  if (chatIds.length === 0) {
+    return res.status(400).json({ error: 'Invalid conversation ID' });
+  }
+  
+  const query = (req.query.q || '').trim();
+  if (!query) {
+    return res.json({ matches: [], total: 0, truncated: false });
+  }
+  
+  try {
+    const plan = await prepareSearch(parseSearchQuery(query), query, { chatIds });
+    const { ids, truncated } = await getMatchingMessageIds(plan, CONVERSATION_SEARCH_MAX_MATCHES);
+    
+    res.json({ matches: ids, total: ids.length, truncated });
+  } catch (err) {
+    logger.error('conversations', 'Conversation search error', err);
+    res.status(500).json({ error: 'Failed to search conversation' });
+  }
+});
+
+/**
+ * GET /conversation/:id/timeline - Message counts per month, oldest first
+ * Returns { months: [{ month: 'YYYY-MM', count }] } (local time; months
+ * without messages are omitted). Tapbacks and group system events aren't
+ * counted, as they don't show as messages.
+ */
+router.get('/conversation/:id/timeline', async (req, res) => {
+  const chatIds = parseChatIds(req.params.id);
+  
+  if (chatIds.length === 0) {
+    return res.status(400).json({ error: 'Invalid conversation ID' });
+  }
+
+  try {
+    const placeholders = chatIds.map(() => '?').join(',');
+    
+    const months = await dbAll(`
+      SELECT strftime('%Y-%m', m.date / 1000000000 + ${MAC_EPOCH_MS / 1000}, 'unixepoch', 'localtime') as month,
+        COUNT(DISTINCT m.ROWID) as count
+      FROM message m
+      JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+      WHERE cmj.chat_id IN (${placeholders}) AND ${NOT_TAPBACK} AND NOT ${IS_SYSTEM_EVENT}
+      GROUP BY month
+      ORDER BY month ASC
+    `, chatIds);
+    
+    res.json({ months });
+  } catch (err) {
+    logger.error('conversations', 'Conversation timeline fetch error', err);
+    res.status(500).json({ error: 'Failed to fetch timeline' });
+  }
+});
+
 /**
  * GET /conversation/:id/media - Get all media for a conversation
  */
@@ -5,6 +5,7 @@
 const statusRoutes = require('./status');
 const contactsRoutes = require('./contacts');
 const searchRoutes = require('./search');
+const savedSearchesRoutes = require('./savedSearches');
 const conversationsRoutes = require('./conversations');
 const mediaRoutes = require('./media');
 const linksRoutes = require('./links');
@@ -14,6 +15,7 @@ function registerRoutes(app) {
   app.use('/', statusRoutes);
   app.use('/', contactsRoutes);
   app.use('/', searchRoutes);
+  app.use('/', savedSearchesRoutes);
   app.use('/', conversationsRoutes);
   app.use('/', mediaRoutes);
   app.use('/', linksRoutes);
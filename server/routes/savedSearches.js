@@ -0,0 +1,144 @@
+/**
+ * Saved search ("smart folder") routes
+ * @module routes/savedSearches
+ */
+
+const express = require('express');
+const { parseSearchQuery, applyDateRange } = require('../helpers/queryParser');
+const { compileSearchRegex, SEARCH_MODES } = require('../helpers/search');
+const { parseServiceParam } = require('../helpers/service');
+const {
+  listSavedSearches,
+  createSavedSearch,
+  deleteSavedSearch,
+  markSavedSearchRead
+} = require('../services/savedSearches');
+const logger = require('../helpers/logger');
+const { SAVED_SEARCH_NAME_MAX_LENGTH } = require('../config');
+
+const router = express.Router();
+
+// ============================================================
+// Pure functions for request parsing
+// ============================================================
+
+/**
+ * Validate a saved search request body
+ * @param {Object} body - { name, query, mode?, contacts?, service?, from?, to? }
+ * @returns {{ search: Object|null, error: string|null }} - error is user-facing
+ */
+const parseSavedSearchBody = (body = {}) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const query = typeof body.query === 'string' ? body.query.trim() : '';
+  const mode = SEARCH_MODES.includes(body.mode) ? body.mode : 'exact';
+  const contacts = Array.isArray(body.contacts) ? body.contacts.map(String).filter(Boolean) : [];
+  const services = parseServiceParam(typeof body.service === 'string' ? body.service : undefined);
+  const from = body.from || null;
+  const to = body.to || null;
+  
+  if (!name) return { search: null, error: 'Name is required' };
+  if (name.length > SAVED_SEARCH_NAME_MAX_LENGTH) {
+    return { search: null, error: `Name is longer than ${SAVED_SEARCH_NAME_MAX_LENGTH} characters` };
+  }
+  if (!query) return { search: null, error: 'Query is required' };
+  if (!services) return { search: null, error: 'Invalid service' };
+  if (!applyDateRange(parseSearchQuery('').filters, from, to)) {
+    return { search: null, error: 'Invalid date range' };
+  }
+  if (mode === 'regex') {
+    const { error } = compileSearchRegex(query);
+    if (error) return { search: null, error };
+  }
+  
+  return { search: { name, query, mode, contacts, services, from, to }, error: null };
+};
+
+/**
+ * Parse a saved search ID route param
+ */
+const parseIdParam = (id) => {
+  const parsed = parseInt(id);
+  return isNaN(parsed) ? null : parsed;
+};
+
+// ============================================================
+// Route handlers
+// ============================================================
+
+/**
+ * GET /saved-searches - List saved searches with unread counts
+ * unread_count is the number of matching messages that arrived since the
+ * search was last opened; it updates as new messages are indexed.
+ */
+router.get('/saved-searches', async (req, res) => {
+  try {
+    res.json(await listSavedSearches());
+  } catch (err) {
+    logger.error('savedSearches', 'Failed to list saved searches', err);
+    res.status(500).json({ error: 'Failed to list saved searches' });
+  }
+});
+
+/**
+ * POST /saved-searches - Save a search
+ *
+ * Body: { name, query, mode, contacts, service, from, to } - the same query,
+ * mode, contacts, service and date range as /search takes (contacts as an array)
+ */
+router.post('/saved-searches', express.json(), async (req, res) => {
+  const { search, error } = parseSavedSearchBody(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    res.status(201).json(await createSavedSearch(search));
+  } catch (err) {
+    logger.error('savedSearches', 'Failed to save search', err);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+/**
+ * DELETE /saved-searches/:id - Delete a saved search
+ */
+router.delete('/saved-searches/:id', async (req, res) => {
+  const id = parseIdParam(req.params.id);
+  if (id === null) {
+    return res.status(400).json({ error: 'Invalid saved search ID' });
+  }
+  
+  try {
+    if (!await deleteSavedSearch(id)) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    logger.error('savedSearches', 'Failed to delete saved search', err);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+/**
+ * POST /saved-searches/:id/read - Mark a saved search's matches as read
+ * Returns the updated saved search.
+ */
+router.post('/saved-searches/:id/read', async (req, res) => {
+  const id = parseIdParam(req.params.id);
+  if (id === null) {
+    return res.status(400).json({ error: 'Invalid saved search ID' });
+  }
+  
+  try {
+    const saved = await markSavedSearchRead(id);
+    if (!saved) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.json(saved);
+  } catch (err) {
+    logger.error('savedSearches', 'Failed to mark saved search read', err);
+    res.status(500).json({ error: 'Failed to mark saved search read' });
+  }
+});
+
+module.exports = router;
@@ -5,19 +5,248 @@
 
 const express = require('express');
 const { dbAll } = require('../db/connection');
-const { getDisplayName, getContactGroupMap } = require('../db/contacts');
+const { getDisplayName, getGroupMemberNames, findNamesByPrefix } = require('../db/contacts');
 const { convertMacTime } = require('../helpers/time');
-const { searchIndex, getIndexStats } = require('../services/searchIndex');
+const { parseSearchQuery, applyDateRange } = require('../helpers/queryParser');
+const {
+  compileSearchRegex,
+  decodeSearchCursor,
+  SEARCH_MODES,
+  splitQueryPrefix,
+  buildQuerySuggestions,
+  CONTACT_OPERATORS
+} = require('../helpers/search');
+const { getContactIdentifiers } = require('../helpers/filters');
+const { normalizeService, parseServiceParam } = require('../helpers/service');
+const {
+  prepareSearch,
+  createScanBudget,
+  searchIndex,
+  searchGroups,
+  getSearchSummary,
+  getSpellingSuggestions,
+  getFrequentTerms,
+  findSimilarMessages,
+  getIndexStats,
+  getBuildProgress,
+  rebuildIndex
+} = require('../services/searchIndex');
+const { recordSearch, getSearchHistory, clearSearchHistory } = require('../services/searchHistory');
 const logger = require('../helpers/logger');
-const { DEFAULT_SEARCH_PAGE_SIZE, MAX_SEARCH_SCAN_LIMIT } = require('../config');
+const {
+  DEFAULT_SEARCH_PAGE_SIZE,
+  DEFAULT_SIMILAR_LIMIT,
+  DEFAULT_SUGGEST_LIMIT,
+  SUGGEST_CONTACT_LIMIT,
+  SUGGEST_MIN_TERM_PREFIX,
+  SEARCH_FACET_CONVERSATION_LIMIT,
+  SEARCH_STREAM_BATCH_SIZE
+} = require('../config');
 
 const router = express.Router();
 
 // ============================================================
-// Shared helpers (imported from common location)
+// Pure functions for request parsing
 // ============================================================
 
-const { buildContactFilter } = require('../helpers/filters');
+const SEARCH_SORTS = ['date', 'relevance'];
+
+/**
+ * Parse the sort query param, defaulting to newest-first
+ */
+const parseSortParam = (sort) =>
+  SEARCH_SORTS.includes(sort) ? sort : 'date';
+
+/**
+ * Parse the groupBy query param ('conversation' or null for a flat list)
+ */
+const parseGroupByParam = (groupBy) =>
+  groupBy === 'conversation' ? groupBy : null;
+
+/**
+ * Parse the mode query param, defaulting to exact matching
+ */
+const parseModeParam = (mode) =>
+  SEARCH_MODES.includes(mode) ? mode : 'exact';
+
+/**
+ * Parse and validate /search query params (shared by /search/stream)
+ * An empty query isn't validated further: it simply has no results.
+ * @param {Object} params - req.query
+ * @returns {{ search: Object|null, error: string|null }} - error is user-facing
+ */
+const parseSearchRequest = (params) => {
+  const query = params.q || '';
+  const mode = parseModeParam(params.mode);
+  const search = {
+    query,
+    mode,
+    limit: parseInt(params.limit) || DEFAULT_SEARCH_PAGE_SIZE,
+    sort: parseSortParam(params.sort),
+    groupBy: parseGroupByParam(params.groupBy),
+    contactIds: params.contacts ? params.contacts.split(',') : [],
+    chatId: params.conversation ? parseInt(params.conversation) : null,
+    services: parseServiceParam(params.service),
+    from: params.from || null,
+    to: params.to || null,
+    cursor: null
+  };
+  if (!query.trim()) return { search, error: null };
+  
+  if (Number.isNaN(search.chatId)) {
+    return { search: null, error: 'Invalid conversation ID' };
+  }
+  if (!search.services) {
+    return { search: null, error: 'Invalid service' };
+  }
+  if (search.groupBy && mode === 'regex') {
+    return { search: null, error: 'Regular expression results can\'t be grouped by conversation' };
+  }
+  
+  search.cursor = params.cursor ? decodeSearchCursor(params.cursor) : null;
+  if (params.cursor && !search.cursor) {
+    return { search: null, error: 'Invalid cursor' };
+  }
+  
+  // Regex patterns are used as-is, so operators aren't parsed
+  search.parsedQuery = parseSearchQuery(mode === 'regex' ? '' : query);
+  search.filters = applyDateRange(search.parsedQuery.filters, search.from, search.to);
+  if (!search.filters) {
+    return { search: null, error: 'Invalid date range' };
+  }
+  
+  const { regex, error: regexError } = mode === 'regex' ? compileSearchRegex(query) : {};
+  if (regexError) {
+    return { search: null, error: regexError };
+  }
+  search.regex = regex;
+  
+  return { search, error: null };
+};
+
+/**
+ * Response for a search without results (also the base of every response)
+ */
+const emptySearchResponse = ({ limit, sort, mode, from, to, groupBy }) => ({
+  results: [], limit, sort, mode, from, to, groupBy, nextCursor: null,
+  total: 0, totalIsEstimate: false, facets: null, suggestions: [], truncated: null,
+  ...(groupBy ? { groups: [], totalGroups: 0 } : {})
+});
+
+/**
+ * Format a Server-Sent Event
+ */
+const formatEvent = (event, data) =>
+  `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Shape an index row as a search result
+ * kind says what matched: 'message' (body text), 'attachment' (filename),
+ * 'chat' (group chat name; no message_id) or 'link' (preview title; url set).
+ * contact_identifier is who the conversation is with (the first participant);
+ * sender_id / sender_name say who wrote the message.
+ */
+const toSearchResult = (row) => {
+  const contactIdentifier = row.chat_identifier || row.sender || 'Unknown';
+  const isChat = row.kind === 'chat';
+  
+  return {
+    id: row.doc_id,
+    kind: row.kind,
+    message_id: row.message_id,
+    text: row.text,
+    snippet: row.snippet,
+    highlights: row.highlights,
+    url: row.kind === 'link' ? row.source_key : null,
+    conversation_id: row.chat_id,
+    contact_identifier: contactIdentifier,
+    display_name: getDisplayName(contactIdentifier),
+    is_group: row.chat_participants > 1,
+    is_from_me: Boolean(row.is_from_me),
+    sender_id: row.sender,
+    sender_name: isChat ? null : row.is_from_me ? 'You' : getDisplayName(row.sender || contactIdentifier),
+    service: normalizeService(row.service),
+    date: convertMacTime(row.date)
+  };
+};
+
+/**
+ * Shape a conversation group from searchGroups() as a search result group
+ */
+const toSearchGroup = (group, displayName) => ({
+  conversation_id: group.chat_id,
+  display_name: displayName,
+  is_group: group.rows.some(row => row.chat_participants > 1),
+  count: group.count,
+  latest_date: convertMacTime(group.latest_date),
+  hits: group.rows.map(toSearchResult)
+});
+
+// ============================================================
+// Data access helpers
+// ============================================================
+
+/**
+ * Add display names to conversation facets
+ */
+const nameConversationFacets = async (facets) => {
+  if (facets.length === 0) return facets;
+  
+  const chatIds = facets.map(f => f.conversation_id);
+  const rows = await dbAll(`
+    SELECT 
+      c.ROWID as chat_id,
+      c.display_name,
+      GROUP_CONCAT(DISTINCT h.id) as participants
+    FROM chat c
+    LEFT JOIN chat_handle_join chj ON chj.chat_id = c.ROWID
+    LEFT JOIN handle h ON chj.handle_id = h.ROWID
+    WHERE c.ROWID IN (${chatIds.map(() => '?').join(',')})
+    GROUP BY c.ROWID
+  `, chatIds);
+  
+  const names = new Map(rows.map(row => [
+    row.chat_id,
+    row.display_name || getGroupMemberNames(row.participants).join(', ') || 'Unknown'
+  ]));
+  
+  return facets.map(f => ({ ...f, display_name: names.get(f.conversation_id) || 'Unknown' }));
+};
+
+/**
+ * Build the search plan for a parsed search request
+ */
+const planSearch = (search) => {
+  const identifiers = getContactIdentifiers(search.contactIds);
+  
+  // Search the pre-built index (fast - no binary blob scanning)
+  return prepareSearch({ ...search.parsedQuery, filters: search.filters }, search.query, {
+    mode: search.mode,
+    regex: search.regex,
+    contactIdentifiers: identifiers.length > 0 ? identifiers : null,
+    chatIds: search.chatId !== null ? [search.chatId] : null,
+    services: search.services.length > 0 ? search.services : null
+  });
+};
+
+/**
+ * Total, named facets and "did you mean" suggestions for a search's first page
+ * @param {Object} scan - Regex or fuzzy scan stats from searchIndex()
+ */
+const summarizeSearch = async (plan, search, scan) => {
+  const summary = await getSearchSummary(plan, {
+    facetLimit: SEARCH_FACET_CONVERSATION_LIMIT,
+    scan
+  });
+  if (summary.facets) {
+    summary.facets.conversations = await nameConversationFacets(summary.facets.conversations);
+  }
+  const suggestions = summary.total === 0 && search.mode === 'exact'
+    ? await getSpellingSuggestions(search.parsedQuery, search.query)
+    : [];
+  
+  return { ...summary, suggestions };
+};
 
 // ============================================================
 // Route handlers
@@ -28,97 +257,313 @@ const { buildContactFilter } = require('../helpers/filters');
  * 
  * The search index pre-extracts text from attributedBody blobs,
  * avoiding the need to load 40K+ binary blobs into memory per search.
+ * Attachment filenames, group chat names and link preview titles are
+ * searched too; each result's `kind` says which matched.
+ * 
+ * Query params:
+ * - q: Search text, optionally with operators:
+ *     from:<name|me>  in:<chat name|contact>  before:/after:<YYYY[-MM[-DD]]>
+ *     has:<link|image|video|attachment>  is:<sent|received>
+ *     "exact phrase"  -excluded
+ * - sort: 'date' (newest first, default) or 'relevance' (BM25 ranking)
+ * - from, to: Date range, YYYY[-MM[-DD]], both inclusive
+ * - mode: 'exact' (default), 'fuzzy' (typo-tolerant, closest spellings first)
+ *   or 'regex' (q is a case-insensitive regular expression; newest first)
+ * - limit: Page size
+ * - cursor: nextCursor from the previous page (keyset pagination)
+ * - contacts: Comma-separated contact IDs to filter by
+ * - conversation: Only search this conversation (chat ID)
+ * - service: Comma-separated services to filter by (iMessage, SMS, RCS)
+ * - groupBy: 'conversation' to return `groups` instead of `results`: each
+ *   conversation with its hit count, newest hit date and top hits (not
+ *   paginated; page through one group's hits with `conversation`).
+ *   Not available in regex mode.
+ * 
+ * The first page (no cursor) also returns `total` and `facets`; later pages
+ * return total: null. Regex totals are estimates (totalIsEstimate).
+ * When an exact search finds nothing, `suggestions` lists corrected queries.
+ * Regex searches are time- and scan-limited, and fuzzy searches only rank
+ * the newest MAX_SEARCH_SCAN_LIMIT candidates; `truncated` ('timeout' or
+ * 'scan_limit') says when older messages weren't checked.
  */
 router.get('/search', async (req, res) => {
-  const query = req.query.q || '';
-  const limit = parseInt(req.query.limit) || DEFAULT_SEARCH_PAGE_SIZE;
-  const page = parseInt(req.query.page) || 1;
-  const contactIds = req.query.contacts ? req.query.contacts.split(',') : [];
+  const { search, error } = parseSearchRequest(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   
-  if (!query.trim()) {
-    return res.json({ results: [], page, limit, total: 0 });
+  const emptyResponse = emptySearchResponse(search);
+  if (!search.query.trim()) {
+    return res.json(emptyResponse);
   }
   
-  const { filter: contactFilter, params: filterParams } = buildContactFilter(contactIds);
+  const { query, mode, sort, limit, cursor } = search;
 
   try {
-    logger.debug('search', `Query: "${query}", Page: ${page}, Limit: ${limit}`);
+    logger.debug('search', `Query: "${query}", Mode: ${mode}, Sort: ${sort}, Cursor: ${Boolean(cursor)}, Limit: ${limit}`);
+    
+    const plan = await planSearch(search);
+    
+    if (search.groupBy) {
+      const { groups, totalGroups } = await searchGroups(plan, { sort });
+      const summary = await summarizeSearch(plan, search, null);
+      const named = await nameConversationFacets(groups.map(group => ({ conversation_id: group.chat_id })));
+      
+      logger.debug('search', `Returning ${groups.length} of ${totalGroups} conversation groups`);
+      
+      return res.json({
+        ...emptyResponse,
+        groups: groups.map((group, i) => toSearchGroup(group, named[i].display_name)),
+        totalGroups,
+        ...summary
+      });
+    }
+    
+    const { rows, nextCursor, scan } = await searchIndex(plan, { limit, sort, cursor });
+    
+    // Totals, facets and suggestions describe the whole result set,
+    // so they're only computed for the first page
+    const summary = cursor
+      ? { total: null, totalIsEstimate: false, facets: null, suggestions: [] }
+      : await summarizeSearch(plan, search, scan);
+    
+    const results = rows.map(toSearchResult);
     
-    // Search the pre-built index (fast - no binary blob scanning)
-    const indexMatches = await searchIndex(query, { 
-      limit: MAX_SEARCH_SCAN_LIMIT,
-      contactFilter, 
-      filterParams 
+    logger.debug('search', `Returning ${results.length} results, total: ${summary.total}`);
+    
+    res.json({
+      ...emptyResponse,
+      results,
+      nextCursor,
+      ...summary,
+      truncated: scan ? scan.truncated : null
     });
+  } catch (err) {
+    logger.error('search', 'Search failed', err);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+/**
+ * GET /search/stream - Search messages, streaming results as Server-Sent Events
+ * 
+ * Takes the same params as /search except groupBy. Results are sent in
+ * batches of SEARCH_STREAM_BATCH_SIZE, so the first ones show before the
+ * (slower) totals and facets are counted. Regex pages are scanned batch by
+ * batch, each sent as soon as it's found, within one page's time and row
+ * budget; other pages are found with one query.
+ * 
+ * Events:
+ * - results: { results } - The next batch, in order
+ * - summary: The /search response without results (nextCursor, total,
+ *   facets, suggestions, truncated); always the last event
+ * - error: { error } - Invalid params or a failed search; also the last event
+ * 
+ * Closing the connection cancels the search after the current batch.
+ */
+router.get('/search/stream', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  
+  let cancelled = false;
+  req.on('close', () => { cancelled = true; });
+  
+  const { search, error } = parseSearchRequest(req.query);
+  if (error || search.groupBy) {
+    res.end(formatEvent('error', { error: error || 'Grouped results can\'t be streamed' }));
+    return;
+  }
+  
+  const { results, ...emptySummary } = emptySearchResponse(search);
+  if (!search.query.trim()) {
+    res.end(formatEvent('summary', emptySummary));
+    return;
+  }
+  
+  const { sort, limit } = search;
+  
+  try {
+    logger.debug('search', `Streaming query: "${search.query}", Mode: ${search.mode}, Sort: ${sort}, Limit: ${limit}`);
     
-    logger.debug('search', `Index matches: ${indexMatches.length}`);
+    const plan = await planSearch(search);
     
-    // Apply contact filtering if needed
-    let filteredMatches = indexMatches;
-    if (contactIds.length > 0) {
-      const contactGroupMap = getContactGroupMap();
-      const allowedChatIds = new Set();
+    // Each regex batch resumes after the previous one, like pages, and uses
+    // up the same budget; a scan that stops early ends the stream
+    const budget = createScanBudget();
+    const queryLimit = plan.kind === 'regex' ? SEARCH_STREAM_BATCH_SIZE : limit;
+    let cursor = search.cursor;
+    let nextCursor = null;
+    let sent = 0;
+    const scan = { scanned: 0, matched: 0, exhausted: false, truncated: null };
+    do {
+      const batch = await searchIndex(plan, {
+        limit: Math.min(queryLimit, limit - sent),
+        sort,
+        cursor,
+        budget
+      });
+      if (cancelled) return;
       
-      // Get all chat IDs for the selected contacts
-      for (const contactId of contactIds) {
-        const group = contactGroupMap.get(contactId);
-        if (group) {
-          // We need to look up chat IDs for these identifiers
-          const chatRows = await dbAll(`
-            SELECT DISTINCT chj.chat_id 
-            FROM chat_handle_join chj
-            JOIN handle h ON chj.handle_id = h.ROWID
-            WHERE h.id IN (${[...group.identifiers].map(() => '?').join(',')})
-          `, [...group.identifiers]);
-          
-          chatRows.forEach(r => allowedChatIds.add(r.chat_id));
-        }
+      for (let i = 0; i < batch.rows.length; i += SEARCH_STREAM_BATCH_SIZE) {
+        const results = batch.rows.slice(i, i + SEARCH_STREAM_BATCH_SIZE).map(toSearchResult);
+        res.write(formatEvent('results', { results }));
       }
-      
-      if (allowedChatIds.size > 0) {
-        filteredMatches = indexMatches.filter(m => allowedChatIds.has(m.chat_id));
+      sent += batch.rows.length;
+      // A scan whose budget ran out before it checked a row resumes where
+      // the previous batch ended
+      const stalled = batch.scan?.truncated && batch.scan.scanned === 0;
+      nextCursor = stalled ? nextCursor : batch.nextCursor;
+      cursor = nextCursor ? decodeSearchCursor(nextCursor) : null;
+      if (batch.scan) {
+        scan.scanned += batch.scan.scanned;
+        scan.truncated = batch.scan.truncated;
       }
-    }
+    } while (nextCursor && sent < limit && !scan.truncated);
     
-    // Apply pagination
-    const total = filteredMatches.length;
-    const offset = (page - 1) * limit;
-    const paginatedMatches = filteredMatches.slice(offset, offset + limit);
-    
-    // Enrich with contact info
-    const results = await Promise.all(paginatedMatches.map(async (row) => {
-      // Get contact identifier for this chat
-      const contactRow = await dbAll(`
-        SELECT h.id as contact_identifier
-        FROM chat_handle_join chj
-        JOIN handle h ON chj.handle_id = h.ROWID
-        WHERE chj.chat_id = ?
-        LIMIT 1
-      `, [row.chat_id]);
-      
-      const contactIdentifier = contactRow[0]?.contact_identifier || 'Unknown';
-      
-      return {
-        message_id: row.message_id,
-        text: row.text,
-        conversation_id: row.chat_id,
-        contact_identifier: contactIdentifier,
-        date: convertMacTime(row.date),
-        display_name: getDisplayName(contactIdentifier)
-      };
+    scan.matched = sent;
+    scan.exhausted = !search.cursor && !nextCursor && !scan.truncated;
+    
+    const summary = search.cursor
+      ? { total: null, totalIsEstimate: false, facets: null, suggestions: [] }
+      : await summarizeSearch(plan, search, scan);
+    if (cancelled) return;
+    
+    logger.debug('search', `Streamed ${sent} results, total: ${summary.total}`);
+    
+    res.end(formatEvent('summary', {
+      ...emptySummary,
+      nextCursor,
+      ...summary,
+      truncated: scan.truncated
     }));
+  } catch (err) {
+    logger.error('search', 'Search stream failed', err);
+    if (!cancelled) res.end(formatEvent('error', { error: 'Search failed' }));
+  }
+});
+
+/**
+ * GET /search/similar/:messageId - Messages about the same topic ("more like this")
+ * 
+ * Ranks messages across all conversations by TF-IDF cosine similarity to
+ * the given message, computed locally from the search index.
+ * 
+ * Query params:
+ * - limit: Max results
+ * 
+ * Returns { source: { message_id, text }, terms, results } where terms are the
+ * source's most distinctive words and each result has a `similarity` (0-1).
+ */
+router.get('/search/similar/:messageId', async (req, res) => {
+  const messageId = parseInt(req.params.messageId);
+  if (isNaN(messageId)) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+  const limit = parseInt(req.query.limit) || DEFAULT_SIMILAR_LIMIT;
+  
+  try {
+    const similar = await findSimilarMessages(messageId, { limit });
+    if (!similar) {
+      return res.status(404).json({ error: 'Message not found in search index' });
+    }
+    
+    res.json({
+      source: { message_id: similar.source.message_id, text: similar.source.text },
+      terms: similar.terms,
+      results: similar.rows.map(row => ({ ...toSearchResult(row), similarity: row.similarity }))
+    });
+  } catch (err) {
+    logger.error('search', 'Similar message search failed', err);
+    res.status(500).json({ error: 'Similar message search failed' });
+  }
+});
+
+/**
+ * GET /search/suggest - Autocomplete a partially typed query
+ * 
+ * Mixes past searches starting with the prefix (frequent and recent first),
+ * contact names for the word being typed (as from: filters, or completing a
+ * typed from:/in: value) and the most common indexed words starting with it.
+ * With an empty prefix, returns recent searches only.
+ * 
+ * Query params:
+ * - prefix: Query typed so far
+ * - limit: Max suggestions
+ * 
+ * Returns { prefix, suggestions: [{ type: 'history'|'contact'|'term', text, label }] }
+ * where text is the full query to search.
+ */
+router.get('/search/suggest', async (req, res) => {
+  const prefix = (req.query.prefix || '').trimStart();
+  const limit = parseInt(req.query.limit) || DEFAULT_SUGGEST_LIMIT;
+  
+  try {
+    const typed = splitQueryPrefix(prefix);
+    const completesContact = !typed.negated && typed.word.length > 0 &&
+      (CONTACT_OPERATORS.includes(typed.operator) || (!typed.operator && typed.word.length >= SUGGEST_MIN_TERM_PREFIX));
+    const completesTerm = !typed.operator && typed.word.length >= SUGGEST_MIN_TERM_PREFIX;
     
-    logger.debug('search', `Returning ${results.length} results, total: ${total}`);
+    const history = await getSearchHistory(prefix, limit);
+    const contacts = completesContact ? findNamesByPrefix(typed.word, SUGGEST_CONTACT_LIMIT) : [];
+    const terms = completesTerm ? await getFrequentTerms(typed.word, limit) : [];
     
-    res.json({ results, page, limit, total });
+    res.json({
+      prefix,
+      suggestions: buildQuerySuggestions(typed, {
+        history: history.map(row => row.query),
+        contacts,
+        terms
+      }, limit)
+    });
   } catch (err) {
-    logger.error('search', 'Search failed', err);
-    res.status(500).json({ error: 'Search failed' });
+    logger.error('search', 'Failed to get query suggestions', err);
+    res.status(500).json({ error: 'Failed to get suggestions' });
+  }
+});
+
+/**
+ * POST /search/history - Remember a search the user committed to
+ * (pressed Enter, picked a suggestion or opened a result)
+ * 
+ * Body: { query }
+ */
+router.post('/search/history', express.json(), async (req, res) => {
+  const query = typeof req.body?.query === 'string' ? req.body.query.trim() : '';
+  if (!query) {
+    return res.status(400).json({ error: 'Query is required' });
+  }
+  
+  try {
+    await recordSearch(query);
+    res.status(204).end();
+  } catch (err) {
+    logger.error('search', 'Failed to record search', err);
+    res.status(500).json({ error: 'Failed to record search' });
+  }
+});
+
+/**
+ * DELETE /search/history - Forget all past searches
+ * Returns { cleared } - the number of queries removed
+ */
+router.delete('/search/history', async (req, res) => {
+  try {
+    const cleared = await clearSearchHistory();
+    res.json({ cleared });
+  } catch (err) {
+    logger.error('search', 'Failed to clear search history', err);
+    res.status(500).json({ error: 'Failed to clear search history' });
   }
 });
 
 /**
  * GET /search/stats - Get search index statistics
+ * Includes `progress` (as /search/progress) while the index is being built
+ * or rebuilt.
  */
 router.get('/search/stats', async (req, res) => {
   try {
@@ -130,4 +575,30 @@ router.get('/search/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /search/progress - Get index build progress
+ * Returns { progress: { state, indexed, total, startedAt, percent, etaMs } },
+ * or { progress: null } when no build is running. Cheap enough to poll.
+ */
+router.get('/search/progress', (req, res) => {
+  res.json({ progress: getBuildProgress() });
+});
+
+/**
+ * POST /search/reindex - Rebuild the search index from scratch
+ * Runs in the background; poll /search/progress for progress.
+ * Responds 409 if a build is already running.
+ */
+router.post('/search/reindex', async (req, res) => {
+  try {
+    if (!rebuildIndex()) {
+      return res.status(409).json({ error: 'Index build already in progress' });
+    }
+    res.status(202).json(await getIndexStats());
+  } catch (err) {
+    logger.error('search', 'Failed to start reindex', err);
+    res.status(500).json({ error: 'Failed to start reindex' });
+  }
+});
+
 module.exports = router;
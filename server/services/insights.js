@@ -6,6 +6,8 @@
 const { dbAll, dbGet } = require('../db/connection');
 const { getDisplayName, getContactId } = require('../db/contacts');
 const { convertMacTime } = require('../helpers/time');
+const { normalizeService } = require('../helpers/service');
+const { INSIGHTS_READ_LATENCY_MAX_MINUTES, INSIGHTS_READ_LATENCY_MIN_MESSAGES } = require('../config');
 const logger = require('../helpers/logger');
 
 /**
@@ -13,7 +15,7 @@ const logger = require('../helpers/logger');
  */
 async function computeInsights() {
   // Run independent queries in parallel for better performance
-  const [overview, rawContacts, hourlyActivity, dailyActivity, groupChats, timeline, mediaStats] = 
+  const [overview, rawContacts, hourlyActivity, dailyActivity, groupChats, timeline, mediaStats, serviceBreakdown] = 
     await Promise.all([
       computeOverview(),
       computeRawContacts(),
@@ -21,7 +23,8 @@ async function computeInsights() {
       computeDailyActivity(),
       computeGroupChats(),
       computeTimeline(),
-      computeMediaStats()
+      computeMediaStats(),
+      computeServiceBreakdown()
     ]);
 
   // Process top contacts with deduplication
@@ -46,8 +49,9 @@ async function computeInsights() {
   };
 
   // Compute response metrics and streaks (these depend on contacts, so run after)
-  const [responseMetrics, streaks] = await Promise.all([
+  const [responseMetrics, readLatency, streaks] = await Promise.all([
     computeResponseMetrics(),
+    computeReadLatency(),
     computeStreaks()
   ]);
 
@@ -57,7 +61,9 @@ async function computeInsights() {
     activityPatterns,
     networkGraph,
     responseMetrics,
+    readLatency,
     contentAnalysis: { media: mediaStats },
+    serviceBreakdown,
     streaks,
     timeline
   };
@@ -324,6 +330,21 @@ async function computeMediaStats() {
   };
 }
 
+/**
+ * Compute sent messages per service (iMessage, SMS, RCS), most used first
+ */
+async function computeServiceBreakdown() {
+  const rows = await dbAll(`
+    SELECT m.service, COUNT(*) as sent
+    FROM message m
+    WHERE m.is_from_me = 1 AND m.service IS NOT NULL AND m.service != ''
+    GROUP BY m.service
+    ORDER BY sent DESC
+  `);
+  
+  return rows.map(r => ({ service: normalizeService(r.service), sent: r.sent }));
+}
+
 /**
  * Compute response time metrics
  * Uses a proper window function approach to find actual next messages
@@ -376,6 +397,53 @@ async function computeResponseMetrics() {
     }));
 }
 
+/**
+ * Compute read latency: how long sent messages take to be read
+ * Uses read receipts (date_read) of sent messages in one-on-one chats, where
+ * handle_id is the recipient; group chats have no per-person receipts.
+ * Contacts with read receipts off never show up.
+ */
+async function computeReadLatency() {
+  const latency = `(m.date_read - m.date) / 1000000000.0 / 60.0`;
+  const readFilter = `
+    m.is_from_me = 1 AND m.date > 0 AND m.date_read > m.date
+      AND ${latency} < ${INSIGHTS_READ_LATENCY_MAX_MINUTES}
+  `;
+  
+  const [overall, rows] = await Promise.all([
+    dbGet(`
+      SELECT COUNT(*) as read_count, AVG(${latency}) as avg_read_minutes
+      FROM message m
+      JOIN handle h ON m.handle_id = h.ROWID
+      WHERE ${readFilter}
+    `),
+    dbAll(`
+      SELECT 
+        h.id as identifier,
+        COUNT(*) as read_count,
+        AVG(${latency}) as avg_read_minutes
+      FROM message m
+      JOIN handle h ON m.handle_id = h.ROWID
+      WHERE ${readFilter}
+      GROUP BY h.id
+      HAVING read_count >= ${INSIGHTS_READ_LATENCY_MIN_MESSAGES}
+      ORDER BY avg_read_minutes ASC
+      LIMIT 20
+    `)
+  ]);
+  
+  return {
+    avgReadMinutes: overall?.read_count ? Math.round(overall.avg_read_minutes) : null,
+    readCount: overall?.read_count || 0,
+    contacts: rows.map(r => ({
+      identifier: r.identifier,
+      name: getDisplayName(r.identifier),
+      avgReadMinutes: Math.round(r.avg_read_minutes),
+      readCount: r.read_count
+    }))
+  };
+}
+
 /**
  * Compute conversation streaks (most conversation days)
  */
@@ -53,6 +53,15 @@ function cacheDbGet(sql, params = []) {
   });
 }
 
+function cacheDbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getCacheDb().all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
 /**
  * Initialize cache schema
  */
@@ -235,6 +244,24 @@ async function fetchLinkPreview(url) {
   }
 }
 
+/**
+ * Get preview titles fetched after a point in time (for the search index)
+ * @param {number} since - Timestamp (ms); only previews fetched later are returned
+ * @returns {Promise<Array<{ url: string, title: string, fetched_at: number }>>} - Oldest first
+ */
+async function getPreviewTitlesSince(since) {
+  try {
+    return await cacheDbAll(`
+      SELECT url, title, fetched_at FROM link_previews
+      WHERE fetched_at > ? AND title IS NOT NULL AND title != '' AND error IS NULL
+      ORDER BY fetched_at ASC
+    `, [since]);
+  } catch (err) {
+    logger.error('linkPreviewCache', 'Failed to get preview titles', err);
+    return [];
+  }
+}
+
 /**
  * Clean up old cache entries
  */
@@ -262,6 +289,7 @@ module.exports = {
   initializeCache,
   fetchLinkPreview,
   getCachedPreview,
+  getPreviewTitlesSince,
   cleanupCache,
   closeCache
 };
@@ -0,0 +1,236 @@
+/**
+ * Saved Searches Service
+ *
+ * Stores named searches ("smart folders") in a sidecar SQLite database.
+ * Each keeps the query with its operators, matching mode, contact and
+ * service filters and date range, plus the newest message ID when it was last opened;
+ * matching messages newer than that are counted as unread.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { CACHE_DIR } = require('../config');
+const { parseSearchQuery, applyDateRange } = require('../helpers/queryParser');
+const { compileSearchRegex } = require('../helpers/search');
+const { getContactIdentifiers } = require('../helpers/filters');
+const { prepareSearch, getLatestMessageId, countMatchesSince } = require('./searchIndex');
+const logger = require('../helpers/logger');
+
+const SAVED_SEARCHES_DB_PATH = path.join(CACHE_DIR, 'saved_searches.db');
+
+let savedDb = null;
+
+/**
+ * Get or create the saved searches database connection
+ */
+function getSavedDb() {
+  if (savedDb) return savedDb;
+  
+  savedDb = new sqlite3.Database(SAVED_SEARCHES_DB_PATH, (err) => {
+    if (err) {
+      logger.error('savedSearches', 'Failed to open saved searches database', err);
+    }
+  });
+  
+  return savedDb;
+}
+
+/**
+ * Promisified db operations
+ */
+function savedDbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getSavedDb().run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+function savedDbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getSavedDb().get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+function savedDbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getSavedDb().all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+/**
+ * Initialize saved searches schema
+ * contacts holds comma-separated contact IDs (as in the /search contacts param)
+ * and services comma-separated service names (as in the /search service param).
+ */
+async function initializeSavedSearches() {
+  await savedDbRun(`
+    CREATE TABLE IF NOT EXISTS saved_searches (
+      id INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      query TEXT NOT NULL,
+      mode TEXT NOT NULL DEFAULT 'exact',
+      contacts TEXT NOT NULL DEFAULT '',
+      services TEXT NOT NULL DEFAULT '',
+      date_from TEXT,
+      date_to TEXT,
+      created_at INTEGER NOT NULL,
+      seen_message_id INTEGER NOT NULL DEFAULT 0,
+      unread_count INTEGER NOT NULL DEFAULT 0
+    )
+  `);
+  
+  // Saved searches from before the service filter match every service
+  const columns = await savedDbAll(`PRAGMA table_info(saved_searches)`);
+  if (!columns.some(col => col.name === 'services')) {
+    await savedDbRun(`ALTER TABLE saved_searches ADD COLUMN services TEXT NOT NULL DEFAULT ''`);
+  }
+  
+  logger.debug('savedSearches', 'Saved searches initialized');
+}
+
+/**
+ * Shape a saved search row for the API
+ */
+const toSavedSearch = (row) => ({
+  id: row.id,
+  name: row.name,
+  query: row.query,
+  mode: row.mode,
+  contacts: row.contacts ? row.contacts.split(',') : [],
+  service: row.services || null,
+  from: row.date_from,
+  to: row.date_to,
+  created_at: row.created_at,
+  unread_count: row.unread_count
+});
+
+/**
+ * Get all saved searches, alphabetically
+ * @returns {Promise<Object[]>}
+ */
+async function listSavedSearches() {
+  const rows = await savedDbAll(`SELECT * FROM saved_searches ORDER BY name COLLATE NOCASE`);
+  return rows.map(toSavedSearch);
+}
+
+/**
+ * Get a saved search by ID
+ * @returns {Promise<Object|null>}
+ */
+async function getSavedSearch(id) {
+  const row = await savedDbGet(`SELECT * FROM saved_searches WHERE id = ?`, [id]);
+  return row ? toSavedSearch(row) : null;
+}
+
+/**
+ * Save a search; messages that already exist don't count as unread
+ * @param {{ name: string, query: string, mode: string, contacts: string[], services: string[], from: string|null, to: string|null }} search -
+ *   Validated by the caller
+ * @returns {Promise<Object>} - The saved search
+ */
+async function createSavedSearch({ name, query, mode, contacts, services, from, to }) {
+  const seenMessageId = await getLatestMessageId();
+  const result = await savedDbRun(`
+    INSERT INTO saved_searches (name, query, mode, contacts, services, date_from, date_to, created_at, seen_message_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [name, query, mode, contacts.join(','), services.join(','), from, to, Date.now(), seenMessageId]);
+  
+  return getSavedSearch(result.lastID);
+}
+
+/**
+ * Delete a saved search
+ * @returns {Promise<boolean>} - false if it didn't exist
+ */
+async function deleteSavedSearch(id) {
+  const result = await savedDbRun(`DELETE FROM saved_searches WHERE id = ?`, [id]);
+  return result.changes > 0;
+}
+
+/**
+ * Mark a saved search's matches as read (it was opened)
+ * @returns {Promise<Object|null>} - The updated saved search, or null if it doesn't exist
+ */
+async function markSavedSearchRead(id) {
+  const seenMessageId = await getLatestMessageId();
+  const result = await savedDbRun(
+    `UPDATE saved_searches SET seen_message_id = ?, unread_count = 0 WHERE id = ?`,
+    [seenMessageId, id]
+  );
+  return result.changes > 0 ? getSavedSearch(id) : null;
+}
+
+/**
+ * Build the search plan for a saved search
+ */
+async function prepareSavedSearch(row) {
+  const parsedQuery = parseSearchQuery(row.mode === 'regex' ? '' : row.query);
+  const filters = applyDateRange(parsedQuery.filters, row.date_from, row.date_to) || parsedQuery.filters;
+  const { regex } = row.mode === 'regex' ? compileSearchRegex(row.query) : {};
+  const identifiers = row.contacts ? getContactIdentifiers(row.contacts.split(',')) : [];
+  
+  return prepareSearch({ ...parsedQuery, filters }, row.query, {
+    mode: row.mode,
+    regex,
+    contactIdentifiers: identifiers.length > 0 ? identifiers : null,
+    services: row.services ? row.services.split(',') : null
+  });
+}
+
+/**
+ * Recount unread matches of every saved search
+ * Run after new messages are indexed. A search opened meanwhile keeps its
+ * zero count (the update only applies if its watermark hasn't moved).
+ * @returns {Promise<number>} - Number of saved searches whose count changed
+ */
+async function refreshUnreadCounts() {
+  const rows = await savedDbAll(`SELECT * FROM saved_searches`);
+  let changed = 0;
+  
+  for (const row of rows) {
+    try {
+      const plan = await prepareSavedSearch(row);
+      const unread = await countMatchesSince(plan, row.seen_message_id);
+      if (unread === row.unread_count) continue;
+      
+      const result = await savedDbRun(
+        `UPDATE saved_searches SET unread_count = ? WHERE id = ? AND seen_message_id = ?`,
+        [unread, row.id, row.seen_message_id]
+      );
+      changed += result.changes;
+    } catch (err) {
+      logger.error('savedSearches', `Failed to count matches for saved search ${row.id}`, err);
+    }
+  }
+  
+  return changed;
+}
+
+/**
+ * Close saved searches database connection
+ */
+function closeSavedSearches() {
+  if (savedDb) {
+    savedDb.close();
+    savedDb = null;
+  }
+}
+
+module.exports = {
+  initializeSavedSearches,
+  listSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  deleteSavedSearch,
+  markSavedSearchRead,
+  refreshUnreadCounts,
+  closeSavedSearches
+};
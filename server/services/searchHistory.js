@@ -0,0 +1,142 @@
+/**
+ * Search History Service
+ *
+ * Remembers past search queries in a sidecar SQLite database so they can be
+ * suggested again. Each query keeps a use count and when it was last used;
+ * suggestions favour queries that are both frequent and recent.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { CACHE_DIR, SEARCH_HISTORY_MAX_ENTRIES } = require('../config');
+const logger = require('../helpers/logger');
+
+const HISTORY_DB_PATH = path.join(CACHE_DIR, 'search_history.db');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let historyDb = null;
+
+/**
+ * Get or create the history database connection
+ */
+function getHistoryDb() {
+  if (historyDb) return historyDb;
+
+  historyDb = new sqlite3.Database(HISTORY_DB_PATH, (err) => {
+    if (err) {
+      logger.error('searchHistory', 'Failed to open history database', err);
+    }
+  });
+
+  return historyDb;
+}
+
+/**
+ * Promisified db operations
+ */
+function historyDbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getHistoryDb().run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+function historyDbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    getHistoryDb().all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+/**
+ * Initialize history schema
+ * Queries are unique case-insensitively; the latest spelling is kept.
+ */
+async function initializeHistory() {
+  await historyDbRun(`
+    CREATE TABLE IF NOT EXISTS search_history (
+      query TEXT PRIMARY KEY COLLATE NOCASE,
+      use_count INTEGER NOT NULL DEFAULT 1,
+      last_used INTEGER NOT NULL
+    )
+  `);
+
+  logger.debug('searchHistory', 'History initialized');
+}
+
+/**
+ * Remember that a query was searched
+ * Drops the least recently used queries beyond SEARCH_HISTORY_MAX_ENTRIES.
+ * @param {string} query - Search query as typed
+ */
+async function recordSearch(query) {
+  const trimmed = (query || '').trim();
+  if (!trimmed) return;
+
+  await historyDbRun(`
+    INSERT INTO search_history (query, use_count, last_used) VALUES (?, 1, ?)
+    ON CONFLICT(query) DO UPDATE SET
+      query = excluded.query,
+      use_count = use_count + 1,
+      last_used = excluded.last_used
+  `, [trimmed, Date.now()]);
+
+  await historyDbRun(`
+    DELETE FROM search_history WHERE query NOT IN (
+      SELECT query FROM search_history ORDER BY last_used DESC LIMIT ?
+    )
+  `, [SEARCH_HISTORY_MAX_ENTRIES]);
+}
+
+/**
+ * Get past queries starting with a prefix, best first
+ *
+ * Queries are ranked by use count, decayed by days since last use, so a
+ * query searched daily beats one searched often a year ago. With no prefix
+ * this is simply the recent history.
+ *
+ * @param {string} prefix - Start of the query (case-insensitive)
+ * @param {number} limit - Max queries to return
+ * @returns {Promise<Array<{ query: string, use_count: number, last_used: number }>>}
+ */
+async function getSearchHistory(prefix, limit) {
+  const escaped = (prefix || '').replace(/[\\%_]/g, char => `\\${char}`);
+
+  return historyDbAll(`
+    SELECT query, use_count, last_used FROM search_history
+    WHERE query LIKE ? ESCAPE '\\'
+    ORDER BY use_count / (1.0 + (? - last_used) / ?) DESC, last_used DESC
+    LIMIT ?
+  `, [`${escaped}%`, Date.now(), DAY_MS, limit]);
+}
+
+/**
+ * Forget all past queries
+ * @returns {Promise<number>} - Number of queries removed
+ */
+async function clearSearchHistory() {
+  const result = await historyDbRun(`DELETE FROM search_history`);
+  return result.changes;
+}
+
+/**
+ * Close history database connection
+ */
+function closeHistory() {
+  if (historyDb) {
+    historyDb.close();
+    historyDb = null;
+  }
+}
+
+module.exports = {
+  initializeHistory,
+  recordSearch,
+  getSearchHistory,
+  clearSearchHistory,
+  closeHistory
+};
@@ -4,13 +4,101 @@
  * Pre-extracts text from attributedBody blobs and stores in a SQLite cache
  * for fast full-text search. This avoids loading 40K+ binary blobs into
  * memory on every search query.
+ * 
+ * message_text holds one row per searchable document: a message's extracted
+ * text, an attachment filename, a group chat name or a shared link's preview
+ * title (see DOCUMENT_KINDS). message_fts is an FTS5 index over it (external
+ * content, kept in sync by triggers) used for matching, BM25 ranking and
+ * snippets; its tokenizer ignores case and accents. Each row also keeps
+ * search_text, the text run through normalizeSearchText(), for matching
+ * what the tokenizer skips (emoji, punctuation); text stays as written
+ * for display.
+ * 
+ * search_terms mirrors the FTS vocabulary with a trigram index on top, so
+ * fuzzy mode and "did you mean" can find terms close to a misspelled word.
+ * 
+ * Each row also records who sent it (is_from_me, handle_id, sender), and
+ * chat_handles maps chats to participant identifiers, so contact filters
+ * and result enrichment are single queries against the index.
+ * 
+ * The index is versioned (SEARCH_INDEX_VERSION in index_metadata): an index
+ * built by another version is dropped and rebuilt, as is one rebuilt on
+ * request via rebuildIndex().
+ * 
+ * Indexing only moves forward by ROWID; reconcileIndex() periodically
+ * applies edits, unsends and deletions to rows already indexed. Tapback
+ * rows (reactions, see helpers/reactions) aren't messages and are skipped.
+ * 
+ * Message text is extracted and normalized by a worker thread pool
+ * (processors/textExtraction) and written in multi-row batches, so a first
+ * build doesn't block request handling; getBuildProgress() reports how far
+ * it got.
+ * 
+ * chat.db is attached read-only to the index connection so structured
+ * query filters (in:, has:, ...) can join against it.
  */
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
-const { CACHE_DIR, SEARCH_INDEX_BATCH_SIZE } = require('../config');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const {
+  CACHE_DIR,
+  IMESSAGE_DB_PATH,
+  SEARCH_INDEX_BATCH_SIZE,
+  SEARCH_INDEX_INSERT_ROWS,
+  SEARCH_INDEX_VERSION,
+  SEARCH_SNIPPET_TOKENS,
+  FUZZY_CANDIDATE_LIMIT,
+  FUZZY_ABBREVIATION_SCAN_LIMIT,
+  FUZZY_TERMS_PER_WORD,
+  SEARCH_SUGGESTION_LIMIT,
+  REGEX_SEARCH_TIMEOUT,
+  REGEX_SEARCH_MAX_SCAN_ROWS,
+  REGEX_SEARCH_BATCH_SIZE,
+  SIMILAR_QUERY_TERMS,
+  SIMILAR_CANDIDATE_LIMIT,
+  DEFAULT_SIMILAR_LIMIT,
+  SIMILAR_MAX_TERM_DOC_RATIO,
+  DEFAULT_SEARCH_PAGE_SIZE,
+  MAX_SEARCH_SCAN_LIMIT,
+  SEARCH_GROUP_LIMIT,
+  SEARCH_GROUP_HITS,
+  MAC_EPOCH_MS
+} = require('../config');
 const { dbAll, dbGet } = require('../db/connection');
-const { extractTextFromAttributedBody } = require('../helpers/text');
+const { getIndexableText } = require('../helpers/text');
+const { NOT_TAPBACK } = require('../helpers/reactions');
+const { normalizeSearchText } = require('../helpers/unicode');
+const {
+  buildFtsMatch,
+  buildFuzzyFtsMatch,
+  buildFtsExclusion,
+  getSymbolTerms,
+  extractWords,
+  parseSnippet,
+  buildRegexSnippet,
+  buildSearchFacets,
+  encodeSearchCursor,
+  SEARCH_TERM_REGEX,
+  SNIPPET_MATCH_START,
+  SNIPPET_MATCH_END
+} = require('../helpers/search');
+const {
+  MIN_FUZZY_WORD_LENGTH,
+  normalizeWord,
+  rankTermCandidates,
+  scoreFuzzyMatch
+} = require('../helpers/fuzzy');
+const { buildSearchQueryFilter, buildServiceFilter, MESSAGES_SCHEMA } = require('../helpers/filters');
+const {
+  countTerms,
+  buildTfIdfVector,
+  cosineSimilarity,
+  selectQueryTerms
+} = require('../helpers/similarity');
+const { getPreviewTitlesSince } = require('./linkPreviewCache');
+const { textExtractionPool } = require('../processors/textExtraction');
 const logger = require('../helpers/logger');
 
 // Search index database path
@@ -19,13 +107,70 @@ const SEARCH_INDEX_PATH = path.join(CACHE_DIR, 'search_index.db');
 // Index database connection
 let indexDb = null;
 
+// Tail of the queue of index writes (see serializeWrite)
+let writeQueue = Promise.resolve();
+
+// Build in progress (see buildIndex) and its progress for getIndexStats()
+let buildPromise = null;
+let buildProgress = null;
+
+// Prepared upsert of SEARCH_INDEX_INSERT_ROWS documents (see upsertDocuments)
+let upsertStatement = null;
+
+// Settles once a build has (re)created the tables; searches wait on it
+// rather than read tables that are being dropped
+let schemaReady = Promise.resolve();
+
+// Retries when a table can't be dropped because a search is reading it
+const DROP_TABLE_ATTEMPTS = 20;
+const DROP_TABLE_RETRY_DELAY = 100;
+
+// Tables holding indexed data, dropped when the index is rebuilt
+// (virtual tables first: dropping them cleans up their shadow tables)
+const INDEX_TABLES = [
+  'message_vocab',
+  'search_terms_trigram',
+  'message_fts',
+  'search_terms',
+  'chat_handles',
+  'message_text'
+];
+
+// Highlights kept per regex match
+const MAX_REGEX_RANGES = 10;
+
+// Searchable document kinds in message_text, by what source_id / source_key point at:
+// - message: message ROWID; text is the message body
+// - attachment: attachment ROWID; text is its filename (transfer_name)
+// - chat: chat ROWID; text is the group chat's name (no message_id)
+// - link: message ROWID + URL; text is the cached link preview title
+const DOCUMENT_KINDS = ['message', 'attachment', 'chat', 'link'];
+
+
+// Finds regex match ranges for a batch of rows. Runs in a vm context so a
+// catastrophically backtracking pattern can be interrupted by a timeout.
+const REGEX_MATCH_SCRIPT = new vm.Script(`
+  matches = rows.map(row => {
+    const ranges = [];
+    regex.lastIndex = 0;
+    let match;
+    while (ranges.length < maxRanges && (match = regex.exec(row.text)) !== null) {
+      ranges.push([match.index, match.index + match[0].length]);
+      if (match[0].length === 0) regex.lastIndex++;
+    }
+    return ranges;
+  });
+`);
+
 /**
  * Get or create the search index database connection
  */
 function getIndexDb() {
   if (indexDb) return indexDb;
   
-  indexDb = new sqlite3.Database(SEARCH_INDEX_PATH, (err) => {
+  // OPEN_URI lets chat.db be attached with ?mode=ro
+  const mode = sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE | sqlite3.OPEN_URI;
+  indexDb = new sqlite3.Database(SEARCH_INDEX_PATH, mode, (err) => {
     if (err) {
       logger.error('searchIndex', 'Failed to open search index database', err);
     }
@@ -70,18 +215,30 @@ function indexDbGet(sql, params = []) {
 async function initializeSchema() {
   await indexDbRun(`
     CREATE TABLE IF NOT EXISTS message_text (
-      message_id INTEGER PRIMARY KEY,
+      doc_id INTEGER PRIMARY KEY,
+      kind TEXT NOT NULL DEFAULT 'message',
+      source_id INTEGER NOT NULL,
+      source_key TEXT NOT NULL DEFAULT '',
+      message_id INTEGER,
       text TEXT,
+      search_text TEXT,
       date INTEGER,
-      chat_id INTEGER
+      chat_id INTEGER,
+      is_from_me INTEGER NOT NULL DEFAULT 0,
+      handle_id INTEGER,
+      sender TEXT,
+      UNIQUE (kind, source_id, source_key)
     )
   `);
   
   await indexDbRun(`
-    CREATE INDEX IF NOT EXISTS idx_message_text_text 
-    ON message_text(text)
+    CREATE INDEX IF NOT EXISTS idx_message_text_message 
+    ON message_text(message_id)
   `);
   
+  // Superseded by message_fts (a b-tree index can't serve LIKE '%q%')
+  await indexDbRun(`DROP INDEX IF EXISTS idx_message_text_text`);
+  
   await indexDbRun(`
     CREATE INDEX IF NOT EXISTS idx_message_text_date 
     ON message_text(date DESC)
@@ -93,33 +250,373 @@ async function initializeSchema() {
       value TEXT
     )
   `);
+  
+  await initializeFtsSchema();
+  await initializeTermSchema();
+  await attachMessagesDb();
+  await initializeSenderSchema();
+}
+
+/**
+ * Create the sender indexes and the chat participant table
+ */
+async function initializeSenderSchema() {
+  await indexDbRun(`
+    CREATE INDEX IF NOT EXISTS idx_message_text_chat 
+    ON message_text(chat_id, date DESC)
+  `);
+  
+  await indexDbRun(`
+    CREATE INDEX IF NOT EXISTS idx_message_text_sender 
+    ON message_text(sender)
+  `);
+  
+  await indexDbRun(`
+    CREATE TABLE IF NOT EXISTS chat_handles (
+      chat_id INTEGER NOT NULL,
+      handle_id INTEGER NOT NULL,
+      identifier TEXT NOT NULL,
+      PRIMARY KEY (chat_id, handle_id)
+    ) WITHOUT ROWID
+  `);
+  
+  await indexDbRun(`
+    CREATE INDEX IF NOT EXISTS idx_chat_handles_identifier 
+    ON chat_handles(identifier)
+  `);
+  
+  await syncChatHandles();
+}
+
+/**
+ * Refresh chat_handles from chat.db (participants join and leave group chats)
+ */
+async function syncChatHandles() {
+  await indexDbRun('SAVEPOINT sync_chat_handles');
+  try {
+    await indexDbRun(`DELETE FROM chat_handles`);
+    await indexDbRun(`
+      INSERT OR IGNORE INTO chat_handles (chat_id, handle_id, identifier)
+      SELECT chj.chat_id, chj.handle_id, h.id
+      FROM ${MESSAGES_SCHEMA}.chat_handle_join chj
+      JOIN ${MESSAGES_SCHEMA}.handle h ON h.ROWID = chj.handle_id
+      WHERE h.id IS NOT NULL
+    `);
+    await indexDbRun('RELEASE sync_chat_handles');
+  } catch (err) {
+    await indexDbRun('ROLLBACK TO sync_chat_handles');
+    await indexDbRun('RELEASE sync_chat_handles');
+    throw err;
+  }
+}
+
+/**
+ * Create the vocabulary tables used for fuzzy matching
+ * 
+ * message_vocab is a live view of the FTS vocabulary; search_terms copies it
+ * (see syncSearchTerms) so search_terms_trigram can index each term's trigrams.
+ */
+async function initializeTermSchema() {
+  await indexDbRun(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS message_vocab USING fts5vocab(message_fts, 'row')
+  `);
+  
+  await indexDbRun(`
+    CREATE TABLE IF NOT EXISTS search_terms (
+      id INTEGER PRIMARY KEY,
+      term TEXT UNIQUE
+    )
+  `);
+  
+  await indexDbRun(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS search_terms_trigram USING fts5(
+      term,
+      content = 'search_terms',
+      content_rowid = 'id',
+      tokenize = 'trigram'
+    )
+  `);
+  
+  await indexDbRun(`
+    CREATE TRIGGER IF NOT EXISTS search_terms_ai AFTER INSERT ON search_terms BEGIN
+      INSERT INTO search_terms_trigram (rowid, term) VALUES (new.id, new.term);
+    END
+  `);
+  
+  await syncSearchTerms();
+}
+
+/**
+ * Copy new FTS vocabulary terms into search_terms
+ * Terms whose messages are gone are left behind; lookups join back to
+ * message_vocab, which drops them.
+ */
+async function syncSearchTerms() {
+  await indexDbRun(`
+    INSERT OR IGNORE INTO search_terms (term)
+    SELECT term FROM message_vocab WHERE length(term) >= ?
+  `, [MIN_FUZZY_WORD_LENGTH]);
+}
+
+/**
+ * Attach chat.db (read-only) to the index connection for query filters
+ */
+async function attachMessagesDb() {
+  const databases = await indexDbAll(`PRAGMA database_list`);
+  if (databases.some(db => db.name === MESSAGES_SCHEMA)) return;
+  
+  const uri = `${pathToFileURL(IMESSAGE_DB_PATH).href}?mode=ro`;
+  await indexDbRun(`ATTACH DATABASE ? AS ${MESSAGES_SCHEMA}`, [uri]);
+}
+
+/**
+ * Create the FTS5 index over message_text and the triggers that keep it in sync
+ * 
+ * Indexes created before FTS existed are backfilled from message_text.
+ */
+async function initializeFtsSchema() {
+  const existing = await indexDbGet(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'message_fts'`
+  );
+  
+  await indexDbRun(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS message_fts USING fts5(
+      text,
+      content = 'message_text',
+      content_rowid = 'doc_id',
+      tokenize = 'unicode61 remove_diacritics 2',
+      prefix = '2 3'
+    )
+  `);
+  
+  await indexDbRun(`
+    CREATE TRIGGER IF NOT EXISTS message_text_ai AFTER INSERT ON message_text BEGIN
+      INSERT INTO message_fts (rowid, text) VALUES (new.doc_id, new.text);
+    END
+  `);
+  
+  await indexDbRun(`
+    CREATE TRIGGER IF NOT EXISTS message_text_ad AFTER DELETE ON message_text BEGIN
+      INSERT INTO message_fts (message_fts, rowid, text) VALUES ('delete', old.doc_id, old.text);
+    END
+  `);
+  
+  await indexDbRun(`
+    CREATE TRIGGER IF NOT EXISTS message_text_au AFTER UPDATE OF text ON message_text BEGIN
+      INSERT INTO message_fts (message_fts, rowid, text) VALUES ('delete', old.doc_id, old.text);
+      INSERT INTO message_fts (rowid, text) VALUES (new.doc_id, new.text);
+    END
+  `);
+  
+  if (!existing) {
+    logger.info('searchIndex', 'Building full-text index from existing messages...');
+    await indexDbRun(`INSERT INTO message_fts (message_fts) VALUES ('rebuild')`);
+  }
+}
+
+/**
+ * Read an index_metadata value (null if unset)
+ */
+async function getMetadata(key) {
+  const row = await indexDbGet(`SELECT value FROM index_metadata WHERE key = ?`, [key]);
+  return row ? row.value : null;
+}
+
+/**
+ * Write an index_metadata value
+ */
+async function setMetadata(key, value) {
+  await indexDbRun(`INSERT OR REPLACE INTO index_metadata (key, value) VALUES (?, ?)`, [key, value]);
 }
 
 /**
  * Get the last indexed message ID
  */
 async function getLastIndexedId() {
-  const row = await indexDbGet(
-    `SELECT value FROM index_metadata WHERE key = 'last_message_id'`
-  );
-  return row ? parseInt(row.value) : 0;
+  const value = await getMetadata('last_message_id');
+  return value !== null ? parseInt(value) : 0;
 }
 
 /**
  * Set the last indexed message ID
  */
 async function setLastIndexedId(messageId) {
-  await indexDbRun(
-    `INSERT OR REPLACE INTO index_metadata (key, value) VALUES ('last_message_id', ?)`,
-    [String(messageId)]
-  );
+  await setMetadata('last_message_id', String(messageId));
+}
+
+/**
+ * Run index writes one at a time
+ * Indexing and reconciliation share one connection, so their transactions
+ * must not interleave.
+ */
+function serializeWrite(task) {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
 }
 
 /**
  * Index new messages since last indexed ID
  * Returns the number of messages indexed
  */
-async function indexNewMessages(batchSize = 1000) {
+function indexNewMessages(batchSize = 1000) {
+  return serializeWrite(() => indexMessageBatch(batchSize));
+}
+
+/**
+ * Build an upsert of `count` search documents
+ * Upserts (not INSERT OR REPLACE) so the FTS update trigger fires.
+ */
+const buildUpsertSql = (count) => `
+  INSERT INTO message_text
+    (kind, source_id, source_key, message_id, text, search_text, date, chat_id, is_from_me, handle_id, sender)
+  VALUES ${Array(count).fill('(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+  ON CONFLICT(kind, source_id, source_key) DO UPDATE SET
+    message_id = excluded.message_id, text = excluded.text, search_text = excluded.search_text,
+    date = excluded.date, chat_id = excluded.chat_id, is_from_me = excluded.is_from_me,
+    handle_id = excluded.handle_id, sender = excluded.sender
+`;
+
+/**
+ * Columns a message's documents share, from a chat.db message row
+ * ({ message_id, date, chat_id, is_from_me, handle_id, sender })
+ */
+const toMessageDocumentBase = (msg) => ({
+  message_id: msg.message_id,
+  date: msg.date,
+  chat_id: msg.chat_id,
+  is_from_me: msg.is_from_me ? 1 : 0,
+  handle_id: msg.handle_id,
+  // Sent messages' handle_id is the recipient, not the sender
+  sender: msg.is_from_me ? null : msg.sender
+});
+
+/**
+ * Bound values of a search document, in buildUpsertSql column order
+ */
+const toDocumentParams = (doc) => [
+  doc.kind, doc.source_id, doc.source_key || '', doc.message_id ?? null,
+  doc.text, doc.search_text ?? normalizeSearchText(doc.text),
+  doc.date ?? null, doc.chat_id ?? null, doc.is_from_me || 0, doc.handle_id ?? null, doc.sender ?? null
+];
+
+/**
+ * Run the prepared full-chunk upsert
+ * A failed statement is discarded and prepared again next time.
+ */
+function runUpsertStatement(params) {
+  if (!upsertStatement) {
+    upsertStatement = getIndexDb().prepare(buildUpsertSql(SEARCH_INDEX_INSERT_ROWS));
+  }
+  
+  const statement = upsertStatement;
+  return new Promise((resolve, reject) => {
+    statement.run(params, (err) => {
+      if (!err) return resolve();
+      if (upsertStatement === statement) finalizeUpsertStatement();
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Release the prepared upsert (before dropping tables or closing)
+ */
+function finalizeUpsertStatement() {
+  if (upsertStatement) {
+    upsertStatement.finalize();
+    upsertStatement = null;
+  }
+}
+
+/**
+ * Insert or update search documents
+ * Documents are written SEARCH_INDEX_INSERT_ROWS per statement; full chunks
+ * reuse one prepared statement.
+ * @param {Object[]} docs - message_text columns; kind, source_id and text are required,
+ *   search_text defaults to the normalized text
+ */
+async function upsertDocuments(docs) {
+  for (let i = 0; i < docs.length; i += SEARCH_INDEX_INSERT_ROWS) {
+    const chunk = docs.slice(i, i + SEARCH_INDEX_INSERT_ROWS);
+    const params = chunk.flatMap(toDocumentParams);
+    
+    if (chunk.length === SEARCH_INDEX_INSERT_ROWS) {
+      await runUpsertStatement(params);
+    } else {
+      await indexDbRun(buildUpsertSql(chunk.length), params);
+    }
+  }
+}
+
+/**
+ * Get attachment filenames for messages in (afterId, maxId]
+ * @returns {Promise<Map<number, Array<{ id: number, name: string }>>>} - By message ID
+ */
+async function getAttachmentNames(afterId, maxId) {
+  const rows = await dbAll(`
+    SELECT maj.message_id, a.ROWID as attachment_id, a.transfer_name
+    FROM message_attachment_join maj
+    JOIN attachment a ON a.ROWID = maj.attachment_id
+    WHERE maj.message_id > ? AND maj.message_id <= ?
+      AND a.transfer_name IS NOT NULL AND a.transfer_name != ''
+      AND a.transfer_name NOT LIKE '%pluginPayloadAttachment%'
+  `, [afterId, maxId]);
+  
+  const byMessage = new Map();
+  rows.forEach(row => {
+    if (!byMessage.has(row.message_id)) byMessage.set(row.message_id, []);
+    byMessage.get(row.message_id).push({ id: row.attachment_id, name: row.transfer_name });
+  });
+  return byMessage;
+}
+
+/**
+ * Sync group chat names into chat documents
+ * Each is dated by its chat's latest indexed message, so date sorting puts
+ * active chats first; only renamed chats and those with new messages are
+ * redated. Renamed chats are updated and unnamed ones removed.
+ * @param {number[]} activeChatIds - Chats with newly indexed messages
+ */
+async function syncChatNames(activeChatIds) {
+  const renamed = await indexDbAll(`
+    SELECT c.ROWID as chat_id, c.display_name
+    FROM ${MESSAGES_SCHEMA}.chat c
+    LEFT JOIN message_text mt ON mt.kind = 'chat' AND mt.source_id = c.ROWID
+    WHERE c.display_name IS NOT NULL AND c.display_name != ''
+      AND mt.text IS NOT c.display_name
+  `);
+  await upsertDocuments(renamed.map(chat => ({
+    kind: 'chat', source_id: chat.chat_id, chat_id: chat.chat_id, text: chat.display_name
+  })));
+  
+  await indexDbRun(`
+    DELETE FROM message_text
+    WHERE kind = 'chat' AND source_id NOT IN (
+      SELECT ROWID FROM ${MESSAGES_SCHEMA}.chat WHERE display_name IS NOT NULL AND display_name != ''
+    )
+  `);
+  
+  const redated = [...new Set([...activeChatIds, ...renamed.map(chat => chat.chat_id)])];
+  if (redated.length === 0) return;
+  
+  // Only the date changes, so the FTS update trigger (text only) doesn't fire.
+  // The chat document's own date is at most the max, so including it is harmless
+  // and lets MAX() use idx_message_text_chat.
+  await indexDbRun(`
+    UPDATE message_text SET date = (
+      SELECT MAX(m.date) FROM message_text m WHERE m.chat_id = message_text.chat_id
+    )
+    WHERE kind = 'chat' AND source_id IN (${redated.map(() => '?').join(',')})
+  `, redated);
+}
+
+/**
+ * Index one batch of messages after the last indexed ID
+ * Text is extracted by the worker pool (see processors/textExtraction),
+ * then written in one transaction.
+ */
+async function indexMessageBatch(batchSize) {
   const lastId = await getLastIndexedId();
   
   // Get messages that need indexing
@@ -129,10 +626,14 @@ async function indexNewMessages(batchSize = 1000) {
       m.text,
       m.attributedBody,
       m.date,
+      m.is_from_me,
+      m.handle_id,
+      h.id as sender,
       cmj.chat_id
     FROM message m
     JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
-    WHERE m.ROWID > ?
+    LEFT JOIN handle h ON m.handle_id = h.ROWID
+    WHERE m.ROWID > ? AND ${NOT_TAPBACK}
     ORDER BY m.ROWID ASC
     LIMIT ?
   `, [lastId, batchSize]);
@@ -141,32 +642,36 @@ async function indexNewMessages(batchSize = 1000) {
     return 0;
   }
   
-  // Begin transaction for batch insert
-  await indexDbRun('BEGIN TRANSACTION');
+  const maxId = messages[messages.length - 1].message_id;
+  const attachments = await getAttachmentNames(lastId, maxId);
+  const texts = await textExtractionPool.extract(
+    messages.map(msg => ({ text: msg.text, attributedBody: msg.attributedBody }))
+  );
   
-  try {
-    let maxId = lastId;
+  const docs = [];
+  messages.forEach((msg, i) => {
+    const doc = toMessageDocumentBase(msg);
     
-    for (const msg of messages) {
-      // Get text from either column or attributedBody
-      let text = msg.text;
-      if ((!text || text.trim().length < 2) && msg.attributedBody) {
-        text = extractTextFromAttributedBody(msg.attributedBody);
-      }
-      
-      if (text && text.trim()) {
-        await indexDbRun(
-          `INSERT OR REPLACE INTO message_text (message_id, text, date, chat_id) VALUES (?, ?, ?, ?)`,
-          [msg.message_id, text.trim(), msg.date, msg.chat_id]
-        );
-      }
-      
-      maxId = Math.max(maxId, msg.message_id);
+    if (texts[i]) {
+      docs.push({ ...doc, ...texts[i], kind: 'message', source_id: msg.message_id });
     }
     
+    for (const attachment of attachments.get(msg.message_id) || []) {
+      docs.push({ ...doc, kind: 'attachment', source_id: attachment.id, text: attachment.name });
+    }
+  });
+  
+  await indexDbRun('BEGIN TRANSACTION');
+  
+  try {
+    await upsertDocuments(docs);
     await setLastIndexedId(maxId);
+    await syncChatHandles();
+    await syncChatNames(messages.map(msg => msg.chat_id));
     await indexDbRun('COMMIT');
     
+    await syncSearchTerms();
+    
     return messages.length;
   } catch (err) {
     await indexDbRun('ROLLBACK');
@@ -176,29 +681,70 @@ async function indexNewMessages(batchSize = 1000) {
 
 /**
  * Build or update the complete search index
+ * 
+ * Indexes from another SEARCH_INDEX_VERSION are dropped and rebuilt first.
+ * Concurrent calls share the build in progress.
+ * 
+ * @param {function} onProgress - Called after each batch with { indexed, batch }
+ * @returns {Promise<number>} - Messages indexed
+ */
+function buildIndex(onProgress) {
+  if (!buildPromise) {
+    buildPromise = runBuild(onProgress).finally(() => {
+      buildPromise = null;
+    });
+  }
+  return buildPromise;
+}
+
+/**
+ * Build body (see buildIndex)
  */
-async function buildIndex(onProgress) {
+async function runBuild(onProgress, force = false) {
   logger.info('searchIndex', 'Starting index build...');
   const startTime = Date.now();
   
-  await initializeSchema();
+  // Tables may be dropped and recreated, so no other write can run in between
+  const schemaTask = serializeWrite(async () => {
+    const dropped = await ensureIndexVersion(force);
+    await initializeSchema();
+    return dropped;
+  });
+  schemaReady = schemaTask.catch(() => {});
+  const rebuilding = await schemaTask;
+  
+  const lastId = await getLastIndexedId();
+  const pending = await dbGet(`SELECT COUNT(*) as count FROM message m WHERE m.ROWID > ? AND ${NOT_TAPBACK}`, [lastId]);
+  buildProgress = {
+    state: rebuilding ? 'rebuilding' : 'indexing',
+    indexed: 0,
+    total: pending?.count || 0,
+    startedAt: startTime
+  };
   
   let totalIndexed = 0;
   let batch = 0;
   
-  while (true) {
-    const indexed = await indexNewMessages(5000);
-    totalIndexed += indexed;
-    batch++;
-    
-    if (onProgress) {
-      onProgress({ indexed: totalIndexed, batch });
-    }
-    
-    if (indexed < 5000) {
-      // No more messages to index
-      break;
+  try {
+    while (true) {
+      const indexed = await indexNewMessages(SEARCH_INDEX_BATCH_SIZE);
+      totalIndexed += indexed;
+      batch++;
+      
+      // Counts messages read (some have no text), so it tracks `total`
+      buildProgress.indexed = Math.min(buildProgress.total, batch * SEARCH_INDEX_BATCH_SIZE);
+      
+      if (onProgress) {
+        onProgress({ indexed: totalIndexed, batch });
+      }
+      
+      if (indexed < SEARCH_INDEX_BATCH_SIZE) {
+        // No more messages to index
+        break;
+      }
     }
+  } finally {
+    buildProgress = null;
   }
   
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -208,42 +754,1113 @@ async function buildIndex(onProgress) {
 }
 
 /**
- * Search the index for matching messages
+ * Drop an index built with a different SEARCH_INDEX_VERSION
+ * @param {boolean} force - Drop the index regardless of version
+ * @returns {Promise<boolean>} - Whether an existing index was dropped
  */
-async function searchIndex(query, options = {}) {
-  const { limit = 1000, contactFilter = '', filterParams = [] } = options;
+async function ensureIndexVersion(force) {
+  await indexDbRun(`
+    CREATE TABLE IF NOT EXISTS index_metadata (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    )
+  `);
   
-  // Use LIKE for now (could upgrade to FTS5 for better performance)
-  const rows = await indexDbAll(`
-    SELECT message_id, text, date, chat_id
-    FROM message_text
-    WHERE text LIKE ?
-    ORDER BY date DESC
-    LIMIT ?
-  `, [`%${query}%`, limit]);
+  const version = await getMetadata('index_version');
+  if (version === String(SEARCH_INDEX_VERSION) && !force) return false;
   
-  return rows;
+  const existing = await indexDbGet(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'message_text'`
+  );
+  if (existing) {
+    // Indexes from before versioning count as version 1
+    logger.info('searchIndex', force
+      ? 'Rebuilding index on request...'
+      : `Index version ${version || 1} is outdated, rebuilding as version ${SEARCH_INDEX_VERSION}...`);
+    await dropIndexTables();
+  }
+  
+  await setMetadata('index_version', String(SEARCH_INDEX_VERSION));
+  return Boolean(existing);
 }
 
 /**
- * Get index statistics
+ * Drop all indexed data (tables are recreated by initializeSchema)
  */
-async function getIndexStats() {
-  const countRow = await indexDbGet(`SELECT COUNT(*) as count FROM message_text`);
-  const lastId = await getLastIndexedId();
+async function dropIndexTables() {
+  finalizeUpsertStatement();
+  await indexDbRun('BEGIN TRANSACTION');
+  try {
+    for (const table of INDEX_TABLES) {
+      await dropTableWhenIdle(table);
+    }
+    await indexDbRun(`DELETE FROM index_metadata`);
+    await indexDbRun('COMMIT');
+  } catch (err) {
+    await indexDbRun('ROLLBACK');
+    throw err;
+  }
+}
+
+/**
+ * Drop a table, waiting out searches still reading it
+ * SQLite refuses to drop a table while a statement on the same connection
+ * is reading it (SQLITE_LOCKED).
+ */
+async function dropTableWhenIdle(table) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await indexDbRun(`DROP TABLE IF EXISTS ${table}`);
+      return;
+    } catch (err) {
+      if (err.code !== 'SQLITE_LOCKED' || attempt >= DROP_TABLE_ATTEMPTS) throw err;
+      await new Promise(resolve => setTimeout(resolve, DROP_TABLE_RETRY_DELAY));
+    }
+  }
+}
+
+/**
+ * Rebuild the search index from scratch in the background
+ * 
+ * Search keeps working meanwhile, over the messages indexed so far.
+ * 
+ * @returns {boolean} - false if a build was already running
+ */
+function rebuildIndex() {
+  if (buildPromise) return false;
   
-  return {
-    indexedMessages: countRow?.count || 0,
-    lastIndexedId: lastId
-  };
+  buildPromise = runBuild(null, true)
+    .catch(err => {
+      logger.error('searchIndex', 'Failed to rebuild search index', err);
+    })
+    .finally(() => {
+      buildPromise = null;
+    });
+  
+  return true;
 }
 
 /**
- * Check if index needs updating
+ * Bring already-indexed messages up to date with chat.db
+ * 
+ * Indexing only moves forward by ROWID, so this pass catches what changed
+ * behind it: edited messages get their new text (indexed even if they had
+ * none before), and unsent (retracted) or
+ * deleted messages are removed. Newly cached link preview titles are
+ * indexed too. Edits and unsends are found by
+ * date_edited/date_retracted past the last pass; deletions by ROWIDs that
+ * no longer exist in chat.db (see removeDeletedMessages).
+ * 
+ * @returns {Promise<{ updated: number, removed: number }>}
  */
-async function needsUpdate() {
+function reconcileIndex() {
+  return serializeWrite(reconcileChanges);
+}
+
+/**
+ * Reconciliation pass body (see reconcileIndex)
+ */
+async function reconcileChanges() {
+  const startTime = Date.now();
   const lastId = await getLastIndexedId();
-  const latestMsg = await dbGet(`SELECT MAX(ROWID) as max_id FROM message`);
+  const since = Number(await getMetadata('last_reconciled_change')) || 0;
+  
+  // Older macOS versions have no edit/unsend columns
+  const columns = await indexDbAll(`PRAGMA ${MESSAGES_SCHEMA}.table_info(message)`);
+  const tracksEdits = ['date_edited', 'date_retracted']
+    .every(name => columns.some(col => col.name === name));
+  
+  const changed = tracksEdits ? await dbAll(`
+    SELECT m.ROWID as message_id, m.text, m.attributedBody, m.date_edited, m.date_retracted,
+      m.date, m.is_from_me, m.handle_id, h.id as sender, cmj.chat_id
+    FROM message m
+    JOIN chat_message_join cmj ON m.ROWID = cmj.message_id
+    LEFT JOIN handle h ON m.handle_id = h.ROWID
+    WHERE m.ROWID <= ? AND (m.date_edited > ? OR m.date_retracted > ?)
+  `, [lastId, since, since]) : [];
+  
+  let updated = 0;
+  let removed = 0;
+  let latestChange = since;
+  
+  await indexDbRun('BEGIN TRANSACTION');
+  
+  try {
+    for (const msg of changed) {
+      latestChange = Math.max(latestChange, msg.date_edited || 0, msg.date_retracted || 0);
+      
+      const text = getIndexableText(msg);
+      
+      if (msg.date_retracted > 0) {
+        // Unsent: drop the message and its attachments and links
+        const result = await indexDbRun(`DELETE FROM message_text WHERE message_id = ?`, [msg.message_id]);
+        removed += result.changes;
+      } else if (!text) {
+        const result = await indexDbRun(
+          `DELETE FROM message_text WHERE kind = 'message' AND source_id = ?`,
+          [msg.message_id]
+        );
+        removed += result.changes;
+      } else {
+        const result = await indexDbRun(
+          `UPDATE message_text SET text = ?, search_text = ? WHERE kind = 'message' AND source_id = ? AND text IS NOT ?`,
+          [text, normalizeSearchText(text), msg.message_id, text]
+        );
+        updated += result.changes;
+        
+        // Messages without text until the edit (e.g. attachment-only) have no document yet
+        const indexed = result.changes > 0 || await indexDbGet(
+          `SELECT 1 FROM message_text WHERE kind = 'message' AND source_id = ?`,
+          [msg.message_id]
+        );
+        if (!indexed) {
+          await upsertDocuments([{ ...toMessageDocumentBase(msg), kind: 'message', source_id: msg.message_id, text }]);
+          updated++;
+        }
+      }
+    }
+    
+    removed += await removeDeletedMessages(lastId);
+    
+    const previous = JSON.parse(await getMetadata('last_reconciliation') || '{}');
+    await syncLinkTitles();
+    await setMetadata('last_reconciled_change', String(latestChange));
+    await setMetadata('last_reconciliation', JSON.stringify({
+      at: Date.now(),
+      checked: changed.length,
+      updated,
+      removed,
+      totalUpdated: (previous.totalUpdated || 0) + updated,
+      totalRemoved: (previous.totalRemoved || 0) + removed,
+      durationMs: Date.now() - startTime
+    }));
+    await indexDbRun('COMMIT');
+  } catch (err) {
+    await indexDbRun('ROLLBACK');
+    throw err;
+  }
+  
+  await syncSearchTerms();
+  
+  return { updated, removed };
+}
+
+/**
+ * Remove the documents of messages deleted from chat.db
+ * 
+ * ROWIDs only grow, so messages up to the last ROWID checked can be deleted
+ * but never added: while their count is unchanged, only messages indexed
+ * since the last check are looked up.
+ * 
+ * @param {number} lastId - Last indexed message ROWID
+ * @returns {Promise<number>} - Documents removed
+ */
+async function removeDeletedMessages(lastId) {
+  const countMessagesUpTo = async (messageId) => {
+    const row = await indexDbGet(
+      `SELECT COUNT(*) as count FROM ${MESSAGES_SCHEMA}.message WHERE ROWID <= ?`,
+      [messageId]
+    );
+    return row.count;
+  };
+  
+  const checked = JSON.parse(await getMetadata('last_deletion_check') || 'null');
+  const unchanged = checked && await countMessagesUpTo(checked.lastId) === checked.count;
+  const afterId = unchanged ? checked.lastId : 0;
+  
+  const deleted = await indexDbRun(`
+    DELETE FROM message_text
+    WHERE message_id > ?
+      AND message_id NOT IN (SELECT ROWID FROM ${MESSAGES_SCHEMA}.message WHERE ROWID > ?)
+  `, [afterId, afterId]);
+  
+  await setMetadata('last_deletion_check', JSON.stringify({ lastId, count: await countMessagesUpTo(lastId) }));
+  return deleted.changes;
+}
+
+/**
+ * Index titles of link previews cached since the last sync
+ * 
+ * Previews are fetched when links are viewed, usually long after the
+ * message was indexed, so titles are matched to already-indexed messages
+ * containing the URL. The URL's words narrow the messages down through the
+ * full-text index before the URL itself is compared.
+ */
+async function syncLinkTitles() {
+  const since = Number(await getMetadata('last_link_title_sync')) || 0;
+  const previews = await getPreviewTitlesSince(since);
+  if (previews.length === 0) return;
+  
+  for (const preview of previews) {
+    const urlMatch = buildFtsMatch([{ value: preview.url, phrase: true, negated: false }]);
+    if (!urlMatch) continue;
+    
+    await indexDbRun(`
+      INSERT INTO message_text
+        (kind, source_id, source_key, message_id, text, search_text, date, chat_id, is_from_me, handle_id, sender)
+      SELECT 'link', mt.message_id, ?, mt.message_id, ?, ?, mt.date, mt.chat_id, mt.is_from_me, mt.handle_id, mt.sender
+      FROM message_fts
+      JOIN message_text mt ON mt.doc_id = message_fts.rowid
+      WHERE message_fts MATCH ? AND mt.kind = 'message' AND instr(mt.text, ?) > 0
+      ON CONFLICT(kind, source_id, source_key) DO UPDATE SET
+        text = excluded.text, search_text = excluded.search_text
+      WHERE message_text.text IS NOT excluded.text
+    `, [preview.url, preview.title, normalizeSearchText(preview.title), urlMatch, preview.url]);
+  }
+  
+  await setMetadata('last_link_title_sync', String(previews[previews.length - 1].fetched_at));
+}
+
+/**
+ * Find vocabulary terms close to a (possibly misspelled) word
+ * 
+ * Candidates are terms sharing trigrams with the word, plus terms starting
+ * with the same letter (for abbreviations like "tmrw"); rankTermCandidates
+ * keeps the close ones.
+ * 
+ * @param {string} word - Query word
+ * @returns {Promise<Array<{ term: string, distance: number, doc: number }>>} - Closest first
+ */
+async function findSimilarTerms(word) {
+  const normalized = normalizeWord(word);
+  if (normalized.length < MIN_FUZZY_WORD_LENGTH) return [];
+  
+  const trigrams = [];
+  for (let i = 0; i + 3 <= normalized.length; i++) {
+    trigrams.push(`"${normalized.slice(i, i + 3)}"`);
+  }
+  
+  const similar = await indexDbAll(`
+    SELECT st.term, v.doc
+    FROM search_terms_trigram
+    JOIN search_terms st ON st.id = search_terms_trigram.rowid
+    JOIN message_vocab v ON v.term = st.term
+    WHERE search_terms_trigram MATCH ?
+    ORDER BY rank
+    LIMIT ?
+  `, [trigrams.join(' OR '), FUZZY_CANDIDATE_LIMIT]);
+  
+  const first = normalized[0];
+  const sameInitial = await indexDbAll(`
+    SELECT term, doc
+    FROM message_vocab
+    WHERE term >= ? AND term < ? AND length(term) > ?
+    LIMIT ?
+  `, [first, String.fromCodePoint(first.codePointAt(0) + 1), normalized.length, FUZZY_ABBREVIATION_SCAN_LIMIT]);
+  
+  const candidates = new Map();
+  [...similar, ...sameInitial].forEach(row => candidates.set(row.term, row));
+  
+  return rankTermCandidates(normalized, [...candidates.values()], FUZZY_TERMS_PER_WORD);
+}
+
+/**
+ * Check if any indexed term starts with a word
+ */
+async function hasTermWithPrefix(word) {
+  const normalized = normalizeWord(word);
+  const row = await indexDbGet(
+    `SELECT 1 FROM message_vocab WHERE term >= ? AND term < ? LIMIT 1`,
+    [normalized, `${normalized}\uffff`]
+  );
+  return Boolean(row);
+}
+
+/**
+ * Expand the plain query words into close vocabulary terms
+ * @returns {Promise<Array<{ word: string, candidates: Map<string, number> }>>} -
+ *   Normalized word with candidate term -> edit distance
+ */
+async function expandFuzzyWords(terms) {
+  const words = terms
+    .filter(t => !t.negated && !t.phrase)
+    .flatMap(t => extractWords(t.value));
+  
+  return Promise.all(words.map(async (word) => {
+    const similar = await findSimilarTerms(word);
+    return {
+      word: normalizeWord(word),
+      candidates: new Map(similar.map(s => [s.term, s.distance]))
+    };
+  }));
+}
+
+/**
+ * Suggest corrected queries ("did you mean") for a query with no results
+ * 
+ * Words that appear in the index are kept; each other word is replaced by
+ * its closest terms. Suggestion i uses each word's i-th closest term.
+ * 
+ * @param {Object} parsedQuery - Result of parseSearchQuery()
+ * @param {string} rawQuery - Original query text
+ * @returns {Promise<string[]>}
+ */
+async function getSpellingSuggestions(parsedQuery, rawQuery) {
+  await schemaReady;
+  
+  const words = parsedQuery.terms
+    .filter(t => !t.negated && !t.phrase)
+    .flatMap(t => extractWords(t.value));
+  
+  const corrections = [];
+  for (const word of words) {
+    if (normalizeWord(word).length < MIN_FUZZY_WORD_LENGTH || await hasTermWithPrefix(word)) continue;
+    const similar = await findSimilarTerms(word);
+    if (similar.length > 0) corrections.push({ word, terms: similar.map(s => s.term) });
+  }
+  
+  if (corrections.length === 0) return [];
+  
+  const suggestions = new Set();
+  for (let i = 0; i < SEARCH_SUGGESTION_LIMIT; i++) {
+    const suggestion = corrections.reduce((query, { word, terms }) => {
+      const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${word}(?![\\p{L}\\p{N}])`, 'iu');
+      return query.replace(pattern, terms[Math.min(i, terms.length - 1)]);
+    }, rawQuery.trim());
+    suggestions.add(suggestion);
+  }
+  
+  return [...suggestions];
+}
+
+/**
+ * Most common indexed terms starting with a prefix (for query autocomplete)
+ * @param {string} prefix - Start of a word
+ * @param {number} limit - Max terms to return
+ * @returns {Promise<string[]>} - Most frequent first
+ */
+async function getFrequentTerms(prefix, limit) {
+  await schemaReady;
+  
+  const normalized = normalizeWord(prefix);
+  if (!normalized) return [];
+  
+  const rows = await indexDbAll(`
+    SELECT term FROM message_vocab
+    WHERE term >= ? AND term < ? AND term != ?
+    ORDER BY doc DESC
+    LIMIT ?
+  `, [normalized, `${normalized}\uffff`, normalized, limit]);
+  
+  return rows.map(row => row.term);
+}
+
+// ============================================================
+// Search
+// ============================================================
+
+// Columns selected for each result row
+const RESULT_COLUMNS =
+  'mt.doc_id, mt.kind, mt.source_key, mt.message_id, mt.text, mt.date, mt.chat_id, mt.is_from_me, mt.sender';
+
+// Keyset condition for rows after a (date, doc_id) cursor, newest first
+const DATE_CURSOR_CLAUSE = '(mt.date < ? OR (mt.date = ? AND mt.doc_id < ?))';
+
+// Mac absolute time (ns) -> local 'YYYY-MM'
+const MONTH_EXPRESSION =
+  `strftime('%Y-%m', mt.date / 1000000000 + ${MAC_EPOCH_MS / 1000}, 'unixepoch', 'localtime')`;
+
+/**
+ * Compare result sort keys (negative if a comes first)
+ * Order: closeness (fuzzy), then BM25 score (relevance), then newest first.
+ */
+const compareSortKeys = (a, b) =>
+  (a.closeness ?? 0) - (b.closeness ?? 0) ||
+  (a.score ?? 0) - (b.score ?? 0) ||
+  b.date - a.date ||
+  b.doc_id - a.doc_id;
+
+/**
+ * Prepare a search: resolve fuzzy spellings and build the SQL shared by the
+ * results page, total count and facet queries
+ * 
+ * @param {Object} parsedQuery - Result of parseSearchQuery()
+ * @param {string} rawQuery - Original query text, used when it has no searchable words
+ * @param {Object} options
+ * @param {string} options.mode - 'exact', 'fuzzy' (also match close spellings,
+ *   closest first) or 'regex'
+ * @param {RegExp} options.regex - Compiled pattern for regex mode (see compileSearchRegex)
+ * @param {string[]|null} options.contactIdentifiers - Only match chats with
+ *   any of these participants (phone numbers / emails)
+ * @param {number[]|null} options.chatIds - Only match these chats (one conversation)
+ * @param {string[]|null} options.services - Only match messages sent over these
+ *   services ('iMessage', 'SMS', 'RCS')
+ * @returns {Promise<Object>} - Search plan for searchIndex() and getSearchSummary()
+ */
+async function prepareSearch(parsedQuery, rawQuery, options = {}) {
+  await schemaReady;
+  
+  const { mode = 'exact', regex = null, contactIdentifiers = null, chatIds = null, services = null } = options;
+  const { filter: queryFilter, params: queryParams } = buildSearchQueryFilter(parsedQuery.filters);
+  const { filter: serviceFilter, params: serviceParams } = buildServiceFilter(services);
+  
+  const contactClause = contactIdentifiers
+    ? ` AND mt.chat_id IN (
+        SELECT chat_id FROM chat_handles WHERE identifier IN (${contactIdentifiers.map(() => '?').join(',')})
+      )`
+    : '';
+  const chatClause = contactClause + (chatIds
+    ? ` AND mt.chat_id IN (${chatIds.map(() => '?').join(',')})`
+    : '') + serviceFilter;
+  const chatParams = [...(contactIdentifiers || []), ...(chatIds || []), ...serviceParams];
+  
+  if (mode === 'regex') {
+    return {
+      kind: 'regex',
+      regex,
+      from: 'FROM message_text mt',
+      where: `1=1${queryFilter}${chatClause}`,
+      params: [...queryParams, ...chatParams]
+    };
+  }
+  
+  const expansions = mode === 'fuzzy' ? await expandFuzzyWords(parsedQuery.terms) : null;
+  const ftsMatch = expansions
+    ? buildFuzzyFtsMatch(parsedQuery.terms, (word) => {
+        const expansion = expansions.find(e => e.word === normalizeWord(word));
+        return expansion ? [...expansion.candidates.keys()] : [];
+      })
+    : buildFtsMatch(parsedQuery.terms);
+  const ftsExclusion = buildFtsExclusion(parsedQuery.terms);
+  const symbols = getSymbolTerms(parsedQuery.terms);
+  
+  const exclusionClause = (ftsExclusion
+    ? ` AND mt.doc_id NOT IN (SELECT rowid FROM message_fts WHERE message_fts MATCH ?)`
+    : '') + symbols.excluded.map(() => ' AND instr(mt.search_text, ?) = 0').join('');
+  const filterSql = queryFilter + exclusionClause + chatClause;
+  const filterParams = [...queryParams, ...(ftsExclusion ? [ftsExclusion] : []), ...symbols.excluded, ...chatParams];
+  
+  // Emoji and punctuation terms aren't in the FTS index
+  const symbolClause = symbols.included.map(() => ' AND instr(mt.search_text, ?) > 0').join('');
+  
+  if (ftsMatch) {
+    return {
+      kind: 'fts',
+      ftsMatch,
+      expansions,
+      from: 'FROM message_fts JOIN message_text mt ON mt.doc_id = message_fts.rowid',
+      where: `message_fts MATCH ?${symbolClause}${filterSql}`,
+      params: [ftsMatch, ...symbols.included, ...filterParams]
+    };
+  }
+  
+  if (symbolClause) {
+    return {
+      kind: 'like',
+      from: 'FROM message_text mt',
+      where: `1=1${symbolClause}${filterSql}`,
+      params: [...symbols.included, ...filterParams]
+    };
+  }
+  
+  // Filters/exclusions only (e.g. "from:me has:link"): newest matching messages.
+  // Other document kinds only make sense when their text matched.
+  if (filterSql) {
+    return {
+      kind: 'filter',
+      from: 'FROM message_text mt',
+      where: `mt.kind = 'message'${filterSql}`,
+      params: filterParams
+    };
+  }
+  
+  // Nothing parsed as a term or filter: match the query as typed
+  return {
+    kind: 'like',
+    from: 'FROM message_text mt',
+    where: 'instr(mt.search_text, ?) > 0',
+    params: [normalizeSearchText(rawQuery)]
+  };
+}
+
+/**
+ * Add FTS snippets with highlight offsets to a page of rows
+ */
+async function attachSnippets(plan, rows) {
+  if (plan.kind !== 'fts' || rows.length === 0) {
+    return rows.map(row => ({ snippet: null, highlights: [], ...row }));
+  }
+  
+  const snippetRows = await indexDbAll(`
+    SELECT rowid, snippet(message_fts, 0, ?, ?, '…', ?) as raw_snippet
+    FROM message_fts
+    WHERE message_fts MATCH ? AND rowid IN (${rows.map(() => '?').join(',')})
+  `, [SNIPPET_MATCH_START, SNIPPET_MATCH_END, SEARCH_SNIPPET_TOKENS, plan.ftsMatch, ...rows.map(r => r.doc_id)]);
+  
+  const snippets = new Map(snippetRows.map(r => [r.rowid, parseSnippet(r.raw_snippet)]));
+  
+  return rows.map(row => {
+    const { text: snippet, highlights } = snippets.get(row.doc_id) || { text: null, highlights: [] };
+    return { ...row, snippet, highlights };
+  });
+}
+
+/**
+ * Add each row's conversation contact (first participant), participant count
+ * and service (the message's, or the chat's for group chat names)
+ */
+async function attachChatContacts(rows) {
+  const chatIds = [...new Set(rows.map(r => r.chat_id))];
+  if (chatIds.length === 0) return rows;
+  const messageIds = [...new Set(rows.map(r => r.message_id).filter(id => id !== null))];
+  
+  // SQLite takes the bare identifier column from the MIN(handle_id) row
+  const [chatRows, serviceRows, messageServiceRows] = await Promise.all([
+    indexDbAll(`
+      SELECT chat_id, identifier, MIN(handle_id) as handle_id, COUNT(*) as participants
+      FROM chat_handles
+      WHERE chat_id IN (${chatIds.map(() => '?').join(',')})
+      GROUP BY chat_id
+    `, chatIds),
+    indexDbAll(`
+      SELECT ROWID as chat_id, service_name FROM ${MESSAGES_SCHEMA}.chat
+      WHERE ROWID IN (${chatIds.map(() => '?').join(',')})
+    `, chatIds),
+    messageIds.length > 0 ? indexDbAll(`
+      SELECT ROWID as message_id, service FROM ${MESSAGES_SCHEMA}.message
+      WHERE ROWID IN (${messageIds.map(() => '?').join(',')})
+    `, messageIds) : []
+  ]);
+  
+  const chats = new Map(chatRows.map(r => [r.chat_id, r]));
+  const chatServices = new Map(serviceRows.map(r => [r.chat_id, r.service_name]));
+  const messageServices = new Map(messageServiceRows.map(r => [r.message_id, r.service]));
+  
+  return rows.map(row => {
+    const chat = chats.get(row.chat_id);
+    return {
+      ...row,
+      chat_identifier: chat ? chat.identifier : null,
+      chat_participants: chat ? chat.participants : 0,
+      service: messageServices.get(row.message_id) || chatServices.get(row.chat_id) || null
+    };
+  });
+}
+
+/**
+ * Get one page of search results
+ * 
+ * Pages are keyset-paginated: pass the previous page's nextCursor to get the
+ * rows after it. Fuzzy results are ranked by closeness in JS, so fuzzy mode
+ * reads up to MAX_SEARCH_SCAN_LIMIT candidate rows per page: the newest
+ * ones, so with more candidates older matches are left out (scan.truncated
+ * is 'scan_limit').
+ * 
+ * @param {Object} plan - From prepareSearch()
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {string} options.sort - 'date' (newest first) or 'relevance' (BM25); ignored for regex
+ * @param {Object|null} options.cursor - Decoded cursor (see decodeSearchCursor)
+ * @param {Object} options.budget - Regex scan budget to share with earlier
+ *   calls (see createScanBudget); a fresh one by default
+ * @returns {Promise<{ rows: Array, nextCursor: string|null, scan?: Object }>} -
+ *   Rows with doc_id, kind, source_key, message_id (null for chats), text,
+ *   date, chat_id, is_from_me, sender, snippet,
+ *   highlights (match offsets within snippet), chat_identifier (first
+ *   participant) and chat_participants; regex and fuzzy searches also
+ *   return scan stats
+ */
+async function searchIndex(plan, options = {}) {
+  const { limit = DEFAULT_SEARCH_PAGE_SIZE, sort = 'date', cursor = null, budget = createScanBudget() } = options;
+  
+  if (plan.kind === 'regex') {
+    return scanRegex(plan, limit, cursor, budget);
+  }
+  
+  const ranked = plan.kind === 'fts' && sort === 'relevance';
+  const scoreColumn = ranked ? ', bm25(message_fts) as score' : '';
+  const orderClause = ranked
+    ? 'ORDER BY score, date DESC, doc_id DESC'
+    : 'ORDER BY date DESC, doc_id DESC';
+  
+  let rows;
+  let scan;
+  if (plan.expansions) {
+    // Fuzzy: rank every candidate by closeness, then skip to the cursor
+    const candidates = await indexDbAll(`
+      SELECT ${RESULT_COLUMNS}${scoreColumn}
+      ${plan.from}
+      WHERE ${plan.where}
+      ${orderClause}
+      LIMIT ?
+    `, [...plan.params, MAX_SEARCH_SCAN_LIMIT]);
+    
+    const truncated = candidates.length === MAX_SEARCH_SCAN_LIMIT ? 'scan_limit' : null;
+    scan = { scanned: candidates.length, matched: candidates.length, exhausted: !truncated, truncated };
+    rows = candidates
+      .map(row => ({ ...row, closeness: scoreFuzzyMatch(row.text, plan.expansions, SEARCH_TERM_REGEX) }))
+      .sort(compareSortKeys)
+      .filter(row => !cursor || compareSortKeys(row, cursor) > 0)
+      .slice(0, limit + 1);
+  } else if (ranked) {
+    const cursorClause = cursor
+      ? `WHERE score > ? OR (score = ? AND ${DATE_CURSOR_CLAUSE.replace(/mt\./g, '')})`
+      : '';
+    const cursorParams = cursor
+      ? [cursor.score, cursor.score, cursor.date, cursor.date, cursor.doc_id]
+      : [];
+    
+    rows = await indexDbAll(`
+      SELECT * FROM (
+        SELECT ${RESULT_COLUMNS}${scoreColumn}
+        ${plan.from}
+        WHERE ${plan.where}
+      )
+      ${cursorClause}
+      ${orderClause}
+      LIMIT ?
+    `, [...plan.params, ...cursorParams, limit + 1]);
+  } else {
+    const cursorClause = cursor ? ` AND ${DATE_CURSOR_CLAUSE}` : '';
+    const cursorParams = cursor ? [cursor.date, cursor.date, cursor.doc_id] : [];
+    
+    rows = await indexDbAll(`
+      SELECT ${RESULT_COLUMNS}
+      ${plan.from}
+      WHERE ${plan.where}${cursorClause}
+      ORDER BY mt.date DESC, mt.doc_id DESC
+      LIMIT ?
+    `, [...plan.params, ...cursorParams, limit + 1]);
+  }
+  
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  
+  return {
+    rows: await attachChatContacts(await attachSnippets(plan, page)),
+    nextCursor: hasMore ? encodeSearchCursor(page[page.length - 1]) : null,
+    ...(scan ? { scan } : {})
+  };
+}
+
+/**
+ * Get search matches grouped by conversation
+ * 
+ * Each group has its hit count, newest hit date and top hits (newest first,
+ * or best BM25 match first when sorting by relevance). Groups are ordered by
+ * newest hit, or by hit count when sorting by relevance. Regex searches
+ * can't be grouped (they aren't counted exhaustively).
+ * 
+ * @param {Object} plan - From prepareSearch() (not regex)
+ * @param {Object} options
+ * @param {number} options.limit - Max groups
+ * @param {number} options.hitsPerGroup - Top hits returned per group
+ * @param {string} options.sort - 'date' or 'relevance'
+ * @returns {Promise<{ groups: Array<{ chat_id: number, count: number, latest_date: number, rows: Array }>, totalGroups: number }>} -
+ *   rows are shaped like searchIndex() rows
+ */
+async function searchGroups(plan, options = {}) {
+  const { limit = SEARCH_GROUP_LIMIT, hitsPerGroup = SEARCH_GROUP_HITS, sort = 'date' } = options;
+  
+  const ranked = plan.kind === 'fts' && sort === 'relevance';
+  const [groups, totalRow] = await Promise.all([
+    indexDbAll(`
+      SELECT mt.chat_id, COUNT(*) as count, MAX(mt.date) as latest_date
+      ${plan.from}
+      WHERE ${plan.where}
+      GROUP BY mt.chat_id
+      ORDER BY ${ranked ? 'count DESC, latest_date DESC' : 'latest_date DESC'}, mt.chat_id DESC
+      LIMIT ?
+    `, [...plan.params, limit]),
+    indexDbGet(`SELECT COUNT(DISTINCT mt.chat_id) as count ${plan.from} WHERE ${plan.where}`, plan.params)
+  ]);
+  
+  if (groups.length === 0) return { groups: [], totalGroups: 0 };
+  
+  // Number each conversation's hits and keep the first few. The score is
+  // computed in an inner query: FTS5 functions can't be used in window clauses.
+  const chatIds = groups.map(g => g.chat_id);
+  const hits = await indexDbAll(`
+    SELECT * FROM (
+      SELECT *, ROW_NUMBER() OVER (
+        PARTITION BY chat_id
+        ORDER BY ${ranked ? 'score, ' : ''}date DESC, doc_id DESC
+      ) as hit_rank
+      FROM (
+        SELECT ${RESULT_COLUMNS}${ranked ? ', bm25(message_fts) as score' : ''}
+        ${plan.from}
+        WHERE ${plan.where} AND mt.chat_id IN (${chatIds.map(() => '?').join(',')})
+      )
+    )
+    WHERE hit_rank <= ?
+    ORDER BY hit_rank
+  `, [...plan.params, ...chatIds, hitsPerGroup]);
+  
+  const rows = await attachChatContacts(await attachSnippets(plan, hits));
+  
+  return {
+    groups: groups.map(group => ({
+      ...group,
+      rows: rows.filter(row => row.chat_id === group.chat_id)
+    })),
+    totalGroups: totalRow?.count || 0
+  };
+}
+
+/**
+ * Create a regex scan budget: REGEX_SEARCH_TIMEOUT ms and
+ * REGEX_SEARCH_MAX_SCAN_ROWS rows, used up by every scan it's passed to
+ * @returns {{ deadline: number, scanned: number }}
+ */
+const createScanBudget = () => ({ deadline: Date.now() + REGEX_SEARCH_TIMEOUT, scanned: 0 });
+
+/**
+ * Scan the index with a regular expression
+ * 
+ * Scans newest-first in batches, stopping at `limit` matches or when the
+ * budget runs out (rows scanned or time). When the scan stops early the
+ * cursor resumes after the last row checked, so loading more continues
+ * into older messages.
+ * 
+ * @param {Object} budget - From createScanBudget(); scanned rows are added to it
+ * @returns {Promise<{ rows: Array, nextCursor: string|null, scan: Object }>} -
+ *   scan: { scanned, matched, exhausted, truncated } where truncated is
+ *   'timeout' or 'scan_limit' when the scan stopped early
+ */
+async function scanRegex(plan, limit, cursor, budget) {
+  const context = vm.createContext({ regex: plan.regex, maxRanges: MAX_REGEX_RANGES, rows: [], matches: [] });
+  
+  const rows = [];
+  let scanned = 0;
+  let exhausted = false;
+  let truncated = null;
+  let position = cursor;
+  
+  while (rows.length <= limit) {
+    if (budget.scanned >= REGEX_SEARCH_MAX_SCAN_ROWS) {
+      truncated = 'scan_limit';
+      break;
+    }
+    
+    const timeout = budget.deadline - Date.now();
+    if (timeout <= 0) {
+      truncated = 'timeout';
+      break;
+    }
+    
+    const cursorClause = position ? ` AND ${DATE_CURSOR_CLAUSE}` : '';
+    const cursorParams = position ? [position.date, position.date, position.doc_id] : [];
+    const batchSize = Math.min(REGEX_SEARCH_BATCH_SIZE, REGEX_SEARCH_MAX_SCAN_ROWS - budget.scanned);
+    
+    const batch = await indexDbAll(`
+      SELECT ${RESULT_COLUMNS}
+      ${plan.from}
+      WHERE ${plan.where}${cursorClause}
+      ORDER BY mt.date DESC, mt.doc_id DESC
+      LIMIT ?
+    `, [...plan.params, ...cursorParams, batchSize]);
+    
+    context.rows = batch;
+    try {
+      REGEX_MATCH_SCRIPT.runInContext(context, { timeout });
+    } catch (err) {
+      if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+      truncated = 'timeout';
+      break;
+    }
+    
+    for (let i = 0; i < batch.length && rows.length <= limit; i++) {
+      const ranges = context.matches[i];
+      if (ranges.length > 0) {
+        const { text: snippet, highlights } = buildRegexSnippet(batch[i].text, ranges);
+        rows.push({ ...batch[i], snippet, highlights });
+      }
+      scanned++;
+      budget.scanned++;
+      position = batch[i];
+    }
+    
+    if (batch.length < batchSize) {
+      exhausted = rows.length <= limit;
+      break;
+    }
+  }
+  
+  // A full page resumes after its last match; an early stop resumes where
+  // scanning stopped (only if it made progress, so retries can't loop)
+  const page = rows.slice(0, limit);
+  let nextCursor = null;
+  if (rows.length > limit) {
+    nextCursor = encodeSearchCursor(page[page.length - 1]);
+  } else if (truncated && scanned > 0) {
+    nextCursor = encodeSearchCursor(position);
+  }
+  
+  return {
+    rows: await attachChatContacts(page),
+    nextCursor,
+    scan: { scanned, matched: rows.length, exhausted: exhausted && !cursor, truncated }
+  };
+}
+
+/**
+ * Get the total match count and facets for a search
+ * 
+ * Regex totals are estimated from the first page's scan (match rate x rows
+ * in range) unless that scan covered every message. Fuzzy totals stop at
+ * MAX_SEARCH_SCAN_LIMIT when the page's candidates were truncated, since
+ * older matches can't be paged to; facets still count every match.
+ * 
+ * @param {Object} plan - From prepareSearch()
+ * @param {Object} options
+ * @param {number} options.facetLimit - Conversations listed in facets
+ * @param {Object} options.scan - Regex or fuzzy scan stats from searchIndex()
+ * @returns {Promise<{ total: number, totalIsEstimate: boolean, facets: Object|null }>}
+ */
+async function getSearchSummary(plan, options = {}) {
+  const { facetLimit = 10, scan = null } = options;
+  
+  if (plan.kind === 'regex') {
+    const { scanned, matched, exhausted } = scan;
+    if (exhausted) return { total: matched, totalIsEstimate: false, facets: null };
+    
+    const { count } = await indexDbGet(
+      `SELECT COUNT(*) as count ${plan.from} WHERE ${plan.where}`,
+      plan.params
+    );
+    const rate = scanned > 0 ? matched / scanned : 0;
+    return { total: Math.max(matched, Math.round(rate * count)), totalIsEstimate: true, facets: null };
+  }
+  
+  const [countRow, monthCounts, chatCounts] = await Promise.all([
+    indexDbGet(`SELECT COUNT(*) as count ${plan.from} WHERE ${plan.where}`, plan.params),
+    indexDbAll(`
+      SELECT ${MONTH_EXPRESSION} as month, COUNT(*) as count
+      ${plan.from}
+      WHERE ${plan.where}
+      GROUP BY month
+    `, plan.params),
+    indexDbAll(`
+      SELECT mt.chat_id, COUNT(*) as count
+      ${plan.from}
+      WHERE ${plan.where}
+      GROUP BY mt.chat_id
+      ORDER BY count DESC
+      LIMIT ?
+    `, [...plan.params, facetLimit])
+  ]);
+  
+  const total = countRow?.count || 0;
+  return {
+    total: scan?.truncated ? Math.min(total, MAX_SEARCH_SCAN_LIMIT) : total,
+    totalIsEstimate: false,
+    facets: buildSearchFacets(monthCounts, chatCounts)
+  };
+}
+
+/**
+ * Get the IDs of all messages matching a search, oldest first
+ * Attachment name and link title matches count for their message; group
+ * chat name matches belong to no message, so they don't.
+ * @param {Object} plan - From prepareSearch() (not regex)
+ * @param {number} limit - Max IDs; the newest are kept
+ * @returns {Promise<{ ids: number[], truncated: boolean }>}
+ */
+async function getMatchingMessageIds(plan, limit) {
+  const rows = await indexDbAll(`
+    SELECT mt.message_id, MAX(mt.date) as date
+    ${plan.from}
+    WHERE ${plan.where} AND mt.message_id IS NOT NULL
+    GROUP BY mt.message_id
+    ORDER BY date DESC, mt.message_id DESC
+    LIMIT ?
+  `, [...plan.params, limit + 1]);
+  
+  return {
+    ids: rows.slice(0, limit).map(row => row.message_id).reverse(),
+    truncated: rows.length > limit
+  };
+}
+
+/**
+ * Get the newest message ID in chat.db (a watermark for countMatchesSince)
+ * Message IDs survive index rebuilds, unlike document IDs.
+ * @returns {Promise<number>}
+ */
+async function getLatestMessageId() {
+  await schemaReady;
+  const row = await indexDbGet(`SELECT MAX(ROWID) as id FROM ${MESSAGES_SCHEMA}.message`);
+  return row?.id || 0;
+}
+
+/**
+ * Count messages matching a search that are newer than a watermark
+ * A message counts once however many of its documents (text, attachments,
+ * links) match. Group chat name matches belong to no message, so they never
+ * count.
+ * 
+ * New messages are few, so regex searches test all of them (time-limited
+ * like scanRegex; a pattern that times out counts no matches).
+ * 
+ * @param {Object} plan - From prepareSearch()
+ * @param {number} afterMessageId - Watermark from getLatestMessageId()
+ * @returns {Promise<number>}
+ */
+async function countMatchesSince(plan, afterMessageId) {
+  if (plan.kind !== 'regex') {
+    const row = await indexDbGet(
+      `SELECT COUNT(DISTINCT mt.message_id) as count ${plan.from} WHERE ${plan.where} AND mt.message_id > ?`,
+      [...plan.params, afterMessageId]
+    );
+    return row?.count || 0;
+  }
+  
+  const rows = await indexDbAll(
+    `SELECT mt.message_id, mt.text ${plan.from} WHERE ${plan.where} AND mt.message_id > ? LIMIT ?`,
+    [...plan.params, afterMessageId, REGEX_SEARCH_MAX_SCAN_ROWS]
+  );
+  const context = vm.createContext({ regex: plan.regex, maxRanges: 1, rows, matches: [] });
+  try {
+    REGEX_MATCH_SCRIPT.runInContext(context, { timeout: REGEX_SEARCH_TIMEOUT });
+  } catch (err) {
+    if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+  }
+  const matched = rows.filter((row, i) => context.matches[i]?.length > 0);
+  return new Set(matched.map(row => row.message_id)).size;
+}
+
+/**
+ * Get how many indexed documents contain each term
+ * @param {string[]} terms - Normalized terms
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getDocFrequencies(terms) {
+  const frequencies = new Map();
+  
+  // Chunked to stay under SQLite's bound parameter limit
+  for (let i = 0; i < terms.length; i += 500) {
+    const chunk = terms.slice(i, i + 500);
+    const rows = await indexDbAll(
+      `SELECT term, doc FROM message_vocab WHERE term IN (${chunk.map(() => '?').join(',')})`,
+      chunk
+    );
+    rows.forEach(row => frequencies.set(row.term, row.doc));
+  }
+  
+  return frequencies;
+}
+
+/**
+ * Find messages about the same topic as a message ("more like this")
+ * 
+ * The source message's highest TF-IDF terms find candidates through the FTS
+ * index (best BM25 matches first); candidates are then ranked by cosine
+ * similarity of their TF-IDF vectors to the source's.
+ * 
+ * @param {number} messageId - Source message ROWID
+ * @param {Object} options
+ * @param {number} options.limit - Max results
+ * @returns {Promise<{ source: Object, terms: string[], rows: Array }|null>} -
+ *   null if the message isn't indexed. terms are the query terms used;
+ *   rows are shaped like searchIndex() rows plus `similarity` (0-1), most similar first
+ */
+async function findSimilarMessages(messageId, options = {}) {
+  await schemaReady;
+  
+  const { limit = DEFAULT_SIMILAR_LIMIT } = options;
+  
+  const source = await indexDbGet(
+    `SELECT doc_id, message_id, text FROM message_text WHERE kind = 'message' AND source_id = ?`,
+    [messageId]
+  );
+  if (!source) return null;
+  
+  const { count: totalDocs } = await indexDbGet(`SELECT COUNT(*) as count FROM message_text`);
+  const sourceCounts = countTerms(source.text);
+  const sourceFrequencies = await getDocFrequencies([...sourceCounts.keys()]);
+  const sourceVector = buildTfIdfVector(sourceCounts, sourceFrequencies, totalDocs);
+  
+  const terms = selectQueryTerms(sourceVector, sourceFrequencies, totalDocs, {
+    limit: SIMILAR_QUERY_TERMS,
+    maxDocRatio: SIMILAR_MAX_TERM_DOC_RATIO
+  });
+  if (terms.length === 0) {
+    return { source, terms, rows: [] };
+  }
+  
+  const ftsMatch = terms.map(term => `"${term}"`).join(' OR ');
+  const candidates = await indexDbAll(`
+    SELECT ${RESULT_COLUMNS}
+    FROM message_fts JOIN message_text mt ON mt.doc_id = message_fts.rowid
+    WHERE message_fts MATCH ? AND mt.kind = 'message' AND mt.doc_id != ?
+    ORDER BY bm25(message_fts)
+    LIMIT ?
+  `, [ftsMatch, source.doc_id, SIMILAR_CANDIDATE_LIMIT]);
+  
+  const candidateCounts = candidates.map(row => countTerms(row.text));
+  const candidateTerms = new Set(candidateCounts.flatMap(counts => [...counts.keys()]));
+  const frequencies = await getDocFrequencies([...candidateTerms]);
+  
+  const ranked = candidates
+    .map((row, i) => ({
+      ...row,
+      similarity: cosineSimilarity(sourceVector, buildTfIdfVector(candidateCounts[i], frequencies, totalDocs))
+    }))
+    .filter(row => row.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity || b.date - a.date)
+    .slice(0, limit);
+  
+  const rows = await attachChatContacts(await attachSnippets({ kind: 'fts', ftsMatch }, ranked));
+  return { source, terms, rows };
+}
+
+/**
+ * Get index statistics
+ */
+async function getIndexStats() {
+  await schemaReady;
+  
+  const countRow = await indexDbGet(`SELECT COUNT(*) as count FROM message_text WHERE kind = 'message'`);
+  const kindRows = await indexDbAll(`SELECT kind, COUNT(*) as count FROM message_text GROUP BY kind`);
+  const lastId = await getLastIndexedId();
+  const reconciliation = await getMetadata('last_reconciliation');
+  const version = await getMetadata('index_version');
+  
+  return {
+    indexedMessages: countRow?.count || 0,
+    // Documents per kind (messages, attachment names, chat names, link titles)
+    indexedDocuments: Object.fromEntries(DOCUMENT_KINDS.map(kind => [
+      kind,
+      kindRows.find(r => r.kind === kind)?.count || 0
+    ])),
+    lastIndexedId: lastId,
+    version: version ? parseInt(version) : null,
+    // While a build runs (see getBuildProgress)
+    progress: getBuildProgress(),
+    // Last reconcileIndex() pass: { at, checked, updated, removed, durationMs },
+    // plus totalUpdated/totalRemoved across all passes
+    lastReconciliation: reconciliation ? JSON.parse(reconciliation) : null
+  };
+}
+
+/**
+ * Get the progress of the running index build
+ * The ETA extrapolates the rate so far, so it's null until a batch is done.
+ * @returns {{ state: 'indexing'|'rebuilding', indexed: number, total: number, startedAt: number,
+ *   percent: number, etaMs: number|null }|null} - null when no build is running
+ */
+function getBuildProgress() {
+  if (!buildProgress) return null;
+  
+  const { indexed, total, startedAt } = buildProgress;
+  const elapsed = Date.now() - startedAt;
+  
+  return {
+    ...buildProgress,
+    percent: total > 0 ? Math.floor((indexed / total) * 100) : 100,
+    etaMs: indexed > 0 ? Math.round((elapsed / indexed) * (total - indexed)) : null
+  };
+}
+
+/**
+ * Check if index needs updating
+ */
+async function needsUpdate() {
+  const lastId = await getLastIndexedId();
+  // Tapbacks aren't indexed, so they don't count as new messages
+  const latestMsg = await dbGet(
+    `SELECT m.ROWID as max_id FROM message m WHERE ${NOT_TAPBACK} ORDER BY m.ROWID DESC LIMIT 1`
+  );
   
   return (latestMsg?.max_id || 0) > lastId;
 }
@@ -252,6 +1869,8 @@ async function needsUpdate() {
  * Close the index database connection
  */
 function closeIndex() {
+  finalizeUpsertStatement();
+  textExtractionPool.close();
   if (indexDb) {
     indexDb.close();
     indexDb = null;
@@ -260,9 +1879,22 @@ function closeIndex() {
 
 module.exports = {
   buildIndex,
+  rebuildIndex,
+  prepareSearch,
+  createScanBudget,
   searchIndex,
+  searchGroups,
+  getSearchSummary,
+  getMatchingMessageIds,
+  getLatestMessageId,
+  countMatchesSince,
+  getSpellingSuggestions,
+  getFrequentTerms,
+  findSimilarMessages,
   getIndexStats,
+  getBuildProgress,
   needsUpdate,
   indexNewMessages,
+  reconcileIndex,
   closeIndex
 };
@@ -41,28 +41,176 @@ const fetchJson = async (endpoint, params = {}) => {
   return res.json();
 };
 
+/**
+ * Send a JSON request (POST, DELETE) to API endpoint
+ * Returns null for empty (204) responses
+ */
+const sendJson = async (method, endpoint, body) => {
+  const res = await fetch(`${API_BASE}${endpoint}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return res.status === 204 ? null : res.json();
+};
+
 // ============================================================
 // API functions
 // ============================================================
 
 /**
  * Search messages
+ * Returns: { results, nextCursor, limit, sort, mode, from, to, total, totalIsEstimate,
+ *            facets, suggestions, truncated }
+ * 
+ * Pass the previous response's nextCursor to get the next page (null = first page).
+ * total, facets and suggestions are only returned for the first page.
+ * 
+ * Options:
+ * - sort: 'date' (newest first) or 'relevance' (best match first)
+ * - mode: 'exact', 'fuzzy' (typo-tolerant) or 'regex'
+ * - from, to: Inclusive date range, YYYY[-MM[-DD]]
+ * - conversation: Only search this conversation (chat ID)
+ * - service: Only search messages sent over this service ('iMessage', 'SMS' or 'RCS')
+ * - groupBy: 'conversation' to get groups instead of results:
+ *   [{ conversation_id, display_name, is_group, count, latest_date, hits }]
+ *   with totalGroups (not paginated; not available with mode 'regex')
+ * 
+ * facets: { years, months, conversations } match counts
+ * suggestions: "Did you mean" queries when an exact search finds nothing
+ */
+export const searchMessages = (query, cursor = null, contacts = [], { sort, mode, from, to, conversation, service, groupBy } = {}) =>
+  fetchJson('/search', { q: query, cursor, contacts, sort, mode, from, to, conversation, service, groupBy });
+
+/**
+ * Search messages, receiving results as they're found (Server-Sent Events)
+ * Takes the same arguments as searchMessages, except options.groupBy.
+ * 
+ * Callbacks:
+ * - onResults(results): The next batch of results, in order
+ * - onSummary(summary): The searchMessages response without results;
+ *   the search is done
+ * - onError(error): User-facing error message; the search is done
+ * 
+ * Returns a function that cancels the search.
+ */
+export const streamSearch = (query, cursor, contacts, { sort, mode, from, to, conversation, service } = {}, callbacks) => {
+  const urlParams = buildParams({ q: query, cursor, contacts, sort, mode, from, to, conversation, service });
+  const source = new EventSource(`${API_BASE}/search/stream?${urlParams}`);
+  
+  source.addEventListener('results', (e) => callbacks.onResults(JSON.parse(e.data).results));
+  source.addEventListener('summary', (e) => {
+    source.close();
+    callbacks.onSummary(JSON.parse(e.data));
+  });
+  // Fired for the server's error events (with data) and for connection errors
+  source.addEventListener('error', (e) => {
+    source.close();
+    callbacks.onError(e.data ? JSON.parse(e.data).error : 'Search failed');
+  });
+  
+  return () => source.close();
+};
+
+/**
+ * Autocomplete a partially typed search query
+ * Returns: { prefix, suggestions: [{ type, text, label }] }
+ * 
+ * type is 'history' (past search), 'contact' (from: filter) or 'term'
+ * (common word); text is the full query to search. An empty prefix
+ * returns recent searches.
+ */
+export const getSearchSuggestions = (prefix, limit) =>
+  fetchJson('/search/suggest', { prefix, limit });
+
+/**
+ * Remember a search in the search history
+ */
+export const saveSearchHistory = (query) =>
+  sendJson('POST', '/search/history', { query });
+
+/**
+ * Forget all past searches
+ * Returns: { cleared }
+ */
+export const clearSearchHistory = () =>
+  sendJson('DELETE', '/search/history');
+
+/**
+ * Get saved searches ("smart folders")
+ * Returns: [{ id, name, query, mode, contacts, service, from, to, created_at, unread_count }]
+ * 
+ * unread_count is the number of matching messages that arrived since the
+ * saved search was last opened.
+ */
+export const getSavedSearches = () =>
+  fetchJson('/saved-searches');
+
+/**
+ * Save a search: { name, query, mode, contacts, service, from, to }
+ * Returns the saved search, or { error } if it's invalid
+ */
+export const createSavedSearch = (search) =>
+  sendJson('POST', '/saved-searches', search);
+
+/**
+ * Delete a saved search
+ */
+export const deleteSavedSearch = (id) =>
+  sendJson('DELETE', `/saved-searches/${id}`);
+
+/**
+ * Mark a saved search's matches as read (resets unread_count)
+ * Returns the updated saved search
  */
-export const searchMessages = (query, page = 1, contacts = []) =>
-  fetchJson('/search', { q: query, page, contacts });
+export const markSavedSearchRead = (id) =>
+  sendJson('POST', `/saved-searches/${id}/read`);
+
+/**
+ * Find messages similar to a message ("more like this")
+ * Returns: { source: { message_id, text }, terms, results }
+ * 
+ * results have the same shape as search results plus a similarity score (0-1),
+ * most similar first. terms are the source message's most distinctive words.
+ */
+export const findSimilarMessages = (messageId, limit) =>
+  fetchJson(`/search/similar/${messageId}`, { limit });
 
 /**
  * Get conversation messages by ID(s)
- * Returns: { messages, total, mediaCount, linkCount, hasMore, oldestId, newestId }
+ * Returns: { messages, total, mediaCount, linkCount, hasMore, oldestId, newestId, targetId }
  * 
  * Supports pagination:
  * - limit: Number of messages to return (default: 200)
  * - before: Get messages before this message ID
  * - after: Get messages after this message ID
  * - around: Get messages centered around this message ID
+ * - at: Get messages centered around the first message on or after this date
+ *   (YYYY-MM-DD or ISO timestamp); targetId is that message
+ */
+export const getConversation = (conversationId, { limit, before, after, around, at } = {}) =>
+  fetchJson(`/conversation/${conversationId}`, { limit, before, after, around, at });
+
+/**
+ * Get a conversation's message counts per month
+ * Returns: { months: [{ month: 'YYYY-MM', count }] } (oldest first)
+ */
+export const getConversationTimeline = (conversationId) =>
+  fetchJson(`/conversation/${conversationId}/timeline`);
+
+/**
+ * Get an inline reply thread from the message that started it or any reply
+ * Returns: { messages: [original, ...replies] (oldest first), originatorId }
+ */
+export const getThread = (conversationId, messageId) =>
+  fetchJson(`/conversation/${conversationId}/thread/${messageId}`);
+
+/**
+ * Find messages in a conversation (same query syntax as search)
+ * Returns: { matches: [message IDs, oldest first], total, truncated }
  */
-export const getConversation = (conversationId, { limit, before, after, around } = {}) =>
-  fetchJson(`/conversation/${conversationId}`, { limit, before, after, around });
+export const searchConversation = (conversationId, query) =>
+  fetchJson(`/conversation/${conversationId}/search`, { q: query });
 
 /**
  * Get all media for a conversation
@@ -86,9 +234,10 @@ export const getContacts = () =>
 
 /**
  * Get all conversations
+ * Pass a service ('iMessage', 'SMS' or 'RCS') to only get chats over it.
  */
-export const getConversations = (limit = 50) =>
-  fetchJson('/conversations', { limit });
+export const getConversations = (limit = 50, service = null) =>
+  fetchJson('/conversations', { limit, service });
 
 /**
  * Get global media
@@ -3,6 +3,7 @@ import SearchBar from './SearchBar';
 import SearchResults from './SearchResults';
 import Conversation from './Conversation';
 import ContactFilter from './ContactFilter';
+import SavedSearches, { SaveSearchForm } from './SavedSearches';
 import Insights from './Insights';
 import { Tab, TabList } from './ui/Tabs';
 import { Avatar } from './ui/Avatar';
@@ -12,15 +13,30 @@ import { LinkPreview } from './links/LinkPreview';
 import { ConversationListSkeleton, ConversationSkeleton2, MediaGridSkeleton, LinksListSkeleton } from './ui/Skeleton';
 import { useConversationCache } from '../hooks/useConversationCache';
 import { useInfiniteScroll } from '../hooks/useInfiniteScroll';
-import { searchMessages, getContacts, getConversations, getGlobalMedia, getGlobalLinks } from '../api';
-import { formatRelativeTime } from '../utils/format';
+import {
+  searchMessages,
+  streamSearch,
+  findSimilarMessages,
+  saveSearchHistory,
+  getSavedSearches,
+  createSavedSearch,
+  deleteSavedSearch,
+  markSavedSearchRead,
+  getContacts,
+  getConversations,
+  getGlobalMedia,
+  getGlobalLinks
+} from '../api';
+import { formatRelativeTime, formatTimeLeft } from '../utils/format';
 import '../App.css';
 
 // Constants
 const MIN_SIDEBAR_WIDTH = 200;
 const MAX_SIDEBAR_WIDTH = 500;
 const DEFAULT_SIDEBAR_WIDTH = 320;
-const PAGE_SIZE = 20;
+
+// How often saved search unread counts are refreshed (the server indexes new messages every 30s)
+const SAVED_SEARCH_POLL_INTERVAL = 30000;
 
 // ─────────────────────────────────────────────────────────────────────────────
 // ConversationItem - Single conversation in the sidebar list
@@ -38,7 +54,17 @@ const ConversationItem = memo(function ConversationItem({ conversation, onClick,
           <span className="text-sm font-medium text-foreground truncate">
             {conversation.display_name}
           </span>
-          <span className="text-xs text-muted-foreground/60 flex-shrink-0 ml-2">
+          {/* Green-bubble chats; a contact's SMS and iMessage chats are merged */}
+          {(conversation.services || []).filter(service => service !== 'iMessage').map(service => (
+            <span
+              key={service}
+              className="ml-1.5 px-1 rounded text-[10px] font-medium leading-4 bg-green-500/15 text-green-600 flex-shrink-0"
+              title={`Has ${service} messages`}
+            >
+              {service}
+            </span>
+          ))}
+          <span className="text-xs text-muted-foreground/60 flex-shrink-0 ml-auto pl-2">
             {formatRelativeTime(conversation.last_message_date)}
           </span>
         </div>
@@ -269,6 +295,88 @@ const ProcessingStatus = memo(function ProcessingStatus() {
   );
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// IndexingStatus - Shows search index build progress
+// ─────────────────────────────────────────────────────────────────────────────
+const IndexingStatus = memo(function IndexingStatus() {
+  const [progress, setProgress] = useState(null);
+  const [isDone, setIsDone] = useState(false);
+  
+  useEffect(() => {
+    let mounted = true;
+    
+    const checkProgress = async () => {
+      try {
+        const res = await fetch('/search/progress');
+        const data = await res.json();
+        if (!mounted) return;
+        
+        if (data.progress) {
+          setProgress(data.progress);
+          setTimeout(checkProgress, 1000);
+        } else {
+          // Briefly show completion if a build was being shown
+          setIsDone(true);
+          setTimeout(() => mounted && setProgress(null), 1500);
+        }
+      } catch (e) { /* ignore */ }
+    };
+    
+    checkProgress();
+    return () => { mounted = false; };
+  }, []);
+  
+  if (!progress) return null;
+  
+  const pct = isDone ? 100 : progress.percent;
+  
+  return (
+    <div className={`fixed bottom-4 left-4 bg-card border rounded-lg shadow-lg p-3 text-sm z-50 transition-opacity duration-500 ${isDone ? 'opacity-0' : 'opacity-100'}`}>
+      <div className="flex items-center gap-2 mb-1">
+        {isDone ? (
+          <svg className="w-3 h-3 text-green-500" fill="currentColor" viewBox="0 0 20 20">
+            <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
+          </svg>
+        ) : (
+          <div className="w-3 h-3 border-2 border-primary/30 border-t-primary rounded-full animate-spin" />
+        )}
+        <span className="text-foreground">
+          {isDone ? 'Search ready' : `${progress.state === 'rebuilding' ? 'Rebuilding' : 'Indexing'} ${pct}%`}
+        </span>
+      </div>
+      <div className="w-48 h-1.5 bg-muted rounded-full overflow-hidden">
+        <div className="h-full bg-primary transition-all" style={{ width: `${pct}%` }} />
+      </div>
+      <div className="text-xs text-muted-foreground mt-1">
+        {isDone
+          ? 'Search covers all messages'
+          : progress.etaMs != null ? formatTimeLeft(progress.etaMs) : 'Search covers messages indexed so far'}
+      </div>
+    </div>
+  );
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ServiceFilter - Limits conversations and search results to one service
+// ─────────────────────────────────────────────────────────────────────────────
+const SERVICE_OPTIONS = ['iMessage', 'SMS', 'RCS'];
+
+const ServiceFilter = memo(function ServiceFilter({ service, onChange }) {
+  return (
+    <select
+      value={service || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      className={`btn h-10 px-3 text-sm ${service ? 'btn-primary' : 'btn-outline'}`}
+      title="Filter by service"
+    >
+      <option value="">All services</option>
+      {SERVICE_OPTIONS.map(option => (
+        <option key={option} value={option}>{option}</option>
+      ))}
+    </select>
+  );
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // ConversationsList - Sidebar list of conversations
 // ─────────────────────────────────────────────────────────────────────────────
@@ -324,10 +432,33 @@ function App() {
   const [query, setQuery] = useState('');
   const [results, setResults] = useState([]);
   const [totalResults, setTotalResults] = useState(0);
+  const [totalIsEstimate, setTotalIsEstimate] = useState(false);
   const [conversations, setConversations] = useState([]);
   const [initialLoaded, setInitialLoaded] = useState(false);
-  const [page, setPage] = useState(1);
+  const [nextCursor, setNextCursor] = useState(null);
   const [hasMore, setHasMore] = useState(false);
+  const [searchSort, setSearchSort] = useState('date');
+  const [searchDateRange, setSearchDateRange] = useState(null);
+  const [searchFacets, setSearchFacets] = useState(null);
+  const [searchMode, setSearchMode] = useState('exact');
+  const [serviceFilter, setServiceFilter] = useState(null);
+  const [searchSuggestions, setSearchSuggestions] = useState([]);
+  const [searchBarValue, setSearchBarValue] = useState(null);
+  const [searchError, setSearchError] = useState(null);
+  const [searchTruncated, setSearchTruncated] = useState(null);
+  const [similarTo, setSimilarTo] = useState(null);
+  const [searchGroupBy, setSearchGroupBy] = useState(null);
+  const [searchGroups, setSearchGroups] = useState(null);
+  const [searchStreaming, setSearchStreaming] = useState(false);
+  const activeSearchRef = useRef(null);
+  
+  // Regex results can't be grouped
+  const resultGroupBy = searchMode === 'regex' ? null : searchGroupBy;
+  
+  // Saved searches ("smart folders")
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [activeSavedSearchId, setActiveSavedSearchId] = useState(null);
+  const [savingSearch, setSavingSearch] = useState(false);
   
   // Conversation state - stores full API response with pagination metadata
   const [conversationData, setConversationData] = useState(null);
@@ -379,21 +510,120 @@ function App() {
   // Initial data load
   useEffect(() => {
     getContacts().then(setContacts);
-    getConversations().then(data => {
+  }, []);
+
+  // Conversations, reloaded when the service filter changes
+  useEffect(() => {
+    getConversations(undefined, serviceFilter).then(data => {
       setConversations(data);
       setConversationsLoading(false);
     });
+  }, [serviceFilter]);
+
+  // Saved searches, polled so unread counts follow newly indexed messages
+  useEffect(() => {
+    const loadSavedSearches = () => getSavedSearches().then(setSavedSearches).catch(() => {});
+    loadSavedSearches();
+    const interval = setInterval(loadSavedSearches, SAVED_SEARCH_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Show the first page of a search response
+  const showSearchResponse = useCallback((data) => {
+    setSimilarTo(null);
+    setSearchError(data.error || null);
+    if (data.error) {
+      setResults([]);
+      setSearchGroups(null);
+      setTotalResults(0);
+      setSearchFacets(null);
+      setSearchSuggestions([]);
+      setNextCursor(null);
+      setHasMore(false);
+      return;
+    }
+    
+    setSearchTruncated(data.truncated || null);
+    setResults(data.results);
+    setSearchGroups(data.groups || null);
+    setTotalResults(data.total ?? data.results.length);
+    setTotalIsEstimate(Boolean(data.totalIsEstimate));
+    setSearchFacets(data.facets);
+    setSearchSuggestions(data.suggestions || []);
+    setNextCursor(data.nextCursor);
+    setHasMore(Boolean(data.nextCursor));
+  }, []);
+
+  // Stop the search in progress from showing its results
+  const cancelSearch = useCallback(() => {
+    if (activeSearchRef.current) activeSearchRef.current.cancel();
+    activeSearchRef.current = null;
+    setSearchStreaming(false);
   }, []);
 
+  // Run a search from its first page, cancelling the one in progress.
+  // Flat results stream in as they're found; the first batch replaces the
+  // previous results, and the summary (totals, facets) arrives last.
+  const runSearch = useCallback((searchQuery, searchContacts, options) => {
+    cancelSearch();
+    setNextCursor(null);
+    setHasMore(false);
+    
+    if (options.groupBy) {
+      const search = { cancelled: false, cancel: () => { search.cancelled = true; } };
+      activeSearchRef.current = search;
+      searchMessages(searchQuery, null, searchContacts, options).then(data => {
+        if (!search.cancelled) showSearchResponse(data);
+      });
+      return;
+    }
+    
+    let received = [];
+    setSearchStreaming(true);
+    activeSearchRef.current = {
+      cancel: streamSearch(searchQuery, null, searchContacts, options, {
+        onResults: (batch) => {
+          if (received.length === 0) {
+            setSimilarTo(null);
+            setSearchGroups(null);
+            setSearchError(null);
+            setSearchFacets(null);
+            setSearchSuggestions([]);
+            setSearchTruncated(null);
+            setTotalIsEstimate(false);
+          }
+          received = [...received, ...batch];
+          setResults(received);
+          setTotalResults(received.length);
+        },
+        onSummary: (summary) => {
+          setSearchStreaming(false);
+          showSearchResponse({ ...summary, results: received });
+        },
+        onError: (error) => {
+          setSearchStreaming(false);
+          showSearchResponse({ error });
+        }
+      })
+    };
+  }, [cancelSearch, showSearchResponse]);
+
   // Search handler
-  const handleSearch = useCallback(async (searchQuery) => {
+  const handleSearch = useCallback((searchQuery) => {
     setQuery(searchQuery);
-    setPage(1);
+    setNextCursor(null);
     
     if (!searchQuery.trim()) {
+      cancelSearch();
       setResults([]);
+      setSearchGroups(null);
       setTotalResults(0);
-      getConversations().then(setConversations);
+      setSearchFacets(null);
+      setSearchSuggestions([]);
+      setSearchError(null);
+      setSearchDateRange(null);
+      setSimilarTo(null);
+      getConversations(undefined, serviceFilter).then(setConversations);
       return;
     }
     
@@ -401,23 +631,55 @@ function App() {
     setActiveChatIds(null);
     setHighlightedId(null);
     setActiveConversationId(null);
-    const data = await searchMessages(searchQuery, 1, selectedContacts);
-    setResults(data.results);
-    setTotalResults(data.total || data.results.length);
-    // Use total count from API if available, otherwise fall back to checking page size
-    setHasMore(data.total ? data.results.length < data.total : data.results.length === PAGE_SIZE);
-  }, [selectedContacts]);
+    runSearch(searchQuery, selectedContacts, { sort: searchSort, mode: searchMode, service: serviceFilter, groupBy: resultGroupBy, ...searchDateRange });
+  }, [selectedContacts, searchSort, searchMode, serviceFilter, resultGroupBy, searchDateRange, cancelSearch, runSearch]);
 
-  // Load more search results
+  // Load the next page of search results (keyset cursor from the previous page)
   const loadMoreResults = useCallback(async () => {
-    const nextPage = page + 1;
-    const data = await searchMessages(query, nextPage, selectedContacts);
-    const newResults = [...results, ...data.results];
-    setResults(newResults);
-    setPage(nextPage);
-    // Use total count from API if available
-    setHasMore(data.total ? newResults.length < data.total : data.results.length === PAGE_SIZE);
-  }, [query, page, selectedContacts, results]);
+    if (!nextCursor) return;
+    const data = await searchMessages(query, nextCursor, selectedContacts, { sort: searchSort, mode: searchMode, service: serviceFilter, ...searchDateRange });
+    if (data.error) {
+      setHasMore(false);
+      return;
+    }
+    setResults([...results, ...data.results]);
+    setSearchTruncated(data.truncated || null);
+    setNextCursor(data.nextCursor);
+    setHasMore(Boolean(data.nextCursor));
+  }, [query, nextCursor, selectedContacts, searchSort, searchMode, serviceFilter, searchDateRange, results]);
+
+  // Replace the results with messages similar to one message ("more like this")
+  const handleFindSimilar = useCallback(async (messageId) => {
+    cancelSearch();
+    const data = await findSimilarMessages(messageId);
+    setSidebarCollapsed(false);
+    setNextCursor(null);
+    setHasMore(false);
+    setSearchFacets(null);
+    setSearchSuggestions([]);
+    setSearchTruncated(null);
+    setSearchError(data.error || null);
+    setResults(data.results || []);
+    setSearchGroups(null);
+    setTotalResults(data.results ? data.results.length : 0);
+    setTotalIsEstimate(false);
+    setSimilarTo(data.source
+      ? { ...data.source, terms: data.terms }
+      : { message_id: messageId, text: '', terms: [] });
+  }, [cancelSearch]);
+
+  // Leave similar results: back to the current search, or the conversations list
+  const handleClearSimilar = useCallback(() => {
+    if (!query.trim()) {
+      setSimilarTo(null);
+      setResults([]);
+      setSearchGroups(null);
+      setTotalResults(0);
+      setSearchError(null);
+      return;
+    }
+    runSearch(query, selectedContacts, { sort: searchSort, mode: searchMode, service: serviceFilter, groupBy: resultGroupBy, ...searchDateRange });
+  }, [query, selectedContacts, searchSort, searchMode, serviceFilter, resultGroupBy, searchDateRange, runSearch]);
 
   // Unified conversation opener - works for both sidebar and search results
   const openConversation = useCallback(async (chatIds, options = {}) => {
@@ -436,10 +698,11 @@ function App() {
     setConversationLoading(false);
   }, [loadConversation]);
 
-  // Open conversation from search result
+  // Open conversation from search result (the search was useful, so it's saved to the history)
   const handleResultClick = useCallback((conversationId, messageId) => {
+    if (query.trim() && !similarTo && searchMode !== 'regex') saveSearchHistory(query);
     openConversation(conversationId, { targetMessageId: messageId });
-  }, [openConversation]);
+  }, [openConversation, query, similarTo, searchMode]);
 
   // Open conversation from sidebar
   const handleConversationClick = useCallback((conv) => {
@@ -465,6 +728,28 @@ function App() {
     setConversationLoading(false);
   }, [loadConversation]);
 
+  // Jump to a message in the open conversation (find-in-conversation).
+  // Messages outside the loaded page are loaded around; the view stays mounted.
+  const handleJumpToMessage = useCallback(async (messageId) => {
+    if (!activeChatIds) return;
+    
+    if (!conversationData?.messages.some(m => m.id === messageId)) {
+      const { data } = await loadConversation(activeChatIds, { around: messageId });
+      setConversationData(data);
+    }
+    setHighlightedId(messageId);
+  }, [activeChatIds, conversationData, loadConversation]);
+
+  // Jump to a date in the open conversation (date picker and timeline)
+  const handleJumpToDate = useCallback(async (date) => {
+    if (!activeChatIds) return;
+    
+    const { data } = await loadConversation(activeChatIds, { at: date });
+    if (data.error) return;
+    setConversationData(data);
+    setHighlightedId(data.targetId || null);
+  }, [activeChatIds, loadConversation]);
+
   // Unified message loading - direction: 'older' or 'newer'
   const handleLoadMessages = useCallback(async (direction) => {
     if (!activeChatIds || loadingMore || loadingNewer) return;
@@ -497,19 +782,127 @@ function App() {
   }, [conversations, query, initialLoaded, handleConversationClick]);
 
   // Handle contact filter changes
-  const handleContactFilterChange = useCallback(async (newSelection) => {
+  const handleContactFilterChange = useCallback((newSelection) => {
     setSelectedContacts(newSelection);
     if (query) {
-      setPage(1);
-      const data = await searchMessages(query, 1, newSelection);
-      setResults(data.results);
-      setTotalResults(data.total || data.results.length);
-      // Use total count from API if available
-      setHasMore(data.total ? data.results.length < data.total : data.results.length === PAGE_SIZE);
+      runSearch(query, newSelection, { sort: searchSort, mode: searchMode, service: serviceFilter, groupBy: resultGroupBy, ...searchDateRange });
+    }
+  }, [query, searchSort, searchMode, serviceFilter, resultGroupBy, searchDateRange, runSearch]);
+
+  // Limit conversations and search results to one service (null clears it)
+  const handleServiceFilterChange = useCallback((newService) => {
+    setServiceFilter(newService);
+    if (query) {
+      runSearch(query, selectedContacts, { sort: searchSort, mode: searchMode, service: newService, groupBy: resultGroupBy, ...searchDateRange });
+    }
+  }, [query, searchSort, searchMode, resultGroupBy, searchDateRange, selectedContacts, runSearch]);
+
+  // Toggle search result ordering between newest-first and best match
+  const handleSearchSortToggle = useCallback(() => {
+    const newSort = searchSort === 'date' ? 'relevance' : 'date';
+    setSearchSort(newSort);
+    if (query) {
+      runSearch(query, selectedContacts, { sort: newSort, mode: searchMode, service: serviceFilter, groupBy: resultGroupBy, ...searchDateRange });
+    }
+  }, [query, searchSort, searchMode, serviceFilter, resultGroupBy, searchDateRange, selectedContacts, runSearch]);
+
+  // Switch matching mode: 'exact', 'fuzzy' (typo-tolerant) or 'regex'
+  const changeSearchMode = useCallback((newMode) => {
+    setSearchMode(newMode);
+    if (query) {
+      runSearch(query, selectedContacts, { sort: searchSort, mode: newMode, service: serviceFilter, groupBy: newMode === 'regex' ? null : searchGroupBy, ...searchDateRange });
+    }
+  }, [query, searchSort, searchGroupBy, serviceFilter, searchDateRange, selectedContacts, runSearch]);
+
+  const handleFuzzyToggle = useCallback(
+    () => changeSearchMode(searchMode === 'fuzzy' ? 'exact' : 'fuzzy'),
+    [changeSearchMode, searchMode]
+  );
+  const handleRegexToggle = useCallback(
+    () => changeSearchMode(searchMode === 'regex' ? 'exact' : 'regex'),
+    [changeSearchMode, searchMode]
+  );
+
+  // Toggle between a flat result list and results grouped by conversation
+  const handleGroupToggle = useCallback(() => {
+    const newGroupBy = searchGroupBy ? null : 'conversation';
+    setSearchGroupBy(newGroupBy);
+    if (query) {
+      runSearch(query, selectedContacts, { sort: searchSort, mode: searchMode, service: serviceFilter, groupBy: newGroupBy, ...searchDateRange });
     }
-  }, [query]);
+  }, [query, searchSort, searchMode, serviceFilter, searchGroupBy, searchDateRange, selectedContacts, runSearch]);
+
+  // Page through every hit in one conversation of the grouped results
+  const loadGroupHits = useCallback(
+    (conversationId, cursor) => searchMessages(query, cursor, selectedContacts, {
+      sort: searchSort, mode: searchMode, service: serviceFilter, conversation: conversationId, ...searchDateRange
+    }),
+    [query, selectedContacts, searchSort, searchMode, serviceFilter, searchDateRange]
+  );
+
+  // Replace the query with a "did you mean" suggestion (SearchBar then searches it)
+  const handleSuggestionClick = useCallback((suggestion) => {
+    setSearchBarValue({ text: suggestion });
+  }, []);
+
+  // Narrow search results to a date range picked from the histogram (null clears it)
+  const handleSearchDateRangeChange = useCallback((range) => {
+    setSearchDateRange(range);
+    if (query) {
+      runSearch(query, selectedContacts, { sort: searchSort, mode: searchMode, service: serviceFilter, groupBy: resultGroupBy, ...range });
+    }
+  }, [query, searchSort, searchMode, serviceFilter, resultGroupBy, selectedContacts, runSearch]);
+
+  // Run a saved search with its own filters, and mark its new matches read
+  const handleOpenSavedSearch = useCallback(async (saved) => {
+    const range = saved.from || saved.to ? { from: saved.from, to: saved.to } : null;
+    setActiveSavedSearchId(saved.id);
+    setSavingSearch(false);
+    setQuery(saved.query);
+    setSearchBarValue({ text: saved.query });
+    setSelectedContacts(saved.contacts);
+    setSearchMode(saved.mode);
+    setSearchDateRange(range);
+    setServiceFilter(saved.service);
+    
+    runSearch(saved.query, saved.contacts, { sort: searchSort, mode: saved.mode, service: saved.service, groupBy: saved.mode === 'regex' ? null : searchGroupBy, ...range });
+    
+    const updated = await markSavedSearchRead(saved.id);
+    if (updated && !updated.error) {
+      setSavedSearches(current => current.map(s => (s.id === updated.id ? updated : s)));
+    }
+  }, [searchSort, searchGroupBy, runSearch]);
+
+  // Save the current search with its filters; resolves to an error message or null
+  const handleSaveSearch = useCallback(async (name) => {
+    const saved = await createSavedSearch({
+      name,
+      query,
+      mode: searchMode,
+      contacts: selectedContacts,
+      service: serviceFilter,
+      from: searchDateRange?.from,
+      to: searchDateRange?.to
+    });
+    if (saved.error) return saved.error;
+    
+    setSavedSearches(current =>
+      [...current, saved].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })));
+    setActiveSavedSearchId(saved.id);
+    setSavingSearch(false);
+    return null;
+  }, [query, searchMode, selectedContacts, serviceFilter, searchDateRange]);
 
-  const showConversationsList = !query.trim() && results.length === 0;
+  const handleDeleteSavedSearch = useCallback(async (id) => {
+    await deleteSavedSearch(id);
+    setSavedSearches(current => current.filter(s => s.id !== id));
+  }, []);
+
+  const showConversationsList = !query.trim() && results.length === 0 && !similarTo;
+  
+  // A saved search stays highlighted until the query is changed
+  const activeSavedSearch = savedSearches.find(s => s.id === activeSavedSearchId && s.query === query.trim()) || null;
+  const canSaveSearch = !showConversationsList && !similarTo && !activeSavedSearch && !searchError && query.trim();
 
   return (
     <div className="h-screen flex flex-col overflow-hidden bg-background">
@@ -520,13 +913,19 @@ function App() {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
           </svg>
           <div className="flex-1">
-            <SearchBar onSearch={handleSearch} />
+            <SearchBar
+              onSearch={handleSearch}
+              value={searchBarValue}
+              regexMode={searchMode === 'regex'}
+              onRegexToggle={handleRegexToggle}
+            />
           </div>
           <ContactFilter
             contacts={contacts}
             selectedContacts={selectedContacts}
             onSelectionChange={handleContactFilterChange}
           />
+          <ServiceFilter service={serviceFilter} onChange={handleServiceFilterChange} />
         </div>
         <TabList className="px-4">
           <Tab active={activeTab === 'messages'} onClick={() => setActiveTab('messages')}>Messages</Tab>
@@ -560,15 +959,72 @@ function App() {
                 </svg>
               </button>
               <h2 className="text-sm font-medium text-foreground flex items-center gap-2 flex-1 min-w-0">
-                <span className="truncate">{showConversationsList ? 'Conversations' : 'Results'}</span>
+                <span className="truncate">{showConversationsList ? 'Conversations' : similarTo ? 'Similar' : 'Results'}</span>
                 <span className="text-xs text-muted-foreground flex-shrink-0">
                   {showConversationsList 
                     ? (conversationsLoading ? '' : conversations.length)
-                    : totalResults}
+                    : `${totalIsEstimate ? '~' : ''}${totalResults.toLocaleString()}`}
                 </span>
               </h2>
+              {canSaveSearch && (
+                <button
+                  onClick={() => setSavingSearch(true)}
+                  className="px-2 py-1 text-xs font-medium text-muted-foreground hover:text-foreground bg-muted/50 hover:bg-muted rounded-md transition-colors flex-shrink-0"
+                  title="Save as a smart folder"
+                >
+                  Save
+                </button>
+              )}
+              {!showConversationsList && !similarTo && searchMode !== 'regex' && (
+                <button
+                  onClick={handleSearchSortToggle}
+                  className="px-2 py-1 text-xs font-medium text-muted-foreground hover:text-foreground bg-muted/50 hover:bg-muted rounded-md transition-colors flex-shrink-0"
+                  title="Change result order"
+                >
+                  {searchSort === 'relevance' ? 'Best match' : 'Newest'}
+                </button>
+              )}
+              {!showConversationsList && !similarTo && searchMode !== 'regex' && (
+                <button
+                  onClick={handleGroupToggle}
+                  className={`px-2 py-1 text-xs font-medium rounded-md transition-colors flex-shrink-0 ${
+                    searchGroupBy
+                      ? 'text-primary bg-primary/15 hover:bg-primary/25'
+                      : 'text-muted-foreground hover:text-foreground bg-muted/50 hover:bg-muted'
+                  }`}
+                  title="Group results by conversation"
+                >
+                  Group
+                </button>
+              )}
+              {!showConversationsList && !similarTo && (
+                <button
+                  onClick={handleFuzzyToggle}
+                  className={`px-2 py-1 text-xs font-medium rounded-md transition-colors flex-shrink-0 ${
+                    searchMode === 'fuzzy'
+                      ? 'text-primary bg-primary/15 hover:bg-primary/25'
+                      : 'text-muted-foreground hover:text-foreground bg-muted/50 hover:bg-muted'
+                  }`}
+                  title="Typo-tolerant matching"
+                >
+                  Fuzzy
+                </button>
+              )}
             </div>
+            {savingSearch && canSaveSearch && (
+              <SaveSearchForm
+                defaultName={query.trim()}
+                onSave={handleSaveSearch}
+                onCancel={() => setSavingSearch(false)}
+              />
+            )}
             <div className="flex-1 overflow-y-auto scrollbar-thin">
+              <SavedSearches
+                searches={savedSearches}
+                activeId={activeSavedSearch?.id}
+                onOpen={handleOpenSavedSearch}
+                onDelete={handleDeleteSavedSearch}
+              />
               {showConversationsList ? (
                 <ConversationsList
                   conversations={conversations}
@@ -584,6 +1040,19 @@ function App() {
                   onResultClick={handleResultClick}
                   loadMore={loadMoreResults}
                   hasMore={hasMore}
+                  facets={searchFacets}
+                  dateRange={searchDateRange}
+                  onDateRangeChange={handleSearchDateRangeChange}
+                  suggestions={searchSuggestions}
+                  onSuggestionClick={handleSuggestionClick}
+                  error={searchError}
+                  truncated={searchTruncated}
+                  onFindSimilar={handleFindSimilar}
+                  similarTo={similarTo}
+                  onClearSimilar={handleClearSimilar}
+                  groups={searchGroups}
+                  streaming={searchStreaming}
+                  onLoadGroupHits={loadGroupHits}
                   inline
                 />
               )}
@@ -623,6 +1092,9 @@ function App() {
               onLoadNewer={handleLoadNewerMessages}
               loadingMore={loadingMore}
               loadingNewer={loadingNewer}
+              onFindSimilar={handleFindSimilar}
+              onJumpToMessage={handleJumpToMessage}
+              onJumpToDate={handleJumpToDate}
             />
           )}
         </main>
@@ -640,6 +1112,7 @@ function App() {
         </main>
       )}
       
+      <IndexingStatus />
       <ProcessingStatus />
     </div>
   );
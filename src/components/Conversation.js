@@ -1,13 +1,18 @@
 import React, { memo, useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
 import { Tab, TabList } from './ui/Tabs';
 import { MessagesList } from './messages/MessagesList';
+import { TimelineScrubber } from './messages/TimelineScrubber';
+import { ThreadPanel } from './messages/ThreadPanel';
 import { MediaGrid } from './media/MediaGrid';
 import { MediaGallery } from './media/MediaGallery';
 import { LinksList } from './links/LinksList';
 import { MediaGridSkeleton, LinksListSkeleton } from './ui/Skeleton';
-import { getConversationMedia, getConversationLinks } from '../api';
+import { getConversationMedia, getConversationLinks, getConversationTimeline, searchConversation } from '../api';
 import { extractMedia, detectGroupChat } from '../utils/messages';
 
+// Delay before searching the conversation while typing (ms)
+const FIND_DEBOUNCE = 250;
+
 /**
  * Conversation header component
  */
@@ -17,9 +22,18 @@ const ConversationHeader = memo(function ConversationHeader({
   isGroupChat, 
   memberNames, 
   messageCount, 
+  timeline,
+  onJumpToDate,
+  onFind,
   onExport 
 }) {
   const showIdentifier = !isGroupChat && displayName !== identifier;
+  // Date picker bounds: the first and last months with messages
+  const firstMonth = timeline[0]?.month;
+  const lastMonth = timeline[timeline.length - 1]?.month;
+  const lastDay = lastMonth
+    ? new Date(...lastMonth.split('-').map(Number), 0).getDate()
+    : null;
 
   return (
     <div className="flex-shrink-0 px-4 py-3 border-b bg-background flex items-center justify-between">
@@ -40,8 +54,139 @@ const ConversationHeader = memo(function ConversationHeader({
         {showIdentifier && <p className="text-xs text-muted-foreground truncate">{identifier}</p>}
         <p className="text-xs text-muted-foreground">{messageCount.toLocaleString()} messages</p>
       </div>
-      <button onClick={onExport} className="btn btn-outline h-8 px-3 text-xs flex-shrink-0">
-        Export
+      <div className="flex items-center gap-2 flex-shrink-0">
+        <input
+          type="date"
+          min={firstMonth ? `${firstMonth}-01` : undefined}
+          max={lastMonth ? `${lastMonth}-${lastDay}` : undefined}
+          onChange={(e) => e.target.value && onJumpToDate(e.target.value)}
+          className="input h-8 px-2 text-xs w-32"
+          title="Jump to date"
+        />
+        <button
+          onClick={onFind}
+          className="btn btn-outline h-8 w-8 p-0 flex items-center justify-center"
+          title="Find in conversation (⌘F)"
+        >
+          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+          </svg>
+        </button>
+        <button onClick={onExport} className="btn btn-outline h-8 px-3 text-xs">
+          Export
+        </button>
+      </div>
+    </div>
+  );
+});
+
+/**
+ * Find-in-conversation bar
+ * Matches are ordered oldest first and start at the newest; Enter (or the
+ * up arrow) steps back to older matches, Shift+Enter (or down) to newer ones.
+ * focusRequest changes to focus the query again (Cmd/Ctrl+F while open).
+ */
+const FindBar = memo(function FindBar({ chatIdString, focusRequest, onJump, onClose }) {
+  const [query, setQuery] = useState('');
+  const [result, setResult] = useState(null);
+  const [index, setIndex] = useState(-1);
+  const inputRef = useRef(null);
+  const requestRef = useRef(0);
+  // Jumping reloads the conversation, which changes onJump; a new search shouldn't
+  const onJumpRef = useRef(onJump);
+  onJumpRef.current = onJump;
+  
+  // Search as the query is typed; stale responses are ignored
+  useEffect(() => {
+    const requestId = ++requestRef.current;
+    if (!query.trim()) {
+      setResult(null);
+      setIndex(-1);
+      return;
+    }
+    
+    const timer = setTimeout(async () => {
+      const data = await searchConversation(chatIdString, query);
+      if (requestId !== requestRef.current) return;
+      
+      const matches = data.matches || [];
+      setResult({ matches, truncated: Boolean(data.truncated) });
+      setIndex(matches.length - 1);
+      if (matches.length > 0) onJumpRef.current(matches[matches.length - 1]);
+    }, FIND_DEBOUNCE);
+    
+    return () => clearTimeout(timer);
+  }, [query, chatIdString]);
+  
+  useEffect(() => {
+    inputRef.current?.focus();
+    inputRef.current?.select();
+  }, [focusRequest]);
+  
+  const matches = result?.matches || [];
+  
+  const step = useCallback((delta) => {
+    if (matches.length === 0) return;
+    const next = (index + delta + matches.length) % matches.length;
+    setIndex(next);
+    onJumpRef.current(matches[next]);
+  }, [matches, index]);
+  
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      step(e.shiftKey ? 1 : -1);
+    } else if (e.key === 'Escape') {
+      onClose();
+    }
+  };
+  
+  return (
+    <div className="flex-shrink-0 px-4 py-2 border-b bg-background flex items-center gap-2">
+      <input
+        ref={inputRef}
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Find in conversation"
+        className="input h-7 text-xs flex-1 min-w-0"
+      />
+      {result && (
+        <span className="text-xs text-muted-foreground flex-shrink-0 tabular-nums">
+          {matches.length === 0
+            ? 'No matches'
+            : `${index + 1} of ${matches.length}${result.truncated ? '+' : ''}`}
+        </span>
+      )}
+      <button
+        onClick={() => step(-1)}
+        disabled={matches.length === 0}
+        className="p-1 rounded text-muted-foreground hover:text-foreground disabled:opacity-40 transition-colors"
+        title="Previous match (Enter)"
+      >
+        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+        </svg>
+      </button>
+      <button
+        onClick={() => step(1)}
+        disabled={matches.length === 0}
+        className="p-1 rounded text-muted-foreground hover:text-foreground disabled:opacity-40 transition-colors"
+        title="Next match (Shift+Enter)"
+      >
+        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+      <button
+        onClick={onClose}
+        className="p-1 rounded text-muted-foreground hover:text-foreground transition-colors"
+        title="Close (Esc)"
+      >
+        <svg className="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+        </svg>
       </button>
     </div>
   );
@@ -103,7 +248,7 @@ const InactiveInputBar = memo(function InactiveInputBar() {
 /**
  * Main Conversation component
  */
-function Conversation({ data, chatIds, highlightedMessageId, conversationMeta, onLoadMore, onLoadNewer, loadingMore, loadingNewer }) {
+function Conversation({ data, chatIds, highlightedMessageId, conversationMeta, onLoadMore, onLoadNewer, loadingMore, loadingNewer, onFindSimilar, onJumpToMessage, onJumpToDate }) {
   const [activeTab, setActiveTab] = useState('messages');
   const [galleryIndex, setGalleryIndex] = useState(null);
   const [localHighlightedId, setLocalHighlightedId] = useState(null);
@@ -111,6 +256,10 @@ function Conversation({ data, chatIds, highlightedMessageId, conversationMeta, o
   const [conversationLinks, setConversationLinks] = useState([]);
   const [mediaLoading, setMediaLoading] = useState(false);
   const [linksLoading, setLinksLoading] = useState(false);
+  const [findOpen, setFindOpen] = useState(false);
+  const [findFocusRequest, setFindFocusRequest] = useState(0);
+  const [timeline, setTimeline] = useState([]);
+  const [threadMessageId, setThreadMessageId] = useState(null);
   
   const highlightedRef = useRef(null);
   const messagesContainerRef = useRef(null);
@@ -184,6 +333,19 @@ function Conversation({ data, chatIds, highlightedMessageId, conversationMeta, o
     return () => clearTimeout(timer);
   }, [chatIdString]); // Only on conversation change
 
+  // Load message density per month for the date picker and timeline
+  useEffect(() => {
+    if (!chatIdString) return;
+    
+    let cancelled = false;
+    setTimeline([]);
+    getConversationTimeline(chatIdString)
+      .then(res => !cancelled && setTimeline(res.months || []))
+      .catch(() => {});
+    
+    return () => { cancelled = true; };
+  }, [chatIdString]);
+
   // Show loading state if tab is active but data not yet loaded
   useEffect(() => {
     if (activeTab === 'media' && conversationMedia.length === 0 && chatIdString) {
@@ -215,6 +377,8 @@ function Conversation({ data, chatIds, highlightedMessageId, conversationMeta, o
       setLocalHighlightedId(null);
       setConversationMedia([]);
       setConversationLinks([]);
+      setFindOpen(false);
+      setThreadMessageId(null);
     }
   }, [identifier]);
 
@@ -306,6 +470,7 @@ function Conversation({ data, chatIds, highlightedMessageId, conversationMeta, o
 
   const handleExport = useCallback(() => {
     const text = messages.map(m => {
+      if (m.system_event) return `-- ${m.system_event.text} --`;
       let line = `${m.is_from_me ? 'You' : displayName}: ${m.text || ''}`;
       if (m.attachments?.length) line += ` [${m.attachments.length} attachments]`;
       return line;
@@ -322,6 +487,31 @@ function Conversation({ data, chatIds, highlightedMessageId, conversationMeta, o
 
   const handleGalleryClose = useCallback(() => setGalleryIndex(null), []);
 
+  const handleFindOpen = useCallback(() => {
+    setActiveTab('messages');
+    setFindOpen(true);
+    setFindFocusRequest(n => n + 1);
+  }, []);
+
+  const handleFindClose = useCallback(() => setFindOpen(false), []);
+
+  const handleThreadClose = useCallback(() => setThreadMessageId(null), []);
+
+  // Cmd/Ctrl+F opens find-in-conversation instead of the browser's find
+  useEffect(() => {
+    if (!chatIdString) return;
+    
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        handleFindOpen();
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [chatIdString, handleFindOpen]);
+
   if (!messages.length && !data) return <EmptyState />;
 
   return (
@@ -332,8 +522,21 @@ function Conversation({ data, chatIds, highlightedMessageId, conversationMeta, o
         isGroupChat={isGroupChat}
         memberNames={memberNames}
         messageCount={totalMessages}
+        timeline={timeline}
+        onJumpToDate={onJumpToDate}
+        onFind={handleFindOpen}
         onExport={handleExport}
       />
+      
+      {findOpen && chatIdString && (
+        <FindBar
+          key={chatIdString}
+          chatIdString={chatIdString}
+          focusRequest={findFocusRequest}
+          onJump={onJumpToMessage}
+          onClose={handleFindClose}
+        />
+      )}
 
       <TabList className="flex-shrink-0 bg-background">
         <Tab active={activeTab === 'messages'} onClick={() => setActiveTab('messages')}>
@@ -349,19 +552,33 @@ function Conversation({ data, chatIds, highlightedMessageId, conversationMeta, o
 
       {activeTab === 'messages' && (
         <>
-          <MessagesList
-            messages={messages}
-            isGroupChat={isGroupChat}
-            displayName={displayName}
-            highlightedId={effectiveHighlightedId}
-            highlightedRef={highlightedRef}
-            containerRef={messagesContainerRef}
-            onMediaClick={handleMediaClick}
-            loadingMore={loadingMore}
-            loadingNewer={loadingNewer}
-            hasMore={hasMore}
-            hasMoreNewer={hasMoreNewer}
-          />
+          <div className="flex-1 min-h-0 flex">
+            <MessagesList
+              messages={messages}
+              isGroupChat={isGroupChat}
+              displayName={displayName}
+              highlightedId={effectiveHighlightedId}
+              highlightedRef={highlightedRef}
+              containerRef={messagesContainerRef}
+              onMediaClick={handleMediaClick}
+              onFindSimilar={onFindSimilar}
+              onJumpToMessage={onJumpToMessage}
+              onOpenThread={setThreadMessageId}
+              loadingMore={loadingMore}
+              loadingNewer={loadingNewer}
+              hasMore={hasMore}
+              hasMoreNewer={hasMoreNewer}
+            />
+            <TimelineScrubber months={timeline} messages={messages} onSelect={onJumpToDate} />
+            {threadMessageId && chatIdString && (
+              <ThreadPanel
+                chatIdString={chatIdString}
+                messageId={threadMessageId}
+                onJump={onJumpToMessage}
+                onClose={handleThreadClose}
+              />
+            )}
+          </div>
           <InactiveInputBar />
         </>
       )}
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useMemo, useCallback, memo } from 'react';
+import { formatDuration } from '../utils/format';
 
 // ============================================================
 // INSIGHTS DASHBOARD
@@ -537,6 +538,34 @@ export default function Insights() {
                 <div className="text-muted-foreground text-center py-8">No timeline data available</div>
               )}
             </div>
+            
+            {/* Sent messages per service */}
+            {insights.serviceBreakdown?.length > 0 && (() => {
+              const totalSent = insights.serviceBreakdown.reduce((sum, s) => sum + s.sent, 0);
+              return (
+                <div className="bg-card border rounded-xl p-5">
+                  <h3 className="font-semibold mb-4">📡 Sent by Service</h3>
+                  <div className="space-y-3">
+                    {insights.serviceBreakdown.map(({ service, sent }) => (
+                      <div key={service}>
+                        <div className="flex items-center justify-between text-sm mb-1">
+                          <span className="font-medium">{service}</span>
+                          <span className="text-muted-foreground">
+                            {sent.toLocaleString()} ({((sent / totalSent) * 100).toFixed(1)}%)
+                          </span>
+                        </div>
+                        <div className="h-2 bg-muted rounded-full overflow-hidden">
+                          <div
+                            className={`h-full rounded-full ${service === 'iMessage' ? 'bg-primary' : 'bg-green-500'}`}
+                            style={{ width: `${(sent / totalSent) * 100}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })()}
           </div>
         )}
         
@@ -654,6 +683,25 @@ export default function Insights() {
                 })()}
               </div>
             </div>
+            
+            {/* Read latency from read receipts */}
+            {insights.readLatency?.readCount > 0 && (
+              <div className="bg-card border rounded-xl p-5">
+                <h3 className="font-semibold mb-1">👀 How Fast You're Read</h3>
+                <p className="text-xs text-muted-foreground mb-4">
+                  Your messages are read after {formatDuration(insights.readLatency.avgReadMinutes)} on average
+                  ({insights.readLatency.readCount.toLocaleString()} with read receipts)
+                </p>
+                <div className="space-y-2">
+                  {insights.readLatency.contacts.slice(0, 8).map((contact, i) => (
+                    <div key={i} className="flex items-center justify-between p-2 rounded-lg bg-muted/30">
+                      <span className="font-medium">{contact.name}</span>
+                      <span className="text-sm text-muted-foreground">{formatDuration(contact.avgReadMinutes)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
         
@@ -0,0 +1,152 @@
+/**
+ * SavedSearches component
+ * @module components/SavedSearches
+ */
+
+import React, { useState, useCallback, memo } from 'react';
+
+// ============================================================
+// Sub-components
+// ============================================================
+
+const FolderIcon = () => (
+  <svg className="h-4 w-4 text-muted-foreground flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M3 7a2 2 0 012-2h4l2 2h8a2 2 0 012 2v8a2 2 0 01-2 2H5a2 2 0 01-2-2V7z" />
+  </svg>
+);
+
+/**
+ * Single saved search - click to run it, hover to delete it
+ */
+const SavedSearchItem = memo(({ search, isActive, onOpen, onDelete }) => {
+  const handleDelete = useCallback((e) => {
+    e.stopPropagation();
+    onDelete(search.id);
+  }, [onDelete, search.id]);
+  
+  return (
+    <li
+      onClick={() => onOpen(search)}
+      className={`group flex items-center gap-2 px-3 py-1.5 cursor-pointer rounded-md mx-1 transition-colors ${
+        isActive ? 'bg-primary/15 text-foreground' : 'hover:bg-accent/50'
+      }`}
+      title={search.query}
+    >
+      <FolderIcon />
+      <span className={`text-sm truncate flex-1 ${search.unread_count > 0 ? 'font-medium' : ''}`}>
+        {search.name}
+      </span>
+      {search.unread_count > 0 && (
+        <span className="px-1.5 min-w-[1.25rem] text-center rounded-full bg-primary text-white text-[10px] font-medium flex-shrink-0">
+          {search.unread_count > 99 ? '99+' : search.unread_count}
+        </span>
+      )}
+      <button
+        onClick={handleDelete}
+        className="p-0.5 rounded text-muted-foreground opacity-0 group-hover:opacity-100 hover:text-foreground transition-opacity flex-shrink-0"
+        title="Delete saved search"
+      >
+        <svg className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+        </svg>
+      </button>
+    </li>
+  );
+});
+
+/**
+ * SaveSearchForm - Names the current search before saving it
+ * onSave resolves to an error message, or null once saved.
+ */
+export const SaveSearchForm = memo(({ defaultName, onSave, onCancel }) => {
+  const [name, setName] = useState(defaultName);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setSaving(true);
+    const saveError = await onSave(name.trim());
+    setSaving(false);
+    setError(saveError);
+  };
+  
+  return (
+    <form onSubmit={handleSubmit} className="px-3 py-2 border-b border-border/50">
+      <div className="flex items-center gap-1.5">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+          placeholder="Folder name"
+          className="input h-7 text-xs flex-1 min-w-0"
+          autoFocus
+        />
+        <button
+          type="submit"
+          disabled={saving || !name.trim()}
+          className="px-2 py-1 text-xs font-medium rounded-md text-primary bg-primary/15 hover:bg-primary/25 disabled:opacity-50 transition-colors flex-shrink-0"
+        >
+          Save
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-2 py-1 text-xs text-muted-foreground hover:text-foreground transition-colors flex-shrink-0"
+        >
+          Cancel
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-500 mt-1">{error}</p>}
+    </form>
+  );
+});
+
+// ============================================================
+// Main component
+// ============================================================
+
+/**
+ * SavedSearches - Sidebar list of saved searches ("smart folders")
+ * Each shows how many matching messages arrived since it was last opened.
+ * The section can be collapsed; the total unread count stays visible.
+ */
+const SavedSearches = ({ searches, activeId, onOpen, onDelete }) => {
+  const [collapsed, setCollapsed] = useState(false);
+  
+  if (searches.length === 0) return null;
+  
+  const totalUnread = searches.reduce((sum, s) => sum + s.unread_count, 0);
+  
+  return (
+    <div className="border-b border-border/50 py-1">
+      <button
+        onClick={() => setCollapsed(c => !c)}
+        className="w-full flex items-center gap-1 px-3 py-1 text-[10px] font-medium uppercase tracking-wide text-muted-foreground hover:text-foreground transition-colors"
+      >
+        <svg className={`h-3 w-3 transition-transform ${collapsed ? '-rotate-90' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+        <span className="flex-1 text-left">Smart folders</span>
+        {collapsed && totalUnread > 0 && <span className="text-primary">{totalUnread}</span>}
+      </button>
+      {!collapsed && (
+        <ul>
+          {searches.map(search => (
+            <SavedSearchItem
+              key={search.id}
+              search={search}
+              isActive={search.id === activeId}
+              onOpen={onOpen}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default memo(SavedSearches);
@@ -3,7 +3,12 @@
  * @module components/SearchBar
  */
 
-import React, { useState, useEffect, useRef, memo } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback, memo } from 'react';
+import { parseQueryOperators, removeQueryOperator } from '../utils';
+import { getSearchSuggestions, saveSearchHistory, clearSearchHistory } from '../api';
+
+// Delay before fetching suggestions while typing (ms)
+const SUGGEST_DEBOUNCE = 120;
 
 // ============================================================
 // Icons
@@ -32,17 +37,114 @@ const ClearIcon = () => (
   </svg>
 );
 
+// Icon path per suggestion type: clock (past search), person (contact), magnifier (word)
+const SUGGESTION_ICON_PATHS = {
+  history: 'M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z',
+  contact: 'M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z',
+  term: 'M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z'
+};
+
+const SuggestionIcon = ({ type }) => (
+  <svg className="h-3.5 w-3.5 text-muted-foreground flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={SUGGESTION_ICON_PATHS[type]} />
+  </svg>
+);
+
+// ============================================================
+// Sub-components
+// ============================================================
+
+/**
+ * OperatorChip - Shows one active query operator (e.g. "from: alice")
+ */
+const OperatorChip = memo(({ operator, onRemove }) => (
+  <span className="inline-flex items-center gap-1 rounded-full bg-primary/15 px-2 py-0.5 text-xs text-foreground">
+    <span className="text-muted-foreground">{operator.key}:</span>
+    <span className="max-w-[12rem] truncate">{operator.value}</span>
+    <button
+      type="button"
+      onClick={() => onRemove(operator)}
+      className="rounded-full p-0.5 hover:bg-accent transition-colors"
+      aria-label={`Remove ${operator.key} filter`}
+    >
+      <svg className="h-3 w-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+      </svg>
+    </button>
+  </span>
+));
+
+/**
+ * SuggestionList - Autocomplete dropdown under the input
+ * Items use onMouseDown so picking one happens before the input blurs.
+ */
+const SuggestionList = memo(({ suggestions, activeIndex, onPick, onHover, onClearHistory }) => (
+  <ul
+    role="listbox"
+    className="absolute left-0 right-0 top-full mt-1 z-20 rounded-lg border bg-popover shadow-lg py-1 text-sm"
+  >
+    {suggestions.map((suggestion, i) => (
+      <li
+        key={`${suggestion.type}-${suggestion.text}`}
+        role="option"
+        aria-selected={i === activeIndex}
+        onMouseDown={(e) => { e.preventDefault(); onPick(suggestion); }}
+        onMouseEnter={() => onHover(i)}
+        className={`flex items-center gap-2 px-3 py-1.5 cursor-pointer ${i === activeIndex ? 'bg-accent' : ''}`}
+      >
+        <SuggestionIcon type={suggestion.type} />
+        <span className="truncate">
+          {suggestion.type === 'contact' ? <>from <strong>{suggestion.label}</strong></> : suggestion.text}
+        </span>
+      </li>
+    ))}
+    {onClearHistory && (
+      <li className="border-t border-border/50 mt-1 pt-1 px-3">
+        <button
+          type="button"
+          onMouseDown={(e) => { e.preventDefault(); onClearHistory(); }}
+          className="text-xs text-muted-foreground hover:text-foreground transition-colors py-1"
+        >
+          Clear search history
+        </button>
+      </li>
+    )}
+  </ul>
+));
+
 // ============================================================
 // Main component
 // ============================================================
 
 /**
  * SearchBar - Search input with debounce
+ * 
+ * Operators in the query (from:, in:, after:, has:, ...) are shown as
+ * removable chips under the input. Passing a new `value` ({ text })
+ * replaces the query, e.g. when a "did you mean" suggestion is picked.
+ * The .* toggle switches to regular-expression search (no operators).
+ * 
+ * While focused, a dropdown suggests past searches, contacts and common
+ * words (arrow keys to move, Enter to pick, Escape to close). Submitted
+ * and picked queries are saved to the search history.
  */
-const SearchBar = ({ onSearch }) => {
+const SearchBar = ({ onSearch, value, regexMode = false, onRegexToggle }) => {
   const [query, setQuery] = useState('');
   const [isFocused, setIsFocused] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [suggestionsOpen, setSuggestionsOpen] = useState(false);
   const debounceRef = useRef(null);
+  const suggestRequestRef = useRef(0);
+  
+  const operators = useMemo(
+    () => (regexMode ? [] : parseQueryOperators(query)),
+    [query, regexMode]
+  );
+
+  useEffect(() => {
+    if (value) setQuery(value.text);
+  }, [value]);
 
   // Debounced search on typing
   useEffect(() => {
@@ -61,9 +163,70 @@ const SearchBar = ({ onSearch }) => {
     };
   }, [query, onSearch]);
 
+  // Fetch suggestions for what's typed; stale responses are ignored
+  const loadSuggestions = useCallback(async (prefix) => {
+    const requestId = ++suggestRequestRef.current;
+    const data = await getSearchSuggestions(prefix);
+    if (requestId !== suggestRequestRef.current) return;
+    setSuggestions(data.suggestions || []);
+    setActiveIndex(-1);
+  }, []);
+
+  useEffect(() => {
+    if (!isFocused || regexMode) return;
+    const timer = setTimeout(() => loadSuggestions(query), SUGGEST_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [query, isFocused, regexMode, loadSuggestions]);
+
+  const showSuggestions = suggestionsOpen && isFocused && !regexMode && suggestions.length > 0;
+  const hasHistory = suggestions.some(s => s.type === 'history');
+
+  const closeSuggestions = () => {
+    suggestRequestRef.current++;
+    setSuggestionsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const commitSearch = (text) => {
+    closeSuggestions();
+    onSearch(text);
+    if (text.trim() && !regexMode) saveSearchHistory(text);
+  };
+
+  const handlePickSuggestion = (suggestion) => {
+    setQuery(suggestion.text);
+    commitSearch(suggestion.text);
+  };
+
+  const handleClearHistory = async () => {
+    await clearSearchHistory();
+    setSuggestions(current => current.filter(s => s.type !== 'history'));
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!showSuggestions) {
+      if (e.key === 'ArrowDown' && !regexMode) setSuggestionsOpen(true);
+      return;
+    }
+    
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(i => (i + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => (i <= 0 ? suggestions.length : i) - 1);
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault();
+      handlePickSuggestion(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      closeSuggestions();
+    }
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSearch(query);
+    commitSearch(query);
   };
 
   const handleClear = () => {
@@ -71,8 +234,12 @@ const SearchBar = ({ onSearch }) => {
     onSearch('');
   };
 
+  const handleRemoveOperator = (operator) => {
+    setQuery(current => removeQueryOperator(current, operator));
+  };
+
   return (
-    <form onSubmit={handleSubmit} className="flex gap-2 max-w-2xl mx-auto w-full">
+    <form onSubmit={handleSubmit} className="flex flex-col gap-2 max-w-2xl mx-auto w-full">
       <div className={`relative flex-1 transition-all ${isFocused ? 'scale-[1.01]' : ''}`}>
         <SearchIcon
           className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4"
@@ -81,22 +248,61 @@ const SearchBar = ({ onSearch }) => {
         <input
           type="text"
           value={query}
-          onChange={(e) => setQuery(e.target.value)}
-          onFocus={() => setIsFocused(true)}
-          onBlur={() => setIsFocused(false)}
-          placeholder="Search messages..."
-          className="input pl-10 pr-10"
+          onChange={(e) => { setQuery(e.target.value); setSuggestionsOpen(true); }}
+          onFocus={() => { setIsFocused(true); setSuggestionsOpen(true); }}
+          onBlur={() => { setIsFocused(false); closeSuggestions(); }}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-expanded={showSuggestions}
+          aria-autocomplete="list"
+          autoComplete="off"
+          placeholder={regexMode
+            ? 'Regular expression, e.g. \\$\\d+ or #[A-Z]\\d{5}'
+            : 'Search messages... (try from:, in:, after:, has:link)'}
+          className={`input pl-10 ${onRegexToggle ? 'pr-20' : 'pr-10'} ${regexMode ? 'font-mono' : ''}`}
+          spellCheck={!regexMode}
         />
-        {query && (
-          <button
-            type="button"
-            onClick={handleClear}
-            className="absolute right-3 top-1/2 -translate-y-1/2 p-1 rounded-full hover:bg-accent transition-colors"
-          >
-            <ClearIcon />
-          </button>
+        <div className="absolute right-3 top-1/2 -translate-y-1/2 flex items-center gap-1">
+          {query && (
+            <button
+              type="button"
+              onClick={handleClear}
+              className="p-1 rounded-full hover:bg-accent transition-colors"
+            >
+              <ClearIcon />
+            </button>
+          )}
+          {onRegexToggle && (
+            <button
+              type="button"
+              onClick={onRegexToggle}
+              className={`px-1.5 py-0.5 rounded font-mono text-xs transition-colors ${
+                regexMode ? 'bg-primary/15 text-primary' : 'text-muted-foreground hover:text-foreground hover:bg-accent'
+              }`}
+              title="Regular expression search"
+              aria-pressed={regexMode}
+            >
+              .*
+            </button>
+          )}
+        </div>
+        {showSuggestions && (
+          <SuggestionList
+            suggestions={suggestions}
+            activeIndex={activeIndex}
+            onPick={handlePickSuggestion}
+            onHover={setActiveIndex}
+            onClearHistory={hasHistory ? handleClearHistory : null}
+          />
         )}
       </div>
+      {operators.length > 0 && (
+        <div className="flex flex-wrap gap-1.5">
+          {operators.map((operator, i) => (
+            <OperatorChip key={`${operator.raw}-${i}`} operator={operator} onRemove={handleRemoveOperator} />
+          ))}
+        </div>
+      )}
     </form>
   );
 };
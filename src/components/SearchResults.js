@@ -3,24 +3,86 @@
  * @module components/SearchResults
  */
 
-import React, { useRef, useCallback, memo, useMemo } from 'react';
+import React, { useRef, useState, useEffect, useCallback, memo, useMemo } from 'react';
 import { formatRelativeTime } from '../utils/format';
+import { splitHighlights, getHistogramBuckets, getRangeYear, formatDateRange } from '../utils/search';
 
 // ============================================================
 // Sub-components
 // ============================================================
 
+/**
+ * Result text with matched terms highlighted
+ * Falls back to the full message text when the server sent no snippet
+ */
+const ResultText = memo(({ result }) => {
+  const segments = useMemo(
+    () => splitHighlights(result.snippet, result.highlights),
+    [result.snippet, result.highlights]
+  );
+  
+  if (segments.length === 0) {
+    return <p className="text-sm text-foreground line-clamp-2 mb-1.5">{result.text}</p>;
+  }
+  
+  return (
+    <p className="text-sm text-foreground line-clamp-2 mb-1.5">
+      {segments.map((segment, i) => (
+        segment.highlighted
+          ? <mark key={i} className="search-highlight">{segment.text}</mark>
+          : <React.Fragment key={i}>{segment.text}</React.Fragment>
+      ))}
+    </p>
+  );
+});
+
+// Labels for results that matched something other than message text
+const KIND_LABELS = {
+  attachment: '📎 Attachment',
+  chat: '👥 Group chat',
+  link: '🔗 Link'
+};
+
+/**
+ * Hostname of a URL, or the URL itself if it can't be parsed
+ */
+const getHostname = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+};
+
 /**
  * Single search result item
+ * Attachment, group chat and link results are labelled by kind; chat
+ * results open the conversation rather than a message. Message results
+ * offer "find similar" on hover.
  */
-const SearchResult = memo(({ result, onResultClick, innerRef }) => {
+const SearchResult = memo(({ result, onResultClick, onFindSimilar, innerRef }) => {
   const handleClick = useCallback(
     () => onResultClick(result.conversation_id, result.message_id),
     [onResultClick, result.conversation_id, result.message_id]
   );
   
-  const displayName = result.display_name || result.contact_identifier;
-  const showIdentifier = result.display_name && result.display_name !== result.contact_identifier;
+  const handleFindSimilar = useCallback((e) => {
+    e.stopPropagation();
+    onFindSimilar(result.message_id);
+  }, [onFindSimilar, result.message_id]);
+  
+  // Who wrote the message; sent one-on-one messages also say who they went to.
+  // Chat results aren't written by anyone.
+  const isChat = result.kind === 'chat';
+  const senderName = result.sender_name || result.display_name || result.contact_identifier;
+  const displayName = isChat
+    ? null
+    : result.is_from_me && !result.is_group
+      ? `${senderName} → ${result.display_name}`
+      : senderName;
+  const identifier = result.is_from_me ? (!result.is_group && result.contact_identifier) : result.sender_id;
+  const showIdentifier = !isChat && identifier && !displayName.includes(identifier);
+  const kindLabel = KIND_LABELS[result.kind];
   const formattedTime = useMemo(() => formatRelativeTime(result.date), [result.date]);
   
   return (
@@ -30,7 +92,17 @@ const SearchResult = memo(({ result, onResultClick, innerRef }) => {
       className="group px-4 py-3 cursor-pointer border-b border-border/50 last:border-0 hover:bg-accent/50 transition-colors duration-100"
       style={{ contain: 'content' }}
     >
-      <p className="text-sm text-foreground line-clamp-2 mb-1.5">{result.text}</p>
+      {kindLabel && (
+        <span className="text-[10px] font-medium uppercase tracking-wide text-muted-foreground/70 block mb-0.5">
+          {kindLabel}
+        </span>
+      )}
+      <ResultText result={result} />
+      {result.url && (
+        <span className="text-[10px] text-primary/80 truncate block -mt-1 mb-1.5">
+          {getHostname(result.url)}
+        </span>
+      )}
       <div className="flex items-center justify-between gap-2">
         <div className="min-w-0 flex-1">
           <span className="text-xs font-medium text-muted-foreground truncate block">
@@ -38,10 +110,18 @@ const SearchResult = memo(({ result, onResultClick, innerRef }) => {
           </span>
           {showIdentifier && (
             <span className="text-[10px] text-muted-foreground/70 truncate block">
-              {result.contact_identifier}
+              {identifier}
             </span>
           )}
         </div>
+        {onFindSimilar && result.kind === 'message' && (
+          <button
+            onClick={handleFindSimilar}
+            className="text-[10px] text-primary opacity-0 group-hover:opacity-100 hover:underline flex-shrink-0 transition-opacity"
+          >
+            Find similar
+          </button>
+        )}
         <span className="text-xs text-muted-foreground/70 flex-shrink-0">
           {formattedTime}
         </span>
@@ -50,6 +130,225 @@ const SearchResult = memo(({ result, onResultClick, innerRef }) => {
   );
 });
 
+/**
+ * Conversation with its hit count - collapsed it previews the top hits,
+ * expanded it lists every hit (paged in through onLoadHits)
+ */
+const ConversationGroup = memo(({ group, onResultClick, onFindSimilar, onLoadHits }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [hits, setHits] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  
+  // A new search starts collapsed
+  useEffect(() => {
+    setExpanded(false);
+    setHits(null);
+    setNextCursor(null);
+  }, [group]);
+  
+  const loadHits = useCallback(async (cursor) => {
+    setLoading(true);
+    const data = await onLoadHits(group.conversation_id, cursor);
+    setLoading(false);
+    if (data.error) return;
+    setHits(current => (cursor && current ? [...current, ...data.results] : data.results));
+    setNextCursor(data.nextCursor);
+  }, [onLoadHits, group.conversation_id]);
+  
+  const handleToggle = useCallback(() => {
+    if (!expanded && !hits && group.count > group.hits.length) loadHits(null);
+    setExpanded(e => !e);
+  }, [expanded, hits, group.count, group.hits.length, loadHits]);
+  
+  const formattedTime = useMemo(() => formatRelativeTime(group.latest_date), [group.latest_date]);
+  const shownHits = hits || group.hits;
+  
+  return (
+    <li className="border-b border-border/50 last:border-0">
+      <div
+        onClick={handleToggle}
+        className="px-4 py-2.5 cursor-pointer hover:bg-accent/50 transition-colors duration-100"
+      >
+        <div className="flex items-center gap-2">
+          <svg className={`h-3 w-3 text-muted-foreground flex-shrink-0 transition-transform ${expanded ? '' : '-rotate-90'}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+          <span className="text-sm font-medium text-foreground truncate flex-1">
+            {group.is_group && '👥 '}{group.display_name}
+          </span>
+          <span className="px-1.5 min-w-[1.25rem] text-center rounded-full bg-muted text-muted-foreground text-[10px] font-medium flex-shrink-0">
+            {group.count.toLocaleString()}
+          </span>
+          <span className="text-xs text-muted-foreground/70 flex-shrink-0">
+            {formattedTime}
+          </span>
+        </div>
+        {!expanded && (
+          <div className="pl-5 mt-1">
+            {group.hits.map(hit => <ResultText key={hit.id} result={hit} />)}
+          </div>
+        )}
+      </div>
+      {expanded && (
+        <ul className="pl-3 border-t border-border/30">
+          {shownHits.map(hit => (
+            <SearchResult
+              key={hit.id}
+              result={hit}
+              onResultClick={onResultClick}
+              onFindSimilar={onFindSimilar}
+            />
+          ))}
+          {(loading || nextCursor) && (
+            <li className="px-4 py-2 text-center">
+              {loading ? (
+                <span className="text-xs text-muted-foreground">Loading...</span>
+              ) : (
+                <button
+                  onClick={() => loadHits(nextCursor)}
+                  className="text-xs text-primary hover:underline"
+                >
+                  Show more
+                </button>
+              )}
+            </li>
+          )}
+        </ul>
+      )}
+    </li>
+  );
+});
+
+/**
+ * Date histogram of matches - click a bar to narrow results to that period
+ * Shows years until narrowed to one year, then that year's months.
+ */
+const SearchHistogram = memo(({ facets, dateRange, onDateRangeChange }) => {
+  const buckets = useMemo(() => getHistogramBuckets(facets, dateRange), [facets, dateRange]);
+  const maxCount = useMemo(() => Math.max(1, ...buckets.map(b => b.count)), [buckets]);
+  
+  const handleBucketClick = useCallback((key) => {
+    // Clicking the selected month goes back to its whole year
+    if (dateRange && dateRange.from === key && dateRange.to === key) {
+      const year = getRangeYear(dateRange);
+      onDateRangeChange(key === year ? null : { from: year, to: year });
+    } else {
+      onDateRangeChange({ from: key, to: key });
+    }
+  }, [dateRange, onDateRangeChange]);
+  
+  if (buckets.length < 2 && !dateRange) return null;
+  
+  return (
+    <div className="px-4 pt-3 pb-2 border-b border-border/50">
+      <div className="flex items-center justify-between mb-1.5 text-[10px] text-muted-foreground">
+        <span>{dateRange ? formatDateRange(dateRange) : 'All time'}</span>
+        {dateRange && (
+          <button
+            onClick={() => onDateRangeChange(null)}
+            className="hover:text-foreground transition-colors"
+          >
+            Clear dates
+          </button>
+        )}
+      </div>
+      <div className="flex items-end gap-0.5 h-10">
+        {buckets.map(bucket => {
+          const isActive = dateRange && dateRange.from === bucket.key;
+          return (
+            <button
+              key={bucket.key}
+              onClick={() => handleBucketClick(bucket.key)}
+              disabled={bucket.count === 0}
+              title={`${bucket.title}: ${bucket.count} match${bucket.count === 1 ? '' : 'es'}`}
+              className="flex-1 h-full flex items-end group/bar disabled:cursor-default"
+            >
+              <span
+                className={`w-full rounded-sm transition-colors ${isActive ? 'bg-primary' : 'bg-primary/40 group-hover/bar:bg-primary/70'}`}
+                style={{ height: bucket.count ? `${Math.max(8, (bucket.count / maxCount) * 100)}%` : '1px' }}
+              />
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex gap-0.5 mt-1">
+        {buckets.map(bucket => (
+          <span key={bucket.key} className="flex-1 text-center text-[9px] text-muted-foreground/70 truncate">
+            {bucket.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+/**
+ * "Did you mean" links for a search that found nothing
+ */
+const Suggestions = memo(({ suggestions, onSuggestionClick }) => (
+  <p className="text-sm text-muted-foreground px-4 py-3">
+    Did you mean{' '}
+    {suggestions.map((suggestion, i) => (
+      <React.Fragment key={suggestion}>
+        {i > 0 && (i === suggestions.length - 1 ? ' or ' : ', ')}
+        <button
+          onClick={() => onSuggestionClick(suggestion)}
+          className="text-primary hover:underline font-medium"
+        >
+          {suggestion}
+        </button>
+      </React.Fragment>
+    ))}
+    ?
+  </p>
+));
+
+/**
+ * Banner shown while results are messages similar to one message
+ */
+const SimilarBanner = memo(({ similarTo, onClear }) => (
+  <div className="px-4 py-2 border-b border-border/50 text-xs text-muted-foreground">
+    <div className="flex items-start justify-between gap-2">
+      <p className="min-w-0 line-clamp-2">
+        Similar to <span className="text-foreground">“{similarTo.text}”</span>
+      </p>
+      {onClear && (
+        <button
+          onClick={onClear}
+          className="hover:text-foreground transition-colors flex-shrink-0"
+          title="Back to search"
+        >
+          ✕
+        </button>
+      )}
+    </div>
+    {similarTo.terms.length > 0 && (
+      <div className="flex flex-wrap gap-1 mt-1.5">
+        {similarTo.terms.map(term => (
+          <span key={term} className="px-1.5 py-0.5 rounded bg-accent text-[10px]">
+            {term}
+          </span>
+        ))}
+      </div>
+    )}
+  </div>
+));
+
+/**
+ * Search error (e.g. invalid regular expression) or early-stop notice
+ */
+const SearchNotice = memo(({ children, isError }) => (
+  <p className={`text-xs px-4 py-2 border-b border-border/50 ${isError ? 'text-red-500' : 'text-muted-foreground'}`}>
+    {children}
+  </p>
+));
+
+const TRUNCATED_MESSAGES = {
+  timeout: 'Search took too long, so older messages weren\'t checked.',
+  scan_limit: 'Only the most recent messages were checked.'
+};
+
 /**
  * Empty state display
  */
@@ -81,8 +380,32 @@ const EmptyState = memo(() => (
 
 /**
  * SearchResults - Displays search results with infinite scroll
+ * Shows a date histogram when facets are provided, "did you mean"
+ * suggestions when a search finds nothing, and the source message when
+ * results are similar messages. When groups are given (results grouped by
+ * conversation) they're shown instead of the results. While streaming,
+ * results render as they arrive.
  */
-const SearchResults = ({ results, onResultClick, hasMore, loadMore, inline }) => {
+const SearchResults = ({
+  results,
+  onResultClick,
+  hasMore,
+  loadMore,
+  inline,
+  facets,
+  dateRange,
+  onDateRangeChange,
+  suggestions = [],
+  onSuggestionClick,
+  error,
+  truncated,
+  onFindSimilar,
+  similarTo,
+  onClearSimilar,
+  groups,
+  onLoadGroupHits,
+  streaming
+}) => {
   const observer = useRef();
   
   // Infinite scroll observer
@@ -101,24 +424,56 @@ const SearchResults = ({ results, onResultClick, hasMore, loadMore, inline }) =>
 
   const content = (
     <>
-      {results.length === 0 ? (
-        <EmptyState />
+      {similarTo && <SimilarBanner similarTo={similarTo} onClear={onClearSimilar} />}
+      {error && <SearchNotice isError>{error}</SearchNotice>}
+      {!error && truncated && TRUNCATED_MESSAGES[truncated] && (
+        <SearchNotice>{TRUNCATED_MESSAGES[truncated]}</SearchNotice>
+      )}
+      {facets && onDateRangeChange && (
+        <SearchHistogram
+          facets={facets}
+          dateRange={dateRange}
+          onDateRangeChange={onDateRangeChange}
+        />
+      )}
+      {results.length === 0 && !groups?.length && !streaming && suggestions.length > 0 && onSuggestionClick && (
+        <Suggestions suggestions={suggestions} onSuggestionClick={onSuggestionClick} />
+      )}
+      {groups ? (
+        groups.length === 0 ? (
+          <EmptyState />
+        ) : (
+          <ul>
+            {groups.map(group => (
+              <ConversationGroup
+                key={group.conversation_id}
+                group={group}
+                onResultClick={onResultClick}
+                onFindSimilar={onFindSimilar}
+                onLoadHits={onLoadGroupHits}
+              />
+            ))}
+          </ul>
+        )
+      ) : results.length === 0 ? (
+        !streaming && <EmptyState />
       ) : (
         <ul className="auto-virtualize">
           {results.map((result, i) => (
             <SearchResult
-              key={result.message_id}
+              key={result.id}
               result={result}
               onResultClick={onResultClick}
+              onFindSimilar={onFindSimilar}
               innerRef={i === results.length - 1 ? lastRef : null}
             />
           ))}
         </ul>
       )}
       
-      {hasMore && (
+      {(hasMore || streaming) && (
         <div className="px-4 py-3 text-center">
-          <span className="text-xs text-muted-foreground">Loading more...</span>
+          <span className="text-xs text-muted-foreground">{streaming ? 'Searching...' : 'Loading more...'}</span>
         </div>
       )}
     </>
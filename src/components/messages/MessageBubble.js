@@ -1,18 +1,146 @@
-import React, { memo, useMemo } from 'react';
+import React, { memo, useMemo, useState } from 'react';
 import { Attachment } from '../media/Attachment';
 import { cleanMessageText, hasVisibleText, getDisplayableAttachments } from '../../utils/messages';
+import { formatDate, formatMessageTime, formatReceiptTime } from '../../utils/format';
+
+// Tapback icons by reaction type (custom emoji reactions carry their own)
+const REACTION_ICONS = {
+  love: '❤️',
+  like: '👍',
+  dislike: '👎',
+  laugh: '😂',
+  emphasize: '‼️',
+  question: '❓'
+};
+
+/**
+ * ReactionBadges - Tapbacks on a message, grouped by icon
+ */
+const ReactionBadges = ({ reactions, isSent }) => {
+  const groups = useMemo(() => {
+    const byIcon = new Map();
+    reactions.forEach(reaction => {
+      const icon = reaction.emoji || REACTION_ICONS[reaction.type];
+      if (!icon) return;
+      if (!byIcon.has(icon)) byIcon.set(icon, []);
+      byIcon.get(icon).push(reaction.is_from_me ? 'You' : reaction.sender_name || 'Unknown');
+    });
+    return [...byIcon.entries()];
+  }, [reactions]);
+
+  if (groups.length === 0) return null;
+
+  return (
+    <div className={`flex gap-0.5 -mb-2 z-10 ${isSent ? 'self-start -ml-2' : 'self-end -mr-2'}`}>
+      {groups.map(([icon, names]) => (
+        <span
+          key={icon}
+          className="flex items-center gap-0.5 px-1.5 py-0.5 rounded-full bg-card border border-border text-xs shadow-sm"
+          title={names.join(', ')}
+        >
+          {icon}
+          {names.length > 1 && <span className="text-muted-foreground">{names.length}</span>}
+        </span>
+      ))}
+    </div>
+  );
+};
 
 /**
- * MessageBubble - Renders a single message with text and/or attachments
+ * ReplyHeader - Quote of the message an inline reply replies to
+ * Clicking it jumps to the original.
+ */
+const ReplyHeader = ({ replyTo, isSent, onJump }) => (
+  <button
+    type="button"
+    onClick={() => onJump?.(replyTo.id)}
+    disabled={!onJump}
+    className={`max-w-[280px] text-left border-l-2 border-muted-foreground/40 pl-2 py-0.5 text-xs text-muted-foreground hover:text-foreground transition-colors ${isSent ? 'self-end' : 'self-start'}`}
+    title="Go to original message"
+  >
+    <span className="font-medium">{replyTo.sender_name}</span>
+    <span className="block truncate">{replyTo.excerpt}</span>
+  </button>
+);
+
+/**
+ * EditedLabel - "Edited" marker that expands to a message's earlier versions
+ */
+const EditedLabel = ({ edits, editedAt, isSent }) => {
+  const [expanded, setExpanded] = useState(false);
+  const canExpand = edits.length > 0;
+
+  return (
+    <div className={`flex flex-col gap-0.5 max-w-[320px] ${isSent ? 'items-end self-end' : 'items-start self-start'}`}>
+      <button
+        type="button"
+        onClick={() => setExpanded(value => !value)}
+        disabled={!canExpand}
+        className="text-[11px] text-muted-foreground enabled:hover:text-foreground transition-colors"
+        title={editedAt ? `Edited ${formatMessageTime(editedAt)}` : 'Edited'}
+      >
+        Edited{canExpand ? (expanded ? ' ▴' : ' ▾') : ''}
+      </button>
+      {expanded && edits.map((edit, idx) => (
+        <div
+          key={idx}
+          className="px-3 py-1 rounded-2xl border border-dashed border-border text-xs text-muted-foreground break-words whitespace-pre-wrap"
+          title={formatMessageTime(edit.date)}
+        >
+          {edit.text}
+          <span className="block text-[10px] text-muted-foreground/70">{formatDate(edit.date)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * ReceiptFooter - Delivery state of a sent message: "Not delivered",
+ * "Read 3:42 PM" or "Delivered"
+ */
+const ReceiptFooter = ({ message }) => {
+  if (message.error) {
+    return <span className="self-end text-[11px] text-red-500">Not delivered</span>;
+  }
+  if (message.is_read && message.date_read) {
+    return (
+      <span className="self-end text-[11px] text-muted-foreground" title={formatMessageTime(message.date_read)}>
+        Read {formatReceiptTime(message.date_read)}
+      </span>
+    );
+  }
+  if (message.is_delivered) {
+    return (
+      <span
+        className="self-end text-[11px] text-muted-foreground"
+        title={message.date_delivered ? formatMessageTime(message.date_delivered) : undefined}
+      >
+        Delivered
+      </span>
+    );
+  }
+  return null;
+};
+
+/**
+ * MessageBubble - Renders a single message with text and/or attachments,
+ * its tapbacks and, for inline replies, the message replied to; edited
+ * messages are marked and unsent ones leave a placeholder. Sent SMS and RCS
+ * messages get green bubbles, as in Messages.
  */
 export const MessageBubble = memo(function MessageBubble({ 
   message, 
   isHighlighted, 
   innerRef, 
   onMediaClick, 
+  onFindSimilar,
+  onJumpToMessage,
+  onOpenThread,
   isLastInGroup 
 }) {
   const isSent = message.is_from_me;
+  const hasReactions = message.reactions?.length > 0;
   
   // Process message content
   const { textContent, hasText, attachments, hasAttachments } = useMemo(() => {
@@ -26,9 +154,26 @@ export const MessageBubble = memo(function MessageBubble({
     };
   }, [message.text, message.attachments]);
 
+  // Unsent messages (nothing of them left) leave a placeholder
+  if (!hasText && !hasAttachments && message.unsent) {
+    return (
+      <div
+        ref={innerRef}
+        data-message-id={message.id}
+        className={`message-bubble px-3 py-[6px] rounded-2xl border border-dashed border-border text-xs italic text-muted-foreground ${isHighlighted ? 'animate-highlight-pulse ring-2 ring-primary/50' : ''}`}
+      >
+        {isSent ? 'You' : message.sender_name} unsent a message
+      </div>
+    );
+  }
+
   // Don't render empty messages
   if (!hasText && !hasAttachments) return null;
 
+  const isEdited = Boolean(message.edited_at) || message.edits?.length > 0;
+  const isGreenBubble = message.service === 'SMS' || message.service === 'RCS';
+  const sentBubbleColor = isGreenBubble ? 'bg-green-500 text-white' : 'bg-primary text-white';
+
   // Determine bubble corner rounding
   const bubbleRadius = isSent
     ? `rounded-2xl ${isLastInGroup ? 'rounded-br-md' : ''}`
@@ -40,6 +185,14 @@ export const MessageBubble = memo(function MessageBubble({
       data-message-id={message.id}
       className={`message-bubble flex flex-col gap-1 ${isHighlighted ? 'animate-highlight-pulse' : ''}`}
     >
+      {/* Inline reply: the message replied to */}
+      {message.reply_to && (
+        <ReplyHeader replyTo={message.reply_to} isSent={isSent} onJump={onJumpToMessage} />
+      )}
+
+      {/* Tapbacks, overlapping the top corner of the message */}
+      {hasReactions && <ReactionBadges reactions={message.reactions} isSent={isSent} />}
+
       {/* Attachments - rendered without bubble background */}
       {hasAttachments && (
         <div className={isHighlighted && !hasText ? 'ring-2 ring-primary/50 rounded-xl' : ''}>
@@ -54,19 +207,54 @@ export const MessageBubble = memo(function MessageBubble({
         </div>
       )}
       
-      {/* Text bubble */}
+      {/* Text bubble, with a "find similar" action beside it on hover */}
       {hasText && (
-        <div
-          className={`
-            break-words overflow-hidden px-3 py-[6px] max-w-[320px] w-fit
-            ${isSent ? 'bg-primary text-white' : 'bg-bubble-received text-foreground'}
-            ${bubbleRadius}
-            ${isHighlighted ? 'ring-2 ring-primary/50' : ''}
-          `}
-        >
-          <p className="text-[15px] leading-snug break-words whitespace-pre-wrap">{textContent}</p>
+        <div className={`group flex items-center gap-1 ${isSent ? 'flex-row-reverse' : ''}`}>
+          <div
+            className={`
+              break-words overflow-hidden px-3 py-[6px] max-w-[320px] w-fit
+              ${isSent ? sentBubbleColor : 'bg-bubble-received text-foreground'}
+              ${bubbleRadius}
+              ${isHighlighted ? 'ring-2 ring-primary/50' : ''}
+            `}
+            title={isGreenBubble ? `${message.service} message` : undefined}
+          >
+            <p className="text-[15px] leading-snug break-words whitespace-pre-wrap">{textContent}</p>
+          </div>
+          {onFindSimilar && (
+            <button
+              type="button"
+              onClick={() => onFindSimilar(message.id)}
+              className="flex-shrink-0 p-1 rounded-full text-muted-foreground opacity-0 group-hover:opacity-100 hover:bg-accent hover:text-foreground transition-opacity"
+              title="Find similar messages"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+              </svg>
+            </button>
+          )}
         </div>
       )}
+
+      {/* Edited marker, expanding to earlier versions */}
+      {isEdited && (
+        <EditedLabel edits={message.edits || []} editedAt={message.edited_at} isSent={isSent} />
+      )}
+
+      {/* Receipts: on the last sent message of a group, and on any that failed */}
+      {isSent && (isLastInGroup || message.error > 0) && <ReceiptFooter message={message} />}
+
+      {/* Replies to this message, opening the thread */}
+      {message.reply_count > 0 && (
+        <button
+          type="button"
+          onClick={() => onOpenThread?.(message.id)}
+          disabled={!onOpenThread}
+          className={`text-xs text-primary hover:underline ${isSent ? 'self-end' : 'self-start'}`}
+        >
+          {message.reply_count} {message.reply_count === 1 ? 'reply' : 'replies'}
+        </button>
+      )}
     </div>
   );
 });
@@ -3,11 +3,11 @@ import { Avatar } from '../ui/Avatar';
 import { MessageBubble } from './MessageBubble';
 import { hasVisibleText, getDisplayableAttachments } from '../../utils/messages';
 
-// Check if a message has any displayable content
+// Check if a message has any displayable content (unsent ones show a placeholder)
 function hasDisplayableContent(message) {
   const hasText = hasVisibleText(message.text);
   const hasAttachments = getDisplayableAttachments(message.attachments).length > 0;
-  return hasText || hasAttachments;
+  return hasText || hasAttachments || Boolean(message.unsent);
 }
 
 export const MessageGroup = memo(function MessageGroup({ 
@@ -16,7 +16,10 @@ export const MessageGroup = memo(function MessageGroup({
   isGroupChat, 
   highlightedId, 
   highlightedRef, 
-  onMediaClick 
+  onMediaClick,
+  onFindSimilar,
+  onJumpToMessage,
+  onOpenThread
 }) {
   // Filter to only messages with displayable content - memoized
   const displayableMessages = useMemo(
@@ -56,6 +59,9 @@ export const MessageGroup = memo(function MessageGroup({
             isHighlighted={String(message.id) === String(highlightedId)}
             innerRef={String(message.id) === String(highlightedId) ? highlightedRef : null}
             onMediaClick={onMediaClick}
+            onFindSimilar={onFindSimilar}
+            onJumpToMessage={onJumpToMessage}
+            onOpenThread={onOpenThread}
             isLastInGroup={idx === displayableMessages.length - 1}
           />
         ))}
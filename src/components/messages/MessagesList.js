@@ -1,6 +1,7 @@
 import React, { memo, useMemo, useRef, useState, useEffect, useCallback } from 'react';
 import { MessageGroup } from './MessageGroup';
 import { TimeDivider } from './TimeDivider';
+import { SystemEventNotice } from './SystemEventNotice';
 import { groupMessages } from '../../utils/messages';
 
 /**
@@ -61,7 +62,8 @@ const LoadingIndicator = memo(function LoadingIndicator() {
 });
 
 /**
- * MessagesList component - renders grouped messages with time dividers.
+ * MessagesList component - renders grouped messages with time dividers
+ * and group chat system event notices.
  * Uses CSS content-visibility for performance instead of JS virtualization.
  */
 export const MessagesList = memo(function MessagesList({ 
@@ -72,6 +74,9 @@ export const MessagesList = memo(function MessagesList({
   highlightedRef, 
   containerRef, 
   onMediaClick,
+  onFindSimilar,
+  onJumpToMessage,
+  onOpenThread,
   loadingMore,
   loadingNewer,
   hasMore,
@@ -106,6 +111,17 @@ export const MessagesList = memo(function MessagesList({
             if (group.type === 'time') {
               return <TimeDivider key={`time-${idx}`} date={group.date} />;
             }
+            if (group.type === 'event') {
+              const isHighlighted = String(group.message.id) === String(highlightedId);
+              return (
+                <SystemEventNotice
+                  key={`event-${group.message.id}`}
+                  message={group.message}
+                  isHighlighted={isHighlighted}
+                  innerRef={isHighlighted ? highlightedRef : null}
+                />
+              );
+            }
             
             return (
               <MessageGroup
@@ -116,6 +132,9 @@ export const MessagesList = memo(function MessagesList({
                 highlightedId={highlightedId}
                 highlightedRef={highlightedRef}
                 onMediaClick={onMediaClick}
+                onFindSimilar={onFindSimilar}
+                onJumpToMessage={onJumpToMessage}
+                onOpenThread={onOpenThread}
               />
             );
           })}
@@ -0,0 +1,21 @@
+import React, { memo } from 'react';
+import { formatMessageTime } from '../../utils/format';
+
+/**
+ * SystemEventNotice - Centered timeline notice for a group chat change
+ * ("Alice added Bob to the conversation")
+ */
+export const SystemEventNotice = memo(function SystemEventNotice({ message, isHighlighted, innerRef }) {
+  return (
+    <div ref={innerRef} data-message-id={message.id} className="flex justify-center py-2">
+      <span
+        className={`text-xs text-muted-foreground text-center px-2 rounded ${isHighlighted ? 'animate-highlight-pulse ring-2 ring-primary/50' : ''}`}
+        title={formatMessageTime(message.date)}
+      >
+        {message.system_event.text}
+      </span>
+    </div>
+  );
+});
+
+export default SystemEventNotice;
@@ -0,0 +1,71 @@
+import React, { memo, useState, useEffect } from 'react';
+import { getThread } from '../../api';
+import { cleanMessageText } from '../../utils/messages';
+import { formatDate, formatMessageTime } from '../../utils/format';
+import { Spinner } from '../ui/Spinner';
+
+/**
+ * ThreadPanel - Side panel with an inline reply thread: the original message
+ * and its replies, oldest first. Clicking a message jumps to it.
+ */
+export const ThreadPanel = memo(function ThreadPanel({ chatIdString, messageId, onJump, onClose }) {
+  const [thread, setThread] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setThread(null);
+    getThread(chatIdString, messageId)
+      .then(data => !cancelled && setThread(data.messages || []))
+      .catch(() => !cancelled && setThread([]));
+
+    return () => { cancelled = true; };
+  }, [chatIdString, messageId]);
+
+  return (
+    <div className="flex-shrink-0 w-72 flex flex-col border-l border-border/50 bg-background">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-border/50">
+        <span className="text-xs font-medium text-foreground">
+          Thread{thread && thread.length > 1 ? ` · ${thread.length - 1} ${thread.length === 2 ? 'reply' : 'replies'}` : ''}
+        </span>
+        <button
+          onClick={onClose}
+          className="p-1 rounded text-muted-foreground hover:text-foreground transition-colors"
+          title="Close thread"
+        >
+          <svg className="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-y-auto scrollbar-thin p-2 space-y-1">
+        {!thread && (
+          <div className="flex justify-center py-4">
+            <Spinner size="sm" />
+          </div>
+        )}
+        {thread && thread.length === 0 && (
+          <p className="py-4 text-center text-xs text-muted-foreground">Thread not found</p>
+        )}
+        {thread && thread.map((message, idx) => (
+          <button
+            key={message.id}
+            onClick={() => onJump(message.id)}
+            className={`w-full text-left rounded-lg px-2 py-1.5 hover:bg-accent transition-colors ${idx === 0 ? 'bg-muted/50' : ''}`}
+            title={formatMessageTime(message.date)}
+          >
+            <div className="flex items-baseline justify-between gap-2">
+              <span className="text-xs font-medium text-foreground truncate">{message.sender_name}</span>
+              <span className="text-[10px] text-muted-foreground flex-shrink-0">{formatDate(message.date)}</span>
+            </div>
+            <p className="text-xs text-muted-foreground break-words whitespace-pre-wrap line-clamp-4">
+              {cleanMessageText(message.text) || (message.attachments?.length ? 'Attachment' : '')}
+            </p>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+export default ThreadPanel;
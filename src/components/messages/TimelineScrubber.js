@@ -0,0 +1,62 @@
+import React, { memo, useMemo } from 'react';
+
+/**
+ * Format a YYYY-MM month key (e.g., "Mar 2017")
+ */
+const formatMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(year, monthNumber - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+};
+
+/**
+ * Get the YYYY-MM month key of a timestamp (local time)
+ */
+const toMonthKey = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * TimelineScrubber - Vertical strip of a conversation's months, oldest at
+ * the top, each bar as wide as its share of messages. Months of the
+ * loaded messages are highlighted; clicking a month jumps to its start.
+ */
+export const TimelineScrubber = memo(function TimelineScrubber({ months, messages, onSelect }) {
+  const maxCount = useMemo(() => Math.max(1, ...months.map(m => m.count)), [months]);
+  
+  const loadedRange = useMemo(() => {
+    if (messages.length === 0) return null;
+    return [toMonthKey(messages[0].date), toMonthKey(messages[messages.length - 1].date)];
+  }, [messages]);
+  
+  if (months.length < 2) return null;
+  
+  return (
+    <div className="flex-shrink-0 w-10 flex flex-col py-2 border-l border-border/50 bg-background/50">
+      <span className="text-[9px] text-muted-foreground text-center mb-1">{months[0].month.slice(0, 4)}</span>
+      <div className="flex-1 min-h-0 flex flex-col">
+        {months.map(({ month, count }) => {
+          const isLoaded = loadedRange && month >= loadedRange[0] && month <= loadedRange[1];
+          return (
+            <button
+              key={month}
+              onClick={() => onSelect(`${month}-01`)}
+              className="group flex-1 min-h-0 flex items-center justify-end px-1"
+              title={`${formatMonth(month)} · ${count.toLocaleString()} message${count === 1 ? '' : 's'}`}
+            >
+              <span
+                className={`block h-full max-h-1.5 min-h-px rounded-sm transition-colors ${
+                  isLoaded ? 'bg-primary' : 'bg-muted-foreground/30 group-hover:bg-muted-foreground/60'
+                }`}
+                style={{ width: `${Math.max(10, (count / maxCount) * 100)}%` }}
+              />
+            </button>
+          );
+        })}
+      </div>
+      <span className="text-[9px] text-muted-foreground text-center mt-1">{months[months.length - 1].month.slice(0, 4)}</span>
+    </div>
+  );
+});
+
+export default TimelineScrubber;
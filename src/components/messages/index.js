@@ -2,4 +2,7 @@ export { MessageBubble } from './MessageBubble';
 export { MessageGroup } from './MessageGroup';
 export { MessagesList } from './MessagesList';
 export { TimeDivider } from './TimeDivider';
+export { SystemEventNotice } from './SystemEventNotice';
+export { TimelineScrubber } from './TimelineScrubber';
 
+export { ThreadPanel } from './ThreadPanel';
@@ -79,15 +79,16 @@ export const useConversationCache = () => {
    * @param {string|number|Array} chatIds - Chat ID(s) to load
    * @param {Object} options - Optional parameters
    * @param {number} options.around - Load messages centered around this message ID
+   * @param {string} options.at - Load messages centered around this date (see getConversation)
    * @returns {Promise<{ data: Object, fromCache: boolean }>}
    */
   const loadConversation = useCallback(async (chatIds, options = {}) => {
-    const { around } = options;
+    const { around, at } = options;
     
-    // If loading around a specific message, skip cache (need fresh centered data)
-    if (around) {
+    // If loading around a specific message or date, skip cache (need fresh centered data)
+    if (around || at) {
       const id = Array.isArray(chatIds) ? chatIds.join(',') : chatIds;
-      const response = await getConversation(id, { around });
+      const response = await getConversation(id, { around, at });
       // Don't cache "around" queries as they're targeted loads
       return { data: response, fromCache: false };
     }
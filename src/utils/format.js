@@ -26,6 +26,41 @@ export const formatRelativeTime = (timestamp) => {
   return 'Just now';
 };
 
+/**
+ * Format a remaining duration (e.g., "about 3m left", "about 1h 20m left")
+ */
+export const formatTimeLeft = (ms) => {
+  const minutes = Math.ceil(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  
+  if (minutes <= 1) return 'less than a minute left';
+  if (hours > 0) return `about ${hours}h ${minutes % 60}m left`;
+  return `about ${minutes}m left`;
+};
+
+/**
+ * Format a duration in minutes (e.g., "<1m", "12m", "2h 5m")
+ */
+export const formatDuration = (minutes) => {
+  if (minutes < 1) return '<1m';
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${Math.round(minutes)}m`;
+  const rest = Math.round(minutes % 60);
+  return rest > 0 ? `${hours}h ${rest}m` : `${hours}h`;
+};
+
+/**
+ * Format a receipt time: the time of day if today, else the date
+ * (e.g., "3:42 PM", "Mar 4")
+ */
+export const formatReceiptTime = (timestamp) => {
+  const date = new Date(timestamp);
+  if (date.toDateString() === new Date().toDateString()) {
+    return date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  }
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
 /**
  * Format date for message timestamps
  */
@@ -100,7 +100,8 @@ export const detectGroupChat = (messages) => {
 
 /**
  * Group consecutive messages from the same sender
- * Returns array of { type: 'messages' | 'time', ... }
+ * Returns array of { type: 'messages' | 'time' | 'event', ... }; group chat
+ * system events (renames, people added) stand alone and end the group.
  */
 export const groupMessages = (messages, timeGapMs = DEFAULT_TIME_GAP_MS) => {
   const groups = [];
@@ -122,7 +123,10 @@ export const groupMessages = (messages, timeGapMs = DEFAULT_TIME_GAP_MS) => {
       groups.push({ type: 'time', date: timestamp });
     }
     
-    if (continuesGroup) {
+    if (message.system_event) {
+      groups.push({ type: 'event', message });
+      currentGroup = null;
+    } else if (continuesGroup) {
       currentGroup.messages.push(message);
     } else {
       currentGroup = {
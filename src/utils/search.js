@@ -0,0 +1,158 @@
+/**
+ * Search result utilities
+ * @module utils/search
+ */
+
+// ============================================================
+// Query operators
+// ============================================================
+
+// Note: Mirrors server/helpers/queryParser.js - keep them in sync
+
+// Optional '-', optional 'key:', then a quoted phrase (closing quote optional) or a bare word.
+// Phrases may use smart quotes (“like this”), as typed on iPhones.
+const TOKEN_REGEX = /(-)?(?:([a-zA-Z]+):)?(?:["\u201C\u201D]([^"\u201C\u201D]*)["\u201C\u201D]?|(\S+))/g;
+
+const DATE_REGEX = /^\d{4}(?:-\d{1,2}){0,2}$/;
+
+const OPERATOR_VALIDATORS = {
+  from: (value) => value.length > 0,
+  in: (value) => value.length > 0,
+  before: (value) => DATE_REGEX.test(value),
+  after: (value) => DATE_REGEX.test(value),
+  has: (value) => ['link', 'image', 'video', 'attachment'].includes(value.toLowerCase()),
+  is: (value) => ['sent', 'received'].includes(value.toLowerCase())
+};
+
+/**
+ * Find the structured operators (from:, in:, has:, ...) in a search query
+ * @param {string} query - Raw search query
+ * @returns {Array<{ key: string, value: string, raw: string }>} - raw is the
+ *   exact token text, so it can be removed from the query
+ */
+export const parseQueryOperators = (query) => {
+  const operators = [];
+  
+  for (const [raw, dash, rawKey, quoted, bare] of (query || '').matchAll(TOKEN_REGEX)) {
+    if (dash || !rawKey) continue;
+    
+    const key = rawKey.toLowerCase();
+    const value = (quoted !== undefined ? quoted : bare || '').trim();
+    const isValid = OPERATOR_VALIDATORS[key];
+    
+    if (isValid && isValid(value)) {
+      operators.push({ key, value, raw: raw.trim() });
+    }
+  }
+  
+  return operators;
+};
+
+/**
+ * Remove one operator token from a search query
+ */
+export const removeQueryOperator = (query, operator) =>
+  query
+    .replace(operator.raw, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+// ============================================================
+// Date histogram
+// ============================================================
+
+const MONTH_LABELS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Get the year a date range is narrowed to (a single year or month), or null
+ */
+export const getRangeYear = (range) =>
+  range && range.from && range.from === range.to ? range.from.slice(0, 4) : null;
+
+/**
+ * Build histogram buckets from search facets
+ * 
+ * Shows one bar per year (gaps filled with zero), or one per month once the
+ * range is narrowed to a single year or month. Each bucket's key is the
+ * from/to value that narrows results to it.
+ * 
+ * @param {Object} facets - { years, months } from the search API
+ * @param {Object|null} range - Current { from, to } range
+ * @returns {Array<{ key: string, label: string, title: string, count: number }>}
+ */
+export const getHistogramBuckets = (facets, range) => {
+  if (!facets) return [];
+  
+  const rangeYear = getRangeYear(range);
+  if (rangeYear) {
+    const counts = new Map(facets.months.map(m => [m.key, m.count]));
+    return MONTH_LABELS.map((label, i) => {
+      const key = `${rangeYear}-${String(i + 1).padStart(2, '0')}`;
+      return { key, label, title: `${MONTH_NAMES[i]} ${rangeYear}`, count: counts.get(key) || 0 };
+    });
+  }
+  
+  if (facets.years.length === 0) return [];
+  
+  const counts = new Map(facets.years.map(y => [y.key, y.count]));
+  const first = parseInt(facets.years[0].key);
+  const last = parseInt(facets.years[facets.years.length - 1].key);
+  
+  const buckets = [];
+  for (let year = first; year <= last; year++) {
+    const key = String(year);
+    buckets.push({ key, label: `'${key.slice(2)}`, title: key, count: counts.get(key) || 0 });
+  }
+  return buckets;
+};
+
+/**
+ * Format a date range for display (e.g. "2019", "Mar 2019")
+ */
+export const formatDateRange = (range) => {
+  if (!range) return '';
+  
+  const formatValue = (value) => {
+    const [year, month] = value.split('-');
+    return month ? `${MONTH_NAMES[parseInt(month) - 1]} ${year}` : year;
+  };
+  
+  return range.from === range.to
+    ? formatValue(range.from)
+    : `${formatValue(range.from)} – ${formatValue(range.to)}`;
+};
+
+// ============================================================
+// Highlighting
+// ============================================================
+
+/**
+ * Split text into plain and highlighted segments
+ * @param {string} text - Snippet text
+ * @param {Array<{ start: number, end: number }>} highlights - Match offsets
+ * @returns {Array<{ text: string, highlighted: boolean }>}
+ */
+export const splitHighlights = (text, highlights = []) => {
+  if (!text) return [];
+  
+  const segments = [];
+  let cursor = 0;
+  
+  [...highlights]
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }) => {
+      if (start < cursor || end <= start) return;
+      if (start > cursor) {
+        segments.push({ text: text.slice(cursor, start), highlighted: false });
+      }
+      segments.push({ text: text.slice(start, end), highlighted: true });
+      cursor = end;
+    });
+  
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), highlighted: false });
+  }
+  
+  return segments;
+};
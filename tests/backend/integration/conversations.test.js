@@ -0,0 +1,213 @@
+/**
+ * Conversation Route Integration Tests
+ * Runs the conversation routes against a fixture chat.db (macOS 13+ schema)
+ * and its search index
+ */
+
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const { createFixtureHome, createChatDb, toMacTime } = require('../../fixtures/chatDb');
+
+// config resolves chat.db and the cache directory from the home directory when it's loaded
+const fixtureHome = createFixtureHome('conversations');
+jest.spyOn(os, 'homedir').mockReturnValue(fixtureHome.home);
+
+// Fewer matches than the fixture's "dinner" messages
+jest.mock('../../../server/config', () => ({
+  ...jest.requireActual('../../../server/config'),
+  CONVERSATION_SEARCH_MAX_MATCHES: 3
+}));
+
+/**
+ * Fixture conversations: a one-to-one chat about dinner over three months,
+ * a chat with one other message, and a group chat with a tapback and
+ * system events
+ */
+const buildConversationFixture = () => ({
+  handles: [{ ROWID: 1, id: '+15551234567' }, { ROWID: 2, id: 'bob@example.com' }],
+  chats: [
+    { ROWID: 1, guid: 'iMessage;-;+15551234567', chat_identifier: '+15551234567', handles: [1] },
+    { ROWID: 2, guid: 'iMessage;-;+15559876543', chat_identifier: '+15559876543', handles: [] },
+    { ROWID: 3, guid: 'iMessage;+;chat100', chat_identifier: 'chat100', display_name: 'Family', handles: [1, 2] }
+  ],
+  messages: [
+    { ROWID: 1, guid: 'G1', text: 'Dinner at 7?', date: toMacTime('2021-05-01T12:00:00Z'), handle_id: 1, chat_id: 1 },
+    { ROWID: 2, guid: 'G2', text: 'Sounds good, dinner it is', date: toMacTime('2021-05-01T12:05:00Z'), is_from_me: 1, chat_id: 1 },
+    { ROWID: 3, guid: 'G3', text: 'That dinner was great', date: toMacTime('2021-06-10T12:00:00Z'), handle_id: 1, chat_id: 1 },
+    { ROWID: 4, guid: 'G4', text: 'Lunch instead?', date: toMacTime('2021-07-15T12:00:00Z'), is_from_me: 1, chat_id: 1 },
+    { ROWID: 5, guid: 'G5', text: 'No, dinner again', date: toMacTime('2021-07-16T12:00:00Z'), handle_id: 1, chat_id: 1 },
+    { ROWID: 6, guid: 'G6', text: 'Dinner elsewhere', date: toMacTime('2021-07-17T12:00:00Z'), is_from_me: 1, chat_id: 2 },
+    { ROWID: 7, guid: 'G7', item_type: 1, group_action_type: 0, other_handle: 2, date: toMacTime('2022-01-10T12:00:00Z'), is_from_me: 1, chat_id: 3 },
+    { ROWID: 8, guid: 'G8', text: 'Welcome Bob', date: toMacTime('2022-01-10T12:01:00Z'), handle_id: 1, chat_id: 3 },
+    { ROWID: 9, guid: 'G9', text: 'Loved “Welcome Bob”', associated_message_type: 2000, associated_message_guid: 'p:0/G8', date: toMacTime('2022-01-10T12:02:00Z'), handle_id: 2, chat_id: 3 },
+    { ROWID: 10, guid: 'G10', item_type: 2, group_title: 'Family', date: toMacTime('2022-02-15T12:00:00Z'), handle_id: 1, chat_id: 3 },
+    { ROWID: 11, guid: 'G11', text: 'Brunch on Sunday', date: toMacTime('2022-02-15T12:05:00Z'), handle_id: 2, chat_id: 3 },
+    { ROWID: 12, guid: 'G12', item_type: 3, group_action_type: 0, date: toMacTime('2022-03-20T12:00:00Z'), handle_id: 2, chat_id: 3 }
+  ]
+});
+
+describe('Conversation routes', () => {
+  let app;
+  let searchIndex;
+  let closeDatabase;
+
+  beforeAll(async () => {
+    await createChatDb(fixtureHome.chatDbPath, buildConversationFixture());
+    searchIndex = require('../../../server/services/searchIndex');
+    ({ closeDatabase } = require('../../../server/db/connection'));
+    await searchIndex.buildIndex();
+
+    app = express();
+    app.use('/', require('../../../server/routes/conversations'));
+  });
+
+  afterAll(() => {
+    searchIndex.closeIndex();
+    closeDatabase();
+    os.homedir.mockRestore();
+    fs.rmSync(fixtureHome.home, { recursive: true, force: true });
+  });
+
+  describe('GET /conversation/:id?at=', () => {
+    const loadAt = (id, at) => request(app).get(`/conversation/${id}?at=${encodeURIComponent(at)}`);
+
+    test('should load around the first message on or after a date', async () => {
+      const res = await loadAt(1, '2021-06');
+
+      expect(res.status).toBe(200);
+      expect(res.body.targetId).toBe(3);
+      expect(res.body.messages.map(msg => msg.id)).toContain(3);
+    });
+
+    test('should take a full ISO timestamp', async () => {
+      const res = await loadAt(1, '2021-07-16T00:00:00Z');
+
+      expect(res.body.targetId).toBe(5);
+    });
+
+    test('should skip tapbacks', async () => {
+      const res = await loadAt(3, '2022-01-10T12:01:30Z');
+
+      expect(res.body.targetId).toBe(10);
+    });
+
+    test('should fall back to the last message for a date after it', async () => {
+      const res = await loadAt(1, '2030-01-01');
+
+      expect(res.body.targetId).toBe(5);
+    });
+
+    test('should reject an invalid date', async () => {
+      const res = await loadAt(1, 'someday');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid date');
+    });
+  });
+
+  describe('GET /conversation/:id/timeline', () => {
+    test('should count messages per month, oldest first', async () => {
+      const res = await request(app).get('/conversation/1/timeline');
+
+      expect(res.status).toBe(200);
+      expect(res.body.months).toEqual([
+        { month: '2021-05', count: 2 },
+        { month: '2021-06', count: 1 },
+        { month: '2021-07', count: 2 }
+      ]);
+    });
+
+    test('should leave out tapbacks and system events', async () => {
+      const res = await request(app).get('/conversation/3/timeline');
+
+      expect(res.body.months).toEqual([
+        { month: '2022-01', count: 1 },
+        { month: '2022-02', count: 1 }
+      ]);
+    });
+
+    test('should combine merged conversations', async () => {
+      const res = await request(app).get('/conversation/1,2/timeline');
+
+      expect(res.body.months).toContainEqual({ month: '2021-07', count: 3 });
+    });
+
+    test('should reject an invalid conversation ID', async () => {
+      const res = await request(app).get('/conversation/abc/timeline');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /conversation/:id/history', () => {
+    test('should return a group\'s renames and membership changes, oldest first', async () => {
+      const res = await request(app).get('/conversation/3/history');
+
+      expect(res.status).toBe(200);
+      expect(res.body.events).toEqual([
+        {
+          id: 7, date: Date.parse('2022-01-10T12:00:00Z'), type: 'member_added',
+          actor_name: 'You', target_name: 'bob@example.com', title: null,
+          text: 'You added bob@example.com to the conversation'
+        },
+        {
+          id: 10, date: Date.parse('2022-02-15T12:00:00Z'), type: 'renamed',
+          actor_name: '(555) 123-4567', target_name: null, title: 'Family',
+          text: '(555) 123-4567 named the conversation “Family”'
+        },
+        {
+          id: 12, date: Date.parse('2022-03-20T12:00:00Z'), type: 'member_left',
+          actor_name: 'bob@example.com', target_name: null, title: null,
+          text: 'bob@example.com left the conversation'
+        }
+      ]);
+    });
+
+    test('should return no events for a conversation without any', async () => {
+      const res = await request(app).get('/conversation/1/history');
+
+      expect(res.body.events).toEqual([]);
+    });
+
+    test('should reject an invalid conversation ID', async () => {
+      const res = await request(app).get('/conversation/abc/history');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /conversation/:id/search', () => {
+    test('should return matching message IDs in the conversation, oldest first', async () => {
+      const res = await request(app).get('/conversation/1/search?q=great dinner');
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ matches: [3], total: 1, truncated: false });
+    });
+
+    test('should keep only the newest matches past the cap', async () => {
+      const res = await request(app).get('/conversation/1/search?q=dinner');
+
+      expect(res.body).toEqual({ matches: [2, 3, 5], total: 3, truncated: true });
+    });
+
+    test('should take search operators', async () => {
+      const res = await request(app).get('/conversation/1/search?q=dinner from:me');
+
+      expect(res.body.matches).toEqual([2]);
+    });
+
+    test('should return no matches for an empty query', async () => {
+      const res = await request(app).get('/conversation/1/search?q=%20');
+
+      expect(res.body).toEqual({ matches: [], total: 0, truncated: false });
+    });
+
+    test('should reject an invalid conversation ID', async () => {
+      const res = await request(app).get('/conversation/abc/search?q=dinner');
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Old chat.db Schema Integration Tests
+ * Runs the conversation routes against a chat.db from before macOS 13, which
+ * has no edit/unsend columns (date_edited, date_retracted, message_summary_info)
+ */
+
+const request = require('supertest');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const MAC_EPOCH_MS = 978307200000;
+const toMacTime = (iso) => (Date.parse(iso) - MAC_EPOCH_MS) * 1000000;
+
+/**
+ * Create a pre-macOS 13 chat.db with one conversation
+ */
+function createOldSchemaDb(dbPath) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath);
+    db.serialize(() => {
+      db.run(`CREATE TABLE message (
+        ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT, text TEXT, attributedBody BLOB,
+        date INTEGER, is_from_me INTEGER DEFAULT 0, handle_id INTEGER DEFAULT 0,
+        cache_has_attachments INTEGER DEFAULT 0, is_delivered INTEGER DEFAULT 0,
+        date_delivered INTEGER DEFAULT 0, is_read INTEGER DEFAULT 0, date_read INTEGER DEFAULT 0,
+        error INTEGER DEFAULT 0, service TEXT, associated_message_type INTEGER DEFAULT 0,
+        associated_message_guid TEXT, thread_originator_guid TEXT, thread_originator_part TEXT,
+        item_type INTEGER DEFAULT 0, group_action_type INTEGER DEFAULT 0, group_title TEXT,
+        other_handle INTEGER DEFAULT 0
+      )`);
+      db.run(`CREATE TABLE chat (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT, display_name TEXT, chat_identifier TEXT, service_name TEXT)`);
+      db.run(`CREATE TABLE handle (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, id TEXT, service TEXT)`);
+      db.run(`CREATE TABLE chat_message_join (chat_id INTEGER, message_id INTEGER)`);
+      db.run(`CREATE TABLE chat_handle_join (chat_id INTEGER, handle_id INTEGER)`);
+      db.run(`CREATE TABLE attachment (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, filename TEXT, mime_type TEXT, transfer_name TEXT, total_bytes INTEGER)`);
+      db.run(`CREATE TABLE message_attachment_join (message_id INTEGER, attachment_id INTEGER)`);
+
+      db.run(`INSERT INTO handle (id, service) VALUES ('+15551234567', 'iMessage')`);
+      db.run(`INSERT INTO chat (guid, chat_identifier, service_name) VALUES ('iMessage;-;+15551234567', '+15551234567', 'iMessage')`);
+      db.run(`INSERT INTO chat_handle_join VALUES (1, 1)`);
+      db.run(`INSERT INTO message (guid, text, date, is_from_me, handle_id, service) VALUES
+        ('G1', 'Dinner at 7?', ${toMacTime('2021-05-01T18:00:00Z')}, 0, 1, 'iMessage'),
+        ('G2', 'Sounds good', ${toMacTime('2021-05-01T18:05:00Z')}, 1, 0, 'iMessage')`);
+      db.run(`INSERT INTO message (guid, text, date, is_from_me, handle_id, service, thread_originator_guid) VALUES
+        ('G3', 'See you there', ${toMacTime('2021-05-01T18:10:00Z')}, 0, 1, 'iMessage', 'G1')`);
+      db.run(`INSERT INTO chat_message_join VALUES (1, 1), (1, 2), (1, 3)`);
+    });
+    db.close(err => (err ? reject(err) : resolve()));
+  });
+}
+
+describe('Conversation routes on a pre-macOS 13 chat.db', () => {
+  let homeDir;
+  let app;
+  let closeDatabase;
+
+  beforeAll(async () => {
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imessage-old-schema-'));
+    fs.mkdirSync(path.join(homeDir, 'Library', 'Messages'), { recursive: true });
+    await createOldSchemaDb(path.join(homeDir, 'Library', 'Messages', 'chat.db'));
+
+    // config resolves chat.db from the home directory when it's loaded
+    jest.spyOn(os, 'homedir').mockReturnValue(homeDir);
+    ({ closeDatabase } = require('../../../server/db/connection'));
+    app = express();
+    app.use('/', require('../../../server/routes/conversations'));
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    os.homedir.mockRestore();
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  test('GET /conversation/:id returns messages without edit state', async () => {
+    const res = await request(app).get('/conversation/1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages.map(m => m.text)).toEqual(['Dinner at 7?', 'Sounds good', 'See you there']);
+    expect(res.body.messages[0]).toMatchObject({ edits: [], edited_at: null, unsent: false });
+  });
+
+  test('GET /conversation/:id/thread/:messageId returns the thread', async () => {
+    const res = await request(app).get('/conversation/1/thread/3');
+
+    expect(res.status).toBe(200);
+    expect(res.body.originatorId).toBe(1);
+    expect(res.body.messages.map(m => m.id)).toEqual([1, 3]);
+  });
+});
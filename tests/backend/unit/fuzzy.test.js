@@ -0,0 +1,92 @@
+/**
+ * Fuzzy Matching Unit Tests
+ * Tests for typo-tolerant matching in server/helpers/fuzzy.js and
+ * fuzzy FTS query building in server/helpers/search.js
+ */
+
+const {
+  normalizeWord,
+  editDistance,
+  rankTermCandidates,
+  scoreFuzzyMatch
+} = require('../../../server/helpers/fuzzy');
+const { buildFuzzyFtsMatch, SEARCH_TERM_REGEX } = require('../../../server/helpers/search');
+const { parseSearchQuery } = require('../../../server/helpers/queryParser');
+
+const terms = (...list) => list.map(term => ({ term, doc: 1 }));
+
+describe('Fuzzy Helpers', () => {
+  describe('normalizeWord', () => {
+    test('should lowercase and strip diacritics', () => {
+      expect(normalizeWord('CAFÉ')).toBe('cafe');
+    });
+  });
+
+  describe('editDistance', () => {
+    test('should count substitutions, insertions and deletions', () => {
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+      expect(editDistance('dinner', 'diner')).toBe(1);
+    });
+
+    test('should count an adjacent transposition as one edit', () => {
+      expect(editDistance('recieve', 'receive')).toBe(1);
+    });
+
+    test('should handle empty strings', () => {
+      expect(editDistance('', 'abc')).toBe(3);
+      expect(editDistance('abc', 'abc')).toBe(0);
+    });
+  });
+
+  describe('rankTermCandidates', () => {
+    test('should keep close terms, closest first', () => {
+      const ranked = rankTermCandidates('restaraunt', terms('restaurants', 'restaurant', 'restroom'));
+      expect(ranked.map(r => r.term)).toEqual(['restaurant', 'restaurants']);
+      expect(ranked[0].distance).toBe(2);
+    });
+
+    test('should match abbreviations that start with the same letter', () => {
+      const ranked = rankTermCandidates('tmrw', terms('tomorrow', 'tumbleweed', 'remote'));
+      expect(ranked.map(r => r.term)).toEqual(['tomorrow']);
+    });
+
+    test('should prefer more common terms at equal distance', () => {
+      const ranked = rankTermCandidates('cat', [{ term: 'bat', doc: 1 }, { term: 'hat', doc: 5 }]);
+      expect(ranked.map(r => r.term)).toEqual(['hat', 'bat']);
+    });
+
+    test('should ignore words too short to correct', () => {
+      expect(rankTermCandidates('ok', terms('oh', 'ol'))).toEqual([]);
+    });
+
+    test('should respect the limit', () => {
+      expect(rankTermCandidates('cat', terms('bat', 'hat', 'mat'), 2)).toHaveLength(2);
+    });
+  });
+
+  describe('scoreFuzzyMatch', () => {
+    const expansions = [{ word: 'restaraunt', candidates: new Map([['restaurant', 1]]) }];
+
+    test('should score exact and prefix matches as zero', () => {
+      expect(scoreFuzzyMatch('Meet at the restaraunt', expansions, SEARCH_TERM_REGEX)).toBe(0);
+    });
+
+    test('should score close spellings by edit distance', () => {
+      expect(scoreFuzzyMatch('Dinner at the Restaurant', expansions, SEARCH_TERM_REGEX)).toBe(1);
+    });
+  });
+
+  describe('buildFuzzyFtsMatch', () => {
+    test('should OR each word with its close terms', () => {
+      const { terms: queryTerms } = parseSearchQuery('restaraunt tonight');
+      const alternatives = { restaraunt: ['restaurant'] };
+      expect(buildFuzzyFtsMatch(queryTerms, word => alternatives[word] || []))
+        .toBe('("restaraunt"* OR "restaurant") "tonight"*');
+    });
+
+    test('should keep phrases exact and skip exclusions', () => {
+      const { terms: queryTerms } = parseSearchQuery('"see you" -work');
+      expect(buildFuzzyFtsMatch(queryTerms, () => ['other'])).toBe('"see you"');
+    });
+  });
+});
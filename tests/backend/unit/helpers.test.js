@@ -5,9 +5,10 @@
 
 // Import from actual modules
 const { normalizePhone, normalizeEmail } = require('../../../server/helpers/phone');
-const { convertMacTime } = require('../../../server/helpers/time');
-const { extractTextFromAttributedBody, getMessageText, extractUrls } = require('../../../server/helpers/text');
+const { convertMacTime, toMacTime } = require('../../../server/helpers/time');
+const { extractTextFromAttributedBody, getMessageText, getIndexableText, parseEditHistory, extractUrls } = require('../../../server/helpers/text');
 const { getAttachmentType, expandPath } = require('../../../server/helpers/attachments');
+const { normalizeSearchText } = require('../../../server/helpers/unicode');
 const os = require('os');
 const path = require('path');
 
@@ -120,6 +121,17 @@ describe('Helper Functions', () => {
     });
   });
 
+  describe('toMacTime', () => {
+    test('should be the inverse of convertMacTime', () => {
+      const timestamp = Date.UTC(2023, 4, 1);
+      expect(convertMacTime(toMacTime(timestamp))).toBe(timestamp);
+    });
+
+    test('should convert Mac epoch to zero', () => {
+      expect(toMacTime(978307200000)).toBe(0);
+    });
+  });
+
   describe('extractTextFromAttributedBody', () => {
     test('should extract simple message text', () => {
       const buffer = Buffer.from([
@@ -175,6 +187,76 @@ describe('Helper Functions', () => {
     });
   });
 
+  describe('getIndexableText', () => {
+    const helloBody = Buffer.from([
+      0x04, 0x0b, 0x73, 0x74, 0x72, 0x65, 0x61, 0x6d, 0x74, 0x79, 0x70, 0x65, 0x64,
+      0x81, 0xe8, 0x03, 0x84, 0x01, 0x40, 0x84, 0x84, 0x84, 0x12, 0x4e, 0x53, 0x41,
+      0x74, 0x74, 0x72, 0x69, 0x62, 0x75, 0x74, 0x65, 0x64, 0x53, 0x74, 0x72, 0x69,
+      0x6e, 0x67, 0x00, 0x84, 0x84, 0x08, 0x4e, 0x53, 0x4f, 0x62, 0x6a, 0x65, 0x63,
+      0x74, 0x00, 0x85, 0x92, 0x84, 0x84, 0x84, 0x08, 0x4e, 0x53, 0x53, 0x74, 0x72,
+      0x69, 0x6e, 0x67, 0x01, 0x94, 0x84, 0x01, 0x2b, 0x05, 0x48, 0x65, 0x6c, 0x6c,
+      0x6f, 0x86
+    ]);
+
+    test('should return trimmed text column', () => {
+      expect(getIndexableText({ text: '  Hello world ', attributedBody: helloBody })).toBe('Hello world');
+    });
+
+    test('should fall back to attributedBody for nearly empty text', () => {
+      expect(getIndexableText({ text: '\ufffc', attributedBody: helloBody })).toBe('Hello');
+    });
+
+    test('should keep short text without attributedBody', () => {
+      expect(getIndexableText({ text: 'k', attributedBody: null })).toBe('k');
+    });
+
+    test('should return null when there is no text', () => {
+      expect(getIndexableText({ text: '  ', attributedBody: null })).toBeNull();
+    });
+  });
+
+  describe('parseEditHistory', () => {
+    // bplist of { ec: { 0: [versions 'See you at 6', '… 7', '… 8'] }, ep: [0] },
+    // each version's t an attributedBody typedstream
+    const editedSummary = Buffer.from([
+      '62706c6973743030d3010203041214526563526570536f7472d105065130a3070c0fd208',
+      '090a0b516451742341c4dc93804000004f1057040b73747265616d747970656481e80384',
+      '0140848484124e5341747472696275746564537472696e67008484084e534f626a656374',
+      '008592848484084e53537472696e67019484012b0c53656520796f75206174203686d208',
+      '090d0e2341c4dc939e0000004f1057040b73747265616d747970656481e8038401408484',
+      '84124e5341747472696275746564537472696e67008484084e534f626a65637400859284',
+      '8484084e53537472696e67019484012b0c53656520796f75206174203786d20809101123',
+      '41c4dc93bc0000004f1057040b73747265616d747970656481e803840140848484124e53',
+      '41747472696275746564537472696e67008484084e534f626a656374008592848484084e',
+      '53537472696e67019484012b0c53656520796f75206174203886a1131000d00008000f00',
+      '1200150019001c001e002200270029002b0034008e0093009c00f600fb0104015e016001',
+      '620000000000000201000000000000001500000000000000000000000000000163'
+    ].join(''), 'hex');
+
+    test('should return earlier versions oldest first', () => {
+      const { edits } = parseEditHistory(editedSummary);
+      expect(edits.map(edit => edit.text)).toEqual(['See you at 6', 'See you at 7']);
+    });
+
+    test('should convert version dates from seconds since 2001', () => {
+      const { edits } = parseEditHistory(editedSummary);
+      expect(edits[0].date).toBe(convertMacTime(700000000.5 * 1e9));
+    });
+
+    test('should list unsent parts', () => {
+      const unsentSummary = Buffer.from(
+        '62706c6973743030d201020304536f7472527270d0a1051000080d111415170000000000000101000000000000000600000000000000000000000000000019',
+        'hex'
+      );
+      expect(parseEditHistory(unsentSummary)).toEqual({ edits: [], unsentParts: [0] });
+    });
+
+    test('should return an empty history for missing or invalid blobs', () => {
+      expect(parseEditHistory(null)).toEqual({ edits: [], unsentParts: [] });
+      expect(parseEditHistory(Buffer.from('not a plist'))).toEqual({ edits: [], unsentParts: [] });
+    });
+  });
+
   describe('extractUrls', () => {
     test('should extract single URL', () => {
       const text = 'Check out https://example.com';
@@ -209,6 +291,31 @@ describe('Helper Functions', () => {
     });
   });
 
+  describe('normalizeSearchText', () => {
+    test('should fold case and accents', () => {
+      expect(normalizeSearchText('CAFÉ')).toBe('cafe');
+      expect(normalizeSearchText('Crème Brûlée')).toBe('creme brulee');
+    });
+
+    test('should replace smart quotes with plain ones', () => {
+      expect(normalizeSearchText('I\u2019m \u201Cin\u201D')).toBe('i\'m "in"');
+    });
+
+    test('should reduce emoji variants to the base emoji', () => {
+      expect(normalizeSearchText('\u{1F44D}\u{1F3FD}')).toBe('\u{1F44D}');
+      expect(normalizeSearchText('\u2764\uFE0F')).toBe('\u2764');
+    });
+
+    test('should fold compatibility forms and strip invisible characters', () => {
+      expect(normalizeSearchText('\uFB01le \uFF21\uFF22')).toBe('file ab');
+      expect(normalizeSearchText('\uFFFCphoto\u200B')).toBe('photo');
+    });
+
+    test('should return empty string for empty input', () => {
+      expect(normalizeSearchText(null)).toBe('');
+    });
+  });
+
   describe('getAttachmentType', () => {
     test('should detect image by mime type', () => {
       expect(getAttachmentType('image/jpeg', 'file.bin')).toBe('image');
@@ -0,0 +1,87 @@
+/**
+ * Insights Unit Tests
+ * Tests for computeInsights (server/services/insights.js) against a fixture chat.db
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { createFixtureHome, createChatDb, toMacTime } = require('../../fixtures/chatDb');
+
+// config resolves chat.db from the home directory when it's loaded
+const fixtureHome = createFixtureHome('insights');
+jest.spyOn(os, 'homedir').mockReturnValue(fixtureHome.home);
+
+const START = Date.parse('2023-05-01T09:00:00Z');
+
+/**
+ * A message sent to a handle, delivered a minute later and read after
+ * `readAfter` minutes (unread if null)
+ */
+const sentMessage = (ROWID, handle_id, readAfter) => {
+  const sentAt = START + ROWID * 3600000;
+  const at = (ms) => toMacTime(new Date(ms).toISOString());
+  return {
+    ROWID, guid: `READ-${ROWID}`, text: `Message ${ROWID}`, is_from_me: 1, handle_id, chat_id: handle_id,
+    date: at(sentAt), is_delivered: 1, date_delivered: at(sentAt + 60000),
+    is_read: readAfter === null ? 0 : 1, date_read: readAfter === null ? 0 : at(sentAt + readAfter * 60000)
+  };
+};
+
+/**
+ * Read receipts from three people: five messages each to Alice and Bob, and
+ * two to Carol (too few to rank her)
+ */
+const buildInsightsFixture = () => ({
+  handles: [
+    { ROWID: 1, id: '+15551234567' },
+    { ROWID: 2, id: 'bob@example.com' },
+    { ROWID: 3, id: 'carol@example.com' }
+  ],
+  chats: [1, 2, 3].map(ROWID => ({ ROWID, guid: `iMessage;-;chat${ROWID}`, chat_identifier: `chat${ROWID}`, handles: [ROWID] })),
+  messages: [
+    ...[10, 20, 30, 40, 50].map((minutes, i) => sentMessage(i + 1, 1, minutes)),
+    ...[2, 2, 2, 2, 2].map((minutes, i) => sentMessage(i + 6, 2, minutes)),
+    sentMessage(11, 3, 100),
+    sentMessage(12, 3, 100),
+    // Not counted: read after more than a day, unread, and received
+    sentMessage(13, 1, 2880),
+    sentMessage(14, 1, null),
+    { ...sentMessage(15, 1, 60), is_from_me: 0 }
+  ]
+});
+
+describe('computeInsights', () => {
+  let computeInsights;
+  let closeDatabase;
+
+  beforeAll(async () => {
+    await createChatDb(fixtureHome.chatDbPath, buildInsightsFixture());
+    ({ computeInsights } = require('../../../server/services/insights'));
+    ({ closeDatabase } = require('../../../server/db/connection'));
+  });
+
+  afterAll(() => {
+    closeDatabase();
+    os.homedir.mockRestore();
+    fs.rmSync(fixtureHome.home, { recursive: true, force: true });
+  });
+
+  describe('read latency', () => {
+    test('should average the time sent messages take to be read', async () => {
+      const { readLatency } = await computeInsights();
+
+      // (10 + 20 + 30 + 40 + 50 + 5 * 2 + 2 * 100) / 12
+      expect(readLatency.avgReadMinutes).toBe(30);
+      expect(readLatency.readCount).toBe(12);
+    });
+
+    test('should rank people with enough read receipts, fastest first', async () => {
+      const { readLatency } = await computeInsights();
+
+      expect(readLatency.contacts).toEqual([
+        { identifier: 'bob@example.com', name: 'bob@example.com', avgReadMinutes: 2, readCount: 5 },
+        { identifier: '+15551234567', name: '(555) 123-4567', avgReadMinutes: 30, readCount: 5 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Reactions Unit Tests
+ * Tests for tapback folding in server/helpers/reactions.js
+ */
+
+const {
+  getTargetGuid,
+  parseTextReaction,
+  foldReactions
+} = require('../../../server/helpers/reactions');
+
+describe('Reaction Helpers', () => {
+  describe('getTargetGuid', () => {
+    test('should strip message part and link preview prefixes', () => {
+      expect(getTargetGuid('p:0/ABC-123')).toBe('ABC-123');
+      expect(getTargetGuid('p:12/ABC-123')).toBe('ABC-123');
+      expect(getTargetGuid('bp:ABC-123')).toBe('ABC-123');
+    });
+
+    test('should keep bare GUIDs and handle missing ones', () => {
+      expect(getTargetGuid('ABC-123')).toBe('ABC-123');
+      expect(getTargetGuid(null)).toBeNull();
+    });
+  });
+
+  describe('parseTextReaction', () => {
+    test('should parse each reaction verb', () => {
+      expect(parseTextReaction('Loved “See you there”')).toEqual({ type: 'love', emoji: null, removed: false, quote: 'See you there' });
+      expect(parseTextReaction('Laughed at “lol”').type).toBe('laugh');
+      expect(parseTextReaction('Emphasized “Important”').type).toBe('emphasize');
+      expect(parseTextReaction('Questioned "really?"').type).toBe('question');
+    });
+
+    test('should parse removals', () => {
+      expect(parseTextReaction('Removed a heart from “See you there”')).toEqual({ type: 'love', emoji: null, removed: true, quote: 'See you there' });
+      expect(parseTextReaction('Removed an exclamation from “Important”').type).toBe('emphasize');
+    });
+
+    test('should parse emoji reactions', () => {
+      expect(parseTextReaction('Reacted 🎉 to “We got it”')).toEqual({ type: 'emoji', emoji: '🎉', removed: false, quote: 'We got it' });
+    });
+
+    test('should not parse ordinary messages', () => {
+      expect(parseTextReaction('Loved it!')).toBeNull();
+      expect(parseTextReaction('I Liked “that movie”')).toBeNull();
+      expect(parseTextReaction(null)).toBeNull();
+    });
+  });
+
+  describe('foldReactions', () => {
+    const messages = [
+      { id: 1, guid: 'G1', text: 'Dinner at 7?', is_from_me: 0, sender_id: '+15551234567' },
+      { id: 2, guid: 'G2', text: 'Sounds good', is_from_me: 1, sender_id: null }
+    ];
+    const tapback = (type, guid, is_from_me, sender_id, text = '') =>
+      ({ associated_message_type: type, associated_message_guid: guid, text, is_from_me, sender_id });
+
+    test('should attach tapbacks to their targets', () => {
+      const folded = foldReactions(messages, [
+        tapback(2000, 'p:0/G1', 1, null),
+        tapback(2003, 'p:0/G2', 0, '+15551234567')
+      ]);
+
+      expect(folded[0].reactions).toEqual([{ type: 'love', emoji: null, is_from_me: true, sender_id: null }]);
+      expect(folded[1].reactions).toEqual([{ type: 'laugh', emoji: null, is_from_me: false, sender_id: '+15551234567' }]);
+    });
+
+    test('should drop removed reactions', () => {
+      const folded = foldReactions(messages, [
+        tapback(2001, 'p:0/G1', 1, null),
+        tapback(3001, 'p:0/G1', 1, null)
+      ]);
+
+      expect(folded[0].reactions).toEqual([]);
+    });
+
+    test('should keep one reaction per person, the latest', () => {
+      const folded = foldReactions(messages, [
+        tapback(2001, 'p:0/G1', 1, null),
+        tapback(2000, 'p:0/G1', 1, null),
+        tapback(2003, 'p:0/G1', 0, '+15550000000')
+      ]);
+
+      expect(folded[0].reactions.map(r => r.type)).toEqual(['love', 'laugh']);
+    });
+
+    test('should take emoji tapbacks from their text', () => {
+      const folded = foldReactions(messages, [tapback(2006, 'p:0/G2', 0, '+15551234567', 'Reacted 👍 to “Sounds good”')]);
+
+      expect(folded[1].reactions).toEqual([{ type: 'emoji', emoji: '👍', is_from_me: false, sender_id: '+15551234567' }]);
+    });
+
+    test('should ignore tapbacks on messages outside the page', () => {
+      const folded = foldReactions(messages, [tapback(2000, 'p:0/G9', 1, null)]);
+
+      expect(folded.every(msg => msg.reactions.length === 0)).toBe(true);
+    });
+
+    test('should fold plain-text reactions onto the quoted message', () => {
+      const folded = foldReactions([
+        ...messages,
+        { id: 3, guid: 'G3', text: 'Liked “Dinner at 7?”', is_from_me: 1, sender_id: null }
+      ], []);
+
+      expect(folded.map(msg => msg.id)).toEqual([1, 2]);
+      expect(folded[0].reactions).toEqual([{ type: 'like', emoji: null, is_from_me: true, sender_id: null }]);
+    });
+
+    test('should match truncated quotes', () => {
+      const folded = foldReactions([
+        { id: 1, guid: 'G1', text: 'A very long message about the weekend plans', is_from_me: 1, sender_id: null },
+        { id: 2, guid: 'G2', text: 'Loved “A very long message about…”', is_from_me: 0, sender_id: '+15551234567' }
+      ], []);
+
+      expect(folded).toHaveLength(1);
+      expect(folded[0].reactions[0].type).toBe('love');
+    });
+
+    test('should ignore invisible characters around the quote', () => {
+      const folded = foldReactions([
+        { id: 1, guid: 'G1', text: 'See you there', is_from_me: 1, sender_id: null },
+        { id: 2, guid: 'G2', text: 'Liked “\u200ASee you there\u200A”', is_from_me: 0, sender_id: '+15551234567' }
+      ], []);
+
+      expect(folded).toHaveLength(1);
+      expect(folded[0].reactions[0].type).toBe('like');
+    });
+
+    test('should keep plain-text reactions whose target is not in the page', () => {
+      const folded = foldReactions([{ id: 5, guid: 'G5', text: 'Loved “Old message”', is_from_me: 0, sender_id: 'x' }], []);
+
+      expect(folded).toHaveLength(1);
+      expect(folded[0].text).toBe('Loved “Old message”');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Saved Search Unit Tests
+ * Tests for the saved searches sidecar database (server/services/savedSearches.js),
+ * its routes and unread counts, against a fixture chat.db and search index
+ */
+
+const fs = require('fs');
+const os = require('os');
+const request = require('supertest');
+const express = require('express');
+const { createFixtureHome, createChatDb, runSql, toMacTime } = require('../../fixtures/chatDb');
+
+// config resolves chat.db and the cache directory from the home directory when it's loaded
+const fixtureHome = createFixtureHome('saved-searches');
+jest.spyOn(os, 'homedir').mockReturnValue(fixtureHome.home);
+
+const { parseSearchQuery } = require('../../../server/helpers/queryParser');
+
+/**
+ * Fixture conversations: one iMessage and one SMS chat with the same person
+ */
+const buildSavedSearchFixture = () => ({
+  handles: [{ ROWID: 1, id: '+15551234567' }],
+  chats: [
+    { ROWID: 1, guid: 'iMessage;-;+15551234567', chat_identifier: '+15551234567', handles: [1] },
+    { ROWID: 2, guid: 'SMS;-;+15551234567', chat_identifier: '+15551234567', service_name: 'SMS', handles: [1] }
+  ],
+  messages: [
+    { ROWID: 1, guid: 'PIZZA-1', text: 'Pizza tonight?', date: toMacTime('2023-03-01T18:00:00Z'), handle_id: 1, chat_id: 1 }
+  ]
+});
+
+/**
+ * New messages after the searches are saved: an iMessage whose text and
+ * attachment both match, and an SMS
+ */
+const addNewMessages = () => runSql(fixtureHome.chatDbPath, [
+  ['INSERT INTO message (ROWID, guid, text, date, handle_id, cache_has_attachments) VALUES (2, \'PIZZA-2\', \'Pizza again\', ?, 1, 1)', [toMacTime('2023-03-02T18:00:00Z')]],
+  'INSERT INTO chat_message_join (chat_id, message_id) VALUES (1, 2)',
+  'INSERT INTO attachment (ROWID, filename, mime_type, transfer_name) VALUES (1, \'~/pizza.jpg\', \'image/jpeg\', \'pizza.jpg\')',
+  'INSERT INTO message_attachment_join (message_id, attachment_id) VALUES (2, 1)',
+  ['INSERT INTO message (ROWID, guid, text, date, handle_id, service) VALUES (3, \'PIZZA-3\', \'pizza by text\', ?, 1, \'SMS\')', [toMacTime('2023-03-03T18:00:00Z')]],
+  'INSERT INTO chat_message_join (chat_id, message_id) VALUES (2, 3)'
+]);
+
+describe('Saved Searches', () => {
+  let app;
+  let savedSearches;
+  let searchIndex;
+  let closeDatabase;
+
+  const save = (body) => request(app).post('/saved-searches').send(body);
+  const unreadCounts = async () => Object.fromEntries(
+    (await request(app).get('/saved-searches')).body.map(saved => [saved.name, saved.unread_count])
+  );
+
+  beforeAll(async () => {
+    await createChatDb(fixtureHome.chatDbPath, buildSavedSearchFixture());
+    searchIndex = require('../../../server/services/searchIndex');
+    savedSearches = require('../../../server/services/savedSearches');
+    ({ closeDatabase } = require('../../../server/db/connection'));
+    await searchIndex.buildIndex();
+    await savedSearches.initializeSavedSearches();
+
+    app = express();
+    app.use('/', require('../../../server/routes/savedSearches'));
+  });
+
+  afterAll(() => {
+    savedSearches.closeSavedSearches();
+    searchIndex.closeIndex();
+    closeDatabase();
+    os.homedir.mockRestore();
+    fs.rmSync(fixtureHome.home, { recursive: true, force: true });
+  });
+
+  describe('routes', () => {
+    test('POST /saved-searches should save a search', async () => {
+      const res = await save({ name: ' Pizza ', query: 'pizza', from: '2023', to: null });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        name: 'Pizza', query: 'pizza', mode: 'exact', contacts: [],
+        service: null, from: '2023', to: null, unread_count: 0
+      });
+    });
+
+    test('POST /saved-searches should store the service filter', async () => {
+      const res = await save({ name: 'Pizza by SMS', query: 'pizza', service: 'SMS' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.service).toBe('SMS');
+    });
+
+    test('POST /saved-searches should reject invalid searches', async () => {
+      const responses = await Promise.all([
+        save({ query: 'pizza' }),
+        save({ name: 'Pizza' }),
+        save({ name: 'Pizza', query: 'pizza', service: 'fax' }),
+        save({ name: 'Pizza', query: 'pizza', from: 'soon' }),
+        save({ name: 'Pizza', query: '[', mode: 'regex' })
+      ]);
+
+      expect(responses.map(res => res.status)).toEqual([400, 400, 400, 400, 400]);
+      expect(responses.slice(0, 4).map(res => res.body.error)).toEqual([
+        'Name is required', 'Query is required', 'Invalid service', 'Invalid date range'
+      ]);
+    });
+
+    test('GET /saved-searches should list searches by name', async () => {
+      await save({ name: 'again', query: 'pizza\\s+again', mode: 'regex' });
+
+      const res = await request(app).get('/saved-searches');
+
+      expect(res.body.map(saved => saved.name)).toEqual(['again', 'Pizza', 'Pizza by SMS']);
+    });
+
+    test('DELETE /saved-searches/:id should delete a search', async () => {
+      const { body: saved } = await save({ name: 'Temporary', query: 'pizza', contacts: ['main-1'] });
+
+      expect(saved.contacts).toEqual(['main-1']);
+      expect((await request(app).delete(`/saved-searches/${saved.id}`)).status).toBe(204);
+      expect((await request(app).delete(`/saved-searches/${saved.id}`)).status).toBe(404);
+      expect((await request(app).delete('/saved-searches/abc')).status).toBe(400);
+      expect(await savedSearches.getSavedSearch(saved.id)).toBeNull();
+    });
+
+    test('POST /saved-searches/:id/read should 404 for a missing search', async () => {
+      expect((await request(app).post('/saved-searches/999/read')).status).toBe(404);
+      expect((await request(app).post('/saved-searches/abc/read')).status).toBe(400);
+    });
+  });
+
+  describe('unread counts', () => {
+    test('should count new matching messages once each, by service', async () => {
+      await addNewMessages();
+      await searchIndex.buildIndex();
+
+      const changed = await savedSearches.refreshUnreadCounts();
+
+      expect(changed).toBe(3);
+      expect(await unreadCounts()).toEqual({ again: 1, Pizza: 2, 'Pizza by SMS': 1 });
+    });
+
+    test('countMatchesSince should count messages after the watermark', async () => {
+      const plan = await searchIndex.prepareSearch(parseSearchQuery('pizza'), 'pizza');
+
+      expect(await searchIndex.countMatchesSince(plan, 0)).toBe(3);
+      expect(await searchIndex.countMatchesSince(plan, 2)).toBe(1);
+      expect(await searchIndex.getLatestMessageId()).toBe(3);
+    });
+
+    test('marking a search read should clear its count until new matches arrive', async () => {
+      const [pizza] = (await request(app).get('/saved-searches')).body.filter(saved => saved.name === 'Pizza');
+
+      const res = await request(app).post(`/saved-searches/${pizza.id}/read`);
+      await savedSearches.refreshUnreadCounts();
+
+      expect(res.status).toBe(200);
+      expect(res.body.unread_count).toBe(0);
+      expect(await unreadCounts()).toEqual({ again: 1, Pizza: 0, 'Pizza by SMS': 1 });
+    });
+  });
+});
@@ -0,0 +1,806 @@
+/**
+ * Search Unit Tests
+ * Tests for query building, snippet parsing and autocomplete in server/helpers/search.js,
+ * query operator parsing in server/helpers/queryParser.js, and the search
+ * index and routes against a fixture chat.db
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const { createFixtureHome, createChatDb, createContactsDb, runSql, toMacTime } = require('../../fixtures/chatDb');
+
+// config resolves chat.db and the cache directory from the home directory when it's loaded
+const fixtureHome = createFixtureHome('search');
+jest.spyOn(os, 'homedir').mockReturnValue(fixtureHome.home);
+
+// Fewer fuzzy candidates than the fixture's "dinner" messages
+jest.mock('../../../server/config', () => ({
+  ...jest.requireActual('../../../server/config'),
+  MAX_SEARCH_SCAN_LIMIT: 10
+}));
+
+const {
+  buildFtsMatch,
+  buildFtsExclusion,
+  getSymbolTerms,
+  parseSnippet,
+  buildSearchFacets,
+  encodeSearchCursor,
+  decodeSearchCursor,
+  compileSearchRegex,
+  buildRegexSnippet,
+  splitQueryPrefix,
+  buildQuerySuggestions,
+  SNIPPET_MATCH_START,
+  SNIPPET_MATCH_END
+} = require('../../../server/helpers/search');
+const { parseSearchQuery, parseQueryDate, parseQueryDateEnd, applyDateRange } = require('../../../server/helpers/queryParser');
+
+const mark = (text) => `${SNIPPET_MATCH_START}${text}${SNIPPET_MATCH_END}`;
+
+describe('Search Helpers', () => {
+  describe('buildFtsMatch', () => {
+    test('should turn each word into a quoted prefix term', () => {
+      expect(buildFtsMatch(parseSearchQuery('dinner tonight').terms)).toBe('"dinner"* "tonight"*');
+    });
+
+    test('should strip FTS operators and punctuation from user input', () => {
+      expect(buildFtsMatch(parseSearchQuery('ok OR (NEAR*)').terms)).toBe('"ok"* "OR"* "NEAR"*');
+    });
+
+    test('should keep non-ASCII words intact', () => {
+      expect(buildFtsMatch(parseSearchQuery('café 東京').terms)).toBe('"café"* "東京"*');
+    });
+
+    test('should return empty string for queries without words', () => {
+      expect(buildFtsMatch(parseSearchQuery('?!').terms)).toBe('');
+      expect(buildFtsMatch([])).toBe('');
+    });
+
+    test('should combine prefix terms and exact phrases', () => {
+      const { terms } = parseSearchQuery('dinner "the restaurant"');
+      expect(buildFtsMatch(terms)).toBe('"dinner"* "the restaurant"');
+    });
+
+    test('should ignore negated terms', () => {
+      const { terms } = parseSearchQuery('dinner -pizza');
+      expect(buildFtsMatch(terms)).toBe('"dinner"*');
+    });
+  });
+
+  describe('buildFtsExclusion', () => {
+    test('should OR excluded words and phrases as whole-word matches', () => {
+      const { terms } = parseSearchQuery('dinner -pizza -"fast food"');
+      expect(buildFtsExclusion(terms)).toBe('"pizza" OR "fast food"');
+    });
+
+    test('should return empty string without exclusions', () => {
+      expect(buildFtsExclusion(parseSearchQuery('dinner').terms)).toBe('');
+    });
+  });
+
+  describe('getSymbolTerms', () => {
+    test('should normalize terms without words, split by negation', () => {
+      const { terms } = parseSearchQuery('dinner 👍🏽 -?! -pizza');
+      expect(getSymbolTerms(terms)).toEqual({ included: ['👍'], excluded: ['?!'] });
+    });
+
+    test('should return no terms when every term has words', () => {
+      expect(getSymbolTerms(parseSearchQuery('dinner "at 7"').terms)).toEqual({ included: [], excluded: [] });
+    });
+  });
+
+  describe('parseSnippet', () => {
+    test('should strip markers and return match offsets', () => {
+      const result = parseSnippet(`Meet at the ${mark('restaurant')} at 7`);
+      expect(result.text).toBe('Meet at the restaurant at 7');
+      expect(result.highlights).toEqual([{ start: 12, end: 22 }]);
+    });
+
+    test('should return multiple highlights in order', () => {
+      const result = parseSnippet(`${mark('ice')} ${mark('cream')} later`);
+      expect(result.text).toBe('ice cream later');
+      expect(result.highlights).toEqual([
+        { start: 0, end: 3 },
+        { start: 4, end: 9 }
+      ]);
+    });
+
+    test('should return plain text when there are no markers', () => {
+      expect(parseSnippet('no matches here')).toEqual({ text: 'no matches here', highlights: [] });
+    });
+
+    test('should handle empty input', () => {
+      expect(parseSnippet(null)).toEqual({ text: '', highlights: [] });
+    });
+  });
+
+  describe('compileSearchRegex', () => {
+    test('should compile a case-insensitive global regex', () => {
+      const { regex, error } = compileSearchRegex('\\$\\d+');
+      expect(error).toBeNull();
+      expect(regex.flags).toContain('g');
+      expect(regex.flags).toContain('i');
+      expect('total $42'.match(regex)).toEqual(['$42']);
+    });
+
+    test('should fall back to non-unicode mode for legacy escapes', () => {
+      const { regex, error } = compileSearchRegex('a\\-b');
+      expect(error).toBeNull();
+      expect(regex.test('a-b')).toBe(true);
+    });
+
+    test('should return a clear error for invalid patterns', () => {
+      const { regex, error } = compileSearchRegex('(abc');
+      expect(regex).toBeNull();
+      expect(error).toMatch(/Invalid regular expression/);
+    });
+
+    test('should reject empty and overly long patterns', () => {
+      expect(compileSearchRegex('').error).toBeTruthy();
+      expect(compileSearchRegex('a'.repeat(10000)).error).toBeTruthy();
+    });
+  });
+
+  describe('buildRegexSnippet', () => {
+    test('should keep short text whole with match offsets', () => {
+      expect(buildRegexSnippet('Order #A12345', [[6, 13]])).toEqual({
+        text: 'Order #A12345',
+        highlights: [{ start: 6, end: 13 }]
+      });
+    });
+
+    test('should clip long text around the first match', () => {
+      const text = `${'x'.repeat(100)} CODE42 ${'y'.repeat(300)}`;
+      const { text: snippet, highlights } = buildRegexSnippet(text, [[101, 107]]);
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      const { start, end } = highlights[0];
+      expect(snippet.slice(start, end)).toBe('CODE42');
+    });
+  });
+
+  describe('buildSearchFacets', () => {
+    test('should sort months and roll them up into years', () => {
+      const facets = buildSearchFacets(
+        [{ month: '2020-03', count: 2 }, { month: '2019-12', count: 1 }, { month: '2020-01', count: 4 }],
+        []
+      );
+      expect(facets.months.map(m => m.key)).toEqual(['2019-12', '2020-01', '2020-03']);
+      expect(facets.years).toEqual([
+        { key: '2019', count: 1 },
+        { key: '2020', count: 6 }
+      ]);
+    });
+
+    test('should list busiest conversations first', () => {
+      const facets = buildSearchFacets([], [{ chat_id: 1, count: 1 }, { chat_id: 2, count: 3 }]);
+      expect(facets.conversations).toEqual([
+        { conversation_id: 2, count: 3 },
+        { conversation_id: 1, count: 1 }
+      ]);
+    });
+
+    test('should return empty facets for no matches', () => {
+      expect(buildSearchFacets([], [])).toEqual({ years: [], months: [], conversations: [] });
+    });
+  });
+
+  describe('search cursors', () => {
+    test('should round-trip a date cursor', () => {
+      const cursor = encodeSearchCursor({ date: 647604000000000000, doc_id: 42, text: 'ignored' });
+      expect(typeof cursor).toBe('string');
+      expect(decodeSearchCursor(cursor)).toEqual({ date: 647604000000000000, doc_id: 42 });
+    });
+
+    test('should keep score and closeness', () => {
+      const row = { date: 1, doc_id: 2, score: -1.25, closeness: 1 };
+      expect(decodeSearchCursor(encodeSearchCursor(row))).toEqual(row);
+    });
+
+    test('should reject malformed cursors', () => {
+      expect(decodeSearchCursor('not a cursor')).toBeNull();
+      expect(decodeSearchCursor(Buffer.from('{"d":"x","i":1}').toString('base64url'))).toBeNull();
+      expect(decodeSearchCursor(Buffer.from('{"d":1,"i":1,"x":1}').toString('base64url'))).toBeNull();
+    });
+  });
+
+  describe('splitQueryPrefix', () => {
+    test('should split off the word being typed', () => {
+      expect(splitQueryPrefix('dinner tom')).toEqual({
+        head: 'dinner ', token: 'tom', operator: null, negated: false, word: 'tom'
+      });
+    });
+
+    test('should recognize operators and exclusions', () => {
+      expect(splitQueryPrefix('from:ali')).toMatchObject({ head: '', operator: 'from', word: 'ali' });
+      expect(splitQueryPrefix('dinner -piz')).toMatchObject({ negated: true, word: 'piz' });
+    });
+
+    test('should keep an unclosed quoted value together', () => {
+      expect(splitQueryPrefix('lunch from:"Alice Sm')).toMatchObject({
+        head: 'lunch ', token: 'from:"Alice Sm', operator: 'from', word: 'Alice Sm'
+      });
+    });
+
+    test('should have no word after a trailing space', () => {
+      expect(splitQueryPrefix('dinner ')).toMatchObject({ head: 'dinner ', word: '' });
+      expect(splitQueryPrefix('')).toMatchObject({ head: '', word: '' });
+    });
+  });
+
+  describe('buildQuerySuggestions', () => {
+    test('should list history, then contacts, then terms', () => {
+      const suggestions = buildQuerySuggestions(splitQueryPrefix('dinner al'), {
+        history: ['dinner alice'],
+        contacts: ['Alan Smith'],
+        terms: ['always']
+      }, 10);
+      expect(suggestions).toEqual([
+        { type: 'history', text: 'dinner alice', label: 'dinner alice' },
+        { type: 'contact', text: 'dinner from:"Alan Smith"', label: 'Alan Smith' },
+        { type: 'term', text: 'dinner always', label: 'always' }
+      ]);
+    });
+
+    test('should complete a typed in: value', () => {
+      const [suggestion] = buildQuerySuggestions(splitQueryPrefix('in:fam'), { contacts: ['Family'] }, 10);
+      expect(suggestion.text).toBe('in:Family');
+    });
+
+    test('should keep exclusions when completing terms', () => {
+      const [suggestion] = buildQuerySuggestions(splitQueryPrefix('-piz'), { terms: ['pizza'] }, 10);
+      expect(suggestion.text).toBe('-pizza');
+    });
+
+    test('should drop duplicates and the query itself', () => {
+      const suggestions = buildQuerySuggestions(splitQueryPrefix('Dinner'), {
+        history: ['dinner', 'dinner tonight'],
+        terms: ['dinner tonight']
+      }, 10);
+      expect(suggestions.map(s => s.text)).toEqual(['dinner tonight']);
+    });
+
+    test('should respect the limit', () => {
+      const suggestions = buildQuerySuggestions(splitQueryPrefix('a'), { terms: ['ab', 'ac', 'ad'] }, 2);
+      expect(suggestions).toHaveLength(2);
+    });
+  });
+});
+
+describe('Query Parser', () => {
+  describe('parseSearchQuery', () => {
+    test('should split operators from free text', () => {
+      const parsed = parseSearchQuery('dinner from:alice in:"Family Group" has:link');
+      expect(parsed.text).toBe('dinner');
+      expect(parsed.filters.from).toEqual(['alice']);
+      expect(parsed.filters.in).toEqual(['Family Group']);
+      expect(parsed.filters.has).toEqual(['link']);
+      expect(parsed.operators).toEqual([
+        { key: 'from', value: 'alice' },
+        { key: 'in', value: 'Family Group' },
+        { key: 'has', value: 'link' }
+      ]);
+    });
+
+    test('should parse phrases and exclusions', () => {
+      expect(parseSearchQuery('"see you soon" -work').terms).toEqual([
+        { value: 'see you soon', phrase: true, negated: false },
+        { value: 'work', phrase: false, negated: true }
+      ]);
+    });
+
+    test('should parse dates and is: values', () => {
+      const { filters } = parseSearchQuery('after:2023-05 before:2024 IS:Sent');
+      expect(filters.after).toBe(new Date(2023, 4, 1).getTime());
+      expect(filters.before).toBe(new Date(2024, 0, 1).getTime());
+      expect(filters.is).toBe('sent');
+    });
+
+    test('should keep unknown operators and invalid values as text', () => {
+      const parsed = parseSearchQuery('has:pizza https://example.com');
+      expect(parsed.operators).toEqual([]);
+      expect(parsed.text).toBe('has:pizza https://example.com');
+    });
+
+    test('should parse phrases in smart quotes', () => {
+      const parsed = parseSearchQuery('\u201Csee you soon\u201D in:\u201CFamily Group\u201D');
+      expect(parsed.terms).toEqual([
+        { value: 'see you soon', phrase: true, negated: false }
+      ]);
+      expect(parsed.filters.in).toEqual(['Family Group']);
+    });
+
+    test('should handle an unterminated phrase', () => {
+      expect(parseSearchQuery('"see you').terms).toEqual([
+        { value: 'see you', phrase: true, negated: false }
+      ]);
+    });
+
+    test('should return empty result for empty input', () => {
+      const parsed = parseSearchQuery('');
+      expect(parsed.terms).toEqual([]);
+      expect(parsed.filters).toMatchObject({ from: [], in: [], has: [], before: null, after: null, is: null });
+    });
+  });
+
+  describe('parseQueryDate', () => {
+    test('should accept year, month and day precision', () => {
+      expect(parseQueryDate('2022')).toBe(new Date(2022, 0, 1).getTime());
+      expect(parseQueryDate('2022-03-15')).toBe(new Date(2022, 2, 15).getTime());
+    });
+
+    test('should reject invalid dates', () => {
+      expect(parseQueryDate('2022-13')).toBeNull();
+      expect(parseQueryDate('yesterday')).toBeNull();
+    });
+  });
+
+  describe('parseQueryDateEnd', () => {
+    test('should return the start of the following period', () => {
+      expect(parseQueryDateEnd('2019')).toBe(new Date(2020, 0, 1).getTime());
+      expect(parseQueryDateEnd('2019-12')).toBe(new Date(2020, 0, 1).getTime());
+      expect(parseQueryDateEnd('2019-02-28')).toBe(new Date(2019, 2, 1).getTime());
+    });
+
+    test('should reject invalid dates', () => {
+      expect(parseQueryDateEnd('soon')).toBeNull();
+    });
+  });
+
+  describe('applyDateRange', () => {
+    test('should cover both ends of the range inclusively', () => {
+      const filters = applyDateRange(parseSearchQuery('dinner').filters, '2019', '2019-03');
+      expect(filters.after).toBe(new Date(2019, 0, 1).getTime());
+      expect(filters.before).toBe(new Date(2019, 3, 1).getTime());
+    });
+
+    test('should keep the tighter of the range and date operators', () => {
+      const filters = applyDateRange(parseSearchQuery('after:2019-06 before:2022').filters, '2019', '2023');
+      expect(filters.after).toBe(new Date(2019, 5, 1).getTime());
+      expect(filters.before).toBe(new Date(2022, 0, 1).getTime());
+    });
+
+    test('should reject invalid dates', () => {
+      expect(applyDateRange(parseSearchQuery('').filters, 'soon', null)).toBeNull();
+    });
+  });
+});
+
+/**
+ * Fixture conversations: a one-to-one chat with twelve numbered "dinner"
+ * messages an hour apart, a named group chat, and a one-to-one chat with
+ * sal@example.com (with messages the reconciliation tests change). Only
+ * alice@example.com is a contact (Alice Jones).
+ */
+const buildSearchFixture = () => ({
+  handles: [
+    { ROWID: 1, id: '+15551234567' },
+    { ROWID: 2, id: 'alice@example.com' },
+    { ROWID: 3, id: 'sal@example.com' }
+  ],
+  chats: [
+    { ROWID: 1, guid: 'iMessage;-;+15551234567', chat_identifier: '+15551234567', handles: [1] },
+    { ROWID: 2, guid: 'iMessage;+;chat100', chat_identifier: 'chat100', display_name: 'Ski Trip', handles: [1, 2] },
+    { ROWID: 3, guid: 'iMessage;-;sal@example.com', chat_identifier: 'sal@example.com', handles: [3] }
+  ],
+  messages: [
+    ...Array.from({ length: 12 }, (_, i) => ({
+      ROWID: i + 1,
+      guid: `DINNER-${i + 1}`,
+      text: `dinner plans ${i + 1}`,
+      date: toMacTime(`2021-05-01T${String(i + 8).padStart(2, '0')}:00:00Z`),
+      is_from_me: i % 2,
+      handle_id: i % 2 ? 0 : 1,
+      chat_id: 1
+    })),
+    { ROWID: 13, guid: 'SKI-1', text: 'Lift tickets are booked', date: toMacTime('2021-12-01T10:00:00Z'), handle_id: 2, chat_id: 2 },
+    { ROWID: 14, guid: 'SAL-1', text: 'See you at the lodge', date: toMacTime('2021-12-02T10:00:00Z'), handle_id: 3, chat_id: 3 },
+    { ROWID: 15, guid: 'SKI-2', text: 'Bringing snacks', date: toMacTime('2021-12-03T10:00:00Z'), is_from_me: 1, chat_id: 2 },
+    { ROWID: 16, guid: 'SAL-2', text: 'Meet at noon', date: toMacTime('2022-01-01T10:00:00Z'), is_from_me: 1, chat_id: 3 },
+    { ROWID: 17, guid: 'SAL-3', text: 'Wrong chat sorry', date: toMacTime('2022-01-01T10:01:00Z'), is_from_me: 1, chat_id: 3 },
+    { ROWID: 18, guid: 'SAL-4', text: 'Forgotten message', date: toMacTime('2022-01-01T10:02:00Z'), handle_id: 3, chat_id: 3 },
+    { ROWID: 19, guid: 'SAL-5', text: null, cache_has_attachments: 1, date: toMacTime('2022-01-01T10:03:00Z'), is_from_me: 1, chat_id: 3 },
+    { ROWID: 20, guid: 'MENU-1', text: 'Menu is at https://example.com/menu', date: toMacTime('2021-05-02T09:00:00Z'), handle_id: 1, chat_id: 1 }
+  ],
+  attachments: [
+    { ROWID: 1, filename: '~/Library/Messages/Attachments/ski-map.pdf', mime_type: 'application/pdf', transfer_name: 'ski-map.pdf', total_bytes: 2048, message_id: 13 }
+  ]
+});
+
+const FIXTURE_CONTACTS = [{ first: 'Alice', last: 'Jones', emails: ['alice@example.com'] }];
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+const parseEvents = (text) => text.split('\n\n').filter(Boolean).map(block => {
+  const [eventLine, dataLine] = block.split('\n');
+  return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+});
+
+describe('Search index and routes', () => {
+  let app;
+  let searchIndexService;
+  let closeDatabase;
+
+  beforeAll(async () => {
+    await createChatDb(fixtureHome.chatDbPath, buildSearchFixture());
+    await createContactsDb(fixtureHome.contactsDbPath, FIXTURE_CONTACTS);
+    await require('../../../server/db/contacts').loadAllContacts();
+    searchIndexService = require('../../../server/services/searchIndex');
+    ({ closeDatabase } = require('../../../server/db/connection'));
+    // Spied before the routes load so they call through the spy
+    jest.spyOn(searchIndexService, 'searchIndex');
+    await searchIndexService.buildIndex();
+
+    app = express();
+    app.use('/', require('../../../server/routes/search'));
+  });
+
+  afterAll(async () => {
+    searchIndexService.closeIndex();
+    require('../../../server/services/searchHistory').closeHistory();
+    require('../../../server/services/linkPreviewCache').closeCache();
+    closeDatabase();
+    os.homedir.mockRestore();
+    fs.rmSync(fixtureHome.home, { recursive: true, force: true });
+  });
+
+  describe('regex scan budget', () => {
+    const prepareRegex = (pattern) => searchIndexService.prepareSearch(parseSearchQuery(''), pattern, {
+      mode: 'regex',
+      regex: compileSearchRegex(pattern).regex
+    });
+
+    test('should add every scan to the shared budget', async () => {
+      const plan = await prepareRegex('dinner');
+      const budget = searchIndexService.createScanBudget();
+
+      const first = await searchIndexService.searchIndex(plan, { limit: 2, sort: 'newest', budget });
+      const second = await searchIndexService.searchIndex(plan, {
+        limit: 2, sort: 'newest', cursor: decodeSearchCursor(first.nextCursor), budget
+      });
+
+      expect(second.rows.map(row => row.text)).toEqual(['dinner plans 10', 'dinner plans 9']);
+      expect(budget.scanned).toBe(first.scan.scanned + second.scan.scanned);
+    });
+
+    test('should stop once the budget has run out', async () => {
+      const plan = await prepareRegex('dinner');
+      const budget = { ...searchIndexService.createScanBudget(), deadline: Date.now() - 1 };
+
+      const page = await searchIndexService.searchIndex(plan, { limit: 5, sort: 'newest', budget });
+
+      expect(page.rows).toEqual([]);
+      expect(page.nextCursor).toBeNull();
+      expect(page.scan.truncated).toBe('timeout');
+    });
+  });
+
+  describe('fuzzy search', () => {
+    const prepareFuzzy = (query) =>
+      searchIndexService.prepareSearch(parseSearchQuery(query), query, { mode: 'fuzzy' });
+
+    test('should report when only the newest candidates were ranked', async () => {
+      const page = await searchIndexService.searchIndex(await prepareFuzzy('diner'), { limit: 20 });
+
+      expect(page.rows).toHaveLength(10);
+      expect(page.rows.map(row => row.text)).not.toContain('dinner plans 1');
+      expect(page.scan).toMatchObject({ scanned: 10, truncated: 'scan_limit' });
+    });
+
+    test('should not report truncation when every candidate was ranked', async () => {
+      const page = await searchIndexService.searchIndex(await prepareFuzzy('tickts'), { limit: 20 });
+
+      expect(page.rows.map(row => row.text)).toEqual(['Lift tickets are booked']);
+      expect(page.scan.truncated).toBeNull();
+    });
+
+    test('should return the truncation from GET /search', async () => {
+      const res = await request(app).get('/search?q=diner&mode=fuzzy');
+
+      expect(res.status).toBe(200);
+      expect(res.body.truncated).toBe('scan_limit');
+    });
+
+    test('should only count the matches that can be paged to', async () => {
+      const res = await request(app).get('/search?q=diner&mode=fuzzy');
+      const { body: grouped } = await request(app).get('/search?q=diner&mode=fuzzy&groupBy=conversation');
+
+      expect(res.body).toMatchObject({ total: 10, totalIsEstimate: false });
+      expect(res.body.facets.conversations).toEqual([expect.objectContaining({ conversation_id: 1, count: 12 })]);
+      expect(grouped.total).toBe(12);
+    });
+  });
+
+  describe('document kinds', () => {
+    const search = async (q) => (await request(app).get('/search').query({ q, limit: 50 })).body.results;
+
+    test('should find attachments by name', async () => {
+      expect(await search('map')).toEqual([expect.objectContaining({
+        kind: 'attachment', text: 'ski-map.pdf', message_id: 13, conversation_id: 2, sender_id: 'alice@example.com'
+      })]);
+    });
+
+    test('should find group chats by name, dated by their latest message', async () => {
+      expect(await search('trip')).toEqual([expect.objectContaining({
+        kind: 'chat', text: 'Ski Trip', message_id: null, conversation_id: 2,
+        date: new Date('2021-12-03T10:00:00Z').getTime()
+      })]);
+    });
+
+    test('has:link should match messages with links', async () => {
+      expect((await search('has:link')).map(result => result.text)).toEqual(['Menu is at https://example.com/menu']);
+    });
+  });
+
+  describe('sender and participant filters', () => {
+    const searchTexts = async (q, params = {}) => {
+      const res = await request(app).get('/search').query({ q, limit: 50, ...params });
+      return res.body.results.map(result => result.text).sort();
+    };
+
+    test('from: should match senders by contact name', async () => {
+      expect(await searchTexts('from:alice')).toEqual(['Lift tickets are booked']);
+    });
+
+    test('from: should not match other senders\' raw addresses when a contact has the name', async () => {
+      expect(await searchTexts('from:al')).toEqual(['Lift tickets are booked']);
+    });
+
+    test('from: should fall back to raw addresses when no contact has the name', async () => {
+      expect(await searchTexts('from:sal')).toEqual(['Forgotten message', 'See you at the lodge']);
+      expect(await searchTexts('from:5551234 plans 3')).toEqual(['dinner plans 3']);
+    });
+
+    test('from:me should match sent messages', async () => {
+      expect(await searchTexts('from:me snacks')).toEqual(['Bringing snacks']);
+      expect(await searchTexts('from:me lodge')).toEqual([]);
+    });
+
+    test('in: should match group chat names and one-on-one chats', async () => {
+      expect(await searchTexts('in:ski')).toEqual(['Bringing snacks', 'Lift tickets are booked']);
+      expect(await searchTexts('in:sal lodge')).toEqual(['See you at the lodge']);
+    });
+
+    test('contacts should match chats the contact is in', async () => {
+      expect(await searchTexts('lift', { contacts: 'main-1' })).toEqual(['Lift tickets are booked']);
+      expect(await searchTexts('dinner', { contacts: 'main-1' })).toEqual([]);
+    });
+
+    test('should name the sender and the conversation', async () => {
+      const received = (await request(app).get('/search').query({ q: 'lift' })).body.results[0];
+      const sent = (await request(app).get('/search').query({ q: 'snacks' })).body.results[0];
+
+      expect(received).toMatchObject({
+        sender_id: 'alice@example.com',
+        sender_name: 'Alice Jones',
+        contact_identifier: '+15551234567',
+        is_group: true,
+        is_from_me: false
+      });
+      expect(sent).toMatchObject({ sender_name: 'You', is_group: true, is_from_me: true });
+    });
+  });
+
+  describe('GET /search/stream', () => {
+    test('should send results in batches, then the summary', async () => {
+      const res = await request(app).get('/search/stream?q=dinner&limit=12');
+      const events = parseEvents(res.text);
+
+      expect(res.headers['content-type']).toMatch('text/event-stream');
+      expect(events.map(e => e.event)).toEqual(['results', 'results', 'results', 'summary']);
+      expect(events.slice(0, 3).map(e => e.data.results.length)).toEqual([5, 5, 2]);
+      expect(events[0].data.results[0]).toMatchObject({ text: 'dinner plans 12', conversation_id: 1 });
+      expect(events[3].data).toMatchObject({ total: 12, nextCursor: null, truncated: null });
+    });
+
+    test('should find a non-regex page with one query', async () => {
+      searchIndexService.searchIndex.mockClear();
+
+      await request(app).get('/search/stream?q=dinner&limit=12');
+
+      expect(searchIndexService.searchIndex).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stream a regex page and end with a cursor to the next one', async () => {
+      const res = await request(app).get('/search/stream?q=plans%20%5Cd%2B&mode=regex&limit=7');
+      const events = parseEvents(res.text);
+
+      expect(events.map(e => e.event)).toEqual(['results', 'results', 'summary']);
+      expect(events.slice(0, 2).map(e => e.data.results.length)).toEqual([5, 2]);
+      expect(events[2].data.nextCursor).toEqual(expect.any(String));
+      expect(events[2].data.truncated).toBeNull();
+    });
+
+    test('should send only the summary for an empty query', async () => {
+      const res = await request(app).get('/search/stream?q=');
+
+      expect(parseEvents(res.text)).toEqual([
+        { event: 'summary', data: expect.objectContaining({ total: 0, nextCursor: null }) }
+      ]);
+    });
+
+    test('should send an error event for invalid params', async () => {
+      const grouped = await request(app).get('/search/stream?q=dinner&groupBy=conversation');
+      const badService = await request(app).get('/search/stream?q=dinner&service=fax');
+
+      expect(parseEvents(grouped.text)).toEqual([{ event: 'error', data: { error: 'Grouped results can\'t be streamed' } }]);
+      expect(parseEvents(badService.text)).toEqual([{ event: 'error', data: { error: 'Invalid service' } }]);
+    });
+
+    test('should stop writing once the client disconnects', async () => {
+      const written = [];
+      const recordingApp = express();
+      recordingApp.use((req, res, next) => {
+        const { write, end } = res;
+        res.write = (chunk, ...args) => { written.push(String(chunk)); return write.call(res, chunk, ...args); };
+        res.end = (chunk, ...args) => { if (chunk) written.push(String(chunk)); return end.call(res, chunk, ...args); };
+        next();
+      });
+      recordingApp.use('/', require('../../../server/routes/search'));
+      const server = recordingApp.listen(0);
+      searchIndexService.searchIndex.mockClear();
+
+      // Headers are flushed before searching, so the client can hang up first
+      await new Promise(resolve => {
+        const req = http.get(`http://localhost:${server.address().port}/search/stream?q=dinner`, () => {
+          req.destroy();
+          resolve();
+        });
+      });
+      while (searchIndexService.searchIndex.mock.results.length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      await searchIndexService.searchIndex.mock.results[0].value;
+      await new Promise(resolve => setImmediate(resolve));
+      await new Promise(resolve => server.close(resolve));
+
+      expect(written).toEqual([]);
+    });
+  });
+
+  describe('index versions and rebuilds', () => {
+    const indexDbPath = path.join(fixtureHome.home, '.imessage-search-cache', 'search_index.db');
+    const { SEARCH_INDEX_VERSION } = require('../../../server/config');
+
+    const searchTexts = async (q) => {
+      const res = await request(app).get('/search').query({ q, limit: 50 });
+      return res.body.results.map(result => result.text).sort();
+    };
+
+    // A document the next build only restores if it rebuilds from scratch
+    const dropLiftDocument = () => runSql(indexDbPath, [
+      `DELETE FROM message_text WHERE kind = 'message' AND source_id = 13`
+    ]);
+
+    test('should keep an index of the current version', async () => {
+      await dropLiftDocument();
+
+      await searchIndexService.buildIndex();
+
+      expect(await searchTexts('lift')).toEqual([]);
+    });
+
+    test('should rebuild an index of another version', async () => {
+      await runSql(indexDbPath, [
+        ['UPDATE index_metadata SET value = ? WHERE key = \'index_version\'', ['1']]
+      ]);
+
+      await searchIndexService.buildIndex();
+
+      expect(await searchTexts('lift')).toEqual(['Lift tickets are booked']);
+      expect((await searchIndexService.getIndexStats()).version).toBe(SEARCH_INDEX_VERSION);
+    });
+
+    test('POST /search/reindex should start one rebuild at a time', async () => {
+      await dropLiftDocument();
+
+      const responses = await Promise.all([
+        request(app).post('/search/reindex'),
+        request(app).post('/search/reindex')
+      ]);
+      // Waits for the rebuild in progress
+      await searchIndexService.buildIndex();
+
+      const started = responses.find(res => res.status === 202);
+      const refused = responses.find(res => res.status === 409);
+      expect(started.body).toMatchObject({ version: SEARCH_INDEX_VERSION });
+      expect(refused.body).toEqual({ error: 'Index build already in progress' });
+      expect(await searchTexts('lift')).toEqual(['Lift tickets are booked']);
+    });
+  });
+
+  // These change chat.db, so run last
+  describe('reconcileIndex', () => {
+    const editedAt = toMacTime('2022-02-01T10:00:00Z');
+    const searchTexts = async (q) => {
+      const res = await request(app).get('/search').query({ q, limit: 50 });
+      return res.body.results.map(result => result.text).sort();
+    };
+
+    test('should apply edits, unsends and deletions', async () => {
+      await runSql(fixtureHome.chatDbPath, [
+        ['UPDATE message SET text = ?, date_edited = ? WHERE ROWID = 16', ['Meet at the cafe', editedAt]],
+        ['UPDATE message SET text = NULL, date_retracted = ? WHERE ROWID = 17', [editedAt]],
+        'DELETE FROM message WHERE ROWID = 18'
+      ]);
+
+      const { updated, removed } = await searchIndexService.reconcileIndex();
+
+      expect(await searchTexts('meet')).toEqual(['Meet at the cafe']);
+      expect(await searchTexts('noon')).toEqual([]);
+      expect(await searchTexts('wrong')).toEqual([]);
+      expect(await searchTexts('forgotten')).toEqual([]);
+      expect({ updated, removed }).toEqual({ updated: 1, removed: 2 });
+    });
+
+    test('should index an edit of a message that had no text', async () => {
+      await runSql(fixtureHome.chatDbPath, [
+        ['UPDATE message SET text = ?, date_edited = ? WHERE ROWID = 19', ['Caption for the photo', toMacTime('2022-02-02T10:00:00Z')]]
+      ]);
+
+      const { updated } = await searchIndexService.reconcileIndex();
+
+      expect(updated).toBe(1);
+      expect(await searchTexts('caption')).toEqual(['Caption for the photo']);
+    });
+
+    test('should find deletions of messages checked by an earlier pass', async () => {
+      await runSql(fixtureHome.chatDbPath, ['DELETE FROM message WHERE ROWID = 14']);
+
+      const { removed } = await searchIndexService.reconcileIndex();
+
+      expect(removed).toBe(1);
+      expect(await searchTexts('lodge')).toEqual([]);
+    });
+
+    test('should not remove anything when nothing was deleted', async () => {
+      const { updated, removed } = await searchIndexService.reconcileIndex();
+
+      expect({ updated, removed }).toEqual({ updated: 0, removed: 0 });
+      expect(await searchTexts('lift')).toEqual(['Lift tickets are booked']);
+    });
+
+    test('should index titles of newly cached link previews', async () => {
+      const linkPreviewCache = require('../../../server/services/linkPreviewCache');
+      await linkPreviewCache.initializeCache();
+      await runSql(path.join(fixtureHome.home, '.imessage-search-cache', 'link_previews.db'), [
+        ['INSERT INTO link_previews (url, title, fetched_at) VALUES (?, ?, ?)', ['https://example.com/menu', 'Trattoria Roma', Date.now()]],
+        ['INSERT INTO link_previews (url, title, fetched_at) VALUES (?, ?, ?)', ['https://example.com/unsent', 'Never Sent', Date.now()]]
+      ]);
+
+      await searchIndexService.reconcileIndex();
+      const res = await request(app).get('/search').query({ q: 'trattoria' });
+
+      expect(res.body.results).toEqual([expect.objectContaining({
+        kind: 'link', text: 'Trattoria Roma', url: 'https://example.com/menu', message_id: 20, conversation_id: 1
+      })]);
+      expect(await searchTexts('never')).toEqual([]);
+    });
+  });
+
+  describe('chat documents after new messages', () => {
+    const findChat = async (q) => (await request(app).get('/search').query({ q })).body.results
+      .find(result => result.kind === 'chat');
+
+    test('should rename chats and redate those with new messages', async () => {
+      await runSql(fixtureHome.chatDbPath, [
+        'UPDATE chat SET display_name = \'Ski Weekend\' WHERE ROWID = 2',
+        'INSERT INTO chat (ROWID, guid, chat_identifier, display_name) VALUES (4, \'iMessage;+;chat200\', \'chat200\', \'Book Club\')',
+        ['INSERT INTO message (ROWID, guid, text, date, is_from_me) VALUES (21, \'BOOK-1\', \'Chapter three tonight\', ?, 1)', [toMacTime('2022-03-01T10:00:00Z')]],
+        'INSERT INTO chat_message_join (chat_id, message_id) VALUES (4, 21)'
+      ]);
+
+      await searchIndexService.buildIndex();
+
+      expect(await findChat('weekend')).toMatchObject({ conversation_id: 2, date: new Date('2021-12-03T10:00:00Z').getTime() });
+      expect(await findChat('trip')).toBeUndefined();
+      expect(await findChat('club')).toMatchObject({ conversation_id: 4, date: new Date('2022-03-01T10:00:00Z').getTime() });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Service Unit Tests
+ * Tests for message service helpers in server/helpers/service.js
+ */
+
+const {
+  normalizeService,
+  parseServiceParam
+} = require('../../../server/helpers/service');
+
+describe('Service Helpers', () => {
+  describe('normalizeService', () => {
+    test('should use chat.db spelling', () => {
+      expect(normalizeService('imessage')).toBe('iMessage');
+      expect(normalizeService('sms')).toBe('SMS');
+      expect(normalizeService('RCS')).toBe('RCS');
+    });
+
+    test('should keep unknown services and handle missing ones', () => {
+      expect(normalizeService('iMessageLite')).toBe('iMessageLite');
+      expect(normalizeService(null)).toBeNull();
+      expect(normalizeService('')).toBeNull();
+    });
+  });
+
+  describe('parseServiceParam', () => {
+    test('should parse comma-separated services', () => {
+      expect(parseServiceParam('sms,rcs')).toEqual(['SMS', 'RCS']);
+      expect(parseServiceParam(' iMessage , sms ')).toEqual(['iMessage', 'SMS']);
+    });
+
+    test('should drop duplicates and empty entries', () => {
+      expect(parseServiceParam('sms,SMS,,')).toEqual(['SMS']);
+    });
+
+    test('should return an empty list when there is no filter', () => {
+      expect(parseServiceParam(undefined)).toEqual([]);
+      expect(parseServiceParam('')).toEqual([]);
+    });
+
+    test('should reject unknown services', () => {
+      expect(parseServiceParam('sms,fax')).toBeNull();
+    });
+  });
+});
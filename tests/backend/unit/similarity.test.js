@@ -0,0 +1,112 @@
+/**
+ * Similarity Unit Tests
+ * Tests for TF-IDF vectors in server/helpers/similarity.js
+ */
+
+const {
+  countTerms,
+  buildTfIdfVector,
+  cosineSimilarity,
+  getTopTerms,
+  selectQueryTerms
+} = require('../../../server/helpers/similarity');
+
+describe('Similarity Helpers', () => {
+  describe('countTerms', () => {
+    test('should count normalized terms', () => {
+      expect(countTerms('Café, cafe and CAFE!')).toEqual(new Map([['cafe', 3], ['and', 1]]));
+    });
+
+    test('should skip single characters', () => {
+      expect(countTerms('a b 7 ok')).toEqual(new Map([['ok', 1]]));
+    });
+
+    test('should handle empty text', () => {
+      expect(countTerms('')).toEqual(new Map());
+    });
+  });
+
+  describe('buildTfIdfVector', () => {
+    test('should weight rare terms above common ones', () => {
+      const vector = buildTfIdfVector(
+        new Map([['the', 1], ['ski', 1]]),
+        new Map([['the', 900], ['ski', 3]]),
+        1000
+      );
+      expect(vector.get('ski')).toBeGreaterThan(vector.get('the'));
+    });
+
+    test('should dampen repeated terms', () => {
+      const frequencies = new Map([['ski', 3]]);
+      const once = buildTfIdfVector(new Map([['ski', 1]]), frequencies, 1000).get('ski');
+      const often = buildTfIdfVector(new Map([['ski', 4]]), frequencies, 1000).get('ski');
+      expect(often).toBeGreaterThan(once);
+      expect(often).toBeLessThan(once * 4);
+    });
+
+    test('should treat unknown terms as occurring once', () => {
+      const vector = buildTfIdfVector(new Map([['new', 1]]), new Map(), 100);
+      expect(vector.get('new')).toBeCloseTo(Math.log(101));
+    });
+  });
+
+  describe('cosineSimilarity', () => {
+    test('should be 1 for vectors in the same direction', () => {
+      const a = new Map([['ski', 2], ['trip', 1]]);
+      const b = new Map([['ski', 4], ['trip', 2]]);
+      expect(cosineSimilarity(a, b)).toBeCloseTo(1);
+    });
+
+    test('should be 0 when no terms are shared', () => {
+      expect(cosineSimilarity(new Map([['ski', 1]]), new Map([['dinner', 1]]))).toBe(0);
+    });
+
+    test('should score partial overlap between 0 and 1', () => {
+      const score = cosineSimilarity(new Map([['ski', 1], ['trip', 1]]), new Map([['ski', 1], ['lodge', 1]]));
+      expect(score).toBeCloseTo(0.5);
+    });
+
+    test('should handle empty vectors', () => {
+      expect(cosineSimilarity(new Map(), new Map([['ski', 1]]))).toBe(0);
+    });
+  });
+
+  describe('getTopTerms', () => {
+    test('should return the heaviest terms first', () => {
+      const vector = new Map([['the', 0.1], ['ski', 3], ['lodge', 2]]);
+      expect(getTopTerms(vector, 2)).toEqual(['ski', 'lodge']);
+    });
+  });
+
+  describe('selectQueryTerms', () => {
+    const options = { limit: 12, maxDocRatio: 0.05 };
+
+    test('should exclude stopwords however heavy', () => {
+      const vector = new Map([['dinner', 2], ['the', 5], ['to', 4], ['at', 3]]);
+      const frequencies = new Map([['dinner', 20], ['the', 20], ['to', 20], ['at', 20]]);
+
+      expect(selectQueryTerms(vector, frequencies, 1000, options)).toEqual(['dinner']);
+    });
+
+    test('should exclude terms too common in the index', () => {
+      const vector = new Map([['dinner', 2], ['lol', 3]]);
+      const frequencies = new Map([['dinner', 20], ['lol', 400]]);
+
+      expect(selectQueryTerms(vector, frequencies, 1000, options)).toEqual(['dinner']);
+    });
+
+    test('should exclude terms only the source contains', () => {
+      const vector = new Map([['dinner', 2], ['xyzzy', 9]]);
+      const frequencies = new Map([['dinner', 20], ['xyzzy', 1]]);
+
+      expect(selectQueryTerms(vector, frequencies, 1000, options)).toEqual(['dinner']);
+    });
+
+    test('should keep the heaviest terms up to the limit', () => {
+      const vector = new Map([['ski', 3], ['lodge', 2], ['trip', 1]]);
+      const frequencies = new Map([['ski', 10], ['lodge', 10], ['trip', 10]]);
+
+      expect(selectQueryTerms(vector, frequencies, 1000, { ...options, limit: 2 })).toEqual(['ski', 'lodge']);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * System Events Unit Tests
+ * Tests for group chat system event helpers in server/helpers/systemEvents.js
+ */
+
+const {
+  getSystemEventType,
+  describeSystemEvent
+} = require('../../../server/helpers/systemEvents');
+
+describe('System Event Helpers', () => {
+  describe('getSystemEventType', () => {
+    test('should decode membership changes', () => {
+      expect(getSystemEventType({ item_type: 1, group_action_type: 0 })).toBe('member_added');
+      expect(getSystemEventType({ item_type: 1, group_action_type: 1 })).toBe('member_removed');
+      expect(getSystemEventType({ item_type: 3, group_action_type: 0 })).toBe('member_left');
+    });
+
+    test('should decode renames whatever their group_action_type', () => {
+      expect(getSystemEventType({ item_type: 2, group_action_type: 0 })).toBe('renamed');
+      expect(getSystemEventType({ item_type: 2, group_action_type: 5 })).toBe('renamed');
+    });
+
+    test('should decode group photo changes', () => {
+      expect(getSystemEventType({ item_type: 3, group_action_type: 1 })).toBe('photo_changed');
+      expect(getSystemEventType({ item_type: 3, group_action_type: 2 })).toBe('photo_removed');
+    });
+
+    test('should return null for ordinary messages and unknown events', () => {
+      expect(getSystemEventType({ item_type: 0, group_action_type: 0 })).toBeNull();
+      expect(getSystemEventType({ item_type: 6, group_action_type: 0 })).toBeNull();
+      expect(getSystemEventType({ item_type: 3, group_action_type: 9 })).toBeNull();
+    });
+  });
+
+  describe('describeSystemEvent', () => {
+    test('should describe membership changes', () => {
+      expect(describeSystemEvent({ type: 'member_added', actor: 'Alice', target: 'Bob' }))
+        .toBe('Alice added Bob to the conversation');
+      expect(describeSystemEvent({ type: 'member_removed', actor: 'You', target: 'Bob' }))
+        .toBe('You removed Bob from the conversation');
+      expect(describeSystemEvent({ type: 'member_left', actor: 'Bob', target: null }))
+        .toBe('Bob left the conversation');
+    });
+
+    test('should fall back when the person added is unknown', () => {
+      expect(describeSystemEvent({ type: 'member_added', actor: 'Alice', target: null }))
+        .toBe('Alice added someone to the conversation');
+    });
+
+    test('should describe renames and removed names', () => {
+      expect(describeSystemEvent({ type: 'renamed', actor: 'Alice', target: null, title: 'Ski Trip' }))
+        .toBe('Alice named the conversation “Ski Trip”');
+      expect(describeSystemEvent({ type: 'renamed', actor: 'Alice', target: null, title: null }))
+        .toBe('Alice removed the name from the conversation');
+    });
+
+    test('should describe group photo changes', () => {
+      expect(describeSystemEvent({ type: 'photo_changed', actor: 'You', target: null }))
+        .toBe('You changed the group photo');
+      expect(describeSystemEvent({ type: 'photo_removed', actor: 'Alice', target: null }))
+        .toBe('Alice removed the group photo');
+    });
+  });
+});
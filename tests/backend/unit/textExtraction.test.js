@@ -0,0 +1,52 @@
+/**
+ * Text Extraction Pool Unit Tests
+ * Tests for the worker thread pool in server/processors/textExtraction.js
+ */
+
+const { TextExtractionPool } = require('../../../server/processors/textExtraction');
+
+describe('TextExtractionPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = new TextExtractionPool(2);
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  test('should extract and normalize text in row order', async () => {
+    const rows = [
+      { text: 'Café RÉSUMÉ', attributedBody: null },
+      { text: null, attributedBody: null },
+      { text: '  Don’t  ', attributedBody: null }
+    ];
+
+    expect(await pool.extract(rows)).toEqual([
+      { text: 'Café RÉSUMÉ', search_text: 'cafe resume' },
+      null,
+      { text: 'Don’t', search_text: "don't" }
+    ]);
+  });
+
+  test('should return an empty array for no rows', async () => {
+    expect(await pool.extract([])).toEqual([]);
+  });
+
+  test('should run more chunks than workers', async () => {
+    const rows = Array.from({ length: 50 }, (_, i) => ({ text: `Message ${i}`, attributedBody: null }));
+    const results = await Promise.all([pool.extract(rows), pool.extract(rows.slice(0, 3))]);
+
+    expect(results[0]).toHaveLength(50);
+    expect(results[0][49]).toEqual({ text: 'Message 49', search_text: 'message 49' });
+    expect(results[1].map(r => r.text)).toEqual(['Message 0', 'Message 1', 'Message 2']);
+  });
+
+  test('should not start more workers than its size', async () => {
+    const rows = Array.from({ length: 10 }, () => ({ text: 'hi there', attributedBody: null }));
+    await Promise.all([pool.extract(rows), pool.extract(rows), pool.extract(rows)]);
+
+    expect(pool.workers.length).toBeLessThanOrEqual(2);
+  });
+});
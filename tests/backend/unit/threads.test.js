@@ -0,0 +1,75 @@
+/**
+ * Threads Unit Tests
+ * Tests for inline reply helpers in server/helpers/threads.js
+ */
+
+const {
+  getOriginatorPartIndex,
+  getPartText,
+  makeExcerpt
+} = require('../../../server/helpers/threads');
+
+describe('Thread Helpers', () => {
+  describe('getOriginatorPartIndex', () => {
+    test('should read the part index', () => {
+      expect(getOriginatorPartIndex('0:0:12')).toBe(0);
+      expect(getOriginatorPartIndex('2:0:5')).toBe(2);
+      expect(getOriginatorPartIndex('1')).toBe(1);
+    });
+
+    test('should return null for missing or malformed parts', () => {
+      expect(getOriginatorPartIndex(null)).toBeNull();
+      expect(getOriginatorPartIndex('')).toBeNull();
+      expect(getOriginatorPartIndex('abc')).toBeNull();
+    });
+  });
+
+  describe('getPartText', () => {
+    test('should return the whole message without a part index', () => {
+      expect(getPartText('See you there', null)).toBe('See you there');
+    });
+
+    test('should return the text of a part', () => {
+      expect(getPartText('￼Look at this', 1)).toBe('Look at this');
+      expect(getPartText('First￼Second', 2)).toBe('Second');
+    });
+
+    test('should return null for attachment parts', () => {
+      expect(getPartText('￼Look at this', 0)).toBeNull();
+      expect(getPartText('￼', null)).toBeNull();
+    });
+
+    test('should fall back to the whole message for out-of-range parts', () => {
+      expect(getPartText('Hello', 3)).toBe('Hello');
+    });
+
+    test('should handle missing text', () => {
+      expect(getPartText(null, 0)).toBeNull();
+      expect(getPartText('', null)).toBeNull();
+    });
+  });
+
+  describe('makeExcerpt', () => {
+    test('should keep short text', () => {
+      expect(makeExcerpt('Dinner at 7?', 20)).toBe('Dinner at 7?');
+    });
+
+    test('should collapse whitespace', () => {
+      expect(makeExcerpt('Line one\n\nLine  two', 50)).toBe('Line one Line two');
+    });
+
+    test('should break long text at a word', () => {
+      const excerpt = makeExcerpt('The quick brown fox jumps over the lazy dog', 20);
+      expect(excerpt).toBe('The quick brown fox…');
+      expect(excerpt.length).toBeLessThanOrEqual(20);
+    });
+
+    test('should cut long words', () => {
+      expect(makeExcerpt('Supercalifragilisticexpialidocious', 10)).toBe('Supercali…');
+    });
+
+    test('should handle missing text', () => {
+      expect(makeExcerpt(null, 10)).toBe('');
+    });
+  });
+});
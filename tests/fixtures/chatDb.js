@@ -0,0 +1,159 @@
+/**
+ * chat.db Fixture for Backend Tests
+ * Builds a small Messages database (macOS 13+ schema) and Contacts database
+ * in a temporary home directory. config resolves both and the cache
+ * directory from the home directory when it's first loaded, so tests point
+ * os.homedir() at the fixture home before requiring server modules.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const MAC_EPOCH_MS = 978307200000;
+
+/**
+ * Convert an ISO date to Mac absolute time (nanoseconds), as chat.db stores it
+ */
+const toMacTime = (iso) => (Date.parse(iso) - MAC_EPOCH_MS) * 1000000;
+
+const SCHEMA = [
+  `CREATE TABLE message (
+    ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT, text TEXT, attributedBody BLOB,
+    date INTEGER, is_from_me INTEGER DEFAULT 0, handle_id INTEGER DEFAULT 0,
+    cache_has_attachments INTEGER DEFAULT 0, is_delivered INTEGER DEFAULT 0,
+    date_delivered INTEGER DEFAULT 0, is_read INTEGER DEFAULT 0, date_read INTEGER DEFAULT 0,
+    error INTEGER DEFAULT 0, service TEXT DEFAULT 'iMessage', associated_message_type INTEGER DEFAULT 0,
+    associated_message_guid TEXT, thread_originator_guid TEXT, thread_originator_part TEXT,
+    item_type INTEGER DEFAULT 0, group_action_type INTEGER DEFAULT 0, group_title TEXT,
+    other_handle INTEGER DEFAULT 0, date_edited INTEGER DEFAULT 0, date_retracted INTEGER DEFAULT 0,
+    message_summary_info BLOB
+  )`,
+  `CREATE TABLE chat (
+    ROWID INTEGER PRIMARY KEY AUTOINCREMENT, guid TEXT, display_name TEXT,
+    chat_identifier TEXT, service_name TEXT DEFAULT 'iMessage'
+  )`,
+  `CREATE TABLE handle (ROWID INTEGER PRIMARY KEY AUTOINCREMENT, id TEXT, service TEXT DEFAULT 'iMessage')`,
+  `CREATE TABLE chat_message_join (chat_id INTEGER, message_id INTEGER)`,
+  `CREATE TABLE chat_handle_join (chat_id INTEGER, handle_id INTEGER)`,
+  `CREATE TABLE attachment (
+    ROWID INTEGER PRIMARY KEY AUTOINCREMENT, filename TEXT, mime_type TEXT,
+    transfer_name TEXT, total_bytes INTEGER
+  )`,
+  `CREATE TABLE message_attachment_join (message_id INTEGER, attachment_id INTEGER)`
+];
+
+const CONTACTS_SCHEMA = [
+  `CREATE TABLE ZABCDRECORD (
+    Z_PK INTEGER PRIMARY KEY, ZFIRSTNAME TEXT, ZLASTNAME TEXT, ZORGANIZATION TEXT, ZNICKNAME TEXT
+  )`,
+  `CREATE TABLE ZABCDPHONENUMBER (Z_PK INTEGER PRIMARY KEY, ZOWNER INTEGER, ZFULLNUMBER TEXT)`,
+  `CREATE TABLE ZABCDEMAILADDRESS (Z_PK INTEGER PRIMARY KEY, ZOWNER INTEGER, ZADDRESS TEXT)`
+];
+
+/**
+ * Create a temporary home directory with Library/Messages, the AddressBook
+ * directory and the cache directory
+ * @param {string} name - Included in the directory name
+ * @returns {{ home: string, chatDbPath: string, contactsDbPath: string }}
+ */
+function createFixtureHome(name) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), `imessage-${name}-`));
+  const addressBook = path.join(home, 'Library', 'Application Support', 'AddressBook');
+  fs.mkdirSync(path.join(home, 'Library', 'Messages'), { recursive: true });
+  fs.mkdirSync(addressBook, { recursive: true });
+  fs.mkdirSync(path.join(home, '.imessage-search-cache'), { recursive: true });
+  return {
+    home,
+    chatDbPath: path.join(home, 'Library', 'Messages', 'chat.db'),
+    contactsDbPath: path.join(addressBook, 'AddressBook-v22.abcddb')
+  };
+}
+
+/**
+ * Run statements against a database one after another
+ * @param {string} dbPath
+ * @param {Array<string|[string, Array]>} statements - SQL, or [SQL, params]
+ */
+function runSql(dbPath, statements) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath);
+    let failure = null;
+    db.serialize(() => {
+      statements.forEach(statement => {
+        const [sql, params = []] = Array.isArray(statement) ? statement : [statement];
+        db.run(sql, params, (err) => { failure = failure || err; });
+      });
+    });
+    db.close(err => (failure || err ? reject(failure || err) : resolve()));
+  });
+}
+
+/**
+ * Build an INSERT statement for a row object
+ */
+const toInsert = (table, row) => {
+  const columns = Object.keys(row);
+  return [
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    columns.map(column => row[column])
+  ];
+};
+
+/**
+ * Create chat.db with the given rows
+ * Messages take a `chat_id` (joined through chat_message_join) and chats a
+ * `handles` list of handle ROWIDs (chat_handle_join); other keys are columns.
+ * @param {string} dbPath
+ * @param {{ handles?: Object[], chats?: Object[], messages?: Object[], attachments?: Object[] }} data -
+ *   attachments take a `message_id` (message_attachment_join)
+ */
+function createChatDb(dbPath, { handles = [], chats = [], messages = [], attachments = [] } = {}) {
+  const statements = [...SCHEMA];
+  handles.forEach(handle => statements.push(toInsert('handle', handle)));
+  chats.forEach(({ handles: members = [], ...chat }) => {
+    statements.push(toInsert('chat', chat));
+    members.forEach(handleId => statements.push([
+      'INSERT INTO chat_handle_join (chat_id, handle_id) VALUES (?, ?)', [chat.ROWID, handleId]
+    ]));
+  });
+  messages.forEach(({ chat_id, ...message }) => {
+    statements.push(toInsert('message', message));
+    statements.push([
+      'INSERT INTO chat_message_join (chat_id, message_id) VALUES (?, ?)', [chat_id, message.ROWID]
+    ]);
+  });
+  attachments.forEach(({ message_id, ...attachment }) => {
+    statements.push(toInsert('attachment', attachment));
+    statements.push([
+      'INSERT INTO message_attachment_join (message_id, attachment_id) VALUES (?, ?)',
+      [message_id, attachment.ROWID]
+    ]);
+  });
+  return runSql(dbPath, statements);
+}
+
+/**
+ * Create an AddressBook database with the given people
+ * @param {string} dbPath
+ * @param {Array<{ first: string, last?: string, phones?: string[], emails?: string[] }>} people
+ */
+function createContactsDb(dbPath, people) {
+  const statements = [...CONTACTS_SCHEMA];
+  people.forEach(({ first, last = null, phones = [], emails = [] }, i) => {
+    statements.push(['INSERT INTO ZABCDRECORD (Z_PK, ZFIRSTNAME, ZLASTNAME) VALUES (?, ?, ?)', [i + 1, first, last]]);
+    phones.forEach(phone => statements.push(['INSERT INTO ZABCDPHONENUMBER (ZOWNER, ZFULLNUMBER) VALUES (?, ?)', [i + 1, phone]]));
+    emails.forEach(email => statements.push(['INSERT INTO ZABCDEMAILADDRESS (ZOWNER, ZADDRESS) VALUES (?, ?)', [i + 1, email]]));
+  });
+  return runSql(dbPath, statements);
+}
+
+module.exports = {
+  MAC_EPOCH_MS,
+  toMacTime,
+  createFixtureHome,
+  createChatDb,
+  createContactsDb,
+  runSql
+};
@@ -17,14 +17,19 @@ const mockGetContacts = jest.fn();
 const mockGetConversations = jest.fn();
 const mockGetGlobalMedia = jest.fn();
 const mockGetGlobalLinks = jest.fn();
+const mockStreamSearch = jest.fn();
 
 jest.mock('../../../src/api', () => ({
   searchMessages: (...args) => mockSearchMessages(...args),
+  streamSearch: (...args) => mockStreamSearch(...args),
   getConversation: (...args) => mockGetConversation(...args),
   getContacts: (...args) => mockGetContacts(...args),
   getConversations: (...args) => mockGetConversations(...args),
   getGlobalMedia: (...args) => mockGetGlobalMedia(...args),
   getGlobalLinks: (...args) => mockGetGlobalLinks(...args),
+  getSavedSearches: () => Promise.resolve([]),
+  getSearchSuggestions: () => Promise.resolve({ prefix: '', suggestions: [] }),
+  saveSearchHistory: () => Promise.resolve({}),
 }));
 
 // Mock data
@@ -572,3 +577,55 @@ describe('Loading States', () => {
   });
 });
 
+
+describe('Streaming Search', () => {
+  const App = require('../../../src/components/App').default;
+  let streams;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetContacts.mockResolvedValue(mockContacts);
+    mockGetConversations.mockResolvedValue([]);
+    global.fetch = jest.fn(() => Promise.resolve({ json: () => Promise.resolve({ ready: true, total: 0 }) }));
+
+    // Like an EventSource, a cancelled stream delivers no more events
+    streams = [];
+    mockStreamSearch.mockImplementation((query, cursor, contacts, options, callbacks) => {
+      const stream = { query, callbacks, cancelled: false };
+      streams.push(stream);
+      return () => { stream.cancelled = true; };
+    });
+  });
+
+  const emit = (stream, event, payload) => act(async () => {
+    if (!stream.cancelled) stream.callbacks[event](payload);
+  });
+
+  const result = (id, text) => ({
+    id, kind: 'message', message_id: id, text, snippet: text, highlights: [],
+    conversation_id: 1, display_name: 'Alice Smith', sender_name: 'Alice Smith', date: Date.now()
+  });
+
+  const search = async (query) => {
+    fireEvent.change(screen.getByPlaceholderText(/Search messages/), { target: { value: query } });
+    await waitFor(() => expect(streams.map(s => s.query)).toContain(query));
+    return streams[streams.length - 1];
+  };
+
+  test('should not let a cancelled stream overwrite newer results', async () => {
+    render(<App />);
+    await waitFor(() => expect(mockGetConversations).toHaveBeenCalled());
+
+    const first = await search('dinner');
+    const second = await search('lunch');
+    expect(first.cancelled).toBe(true);
+
+    await emit(second, 'onResults', [result(2, 'lunch tomorrow?')]);
+    await emit(second, 'onSummary', { total: 1, nextCursor: null, facets: null, suggestions: [] });
+    await emit(first, 'onResults', [result(1, 'dinner tonight?')]);
+    await emit(first, 'onSummary', { total: 1, nextCursor: null, facets: null, suggestions: [] });
+
+    expect(screen.getByText('lunch tomorrow?')).toBeInTheDocument();
+    expect(screen.queryByText('dinner tonight?')).not.toBeInTheDocument();
+  });
+});
@@ -413,3 +413,74 @@ describe('Parameter Type Coercion', () => {
   });
 });
 
+
+describe('streamSearch', () => {
+  const { streamSearch } = require('../../../src/api');
+
+  // Records listeners so tests can dispatch server events
+  class MockEventSource {
+    constructor(url) {
+      this.url = url;
+      this.listeners = {};
+      this.close = jest.fn();
+      MockEventSource.instances.push(this);
+    }
+
+    addEventListener(event, listener) {
+      this.listeners[event] = listener;
+    }
+
+    dispatch(event, data) {
+      this.listeners[event](data === undefined ? {} : { data: JSON.stringify(data) });
+    }
+  }
+
+  let callbacks;
+
+  beforeEach(() => {
+    MockEventSource.instances = [];
+    global.EventSource = MockEventSource;
+    callbacks = { onResults: jest.fn(), onSummary: jest.fn(), onError: jest.fn() };
+  });
+
+  afterEach(() => {
+    delete global.EventSource;
+  });
+
+  test('should open the stream with the search params', () => {
+    streamSearch('dinner', null, ['1-100'], { mode: 'regex', service: 'SMS' }, callbacks);
+
+    expect(MockEventSource.instances[0].url).toBe('/search/stream?q=dinner&contacts=1-100&mode=regex&service=SMS');
+  });
+
+  test('should pass each batch of results, then the summary', () => {
+    streamSearch('dinner', null, [], {}, callbacks);
+    const source = MockEventSource.instances[0];
+
+    source.dispatch('results', { results: [{ id: 1 }] });
+    source.dispatch('summary', { total: 1, nextCursor: null });
+
+    expect(callbacks.onResults).toHaveBeenCalledWith([{ id: 1 }]);
+    expect(callbacks.onSummary).toHaveBeenCalledWith({ total: 1, nextCursor: null });
+    expect(source.close).toHaveBeenCalled();
+  });
+
+  test('should report server and connection errors', () => {
+    streamSearch('[', null, [], { mode: 'regex' }, callbacks);
+    streamSearch('dinner', null, [], {}, callbacks);
+
+    MockEventSource.instances[0].dispatch('error', { error: 'Invalid regular expression' });
+    MockEventSource.instances[1].dispatch('error');
+
+    expect(callbacks.onError.mock.calls).toEqual([['Invalid regular expression'], ['Search failed']]);
+    expect(MockEventSource.instances.every(source => source.close.mock.calls.length === 1)).toBe(true);
+  });
+
+  test('should close the stream when cancelled', () => {
+    const cancel = streamSearch('dinner', null, [], {}, callbacks);
+
+    cancel();
+
+    expect(MockEventSource.instances[0].close).toHaveBeenCalled();
+  });
+});
@@ -18,6 +18,14 @@ jest.mock('../../../src/api', () => ({
   getConversations: jest.fn(),
   getGlobalMedia: jest.fn(),
   getGlobalLinks: jest.fn(),
+  getSearchSuggestions: jest.fn(),
+  saveSearchHistory: jest.fn(),
+  clearSearchHistory: jest.fn(),
+  getConversationMedia: jest.fn(),
+  getConversationLinks: jest.fn(),
+  getConversationTimeline: jest.fn(),
+  searchConversation: jest.fn(),
+  getThread: jest.fn(),
 }));
 
 // Import mocked API
@@ -751,3 +759,362 @@ describe('MediaGallery Component', () => {
   });
 });
 
+
+describe('SearchBar Suggestions', () => {
+  const SearchBar = require('../../../src/components/SearchBar').default;
+
+  const mockSuggestions = [
+    { type: 'history', text: 'dinner plans' },
+    { type: 'contact', text: 'from:"Alice Smith"', label: 'Alice Smith' },
+    { type: 'term', text: 'dinosaur' }
+  ];
+
+  beforeEach(() => {
+    api.getSearchSuggestions.mockResolvedValue({ suggestions: mockSuggestions });
+    api.clearSearchHistory.mockResolvedValue({});
+  });
+
+  const renderFocused = async (onSearch = jest.fn()) => {
+    render(<SearchBar onSearch={onSearch} />);
+    fireEvent.focus(screen.getByRole('combobox'));
+    await screen.findByRole('listbox');
+  };
+
+  const pressKeys = (...keys) => {
+    keys.forEach(key => fireEvent.keyDown(screen.getByRole('combobox'), { key }));
+  };
+
+  const selectedOption = () =>
+    screen.getAllByRole('option').find(option => option.getAttribute('aria-selected') === 'true');
+
+  test('should show suggestions when focused', async () => {
+    await renderFocused();
+
+    expect(screen.getAllByRole('option')).toHaveLength(3);
+    expect(screen.getByRole('combobox')).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByText('Alice Smith')).toBeInTheDocument();
+    expect(selectedOption()).toBeUndefined();
+  });
+
+  test('should move through suggestions with the arrow keys', async () => {
+    await renderFocused();
+
+    pressKeys('ArrowDown');
+    expect(selectedOption()).toHaveTextContent('dinner plans');
+
+    pressKeys('ArrowDown', 'ArrowDown');
+    expect(selectedOption()).toHaveTextContent('dinosaur');
+
+    // Wraps around at either end
+    pressKeys('ArrowDown');
+    expect(selectedOption()).toHaveTextContent('dinner plans');
+    pressKeys('ArrowUp');
+    expect(selectedOption()).toHaveTextContent('dinosaur');
+  });
+
+  test('should pick the selected suggestion with Enter', async () => {
+    const mockOnSearch = jest.fn();
+    await renderFocused(mockOnSearch);
+
+    pressKeys('ArrowDown', 'ArrowDown', 'Enter');
+
+    expect(screen.getByRole('combobox')).toHaveValue('from:"Alice Smith"');
+    expect(mockOnSearch).toHaveBeenCalledWith('from:"Alice Smith"');
+    expect(api.saveSearchHistory).toHaveBeenCalledWith('from:"Alice Smith"');
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+
+  test('should close suggestions with Escape and reopen them with ArrowDown', async () => {
+    await renderFocused();
+
+    pressKeys('Escape');
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+
+    pressKeys('ArrowDown');
+    expect(screen.getByRole('listbox')).toBeInTheDocument();
+  });
+
+  test('should clear search history from the dropdown', async () => {
+    await renderFocused();
+
+    fireEvent.mouseDown(screen.getByText('Clear search history'));
+
+    expect(api.clearSearchHistory).toHaveBeenCalled();
+    await waitFor(() => expect(screen.getAllByRole('option')).toHaveLength(2));
+    expect(screen.queryByText('dinner plans')).not.toBeInTheDocument();
+  });
+});
+
+describe('SearchResults Grouped by Conversation', () => {
+  const SearchResults = require('../../../src/components/SearchResults').default;
+
+  const hit = (id, text, conversationId = 1) => ({
+    id,
+    message_id: id,
+    conversation_id: conversationId,
+    kind: 'message',
+    text,
+    display_name: 'Alice Smith',
+    date: Date.now() - 3600000
+  });
+
+  const mockGroups = [
+    {
+      conversation_id: 1,
+      display_name: 'Alice Smith',
+      is_group: false,
+      count: 3,
+      latest_date: Date.now() - 3600000,
+      hits: [hit(10, 'Dinner at 7?'), hit(11, 'Dinner was great')]
+    },
+    {
+      conversation_id: 2,
+      display_name: 'Ski Trip',
+      is_group: true,
+      count: 1,
+      latest_date: Date.now() - 86400000,
+      hits: [hit(20, 'Dinner on the mountain', 2)]
+    }
+  ];
+
+  const renderGroups = (props = {}) => render(
+    <SearchResults
+      results={[]}
+      groups={mockGroups}
+      onResultClick={jest.fn()}
+      onLoadGroupHits={jest.fn()}
+      inline
+      {...props}
+    />
+  );
+
+  test('should show each conversation with its hit count and top hits', () => {
+    renderGroups();
+
+    expect(screen.getByText('Alice Smith')).toBeInTheDocument();
+    expect(screen.getByText('👥 Ski Trip')).toBeInTheDocument();
+    expect(screen.getByText('3')).toBeInTheDocument();
+    expect(screen.getByText('1')).toBeInTheDocument();
+    expect(screen.getByText('Dinner at 7?')).toBeInTheDocument();
+    expect(screen.getByText('Dinner on the mountain')).toBeInTheDocument();
+  });
+
+  test('should load every hit when a conversation is expanded', async () => {
+    const mockOnLoadGroupHits = jest.fn().mockResolvedValue({
+      results: [hit(10, 'Dinner at 7?'), hit(11, 'Dinner was great'), hit(12, 'Dinner again')],
+      nextCursor: null
+    });
+    renderGroups({ onLoadGroupHits: mockOnLoadGroupHits });
+
+    fireEvent.click(screen.getByText('Alice Smith'));
+
+    expect(mockOnLoadGroupHits).toHaveBeenCalledWith(1, null);
+    expect(await screen.findByText('Dinner again')).toBeInTheDocument();
+  });
+
+  test('should page in more hits with "Show more"', async () => {
+    const mockOnLoadGroupHits = jest.fn()
+      .mockResolvedValueOnce({ results: [hit(10, 'Dinner at 7?'), hit(11, 'Dinner was great')], nextCursor: 'c1' })
+      .mockResolvedValueOnce({ results: [hit(12, 'Dinner again')], nextCursor: null });
+    renderGroups({ onLoadGroupHits: mockOnLoadGroupHits });
+
+    fireEvent.click(screen.getByText('Alice Smith'));
+    fireEvent.click(await screen.findByText('Show more'));
+
+    expect(mockOnLoadGroupHits).toHaveBeenLastCalledWith(1, 'c1');
+    expect(await screen.findByText('Dinner again')).toBeInTheDocument();
+    expect(screen.getByText('Dinner at 7?')).toBeInTheDocument();
+    expect(screen.queryByText('Show more')).not.toBeInTheDocument();
+  });
+
+  test('should not load hits when the preview already has them all', () => {
+    const mockOnLoadGroupHits = jest.fn();
+    renderGroups({ onLoadGroupHits: mockOnLoadGroupHits, onFindSimilar: jest.fn() });
+
+    fireEvent.click(screen.getByText('👥 Ski Trip'));
+
+    expect(mockOnLoadGroupHits).not.toHaveBeenCalled();
+    expect(screen.getByText('Find similar').closest('li')).toHaveTextContent('Dinner on the mountain');
+  });
+
+  test('should open a hit from an expanded conversation', () => {
+    const mockOnResultClick = jest.fn();
+    renderGroups({ onResultClick: mockOnResultClick });
+
+    fireEvent.click(screen.getByText('👥 Ski Trip'));
+    fireEvent.click(screen.getByText('Dinner on the mountain'));
+
+    expect(mockOnResultClick).toHaveBeenCalledWith(2, 20);
+  });
+
+  test('should show the empty state when no conversation matches', () => {
+    renderGroups({ groups: [] });
+
+    expect(screen.getByText('Search for messages to get started')).toBeInTheDocument();
+  });
+});
+
+describe('Find in Conversation', () => {
+  const Conversation = require('../../../src/components/Conversation').default;
+
+  const conversationData = {
+    messages: [
+      { id: 1, text: 'Dinner at 7?', is_from_me: false, date: Date.now() - 7200000, display_name: 'Alice Smith', contact_identifier: '+15551234567' },
+      { id: 2, text: 'Sounds good', is_from_me: true, date: Date.now() - 3600000, display_name: 'Alice Smith', contact_identifier: '+15551234567' },
+      { id: 3, text: 'Dinner was great', is_from_me: false, date: Date.now() - 60000, display_name: 'Alice Smith', contact_identifier: '+15551234567' }
+    ],
+    total: 3
+  };
+
+  beforeEach(() => {
+    api.getConversationMedia.mockResolvedValue({ media: [] });
+    api.getConversationLinks.mockResolvedValue({ links: [] });
+    api.getConversationTimeline.mockResolvedValue({ months: [] });
+    api.searchConversation.mockResolvedValue({ matches: [1, 3], total: 2, truncated: false });
+  });
+
+  const openFindBar = async (onJumpToMessage = jest.fn()) => {
+    render(<Conversation data={conversationData} chatIds={[1]} onJumpToMessage={onJumpToMessage} />);
+    fireEvent.keyDown(window, { key: 'f', ctrlKey: true });
+    const input = screen.getByPlaceholderText('Find in conversation');
+    fireEvent.change(input, { target: { value: 'dinner' } });
+    await screen.findByText('2 of 2');
+    return input;
+  };
+
+  test('should open with Ctrl+F and jump to the newest match', async () => {
+    const mockOnJump = jest.fn();
+    await openFindBar(mockOnJump);
+
+    expect(api.searchConversation).toHaveBeenCalledWith('1', 'dinner');
+    expect(mockOnJump).toHaveBeenLastCalledWith(3);
+  });
+
+  test('should step to older matches with Enter and newer ones with Shift+Enter', async () => {
+    const mockOnJump = jest.fn();
+    const input = await openFindBar(mockOnJump);
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.getByText('1 of 2')).toBeInTheDocument();
+    expect(mockOnJump).toHaveBeenLastCalledWith(1);
+
+    // Wraps around past the oldest match
+    fireEvent.keyDown(input, { key: 'Enter', shiftKey: true });
+    fireEvent.keyDown(input, { key: 'Enter', shiftKey: true });
+    expect(screen.getByText('1 of 2')).toBeInTheDocument();
+    expect(mockOnJump).toHaveBeenLastCalledWith(1);
+  });
+
+  test('should say when nothing matches', async () => {
+    api.searchConversation.mockResolvedValue({ matches: [], total: 0, truncated: false });
+    render(<Conversation data={conversationData} chatIds={[1]} onJumpToMessage={jest.fn()} />);
+    fireEvent.click(screen.getByTitle('Find in conversation (⌘F)'));
+    fireEvent.change(screen.getByPlaceholderText('Find in conversation'), { target: { value: 'lunch' } });
+
+    expect(await screen.findByText('No matches')).toBeInTheDocument();
+    expect(screen.getByTitle('Previous match (Enter)')).toBeDisabled();
+  });
+
+  test('should close with Escape', async () => {
+    const input = await openFindBar();
+
+    fireEvent.keyDown(input, { key: 'Escape' });
+
+    expect(screen.queryByPlaceholderText('Find in conversation')).not.toBeInTheDocument();
+  });
+});
+
+describe('TimelineScrubber Component', () => {
+  const TimelineScrubber = require('../../../src/components/messages/TimelineScrubber').default;
+
+  const months = [
+    { month: '2021-05', count: 2 },
+    { month: '2021-06', count: 1 },
+    { month: '2021-07', count: 4 }
+  ];
+  const loadedMessages = [
+    { id: 3, date: new Date(2021, 5, 10, 12).getTime() },
+    { id: 5, date: new Date(2021, 6, 16, 12).getTime() }
+  ];
+
+  test('should show a bar per month, as wide as its share of messages', () => {
+    render(<TimelineScrubber months={months} messages={[]} onSelect={jest.fn()} />);
+
+    const bars = screen.getAllByRole('button');
+    expect(bars).toHaveLength(3);
+    expect(bars[0]).toHaveAttribute('title', expect.stringMatching(/2 messages$/));
+    expect(bars[1]).toHaveAttribute('title', expect.stringMatching(/1 message$/));
+    expect(bars.map(bar => bar.firstChild.style.width)).toEqual(['50%', '25%', '100%']);
+  });
+
+  test('should highlight the months of the loaded messages', () => {
+    render(<TimelineScrubber months={months} messages={loadedMessages} onSelect={jest.fn()} />);
+
+    const highlighted = screen.getAllByRole('button').map(bar => bar.firstChild.classList.contains('bg-primary'));
+    expect(highlighted).toEqual([false, true, true]);
+  });
+
+  test('should jump to the start of a clicked month', () => {
+    const mockOnSelect = jest.fn();
+    render(<TimelineScrubber months={months} messages={[]} onSelect={mockOnSelect} />);
+
+    fireEvent.click(screen.getAllByRole('button')[1]);
+
+    expect(mockOnSelect).toHaveBeenCalledWith('2021-06-01');
+  });
+
+  test('should not render for fewer than two months', () => {
+    const { container } = render(<TimelineScrubber months={months.slice(0, 1)} messages={[]} onSelect={jest.fn()} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
+
+describe('Jump to Date', () => {
+  const Conversation = require('../../../src/components/Conversation').default;
+
+  const conversationData = {
+    messages: [
+      { id: 1, text: 'Dinner at 7?', is_from_me: false, date: new Date(2021, 4, 1, 12).getTime(), display_name: 'Alice Smith', contact_identifier: '+15551234567' },
+      { id: 2, text: 'Dinner was great', is_from_me: false, date: new Date(2022, 1, 10, 12).getTime(), display_name: 'Alice Smith', contact_identifier: '+15551234567' }
+    ],
+    total: 2
+  };
+
+  beforeEach(() => {
+    api.getConversationMedia.mockResolvedValue({ media: [] });
+    api.getConversationLinks.mockResolvedValue({ links: [] });
+    api.getConversationTimeline.mockResolvedValue({
+      months: [{ month: '2021-05', count: 1 }, { month: '2022-02', count: 1 }]
+    });
+  });
+
+  test('should limit the date picker to the months with messages', async () => {
+    render(<Conversation data={conversationData} chatIds={[1]} onJumpToDate={jest.fn()} />);
+
+    const picker = screen.getByTitle('Jump to date');
+    await waitFor(() => expect(picker).toHaveAttribute('min', '2021-05-01'));
+    expect(api.getConversationTimeline).toHaveBeenCalledWith('1');
+    expect(picker).toHaveAttribute('max', '2022-02-28');
+  });
+
+  test('should jump to a picked date', () => {
+    const mockOnJumpToDate = jest.fn();
+    render(<Conversation data={conversationData} chatIds={[1]} onJumpToDate={mockOnJumpToDate} />);
+
+    fireEvent.change(screen.getByTitle('Jump to date'), { target: { value: '2021-12-25' } });
+
+    expect(mockOnJumpToDate).toHaveBeenCalledWith('2021-12-25');
+  });
+
+  test('should show the timeline beside the messages', async () => {
+    const mockOnJumpToDate = jest.fn();
+    render(<Conversation data={conversationData} chatIds={[1]} onJumpToDate={mockOnJumpToDate} />);
+
+    const bars = await screen.findAllByTitle(/1 message$/);
+    fireEvent.click(bars[1]);
+
+    expect(bars).toHaveLength(2);
+    expect(mockOnJumpToDate).toHaveBeenCalledWith('2022-02-01');
+  });
+});
@@ -2,7 +2,14 @@
  * Tests for message display components
  */
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
+
+// Mock API module (ThreadPanel loads threads)
+jest.mock('../../../src/api', () => ({
+  getThread: jest.fn()
+}));
+
+import * as api from '../../../src/api';
 
 // Mock MessageBubble
 const MessageBubble = ({ message, isHighlighted, isLastInGroup }) => {
@@ -176,3 +183,260 @@ describe('TimeDivider', () => {
   });
 });
 
+
+
+describe('MessageBubble Reactions', () => {
+  const { MessageBubble: Bubble } = require('../../../src/components/messages/MessageBubble');
+
+  const message = {
+    id: 1,
+    text: 'Dinner at 7?',
+    is_from_me: false,
+    reactions: [
+      { type: 'love', emoji: null, is_from_me: false, sender_name: 'Alice' },
+      { type: 'love', emoji: null, is_from_me: true, sender_name: null },
+      { type: 'like', emoji: null, is_from_me: false, sender_name: 'Bob' },
+      { type: 'emoji', emoji: '🎉', is_from_me: false, sender_name: null }
+    ]
+  };
+
+  it('should group tapbacks by icon with who reacted', () => {
+    render(<Bubble message={message} />);
+
+    expect(screen.getByTitle('Alice, You')).toHaveTextContent('❤️2');
+    expect(screen.getByTitle('Bob')).toHaveTextContent('👍');
+    expect(screen.getByTitle('Unknown')).toHaveTextContent('🎉');
+  });
+
+  it('should skip reactions without an icon', () => {
+    render(<Bubble message={{ ...message, reactions: [{ type: 'emoji', emoji: null, is_from_me: true }] }} />);
+
+    expect(screen.getByText('Dinner at 7?')).toBeInTheDocument();
+    expect(screen.queryByTitle('You')).not.toBeInTheDocument();
+  });
+});
+
+describe('Inline Replies', () => {
+  const { MessageBubble: Bubble } = require('../../../src/components/messages/MessageBubble');
+  const { ThreadPanel } = require('../../../src/components/messages/ThreadPanel');
+
+  const reply = {
+    id: 3,
+    text: 'See you there',
+    is_from_me: false,
+    reply_to: { id: 1, sender_name: 'Alice', excerpt: 'Dinner at 7?' }
+  };
+
+  it('should quote the message replied to and jump to it', () => {
+    const mockOnJump = jest.fn();
+    render(<Bubble message={reply} onJumpToMessage={mockOnJump} />);
+
+    const header = screen.getByTitle('Go to original message');
+    expect(header).toHaveTextContent('Alice');
+    expect(header).toHaveTextContent('Dinner at 7?');
+
+    fireEvent.click(header);
+    expect(mockOnJump).toHaveBeenCalledWith(1);
+  });
+
+  it('should disable the reply header without a jump handler', () => {
+    render(<Bubble message={reply} />);
+    expect(screen.getByTitle('Go to original message')).toBeDisabled();
+  });
+
+  it('should open the thread from the reply count', () => {
+    const mockOnOpenThread = jest.fn();
+    render(<Bubble message={{ id: 1, text: 'Dinner at 7?', is_from_me: false, reply_count: 2 }} onOpenThread={mockOnOpenThread} />);
+
+    fireEvent.click(screen.getByText('2 replies'));
+    expect(mockOnOpenThread).toHaveBeenCalledWith(1);
+  });
+
+  it('should show a thread and jump to its messages', async () => {
+    api.getThread.mockResolvedValue({
+      messages: [
+        { id: 1, text: 'Dinner at 7?', sender_name: 'Alice', date: Date.now() - 60000 },
+        { id: 3, text: 'See you there', sender_name: 'Bob', date: Date.now() }
+      ]
+    });
+    const mockOnJump = jest.fn();
+    render(<ThreadPanel chatIdString="1" messageId={3} onJump={mockOnJump} onClose={jest.fn()} />);
+
+    fireEvent.click(await screen.findByText('See you there'));
+
+    expect(api.getThread).toHaveBeenCalledWith('1', 3);
+    expect(screen.getByText('Thread · 1 reply')).toBeInTheDocument();
+    expect(mockOnJump).toHaveBeenCalledWith(3);
+  });
+
+  it('should say when a thread is not found', async () => {
+    api.getThread.mockRejectedValue(new Error('Not found'));
+    render(<ThreadPanel chatIdString="1" messageId={99} onJump={jest.fn()} onClose={jest.fn()} />);
+
+    expect(await screen.findByText('Thread not found')).toBeInTheDocument();
+  });
+});
+
+describe('Edited and Unsent Messages', () => {
+  const { MessageBubble: Bubble } = require('../../../src/components/messages/MessageBubble');
+
+  const edited = {
+    id: 1,
+    text: 'Dinner at 8?',
+    is_from_me: true,
+    edited_at: Date.now() - 60000,
+    edits: [{ text: 'Dinner at 7?', date: Date.now() - 120000 }]
+  };
+
+  it('should expand an edited message to its earlier versions', () => {
+    render(<Bubble message={edited} />);
+
+    const label = screen.getByText('Edited ▾');
+    expect(screen.queryByText('Dinner at 7?')).not.toBeInTheDocument();
+
+    fireEvent.click(label);
+    expect(screen.getByText('Dinner at 7?')).toBeInTheDocument();
+    expect(screen.getByText('Edited ▴')).toBeInTheDocument();
+  });
+
+  it('should mark edits without history as edited', () => {
+    render(<Bubble message={{ ...edited, edits: [] }} />);
+    expect(screen.getByText('Edited')).toBeDisabled();
+  });
+
+  it('should not mark unedited messages', () => {
+    render(<Bubble message={{ id: 1, text: 'Dinner at 7?', is_from_me: true, edited_at: null, edits: [] }} />);
+    expect(screen.queryByText(/Edited/)).not.toBeInTheDocument();
+  });
+
+  it('should leave a placeholder for unsent messages', () => {
+    const { rerender } = render(<Bubble message={{ id: 1, text: '', is_from_me: false, sender_name: 'Alice', unsent: true }} />);
+    expect(screen.getByText('Alice unsent a message')).toBeInTheDocument();
+
+    rerender(<Bubble message={{ id: 1, text: '', is_from_me: true, unsent: true }} />);
+    expect(screen.getByText('You unsent a message')).toBeInTheDocument();
+  });
+});
+
+describe('Message Receipts', () => {
+  const { MessageBubble: Bubble } = require('../../../src/components/messages/MessageBubble');
+
+  const sent = {
+    id: 1,
+    text: 'On my way',
+    is_from_me: true,
+    is_delivered: 1,
+    date_delivered: Date.now() - 120000,
+    is_read: 0,
+    date_read: null,
+    error: 0
+  };
+
+  it('should show when the last sent message was read', () => {
+    render(<Bubble message={{ ...sent, is_read: 1, date_read: Date.now() - 60000 }} isLastInGroup />);
+    expect(screen.getByText(/^Read /)).toBeInTheDocument();
+  });
+
+  it('should show delivered messages that are not read', () => {
+    render(<Bubble message={sent} isLastInGroup />);
+    expect(screen.getByText('Delivered')).toBeInTheDocument();
+  });
+
+  it('should only show receipts on the last message of a group', () => {
+    render(<Bubble message={sent} isLastInGroup={false} />);
+    expect(screen.queryByText('Delivered')).not.toBeInTheDocument();
+  });
+
+  it('should flag failed messages anywhere in a group', () => {
+    render(<Bubble message={{ ...sent, is_delivered: 0, error: 22 }} isLastInGroup={false} />);
+    expect(screen.getByText('Not delivered')).toBeInTheDocument();
+  });
+
+  it('should not show receipts on received messages', () => {
+    render(<Bubble message={{ ...sent, is_from_me: false }} isLastInGroup />);
+    expect(screen.queryByText('Delivered')).not.toBeInTheDocument();
+  });
+});
+
+describe('Message Services', () => {
+  const { MessageBubble: Bubble } = require('../../../src/components/messages/MessageBubble');
+
+  const bubbleOf = (text) => screen.getByText(text).parentElement;
+
+  it('should show sent SMS messages in green', () => {
+    render(<Bubble message={{ id: 1, text: 'Running late', is_from_me: true, service: 'SMS' }} />);
+
+    expect(bubbleOf('Running late')).toHaveClass('bg-green-500');
+    expect(bubbleOf('Running late')).toHaveAttribute('title', 'SMS message');
+  });
+
+  it('should show sent RCS messages in green', () => {
+    render(<Bubble message={{ id: 1, text: 'Running late', is_from_me: true, service: 'RCS' }} />);
+    expect(bubbleOf('Running late')).toHaveClass('bg-green-500');
+  });
+
+  it('should show sent iMessages in blue without a service label', () => {
+    render(<Bubble message={{ id: 1, text: 'Running late', is_from_me: true, service: 'iMessage' }} />);
+
+    expect(bubbleOf('Running late')).toHaveClass('bg-primary');
+    expect(bubbleOf('Running late')).not.toHaveAttribute('title');
+  });
+
+  it('should label received SMS messages without changing their color', () => {
+    render(<Bubble message={{ id: 1, text: 'Running late', is_from_me: false, service: 'SMS' }} />);
+
+    expect(bubbleOf('Running late')).toHaveClass('bg-bubble-received');
+    expect(bubbleOf('Running late')).toHaveAttribute('title', 'SMS message');
+  });
+});
+
+describe('Group System Events', () => {
+  const { MessagesList } = require('../../../src/components/messages/MessagesList');
+
+  const now = Date.now();
+  const messages = [
+    { id: 1, text: 'Who is coming?', is_from_me: false, sender_name: 'Alice', date: now - 120000 },
+    {
+      id: 2,
+      text: null,
+      is_from_me: false,
+      sender_name: 'Alice',
+      date: now - 90000,
+      system_event: { type: 'member_added', text: 'Alice added Bob to the conversation' }
+    },
+    { id: 3, text: 'Hi all', is_from_me: false, sender_name: 'Alice', date: now - 60000 }
+  ];
+
+  const renderList = (props = {}) => render(
+    <MessagesList
+      messages={messages}
+      isGroupChat
+      containerRef={React.createRef()}
+      highlightedRef={React.createRef()}
+      {...props}
+    />
+  );
+
+  it('should show system events as notices between messages', () => {
+    const { container } = renderList();
+
+    const notice = screen.getByText('Alice added Bob to the conversation');
+    expect(notice.closest('[data-message-id]')).toHaveAttribute('data-message-id', '2');
+
+    const text = container.textContent;
+    expect(text.indexOf('Who is coming?')).toBeLessThan(text.indexOf('Alice added Bob'));
+    expect(text.indexOf('Alice added Bob')).toBeLessThan(text.indexOf('Hi all'));
+  });
+
+  it('should start a new message group after a system event', () => {
+    renderList();
+
+    // Both of Alice's messages get her name, as they are separate groups
+    expect(screen.getAllByText('Alice')).toHaveLength(2);
+  });
+
+  it('should highlight a system event jumped to', () => {
+    renderList({ highlightedId: 2 });
+    expect(screen.getByText('Alice added Bob to the conversation')).toHaveClass('ring-2');
+  });
+});